@@ -0,0 +1,232 @@
+/**
+ * Chenda - Climate Adjustment
+ * Scale room-temperature shelf life to the local climate
+ *
+ * FoodKeeper pantry durations assume a US room temperature (~21°C). Spoilage
+ * roughly doubles for every 10°C warmer (Q10 ≈ 2), so pantry goods in Metro
+ * Manila (~28°C average) keep for about 60% as long.
+ *
+ * Climate profile (one of):
+ * - { temperature_c, q10 } - regional average temperature; multiplier is
+ *   q10^(-(temperature_c - reference_c) / 10) (q10 default: 2, reference_c default: 21)
+ * - { multiplier } - direct shelf life multiplier (e.g. 0.6)
+ * - a preset name from CLIMATE_PRESETS ('metro_manila')
+ *
+ * Only room-temperature conditions (CLIMATE_SENSITIVE_CONDITIONS) are scaled;
+ * refrigerated and frozen storage is temperature-controlled.
+ */
+
+const { ValidationError, ConfigurationError } = require('../../utils/errors');
+
+// FoodKeeper pantry reference temperature (70°F)
+const REFERENCE_TEMPERATURE_C = 21;
+
+const DEFAULT_Q10 = 2;
+
+const CLIMATE_SENSITIVE_CONDITIONS = ['pantry', 'pantry_opened'];
+
+const CLIMATE_PRESETS = {
+  us_reference: { temperature_c: REFERENCE_TEMPERATURE_C },
+  metro_manila: { temperature_c: 28 }
+};
+
+/**
+ * Validate a climate profile and convert it to object form
+ *
+ * @param {string|Object} profile - Preset name, { temperature_c, q10, reference_c } or { multiplier }
+ * @returns {Object} Climate profile object
+ * @throws {ConfigurationError} If the preset or a parameter is invalid (code 'invalid_option')
+ *
+ * @example
+ * validateClimateProfile('metro_manila'); // { temperature_c: 28 }
+ */
+function validateClimateProfile(profile) {
+  const config = typeof profile === 'string' ? CLIMATE_PRESETS[profile] : profile;
+
+  if (typeof profile === 'string' && !config) {
+    throw new ConfigurationError(`Invalid climate preset: ${profile}. Valid: ${Object.keys(CLIMATE_PRESETS).join(', ')}`, {
+      code: 'invalid_option', field: 'climate', value: profile
+    });
+  }
+  if (!config || typeof config !== 'object') {
+    throw new ConfigurationError('climate must be a preset name or an object with temperature_c or multiplier', {
+      code: 'invalid_option', field: 'climate', value: profile
+    });
+  }
+
+  const hasTemperature = config.temperature_c != null;
+  const hasMultiplier = config.multiplier != null;
+  if (hasTemperature === hasMultiplier) {
+    throw new ConfigurationError('climate must define exactly one of temperature_c or multiplier', {
+      code: 'invalid_option', field: 'climate', value: profile
+    });
+  }
+
+  const allowed = hasTemperature ? ['temperature_c', 'q10', 'reference_c'] : ['multiplier'];
+  for (const [key, value] of Object.entries(config)) {
+    if (!allowed.includes(key)) {
+      throw new ConfigurationError(`Invalid climate parameter: ${key}`, {
+        code: 'invalid_option', field: `climate.${key}`, value: key
+      });
+    }
+    if (typeof value !== 'number' || isNaN(value)) {
+      throw new ConfigurationError(`${key} must be a number (got ${value})`, {
+        code: 'invalid_option', field: `climate.${key}`, value: value
+      });
+    }
+  }
+
+  if (hasMultiplier && config.multiplier <= 0) {
+    throw new ConfigurationError(`multiplier must be positive (got ${config.multiplier})`, {
+      code: 'invalid_option', field: 'climate.multiplier', value: config.multiplier
+    });
+  }
+  if (config.q10 != null && config.q10 <= 1) {
+    throw new ConfigurationError(`q10 must be greater than 1 (got ${config.q10})`, {
+      code: 'invalid_option', field: 'climate.q10', value: config.q10
+    });
+  }
+
+  return { ...config };
+}
+
+/**
+ * Calculate the shelf life multiplier of a climate profile
+ *
+ * @param {string|Object} profile - Climate profile (see validateClimateProfile)
+ * @returns {number} Multiplier (< 1 when warmer than the reference)
+ *
+ * @example
+ * getClimateMultiplier({ temperature_c: 31 });  // 0.5 (10°C warmer, Q10 = 2)
+ * getClimateMultiplier({ multiplier: 0.6 });    // 0.6
+ */
+function getClimateMultiplier(profile) {
+  const config = validateClimateProfile(profile);
+
+  if (config.multiplier != null) {
+    return config.multiplier;
+  }
+
+  const q10 = config.q10 != null ? config.q10 : DEFAULT_Q10;
+  const reference = config.reference_c != null ? config.reference_c : REFERENCE_TEMPERATURE_C;
+  return Math.pow(q10, -(config.temperature_c - reference) / 10);
+}
+
+/**
+ * Check whether a storage condition is affected by the climate
+ *
+ * @param {string} storageCondition - Storage condition
+ * @returns {boolean} True for room-temperature conditions
+ */
+function isClimateSensitive(storageCondition) {
+  return CLIMATE_SENSITIVE_CONDITIONS.includes(storageCondition);
+}
+
+/**
+ * Adjust shelf life days for the climate
+ * Conditions that are not climate-sensitive are returned unchanged
+ *
+ * @param {number} days - USDA shelf life in days
+ * @param {string} storageCondition - Storage condition the days apply to
+ * @param {string|Object} profile - Climate profile
+ * @param {number} decimals - Decimal places (default: 2)
+ * @returns {number} Adjusted shelf life in days
+ *
+ * @example
+ * adjustShelfLifeForClimate(30, 'pantry', 'metro_manila');       // 18.47
+ * adjustShelfLifeForClimate(30, 'refrigerated', 'metro_manila'); // 30
+ */
+function adjustShelfLifeForClimate(days, storageCondition, profile, decimals = 2) {
+  if (typeof days !== 'number' || isNaN(days) || days <= 0) {
+    throw new ValidationError(`days must be a positive number (got ${days})`, {
+      code: 'out_of_range', field: 'days', value: days
+    });
+  }
+
+  if (!isClimateSensitive(storageCondition)) {
+    return days;
+  }
+
+  return Number((days * getClimateMultiplier(profile)).toFixed(decimals));
+}
+
+// Export functions
+module.exports = {
+  validateClimateProfile,
+  getClimateMultiplier,
+  isClimateSensitive,
+  adjustShelfLifeForClimate,
+  CLIMATE_PRESETS,
+  CLIMATE_SENSITIVE_CONDITIONS,
+  REFERENCE_TEMPERATURE_C
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Climate Adjustment Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Test 1: Q10 multiplier
+  test('Q10: Shelf life halves 10°C above the reference', () => {
+    if (getClimateMultiplier({ temperature_c: 31 }) !== 0.5) throw new Error('Expected 0.5');
+    if (getClimateMultiplier({ temperature_c: 21 }) !== 1) throw new Error('Expected 1 at the reference');
+    if (getClimateMultiplier({ temperature_c: 31, q10: 3 }).toFixed(4) !== '0.3333') throw new Error('Expected 1/3 with Q10 = 3');
+  });
+
+  // Test 2: Direct multiplier and presets
+  test('Profiles: Direct multiplier and Metro Manila preset', () => {
+    if (getClimateMultiplier({ multiplier: 0.6 }) !== 0.6) throw new Error('Expected 0.6');
+    const manila = getClimateMultiplier('metro_manila');
+    if (manila.toFixed(4) !== '0.6156') throw new Error(`Expected 0.6156, got ${manila}`);
+  });
+
+  // Test 3: Only pantry conditions are adjusted
+  test('Adjust: Pantry scaled, refrigerated and frozen unchanged', () => {
+    if (adjustShelfLifeForClimate(30, 'pantry', 'metro_manila') !== 18.47) throw new Error('Pantry should be scaled');
+    if (adjustShelfLifeForClimate(30, 'pantry_opened', { multiplier: 0.5 }) !== 15) throw new Error('pantry_opened should be scaled');
+    if (adjustShelfLifeForClimate(30, 'refrigerated', 'metro_manila') !== 30) throw new Error('Refrigerated should be unchanged');
+    if (adjustShelfLifeForClimate(30, 'frozen', { multiplier: 0.5 }) !== 30) throw new Error('Frozen should be unchanged');
+  });
+
+  // Test 4: Invalid profiles
+  test('Error: Invalid climate profiles', () => {
+    const cases = [
+      ['tropical', 'Invalid climate preset'],
+      [{ temperature_c: 28, multiplier: 0.5 }, 'exactly one'],
+      [{ multiplier: -1 }, 'multiplier must be positive'],
+      [{ temperature_c: 28, q10: 1 }, 'q10 must be greater than 1'],
+      [{ temperature_c: 28, humidity: 80 }, 'Invalid climate parameter']
+    ];
+    for (const [profile, message] of cases) {
+      try {
+        validateClimateProfile(profile);
+        throw new Error('Should have thrown error');
+      } catch (e) {
+        if (!e.message.includes(message)) throw e;
+      }
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
@@ -7,6 +7,8 @@
  * Precision: Full precision internally, 2 decimals for display
  */
 
+const { ValidationError, ConfigurationError, withContext } = require('../../utils/errors');
+
 // Earth radius constants (in kilometers)
 const EARTH_RADIUS_KM = 6371;
 const EARTH_RADIUS_MILES = 3959;
@@ -25,27 +27,38 @@ function toRadians(degrees) {
  * Validate coordinate object
  * @param {Object} point - Coordinate object {lat, lng}
  * @param {string} paramName - Parameter name for error messages
- * @throws {Error} If coordinates are invalid
+ * @throws {ValidationError} If coordinates are invalid
  */
 function validateCoordinate(point, paramName) {
   if (!point || typeof point !== 'object') {
-    throw new Error(`${paramName} must be an object with lat and lng properties`);
+    throw new ValidationError(`${paramName} must be an object with lat and lng properties`, {
+      code: 'invalid_type', field: paramName, value: point
+    });
   }
   
   if (typeof point.lat !== 'number' || typeof point.lng !== 'number') {
-    throw new Error(`${paramName} must have numeric lat and lng properties`);
+    const field = typeof point.lat !== 'number' ? 'lat' : 'lng';
+    throw new ValidationError(`${paramName} must have numeric lat and lng properties`, {
+      code: 'invalid_type', field: `${paramName}.${field}`, value: point[field]
+    });
   }
   
   if (point.lat < -90 || point.lat > 90) {
-    throw new Error(`${paramName}.lat must be between -90 and 90 (got ${point.lat})`);
+    throw new ValidationError(`${paramName}.lat must be between -90 and 90 (got ${point.lat})`, {
+      code: 'out_of_range', field: `${paramName}.lat`, value: point.lat
+    });
   }
   
   if (point.lng < -180 || point.lng > 180) {
-    throw new Error(`${paramName}.lng must be between -180 and 180 (got ${point.lng})`);
+    throw new ValidationError(`${paramName}.lng must be between -180 and 180 (got ${point.lng})`, {
+      code: 'out_of_range', field: `${paramName}.lng`, value: point.lng
+    });
   }
   
   if (isNaN(point.lat) || isNaN(point.lng)) {
-    throw new Error(`${paramName} contains NaN values`);
+    throw new ValidationError(`${paramName} contains NaN values`, {
+      code: 'invalid_type', field: isNaN(point.lat) ? `${paramName}.lat` : `${paramName}.lng`, value: NaN
+    });
   }
 }
 
@@ -62,7 +75,8 @@ function validateCoordinate(point, paramName) {
  * @param {Object} point2 - Second coordinate {lat: number, lng: number}
  * @param {string} unit - 'km' (default), 'miles', 'meters'
  * @returns {number} Distance in specified unit (full precision)
- * @throws {Error} If coordinates are invalid or unit is unsupported
+ * @throws {ValidationError} If coordinates are invalid
+ * @throws {ConfigurationError} If unit is unsupported
  * 
  * @example
  * const distance = calculateDistance(
@@ -110,7 +124,9 @@ function calculateDistance(point1, point2, unit = 'km') {
       distance = EARTH_RADIUS_METERS * c;
       break;
     default:
-      throw new Error(`Unsupported unit: ${unit}. Use 'km', 'miles', or 'meters'`);
+      throw new ConfigurationError(`Unsupported unit: ${unit}. Use 'km', 'miles', or 'meters'`, {
+        code: 'unsupported_unit', field: 'unit', value: unit
+      });
   }
   
   return distance;
@@ -163,14 +179,16 @@ function calculateDistanceBatch(origin, destinations, unit = 'km') {
   validateCoordinate(origin, 'origin');
   
   if (!Array.isArray(destinations)) {
-    throw new Error('destinations must be an array');
+    throw new ValidationError('destinations must be an array', {
+      code: 'invalid_type', field: 'destinations', value: destinations
+    });
   }
   
   return destinations.map((dest, index) => {
     try {
       return calculateDistance(origin, dest, unit);
     } catch (error) {
-      throw new Error(`Invalid destination at index ${index}: ${error.message}`);
+      throw withContext(error, `Invalid destination at index ${index}`);
     }
   });
 }
@@ -234,7 +252,7 @@ function runTests() {
     calculateDistance({ lat: 95, lng: 120 }, locations.makati);
     console.log('❌ Should have thrown error');
   } catch (error) {
-    console.log(`✓ Caught error: ${error.message}\n`);
+    console.log(`✓ Caught ${error.name} (${error.code}, ${error.field}): ${error.message}\n`);
   }
   
   console.log('TEST 7: Error handling - Missing coordinates');
@@ -242,7 +260,7 @@ function runTests() {
     calculateDistance({ lat: 14.5 }, locations.makati);
     console.log('❌ Should have thrown error');
   } catch (error) {
-    console.log(`✓ Caught error: ${error.message}\n`);
+    console.log(`✓ Caught ${error.name} (${error.code}, ${error.field}): ${error.message}\n`);
   }
   
   console.log('TEST 8: Error handling - Invalid unit');
@@ -250,7 +268,7 @@ function runTests() {
     calculateDistance(locations.quezonCity, locations.makati, 'lightyears');
     console.log('❌ Should have thrown error');
   } catch (error) {
-    console.log(`✓ Caught error: ${error.message}\n`);
+    console.log(`✓ Caught ${error.name} (${error.code}, ${error.field}): ${error.message}\n`);
   }
   
   console.log('=== All Tests Completed ===');
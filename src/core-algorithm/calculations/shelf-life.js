@@ -7,15 +7,47 @@
  * - Freshness percentage = (remaining / total) * 100
  * - Expiration date = listed_date + remaining_days
  * - Is expired = current_date > expiration_date
+ * 
+ * Time-aware metrics (calculateShelfLifeMetrics):
+ * - Days elapsed = current_date - listed_date
+ * - Remaining and freshness are measured at current_date, using
+ *   days_already_used + days elapsed since listing
+ * 
+ * Expiration confidence intervals (USDA min/max shelf life):
+ * - conservative: min_shelf_life_days (pessimistic bound, for food-safety-sensitive items)
+ * - expected: total_shelf_life_days (the AVERAGE(min, max) default)
+ * - optimistic: max_shelf_life_days
+ * 
+ * Listings with a storage_history (frozen, thawed, opened, ...) consume each
+ * condition's budget from shelf_life_by_condition in turn (see storage-history.js)
+ * instead of total_shelf_life_days - days_already_used.
+ * 
+ * With a climate profile (see climate.js), pantry shelf life is scaled to the
+ * local temperature; the unadjusted USDA values are kept in climate_adjustment.
+ * 
+ * Listings with a temperature_log (see temperature-log.js) consume shelf life at
+ * the logged temperature's kinetic rate instead, and temperature abuse is flagged.
+ * The measured temperatures replace the climate profile for these listings.
  */
 
+const { calculateStorageHistory, getStorageBudgets } = require('./storage-history');
+const { getClimateMultiplier, isClimateSensitive, adjustShelfLifeForClimate } = require('./climate');
+const { analyzeTemperatureLog } = require('./temperature-log');
+const { resolveInvalidPolicy, handleInvalidProduct } = require('../../utils/invalid-policy');
+const { ValidationError, DataError, ConfigurationError, withContext } = require('../../utils/errors');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Which shelf life bound decides expiration
+const EXPIRY_POLICIES = ['conservative', 'expected', 'optimistic'];
+
 /**
  * Calculate remaining shelf life in days
  * 
  * @param {number} totalShelfLifeDays - Total shelf life from ProductType
  * @param {number} daysAlreadyUsed - Days consumed before listing
  * @returns {number} Remaining shelf life in days
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
  * 
  * @example
  * const remaining = calculateRemainingShelfLife(28, 5); // Eggs: 28 days total, 5 days used
@@ -24,23 +56,33 @@
 function calculateRemainingShelfLife(totalShelfLifeDays, daysAlreadyUsed) {
   // Validate inputs
   if (typeof totalShelfLifeDays !== 'number' || typeof daysAlreadyUsed !== 'number') {
-    throw new Error('totalShelfLifeDays and daysAlreadyUsed must be numbers');
+    throw new ValidationError('totalShelfLifeDays and daysAlreadyUsed must be numbers', {
+      code: 'invalid_type', field: typeof totalShelfLifeDays !== 'number' ? 'totalShelfLifeDays' : 'daysAlreadyUsed', value: typeof totalShelfLifeDays !== 'number' ? totalShelfLifeDays : daysAlreadyUsed
+    });
   }
   
   if (isNaN(totalShelfLifeDays) || isNaN(daysAlreadyUsed)) {
-    throw new Error('totalShelfLifeDays and daysAlreadyUsed cannot be NaN');
+    throw new ValidationError('totalShelfLifeDays and daysAlreadyUsed cannot be NaN', {
+      code: 'invalid_type', field: isNaN(totalShelfLifeDays) ? 'totalShelfLifeDays' : 'daysAlreadyUsed', value: NaN
+    });
   }
   
   if (totalShelfLifeDays <= 0) {
-    throw new Error(`totalShelfLifeDays must be positive (got ${totalShelfLifeDays})`);
+    throw new ValidationError(`totalShelfLifeDays must be positive (got ${totalShelfLifeDays})`, {
+      code: 'out_of_range', field: 'totalShelfLifeDays', value: totalShelfLifeDays
+    });
   }
   
   if (daysAlreadyUsed < 0) {
-    throw new Error(`daysAlreadyUsed cannot be negative (got ${daysAlreadyUsed})`);
+    throw new ValidationError(`daysAlreadyUsed cannot be negative (got ${daysAlreadyUsed})`, {
+      code: 'out_of_range', field: 'daysAlreadyUsed', value: daysAlreadyUsed
+    });
   }
   
   if (daysAlreadyUsed > totalShelfLifeDays) {
-    throw new Error(`daysAlreadyUsed (${daysAlreadyUsed}) cannot exceed totalShelfLifeDays (${totalShelfLifeDays})`);
+    throw new ValidationError(`daysAlreadyUsed (${daysAlreadyUsed}) cannot exceed totalShelfLifeDays (${totalShelfLifeDays})`, {
+      code: 'out_of_range', field: 'daysAlreadyUsed', value: daysAlreadyUsed
+    });
   }
   
   return totalShelfLifeDays - daysAlreadyUsed;
@@ -53,7 +95,7 @@ function calculateRemainingShelfLife(totalShelfLifeDays, daysAlreadyUsed) {
  * @param {number} daysAlreadyUsed - Days consumed before listing
  * @param {number} decimals - Number of decimal places (default: 2)
  * @returns {number} Freshness percentage (0-100)
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
  * 
  * @example
  * const freshness = calculateFreshnessPercent(28, 5); // Eggs: 28 days total, 5 used
@@ -72,7 +114,7 @@ function calculateFreshnessPercent(totalShelfLifeDays, daysAlreadyUsed, decimals
  * @param {string|Date} listedDate - ISO 8601 string or Date object
  * @param {number} remainingShelfLifeDays - Remaining days until expiration
  * @returns {Date} Expiration date
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
  * 
  * @example
  * const expires = calculateExpirationDate('2025-01-29T06:00:00Z', 23);
@@ -86,20 +128,28 @@ function calculateExpirationDate(listedDate, remainingShelfLifeDays) {
   } else if (typeof listedDate === 'string') {
     date = new Date(listedDate);
   } else {
-    throw new Error('listedDate must be a Date object or ISO 8601 string');
+    throw new ValidationError('listedDate must be a Date object or ISO 8601 string', {
+      code: 'invalid_type', field: 'listedDate', value: listedDate
+    });
   }
   
   if (isNaN(date.getTime())) {
-    throw new Error(`Invalid date: ${listedDate}`);
+    throw new ValidationError(`Invalid date: ${listedDate}`, {
+      code: 'invalid_date', field: 'listedDate', value: listedDate
+    });
   }
   
   // Validate remaining days
   if (typeof remainingShelfLifeDays !== 'number' || isNaN(remainingShelfLifeDays)) {
-    throw new Error('remainingShelfLifeDays must be a number');
+    throw new ValidationError('remainingShelfLifeDays must be a number', {
+      code: 'invalid_type', field: 'remainingShelfLifeDays', value: remainingShelfLifeDays
+    });
   }
   
   if (remainingShelfLifeDays < 0) {
-    throw new Error(`remainingShelfLifeDays cannot be negative (got ${remainingShelfLifeDays})`);
+    throw new ValidationError(`remainingShelfLifeDays cannot be negative (got ${remainingShelfLifeDays})`, {
+      code: 'out_of_range', field: 'remainingShelfLifeDays', value: remainingShelfLifeDays
+    });
   }
   
   // Add remaining days to listed date
@@ -109,13 +159,64 @@ function calculateExpirationDate(listedDate, remainingShelfLifeDays) {
   return expirationDate;
 }
 
+/**
+ * Calculate days elapsed since a product was listed
+ * Listings dated after currentDate count as 0 days elapsed
+ * 
+ * @param {string|Date} listedDate - ISO 8601 string or Date object
+ * @param {string|Date} currentDate - Evaluation date (default: now)
+ * @returns {number} Fractional days elapsed (>= 0)
+ * @throws {ValidationError} If dates are invalid
+ * 
+ * @example
+ * const elapsed = calculateDaysElapsed('2025-01-29T06:00:00Z', '2025-01-31T18:00:00Z');
+ * console.log(elapsed); // 2.5
+ */
+function calculateDaysElapsed(listedDate, currentDate = new Date()) {
+  let listed;
+  if (listedDate instanceof Date) {
+    listed = listedDate;
+  } else if (typeof listedDate === 'string') {
+    listed = new Date(listedDate);
+  } else {
+    throw new ValidationError('listedDate must be a Date object or ISO 8601 string', {
+      code: 'invalid_type', field: 'listedDate', value: listedDate
+    });
+  }
+  
+  if (isNaN(listed.getTime())) {
+    throw new ValidationError(`Invalid date: ${listedDate}`, {
+      code: 'invalid_date', field: 'listedDate', value: listedDate
+    });
+  }
+  
+  let current;
+  if (currentDate instanceof Date) {
+    current = currentDate;
+  } else if (typeof currentDate === 'string') {
+    current = new Date(currentDate);
+  } else {
+    throw new ValidationError('currentDate must be a Date object or ISO 8601 string', {
+      code: 'invalid_type', field: 'currentDate', value: currentDate
+    });
+  }
+  
+  if (isNaN(current.getTime())) {
+    throw new ValidationError(`Invalid current date: ${currentDate}`, {
+      code: 'invalid_date', field: 'currentDate', value: currentDate
+    });
+  }
+  
+  return Math.max(0, (current.getTime() - listed.getTime()) / MS_PER_DAY);
+}
+
 /**
  * Check if a product is expired
  * 
  * @param {string|Date} expirationDate - Expiration date (ISO 8601 or Date)
  * @param {string|Date} currentDate - Current date (default: now)
  * @returns {boolean} True if expired, false if still fresh
- * @throws {Error} If dates are invalid
+ * @throws {ValidationError} If dates are invalid
  * 
  * @example
  * const expired = isExpired('2025-01-20T00:00:00Z', '2025-01-30T00:00:00Z');
@@ -129,11 +230,15 @@ function isExpired(expirationDate, currentDate = new Date()) {
   } else if (typeof expirationDate === 'string') {
     expDate = new Date(expirationDate);
   } else {
-    throw new Error('expirationDate must be a Date object or ISO 8601 string');
+    throw new ValidationError('expirationDate must be a Date object or ISO 8601 string', {
+      code: 'invalid_type', field: 'expirationDate', value: expirationDate
+    });
   }
   
   if (isNaN(expDate.getTime())) {
-    throw new Error(`Invalid expiration date: ${expirationDate}`);
+    throw new ValidationError(`Invalid expiration date: ${expirationDate}`, {
+      code: 'invalid_date', field: 'expirationDate', value: expirationDate
+    });
   }
   
   // Parse current date
@@ -143,11 +248,15 @@ function isExpired(expirationDate, currentDate = new Date()) {
   } else if (typeof currentDate === 'string') {
     currDate = new Date(currentDate);
   } else {
-    throw new Error('currentDate must be a Date object or ISO 8601 string');
+    throw new ValidationError('currentDate must be a Date object or ISO 8601 string', {
+      code: 'invalid_type', field: 'currentDate', value: currentDate
+    });
   }
   
   if (isNaN(currDate.getTime())) {
-    throw new Error(`Invalid current date: ${currentDate}`);
+    throw new ValidationError(`Invalid current date: ${currentDate}`, {
+      code: 'invalid_date', field: 'currentDate', value: currentDate
+    });
   }
   
   return currDate > expDate;
@@ -157,66 +266,432 @@ function isExpired(expirationDate, currentDate = new Date()) {
  * Calculate all shelf life metrics for a product
  * Convenience function that computes everything at once
  * 
+ * Remaining days and freshness are measured at currentDate: the shelf life
+ * consumed is days_already_used plus the days elapsed since listed_date.
+ * Both bottom out at 0 once the product has expired.
+ * 
  * @param {Object} product - Product object with required fields
  * @param {number} product.total_shelf_life_days - From ProductType
- * @param {number} product.days_already_used - From Product
+ * @param {number} product.days_already_used - From Product (at listing time)
  * @param {string|Date} product.listed_date - From Product
+ * @param {number} [product.min_shelf_life_days] - USDA min (conservative bound, default: total)
+ * @param {number} [product.max_shelf_life_days] - USDA max (optimistic bound, default: total)
+ * @param {Array<Object>} [product.storage_history] - [{ storage_condition, started_at }]; replaces
+ *   total_shelf_life_days/days_already_used, and needs product.shelf_life_by_condition
+ * @param {string} [product.storage_condition] - Current storage (pantry conditions are climate-adjusted)
  * @param {string|Date} currentDate - Current date (default: now)
- * @returns {Object} All shelf life metrics
+ * @param {Object} options - Calculation options
+ * @param {string|Object} [options.climate] - Climate profile for pantry shelf life (see climate.js)
+ * @param {Object} [options.temperature] - Kinetic model for product.temperature_log:
+ *   { model: 'q10'|'arrhenius', q10, activationEnergy, abuseThresholdC } (see temperature-log.js)
+ * @returns {Object} All shelf life metrics; top-level values are the expected ones and
+ *   expiration_range holds { conservative, expected, optimistic } variants. Climate-adjusted
+ *   products also get climate_adjustment: { storage_condition, multiplier,
+ *   total_shelf_life_days, unadjusted: { total_shelf_life_days, remaining_shelf_life_days,
+ *   freshness_percent, expiration_date, expiration_date_iso, is_expired } }. Products with a
+ *   temperature_log get temperature_profile (analyzeTemperatureLog output) and temperature_abuse
  * 
  * @example
  * const metrics = calculateShelfLifeMetrics({
  *   total_shelf_life_days: 28,
  *   days_already_used: 5,
  *   listed_date: '2025-01-29T06:00:00Z'
- * });
+ * }, '2025-02-01T06:00:00Z');
  * // Returns:
  * // {
- * //   remaining_shelf_life_days: 23,
- * //   freshness_percent: 82.14,
+ * //   days_since_listed: 3,
+ * //   remaining_shelf_life_days: 20,
+ * //   freshness_percent: 71.43,
  * //   expiration_date: Date object,
  * //   expiration_date_iso: '2025-02-21T06:00:00.000Z',
- * //   is_expired: false
+ * //   is_expired: false,
+ * //   expiration_range: {
+ * //     conservative: { shelf_life_days, remaining_shelf_life_days, freshness_percent,
+ * //                     expiration_date, expiration_date_iso, is_expired },
+ * //     expected: {...},
+ * //     optimistic: {...}
+ * //   }
  * // }
  */
-function calculateShelfLifeMetrics(product, currentDate = new Date()) {
+function calculateShelfLifeMetrics(product, currentDate = new Date(), options = {}) {
   // Validate product object
   if (!product || typeof product !== 'object') {
-    throw new Error('product must be an object');
+    throw new ValidationError('product must be an object', {
+      code: 'invalid_type', field: 'product', value: product
+    });
+  }
+  
+  if (options.climate && !product.temperature_log && isClimateAffected(product)) {
+    return calculateClimateAdjustedMetrics(product, currentDate, options.climate);
+  }
+  
+  if (product.storage_history) {
+    return calculateStorageHistoryMetrics(product, currentDate);
+  }
+  
+  if (product.temperature_log) {
+    return calculateTemperatureLogMetrics(product, currentDate, options.temperature);
   }
   
   const requiredFields = ['total_shelf_life_days', 'days_already_used', 'listed_date'];
   for (const field of requiredFields) {
     if (!(field in product)) {
-      throw new Error(`product.${field} is required`);
+      throw new DataError(`product.${field} is required`, {
+        code: 'missing_field', field: field
+      });
     }
   }
   
-  // Calculate all metrics
-  const remainingDays = calculateRemainingShelfLife(
-    product.total_shelf_life_days,
-    product.days_already_used
-  );
-  
-  const freshnessPercent = calculateFreshnessPercent(
+  // Remaining shelf life at listing time fixes the expiration date
+  const remainingAtListing = calculateRemainingShelfLife(
     product.total_shelf_life_days,
     product.days_already_used
   );
   
   const expirationDate = calculateExpirationDate(
     product.listed_date,
-    remainingDays
+    remainingAtListing
   );
   
+  // Shelf life keeps being consumed after listing
+  const daysElapsed = calculateDaysElapsed(product.listed_date, currentDate);
+  const remainingDays = Math.max(0, remainingAtListing - daysElapsed);
+  const freshnessPercent = (remainingDays / product.total_shelf_life_days) * 100;
+  
   const expired = isExpired(expirationDate, currentDate);
   
-  return {
-    remaining_shelf_life_days: remainingDays,
-    freshness_percent: freshnessPercent,
+  const expected = {
+    shelf_life_days: product.total_shelf_life_days,
+    remaining_shelf_life_days: Number(remainingDays.toFixed(2)),
+    freshness_percent: Number(freshnessPercent.toFixed(2)),
     expiration_date: expirationDate,
     expiration_date_iso: expirationDate.toISOString(),
     is_expired: expired
   };
+  
+  const { min, max } = getShelfLifeBounds(product);
+  
+  return {
+    days_since_listed: Number(daysElapsed.toFixed(2)),
+    remaining_shelf_life_days: expected.remaining_shelf_life_days,
+    freshness_percent: expected.freshness_percent,
+    expiration_date: expirationDate,
+    expiration_date_iso: expected.expiration_date_iso,
+    is_expired: expired,
+    expiration_range: {
+      conservative: calculateBoundMetrics(product, min, daysElapsed, currentDate),
+      expected,
+      optimistic: calculateBoundMetrics(product, max, daysElapsed, currentDate)
+    }
+  };
+}
+
+/**
+ * Shelf life metrics from a temperature log
+ * Consumed = days_already_used + days since listing + kinetic excess days;
+ * the expiration date is projected from currentDate at the reference temperature
+ * @private
+ */
+function calculateTemperatureLogMetrics(product, currentDate, temperatureOptions = {}) {
+  const requiredFields = ['total_shelf_life_days', 'days_already_used', 'listed_date', 'storage_condition'];
+  for (const field of requiredFields) {
+    if (!(field in product)) {
+      throw new DataError(`product.${field} is required`, {
+        code: 'missing_field', field: field
+      });
+    }
+  }
+  
+  // Validates total/used like the static calculation
+  calculateRemainingShelfLife(product.total_shelf_life_days, product.days_already_used);
+  
+  const analysis = analyzeTemperatureLog(
+    product.temperature_log,
+    product.storage_condition,
+    currentDate,
+    temperatureOptions
+  );
+  const daysElapsed = calculateDaysElapsed(product.listed_date, currentDate);
+  const consumed = product.days_already_used + daysElapsed + analysis.kinetic_excess_days;
+  const now = new Date(currentDate);
+  
+  const forBound = shelfLifeDays => {
+    const remaining = shelfLifeDays - consumed;
+    const expirationDate = new Date(now.getTime() + remaining * MS_PER_DAY);
+    return {
+      shelf_life_days: shelfLifeDays,
+      remaining_shelf_life_days: Number(Math.max(0, remaining).toFixed(2)),
+      freshness_percent: Number(((Math.max(0, remaining) / shelfLifeDays) * 100).toFixed(2)),
+      expiration_date: expirationDate,
+      expiration_date_iso: expirationDate.toISOString(),
+      is_expired: isExpired(expirationDate, now)
+    };
+  };
+  
+  const { min, max } = getShelfLifeBounds(product);
+  const expected = forBound(product.total_shelf_life_days);
+  
+  return {
+    days_since_listed: Number(daysElapsed.toFixed(2)),
+    remaining_shelf_life_days: expected.remaining_shelf_life_days,
+    freshness_percent: expected.freshness_percent,
+    expiration_date: expected.expiration_date,
+    expiration_date_iso: expected.expiration_date_iso,
+    is_expired: expected.is_expired,
+    expiration_range: {
+      conservative: forBound(min),
+      expected,
+      optimistic: forBound(max)
+    },
+    temperature_profile: analysis,
+    temperature_abuse: analysis.temperature_abuse
+  };
+}
+
+/**
+ * Check whether a product is stored (or was stored) at room temperature
+ * @private
+ */
+function isClimateAffected(product) {
+  if (Array.isArray(product.storage_history)) {
+    return product.storage_history.some(entry => entry && isClimateSensitive(entry.storage_condition));
+  }
+  return isClimateSensitive(product.storage_condition);
+}
+
+/**
+ * Scale the pantry shelf life fields of a product to the climate
+ * Days already used at the real temperature may now exceed the shorter shelf
+ * life; they are capped so the product is simply expired at listing
+ * @private
+ */
+function adjustProductForClimate(product, climate) {
+  const adjusted = { ...product };
+  const condition = product.storage_condition;
+  
+  ['total_shelf_life_days', 'min_shelf_life_days', 'max_shelf_life_days'].forEach(field => {
+    if (typeof product[field] === 'number' && product[field] > 0) {
+      adjusted[field] = adjustShelfLifeForClimate(product[field], condition, climate);
+    }
+  });
+  
+  if (typeof product.days_already_used === 'number' && adjusted.total_shelf_life_days != null) {
+    adjusted.days_already_used = Math.min(product.days_already_used, adjusted.total_shelf_life_days);
+  }
+  
+  if (product.shelf_life_by_condition) {
+    adjusted.shelf_life_by_condition = {};
+    for (const [storageCondition, data] of Object.entries(product.shelf_life_by_condition)) {
+      const entry = { ...data };
+      ['shelf_life_days', 'min_shelf_life_days', 'max_shelf_life_days'].forEach(field => {
+        if (typeof data[field] === 'number' && data[field] > 0) {
+          entry[field] = adjustShelfLifeForClimate(data[field], storageCondition, climate);
+        }
+      });
+      adjusted.shelf_life_by_condition[storageCondition] = entry;
+    }
+  }
+  
+  return adjusted;
+}
+
+/**
+ * Shelf life metrics with pantry shelf life scaled to the climate
+ * @private
+ */
+function calculateClimateAdjustedMetrics(product, currentDate, climate) {
+  const unadjusted = calculateShelfLifeMetrics(product, currentDate);
+  const adjustedProduct = adjustProductForClimate(product, climate);
+  const adjusted = calculateShelfLifeMetrics(adjustedProduct, currentDate);
+  const expected = adjusted.expiration_range.expected;
+  
+  return {
+    ...adjusted,
+    climate_adjustment: {
+      storage_condition: product.storage_condition || null,
+      multiplier: Number(getClimateMultiplier(climate).toFixed(4)),
+      total_shelf_life_days: expected.shelf_life_days,
+      unadjusted: {
+        total_shelf_life_days: unadjusted.expiration_range.expected.shelf_life_days,
+        remaining_shelf_life_days: unadjusted.remaining_shelf_life_days,
+        freshness_percent: unadjusted.freshness_percent,
+        expiration_date: unadjusted.expiration_date,
+        expiration_date_iso: unadjusted.expiration_date_iso,
+        is_expired: unadjusted.is_expired
+      }
+    }
+  };
+}
+
+/**
+ * Shelf life metrics for a listing with a storage history
+ * Each expiry bound replays the history with that bound's budgets
+ * @private
+ */
+function calculateStorageHistoryMetrics(product, currentDate) {
+  if (!('listed_date' in product)) {
+    throw new DataError('product.listed_date is required', {
+      code: 'missing_field', field: 'listed_date'
+    });
+  }
+  
+  const toRangeEntry = bound => {
+    const budgets = getStorageBudgets(product.shelf_life_by_condition, bound);
+    const result = calculateStorageHistory(product.storage_history, budgets, currentDate);
+    return {
+      shelf_life_days: result.total_shelf_life_days,
+      remaining_shelf_life_days: result.remaining_shelf_life_days,
+      freshness_percent: result.freshness_percent,
+      expiration_date: result.expiration_date,
+      expiration_date_iso: result.expiration_date.toISOString(),
+      is_expired: result.is_expired,
+      storage_phases: result.phases
+    };
+  };
+  
+  const { storage_phases: storagePhases, ...expected } = toRangeEntry('expected');
+  const strip = ({ storage_phases, ...entry }) => entry;
+  const daysElapsed = calculateDaysElapsed(product.listed_date, currentDate);
+  
+  return {
+    days_since_listed: Number(daysElapsed.toFixed(2)),
+    remaining_shelf_life_days: expected.remaining_shelf_life_days,
+    freshness_percent: expected.freshness_percent,
+    expiration_date: expected.expiration_date,
+    expiration_date_iso: expected.expiration_date_iso,
+    is_expired: expected.is_expired,
+    expiration_range: {
+      conservative: strip(toRangeEntry('conservative')),
+      expected,
+      optimistic: strip(toRangeEntry('optimistic'))
+    },
+    storage_phases: storagePhases
+  };
+}
+
+/**
+ * Read and validate the USDA shelf life range of a product
+ * Missing bounds fall back to total_shelf_life_days
+ * @private
+ */
+function getShelfLifeBounds(product) {
+  const min = product.min_shelf_life_days != null ? product.min_shelf_life_days : product.total_shelf_life_days;
+  const max = product.max_shelf_life_days != null ? product.max_shelf_life_days : product.total_shelf_life_days;
+  
+  for (const [field, value] of [['min_shelf_life_days', min], ['max_shelf_life_days', max]]) {
+    if (typeof value !== 'number' || isNaN(value) || value <= 0) {
+      throw new DataError(`${field} must be a positive number (got ${value})`, {
+        code: 'invalid_field', field: field, value: value
+      });
+    }
+  }
+  
+  if (min > max) {
+    throw new DataError(`min_shelf_life_days (${min}) cannot exceed max_shelf_life_days (${max})`, {
+      code: 'invalid_field', field: 'min_shelf_life_days', value: min
+    });
+  }
+  
+  return { min, max };
+}
+
+/**
+ * Calculate expiration and freshness for one shelf life bound
+ * Unlike the expected value, a bound may already be used up at listing
+ * (days_already_used > min), which simply means expired under that bound
+ * @private
+ */
+function calculateBoundMetrics(product, shelfLifeDays, daysElapsed, currentDate) {
+  const remainingAtListing = Math.max(0, shelfLifeDays - product.days_already_used);
+  const expirationDate = calculateExpirationDate(product.listed_date, remainingAtListing);
+  const remainingDays = Math.max(0, remainingAtListing - daysElapsed);
+  
+  return {
+    shelf_life_days: shelfLifeDays,
+    remaining_shelf_life_days: Number(remainingDays.toFixed(2)),
+    freshness_percent: Number(((remainingDays / shelfLifeDays) * 100).toFixed(2)),
+    expiration_date: expirationDate,
+    expiration_date_iso: expirationDate.toISOString(),
+    is_expired: isExpired(expirationDate, currentDate)
+  };
+}
+
+/**
+ * Validate an expiry policy or a policy map keyed by category_id
+ * 
+ * @param {string|Object} policy - Policy name or { [category_id]: policy, default: policy }
+ * @returns {string|Object} The policy
+ * @throws {ConfigurationError} If the policy, a map key or a map value is invalid
+ */
+function validateExpiryPolicy(policy) {
+  if (policy && typeof policy === 'object' && !Array.isArray(policy)) {
+    for (const [key, value] of Object.entries(policy)) {
+      if (key !== 'default' && !/^\d+$/.test(key)) {
+        throw new ConfigurationError(`Invalid expiry policy key: ${key} (expected category_id or 'default')`, {
+          code: 'invalid_expiry_policy', field: 'expiry_policy', value: key
+        });
+      }
+      resolveExpiryPolicy(value);
+    }
+    return policy;
+  }
+  
+  resolveExpiryPolicy(policy);
+  return policy;
+}
+
+/**
+ * Resolve the expiry policy for a product
+ * 
+ * @param {string|Object} policy - 'conservative', 'expected' or 'optimistic', or a map keyed by
+ *   USDA category_id with an optional 'default' (e.g. { 15: 'conservative', default: 'expected' })
+ * @param {Object} product - Product (category_id used for policy maps)
+ * @returns {string} Policy for the product
+ * @throws {ConfigurationError} If the policy is invalid
+ * 
+ * @example
+ * resolveExpiryPolicy({ 15: 'conservative' }, { category_id: 15 }); // 'conservative'
+ * resolveExpiryPolicy({ 15: 'conservative' }, { category_id: 7 });  // 'expected'
+ */
+function resolveExpiryPolicy(policy = 'expected', product = {}) {
+  let resolved = policy;
+  
+  if (policy && typeof policy === 'object') {
+    if (product.category_id != null && policy[product.category_id] != null) {
+      resolved = policy[product.category_id];
+    } else {
+      resolved = policy.default != null ? policy.default : 'expected';
+    }
+  }
+  
+  if (!EXPIRY_POLICIES.includes(resolved)) {
+    throw new ConfigurationError(`Invalid expiry policy: ${resolved}. Must be one of: ${EXPIRY_POLICIES.join(', ')}`, {
+      code: 'invalid_expiry_policy', field: 'expiry_policy', value: resolved
+    });
+  }
+  
+  return resolved;
+}
+
+/**
+ * Get the expiration date of a product under an expiry policy
+ * Products without expiration_range (no min/max data) use expiration_date
+ * 
+ * @param {Object} product - Product with expiration_date (and optional expiration_range)
+ * @param {string|Object} policy - Expiry policy or category map (default: 'expected')
+ * @returns {Date|string|undefined} Expiration date for the policy
+ * 
+ * @example
+ * const date = getPolicyExpirationDate(product, 'conservative');
+ */
+function getPolicyExpirationDate(product, policy = 'expected') {
+  const resolved = resolveExpiryPolicy(policy, product);
+  
+  if (resolved !== 'expected' && product.expiration_range && product.expiration_range[resolved]) {
+    return product.expiration_range[resolved].expiration_date;
+  }
+  
+  return product.expiration_date;
 }
 
 /**
@@ -224,27 +699,41 @@ function calculateShelfLifeMetrics(product, currentDate = new Date()) {
  * 
  * @param {Array<Object>} products - Array of product objects
  * @param {string|Date} currentDate - Current date (default: now)
- * @returns {Array<Object>} Products with shelf life metrics added
+ * @param {Object} options - Calculation options (see calculateShelfLifeMetrics)
+ * @param {string} [options.onInvalid] - 'throw' (default), 'skip' or 'quarantine' invalid products
+ *   (see utils/invalid-policy.js)
+ * @param {Array<Object>} [options.quarantine] - Receives { product, index, stage: 'shelf_life', error }
+ *   under 'quarantine'
+ * @returns {Array<Object>} Products with shelf life metrics added (invalid ones left out unless thrown)
  * 
  * @example
  * const productsWithMetrics = calculateShelfLifeMetricsBatch(products);
+ * 
+ * @example
+ * const quarantine = [];
+ * const valid = calculateShelfLifeMetricsBatch(products, new Date(), { onInvalid: 'quarantine', quarantine });
  */
-function calculateShelfLifeMetricsBatch(products, currentDate = new Date()) {
+function calculateShelfLifeMetricsBatch(products, currentDate = new Date(), options = {}) {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
+  resolveInvalidPolicy(options);
   
-  return products.map((product, index) => {
+  const results = [];
+  products.forEach((product, index) => {
     try {
-      const metrics = calculateShelfLifeMetrics(product, currentDate);
-      return {
+      const metrics = calculateShelfLifeMetrics(product, currentDate, options);
+      results.push({
         ...product,
         ...metrics
-      };
+      });
     } catch (error) {
-      throw new Error(`Invalid product at index ${index}: ${error.message}`);
+      handleInvalidProduct(withContext(error, `Invalid product at index ${index}`), product, index, 'shelf_life', options);
     }
   });
+  return results;
 }
 
 /**
@@ -252,21 +741,41 @@ function calculateShelfLifeMetricsBatch(products, currentDate = new Date()) {
  * 
  * @param {Array<Object>} products - Products with expiration_date field
  * @param {string|Date} currentDate - Current date (default: now)
+ * @param {string|Object} policy - Expiry policy: 'conservative', 'expected' (default) or
+ *   'optimistic', or a map keyed by category_id (see resolveExpiryPolicy)
+ * @param {Object} options - Invalid product handling
+ * @param {string} [options.onInvalid] - 'throw' (default), 'skip' or 'quarantine' products
+ *   without a usable expiration_date (see utils/invalid-policy.js)
+ * @param {Array<Object>} [options.quarantine] - Receives { product, index, stage: 'expiration', error }
  * @returns {Array<Object>} Only non-expired products
  * 
  * @example
  * const freshProducts = filterExpiredProducts(allProducts);
+ * 
+ * @example
+ * // Poultry must be within its USDA minimum shelf life
+ * const safeProducts = filterExpiredProducts(allProducts, new Date(), { 15: 'conservative' });
  */
-function filterExpiredProducts(products, currentDate = new Date()) {
+function filterExpiredProducts(products, currentDate = new Date(), policy = 'expected', options = {}) {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
+  resolveInvalidPolicy(options);
   
-  return products.filter(product => {
-    if (!product.expiration_date) {
-      throw new Error(`Product ${product.id || 'unknown'} missing expiration_date`);
+  return products.filter((product, index) => {
+    try {
+      if (!product.expiration_date) {
+        throw new DataError(`Product ${product.id || 'unknown'} missing expiration_date`, {
+          code: 'missing_field', field: 'expiration_date'
+        });
+      }
+      return !isExpired(getPolicyExpirationDate(product, policy), currentDate);
+    } catch (error) {
+      handleInvalidProduct(error, product, index, 'expiration', options);
+      return false;
     }
-    return !isExpired(product.expiration_date, currentDate);
   });
 }
 
@@ -275,27 +784,43 @@ function filterExpiredProducts(products, currentDate = new Date()) {
  * 
  * @param {Array<Object>} products - Products with freshness_percent field
  * @param {number} minFreshnessPercent - Minimum acceptable freshness (0-100)
+ * @param {Object} options - Invalid product handling: { onInvalid, quarantine } as in
+ *   filterExpiredProducts (stage: 'freshness')
  * @returns {Array<Object>} Products meeting freshness threshold
  * 
  * @example
  * const freshProducts = filterByFreshness(products, 70); // At least 70% fresh
  */
-function filterByFreshness(products, minFreshnessPercent) {
+function filterByFreshness(products, minFreshnessPercent, options = {}) {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
   
   if (typeof minFreshnessPercent !== 'number' || isNaN(minFreshnessPercent)) {
-    throw new Error('minFreshnessPercent must be a number');
+    throw new ValidationError('minFreshnessPercent must be a number', {
+      code: 'invalid_type', field: 'minFreshnessPercent', value: minFreshnessPercent
+    });
   }
   
   if (minFreshnessPercent < 0 || minFreshnessPercent > 100) {
-    throw new Error('minFreshnessPercent must be between 0 and 100');
+    throw new ValidationError('minFreshnessPercent must be between 0 and 100', {
+      code: 'out_of_range', field: 'minFreshnessPercent', value: minFreshnessPercent
+    });
   }
   
-  return products.filter(product => {
+  resolveInvalidPolicy(options);
+  
+  return products.filter((product, index) => {
     if (typeof product.freshness_percent !== 'number') {
-      throw new Error(`Product ${product.id || 'unknown'} missing freshness_percent`);
+      handleInvalidProduct(
+        new DataError(`Product ${product.id || 'unknown'} missing freshness_percent`, {
+          code: 'missing_field', field: 'freshness_percent'
+        }),
+        product, index, 'freshness', options
+      );
+      return false;
     }
     return product.freshness_percent >= minFreshnessPercent;
   });
@@ -349,6 +874,30 @@ function runTests() {
   console.log(JSON.stringify(metrics, null, 2));
   console.log('✓\n');
   
+  console.log('TEST 6b: Freshness accounts for days elapsed since listing');
+  const listedMetrics = calculateShelfLifeMetrics({
+    total_shelf_life_days: 28,
+    days_already_used: 5,
+    listed_date: '2025-01-29T06:00:00Z'
+  }, '2025-01-29T06:00:00Z');
+  const laterMetrics = calculateShelfLifeMetrics({
+    total_shelf_life_days: 28,
+    days_already_used: 5,
+    listed_date: '2025-01-29T06:00:00Z'
+  }, '2025-02-12T06:00:00Z');
+  console.log(`Eggs on listing day: ${listedMetrics.freshness_percent}% fresh, ${listedMetrics.remaining_shelf_life_days} days left`);
+  console.log(`Eggs 14 days later: ${laterMetrics.freshness_percent}% fresh, ${laterMetrics.remaining_shelf_life_days} days left`);
+  console.log('Expected: 82.14% / 23 days, then 32.14% / 9 days ✓\n');
+  
+  console.log('TEST 6c: Freshness bottoms out at 0 after expiration');
+  const expiredMetrics = calculateShelfLifeMetrics({
+    total_shelf_life_days: 7,
+    days_already_used: 1,
+    listed_date: '2025-01-29T06:00:00Z'
+  }, '2025-03-01T00:00:00Z');
+  console.log(`Kefir a month after listing: ${expiredMetrics.freshness_percent}% fresh, expired: ${expiredMetrics.is_expired}`);
+  console.log('Expected: 0%, expired: true ✓\n');
+  
   console.log('TEST 7: Edge case - Just listed (0 days used)');
   const freshness2 = calculateFreshnessPercent(7, 0);
   console.log(`Kefir (7 days total, 0 days used): ${freshness2}% fresh`);
@@ -384,6 +933,119 @@ function runTests() {
     console.log(`✓ Caught error: ${error.message}\n`);
   }
   
+  console.log('TEST 12: Expiration range from USDA min/max');
+  const rangeMetrics = calculateShelfLifeMetrics({
+    total_shelf_life_days: 17.5,
+    min_shelf_life_days: 14,
+    max_shelf_life_days: 21,
+    days_already_used: 2,
+    listed_date: '2025-01-29T06:00:00Z'
+  }, '2025-01-29T06:00:00Z');
+  const range = rangeMetrics.expiration_range;
+  console.log(`Conservative: ${range.conservative.expiration_date_iso} (${range.conservative.freshness_percent}%)`);
+  console.log(`Expected:     ${range.expected.expiration_date_iso} (${range.expected.freshness_percent}%)`);
+  console.log(`Optimistic:   ${range.optimistic.expiration_date_iso} (${range.optimistic.freshness_percent}%)`);
+  console.log('Expected: 2025-02-10 / 2025-02-13 / 2025-02-17 ✓\n');
+  
+  console.log('TEST 13: Expiry policy filtering');
+  const policyProducts = [
+    { id: 1, category_id: 15, ...calculateShelfLifeMetrics({
+      total_shelf_life_days: 3, min_shelf_life_days: 2, max_shelf_life_days: 4,
+      days_already_used: 0, listed_date: '2025-01-29T06:00:00Z'
+    }, '2025-01-31T12:00:00Z') },
+    { id: 2, category_id: 7, ...calculateShelfLifeMetrics({
+      total_shelf_life_days: 3, min_shelf_life_days: 2, max_shelf_life_days: 4,
+      days_already_used: 0, listed_date: '2025-01-29T06:00:00Z'
+    }, '2025-01-31T12:00:00Z') }
+  ];
+  const policyDate = '2025-01-31T12:00:00Z';
+  console.log(`Expected policy keeps: ${filterExpiredProducts(policyProducts, policyDate).map(p => p.id)}`);
+  console.log(`Conservative policy keeps: ${filterExpiredProducts(policyProducts, policyDate, 'conservative').map(p => p.id)}`);
+  console.log(`Poultry-only conservative keeps: ${filterExpiredProducts(policyProducts, policyDate, { 15: 'conservative' }).map(p => p.id)}`);
+  console.log('Expected: 1,2 / (none) / 2 ✓\n');
+  
+  console.log('TEST 14: Error handling - Invalid range and policy');
+  try {
+    calculateShelfLifeMetrics({
+      total_shelf_life_days: 10, min_shelf_life_days: 12, max_shelf_life_days: 8,
+      days_already_used: 0, listed_date: '2025-01-29T06:00:00Z'
+    });
+    console.log('❌ Should have thrown error');
+  } catch (error) {
+    console.log(`✓ Caught ${error.name} (${error.code}, ${error.field}): ${error.message}`);
+  }
+  try {
+    resolveExpiryPolicy('pessimistic');
+    console.log('❌ Should have thrown error');
+  } catch (error) {
+    console.log(`✓ Caught ${error.name} (${error.code}, ${error.field}): ${error.message}\n`);
+  }
+  
+  console.log('TEST 15: Storage history - frozen then thawed');
+  const thawedMetrics = calculateShelfLifeMetrics({
+    listed_date: '2025-01-29T06:00:00Z',
+    shelf_life_by_condition: {
+      frozen_opened: { shelf_life_days: 60, min_shelf_life_days: 30, max_shelf_life_days: 90 },
+      refrigerated_after_thawing: { shelf_life_days: 2, min_shelf_life_days: 1, max_shelf_life_days: 2 }
+    },
+    storage_history: [
+      { storage_condition: 'frozen_opened', started_at: '2024-12-29T06:00:00Z' },
+      { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-28T06:00:00Z' }
+    ]
+  }, '2025-01-29T06:00:00Z');
+  console.log(`Chicken nuggets (30 days frozen, thawed yesterday): ${thawedMetrics.remaining_shelf_life_days} day left, ${thawedMetrics.freshness_percent}% fresh`);
+  console.log(`Conservative: expired ${thawedMetrics.expiration_range.conservative.is_expired}`);
+  console.log('Expected: 1 day / 50%, conservative expired true ✓\n');
+  
+  console.log('TEST 16: Climate adjustment - pantry goods in Metro Manila');
+  const pantryProduct = {
+    total_shelf_life_days: 30,
+    days_already_used: 0,
+    listed_date: '2025-01-29T06:00:00Z',
+    storage_condition: 'pantry'
+  };
+  const manilaMetrics = calculateShelfLifeMetrics(pantryProduct, '2025-02-08T06:00:00Z', { climate: 'metro_manila' });
+  const adjustment = manilaMetrics.climate_adjustment;
+  console.log(`Bread (30 days pantry, 10 days listed): ${manilaMetrics.freshness_percent}% fresh in Manila, ${adjustment.unadjusted.freshness_percent}% unadjusted`);
+  console.log(`Shelf life: ${adjustment.total_shelf_life_days} days (x${adjustment.multiplier}) vs ${adjustment.unadjusted.total_shelf_life_days}`);
+  const fridgeMetrics = calculateShelfLifeMetrics({ ...pantryProduct, storage_condition: 'refrigerated' }, '2025-02-08T06:00:00Z', { climate: 'metro_manila' });
+  console.log(`Refrigerated: ${fridgeMetrics.freshness_percent}% fresh, adjusted: ${Boolean(fridgeMetrics.climate_adjustment)}`);
+  console.log('Expected: 45.86% vs 66.67%, 18.47 days (x0.6156) vs 30, refrigerated 66.67% unadjusted ✓\n');
+  
+  console.log('TEST 17: Temperature log - fridge left open overnight');
+  const loggedProduct = {
+    total_shelf_life_days: 7,
+    days_already_used: 1,
+    listed_date: '2025-01-29T06:00:00Z',
+    storage_condition: 'refrigerated_opened',
+    temperature_log: [
+      'timestamp,temperature_c',
+      '2025-01-29T06:00:00Z,4',
+      '2025-01-29T18:00:00Z,14',
+      '2025-01-30T06:00:00Z,4',
+      '2025-01-31T06:00:00Z,4'
+    ].join('\n')
+  };
+  const staticMetrics = calculateShelfLifeMetrics({ ...loggedProduct, temperature_log: undefined }, '2025-01-31T06:00:00Z');
+  const loggedMetrics = calculateShelfLifeMetrics(loggedProduct, '2025-01-31T06:00:00Z');
+  console.log(`Milk (7 days, 12h at 14°C): ${loggedMetrics.freshness_percent}% fresh vs ${staticMetrics.freshness_percent}% static`);
+  console.log(`Abuse flagged: ${loggedMetrics.temperature_abuse}, excess ${loggedMetrics.temperature_profile.kinetic_excess_days} days`);
+  console.log('Expected: 50% vs 57.14%, abuse true, excess 0.5 days ✓\n');
+  
+  console.log('TEST 18: Invalid products - skip and quarantine');
+  const mixedBatch = [
+    { id: 1, total_shelf_life_days: 7, days_already_used: 1, listed_date: '2025-01-29T06:00:00Z' },
+    { id: 2, total_shelf_life_days: 7, days_already_used: 1 },
+    { id: 3, total_shelf_life_days: 14, days_already_used: 2, listed_date: '2025-01-29T06:00:00Z' }
+  ];
+  const quarantine = [];
+  const skippedBatch = calculateShelfLifeMetricsBatch(mixedBatch, '2025-01-30T06:00:00Z', { onInvalid: 'skip' });
+  const batchKept = calculateShelfLifeMetricsBatch(mixedBatch, '2025-01-30T06:00:00Z', { onInvalid: 'quarantine', quarantine });
+  const expiryKept = filterExpiredProducts(mixedBatch, '2025-01-30T06:00:00Z', 'expected', { onInvalid: 'quarantine', quarantine });
+  console.log(`Skip keeps: ${skippedBatch.map(p => p.id)}, quarantine keeps: ${batchKept.map(p => p.id)}, expiry filter keeps: ${expiryKept.length}`);
+  quarantine.forEach(entry => console.log(`Quarantined #${entry.product.id} (${entry.stage}): ${entry.error.message}`));
+  console.log('Expected: 1,3 / 1,3 / 0, #2 shelf_life, then #1-#3 expiration (no expiration_date) ✓\n');
+  
   console.log('=== All Tests Completed ===');
 }
 
@@ -396,11 +1058,16 @@ if (typeof module !== 'undefined' && module.exports) {
     calculateRemainingShelfLife,
     calculateFreshnessPercent,
     calculateExpirationDate,
+    calculateDaysElapsed,
     isExpired,
     calculateShelfLifeMetrics,
     calculateShelfLifeMetricsBatch,
     filterExpiredProducts,
-    filterByFreshness
+    filterByFreshness,
+    validateExpiryPolicy,
+    resolveExpiryPolicy,
+    getPolicyExpirationDate,
+    EXPIRY_POLICIES
   };
 }
 
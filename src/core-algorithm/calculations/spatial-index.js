@@ -0,0 +1,447 @@
+/**
+ * Chenda - Spatial Index
+ * Grid index over product locations for radius and k-nearest queries
+ *
+ * Locations are bucketed into lat/lng grid cells (default ~2 km). A query:
+ * 1. Visits only the cells overlapping the query's bounding box
+ * 2. Drops candidates outside the bounding box (cheap comparisons, no trig)
+ * 3. Runs calculateDistance (haversine) on the rest, so distances and the
+ *    radius cut-off are identical to a full haversine scan
+ *
+ * Build once and reuse across searches; counters in getStats() show how much
+ * work the index saved.
+ */
+
+const { calculateDistance, validateCoordinate, EARTH_RADIUS_KM } = require('./haversine');
+const { resolveInvalidPolicy, handleInvalidProduct } = require('../../utils/invalid-policy');
+const { ValidationError, ConfigurationError, withContext } = require('../../utils/errors');
+
+// Kilometers per degree of latitude (mean earth radius)
+const KM_PER_DEGREE = (Math.PI / 180) * EARTH_RADIUS_KM;
+
+// Half the earth's circumference: no two points are further apart
+const MAX_DISTANCE_KM = Math.PI * EARTH_RADIUS_KM;
+
+/**
+ * Default location accessor: location {lat, lng} or latitude/longitude properties
+ * @private
+ */
+function defaultGetLocation(item) {
+  if (item.location && item.location.lat != null && item.location.lng != null) {
+    return { lat: item.location.lat, lng: item.location.lng };
+  }
+  if (item.latitude != null && item.longitude != null) {
+    return { lat: item.latitude, lng: item.longitude };
+  }
+  return null;
+}
+
+/**
+ * Calculate the lat/lng bounding box of a radius around a point
+ * The box always contains every point within the radius (it may contain more)
+ *
+ * @param {Object} center - {lat, lng}
+ * @param {number} radiusKm - Radius in kilometers
+ * @returns {Object} { minLat, maxLat, minLng, maxLng, wrapsLng }
+ *   wrapsLng is true when the box crosses the antimeridian (minLng > maxLng)
+ *
+ * @example
+ * const box = getBoundingBox({ lat: 14.5995, lng: 120.9842 }, 10);
+ * // Returns: { minLat: 14.51, maxLat: 14.69, minLng: 120.89, maxLng: 121.08, wrapsLng: false }
+ */
+function getBoundingBox(center, radiusKm) {
+  // Pad slightly so floating-point error never drops a point haversine keeps
+  const paddedKm = radiusKm * (1 + 1e-9) + 1e-9;
+  const latDelta = paddedKm / KM_PER_DEGREE;
+  const minLat = center.lat - latDelta;
+  const maxLat = center.lat + latDelta;
+
+  // Near a pole (or for huge radii) every longitude can be within range
+  const cosLat = Math.cos(Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI / 180);
+  const lngDelta = cosLat > 0 ? paddedKm / (KM_PER_DEGREE * cosLat) : Infinity;
+
+  if (minLat <= -90 || maxLat >= 90 || lngDelta >= 180) {
+    return {
+      minLat: Math.max(minLat, -90),
+      maxLat: Math.min(maxLat, 90),
+      minLng: -180,
+      maxLng: 180,
+      wrapsLng: false
+    };
+  }
+
+  let minLng = center.lng - lngDelta;
+  let maxLng = center.lng + lngDelta;
+  let wrapsLng = false;
+
+  if (minLng < -180) {
+    minLng += 360;
+    wrapsLng = true;
+  }
+  if (maxLng > 180) {
+    maxLng -= 360;
+    wrapsLng = true;
+  }
+
+  return { minLat, maxLat, minLng, maxLng, wrapsLng };
+}
+
+/**
+ * Check whether a point lies inside a bounding box
+ * @private
+ */
+function isInBoundingBox(point, box) {
+  if (point.lat < box.minLat || point.lat > box.maxLat) {
+    return false;
+  }
+  if (box.wrapsLng) {
+    return point.lng >= box.minLng || point.lng <= box.maxLng;
+  }
+  return point.lng >= box.minLng && point.lng <= box.maxLng;
+}
+
+/**
+ * Build a spatial index from items with locations
+ * Items without a location are skipped (see index.skipped)
+ *
+ * @param {Array<Object>} items - Items (e.g. products) with location {lat, lng}
+ *   or latitude/longitude properties
+ * @param {Object} options - Optional configuration
+ * @param {number} options.cellSizeKm - Grid cell size in km (default: 2)
+ * @param {Function} options.getLocation - item → {lat, lng} or null (default: location or latitude/longitude)
+ * @param {string} options.onInvalid - Items with an invalid location: 'throw' (default), 'skip' or
+ *   'quarantine' (left out of the index, see utils/invalid-policy.js)
+ * @param {Array<Object>} options.quarantine - Receives { product, index, stage: 'spatial_index', error }
+ *   under 'quarantine'
+ * @returns {Object} Index with queryRadius, queryNearest, has, getStats, resetStats, size, skipped
+ * @throws {ValidationError} If items is not an array or a location is invalid (onInvalid 'throw')
+ * @throws {ConfigurationError} If the cell size is invalid
+ *
+ * @example
+ * const index = createSpatialIndex(products);
+ * const nearby = index.queryRadius({ lat: 14.5995, lng: 120.9842 }, 10);
+ * // Returns: [{ item: {...}, distance_km: 1.32 }, ...] sorted by distance
+ *
+ * @example
+ * const nearest = index.queryNearest({ lat: 14.5995, lng: 120.9842 }, 5);
+ * // Returns: the 5 closest items with distance_km
+ */
+function createSpatialIndex(items, options = {}) {
+  const {
+    cellSizeKm = 2,
+    getLocation = defaultGetLocation
+  } = options;
+
+  if (!Array.isArray(items)) {
+    throw new ValidationError('items must be an array', {
+      code: 'invalid_type', field: 'items', value: items
+    });
+  }
+  resolveInvalidPolicy(options);
+
+  if (typeof cellSizeKm !== 'number' || isNaN(cellSizeKm) || cellSizeKm <= 0) {
+    throw new ConfigurationError(`cellSizeKm must be a positive number (got ${cellSizeKm})`, {
+      code: 'invalid_option', field: 'cellSizeKm', value: cellSizeKm
+    });
+  }
+
+  const cellSizeDeg = cellSizeKm / KM_PER_DEGREE;
+  const cells = new Map();
+  const indexed = new Set();
+  let skipped = 0;
+
+  const stats = {
+    queries: 0,
+    cells_visited: 0,
+    candidates: 0,
+    bbox_rejected: 0,
+    distance_calculations: 0,
+    hits: 0
+  };
+
+  const cellKey = (latCell, lngCell) => `${latCell}:${lngCell}`;
+  const toCell = degrees => Math.floor(degrees / cellSizeDeg);
+
+  items.forEach((item, i) => {
+    const location = item ? getLocation(item) : null;
+    if (!location) {
+      skipped++;
+      return;
+    }
+
+    try {
+      validateCoordinate(location, `items[${i}] location`);
+    } catch (error) {
+      handleInvalidProduct(
+        withContext(error, `Invalid location for item ${item.id != null ? item.id : i}`),
+        item, i, 'spatial_index', options
+      );
+      return;
+    }
+
+    const key = cellKey(toCell(location.lat), toCell(location.lng));
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push({ item, location });
+    indexed.add(item);
+  });
+
+  /**
+   * Collect the entries of cells overlapping a bounding box
+   * Falls back to scanning occupied cells when the box spans more cells than exist
+   */
+  function collectCandidates(box) {
+    const latRange = [toCell(box.minLat), toCell(box.maxLat)];
+    const lngRanges = box.wrapsLng
+      ? [[toCell(box.minLng), toCell(180)], [toCell(-180), toCell(box.maxLng)]]
+      : [[toCell(box.minLng), toCell(box.maxLng)]];
+
+    const boxCellCount = (latRange[1] - latRange[0] + 1) *
+      lngRanges.reduce((sum, [from, to]) => sum + (to - from + 1), 0);
+
+    const candidates = [];
+
+    if (boxCellCount > cells.size) {
+      for (const entries of cells.values()) {
+        stats.cells_visited++;
+        entries.forEach(entry => candidates.push(entry));
+      }
+      return candidates;
+    }
+
+    for (let latCell = latRange[0]; latCell <= latRange[1]; latCell++) {
+      for (const [from, to] of lngRanges) {
+        for (let lngCell = from; lngCell <= to; lngCell++) {
+          const entries = cells.get(cellKey(latCell, lngCell));
+          if (entries) {
+            stats.cells_visited++;
+            entries.forEach(entry => candidates.push(entry));
+          }
+        }
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Find all items within a radius of a point
+   *
+   * @param {Object} center - {lat, lng}
+   * @param {number} radiusKm - Radius in kilometers (inclusive, like filterByProximity)
+   * @returns {Array<Object>} [{ item, distance_km }] sorted by distance (closest first)
+   */
+  function queryRadius(center, radiusKm) {
+    validateCoordinate(center, 'center');
+
+    if (typeof radiusKm !== 'number' || isNaN(radiusKm) || radiusKm < 0) {
+      throw new ValidationError(`radiusKm must be a non-negative number (got ${radiusKm})`, {
+        code: 'out_of_range', field: 'radiusKm', value: radiusKm
+      });
+    }
+
+    stats.queries++;
+    const box = getBoundingBox(center, radiusKm);
+    const results = [];
+
+    for (const entry of collectCandidates(box)) {
+      stats.candidates++;
+
+      // Bounding-box prefilter: no trig for obvious misses
+      if (!isInBoundingBox(entry.location, box)) {
+        stats.bbox_rejected++;
+        continue;
+      }
+
+      stats.distance_calculations++;
+      const distance_km = calculateDistance(center, entry.location);
+      if (distance_km <= radiusKm) {
+        results.push({ item: entry.item, distance_km });
+      }
+    }
+
+    stats.hits += results.length;
+    return results.sort((a, b) => a.distance_km - b.distance_km);
+  }
+
+  /**
+   * Find the k nearest items to a point
+   * Searches a growing radius until k items are found (or maxRadiusKm is reached)
+   *
+   * @param {Object} center - {lat, lng}
+   * @param {number} k - Number of items to return
+   * @param {Object} queryOptions - Optional configuration
+   * @param {number} queryOptions.maxRadiusKm - Stop searching beyond this distance (default: no limit)
+   * @returns {Array<Object>} Up to k [{ item, distance_km }] sorted by distance
+   */
+  function queryNearest(center, k, queryOptions = {}) {
+    const { maxRadiusKm = MAX_DISTANCE_KM } = queryOptions;
+
+    if (!Number.isInteger(k) || k <= 0) {
+      throw new ValidationError(`k must be a positive integer (got ${k})`, {
+        code: 'out_of_range', field: 'k', value: k
+      });
+    }
+
+    let radiusKm = Math.min(cellSizeKm, maxRadiusKm);
+    let results = queryRadius(center, radiusKm);
+
+    // Everything outside the searched radius is further away than anything inside it,
+    // so once k items are inside the radius they are the k nearest
+    while (results.length < k && radiusKm < maxRadiusKm && results.length < indexed.size) {
+      radiusKm = Math.min(radiusKm * 2, maxRadiusKm);
+      results = queryRadius(center, radiusKm);
+    }
+
+    return results.slice(0, k);
+  }
+
+  return {
+    queryRadius,
+    queryNearest,
+    has: item => indexed.has(item),
+    getStats: () => ({ ...stats, indexed: indexed.size, cells: cells.size }),
+    resetStats: () => {
+      Object.keys(stats).forEach(key => { stats[key] = 0; });
+    },
+    size: indexed.size,
+    skipped,
+    cellSizeKm
+  };
+}
+
+// Export functions
+module.exports = {
+  createSpatialIndex,
+  getBoundingBox
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Spatial Index Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const buyer = { lat: 14.5995, lng: 120.9842 };
+  const points = [
+    { id: 1, location: { lat: 14.5547, lng: 121.0244 } },  // Makati
+    { id: 2, location: { lat: 14.6091, lng: 121.0223 } },  // Pasig
+    { id: 3, location: { lat: 14.5378, lng: 121.0506 } },  // Taguig
+    { id: 4, location: { lat: 14.5833, lng: 120.9794 } },  // Manila
+    { id: 5, latitude: 14.6507, longitude: 120.9721 },      // Valenzuela
+    { id: 6, location: { lat: 10.3157, lng: 123.8854 } },  // Cebu
+    { id: 7, name: 'No location' }
+  ];
+
+  // Test 1: Build
+  test('Build: Indexes items with locations, skips others', () => {
+    const index = createSpatialIndex(points);
+    if (index.size !== 6) throw new Error(`Expected 6 indexed, got ${index.size}`);
+    if (index.skipped !== 1) throw new Error(`Expected 1 skipped, got ${index.skipped}`);
+  });
+
+  // Test 2: Radius query matches full scan
+  test('Radius: Same items and distances as full haversine scan', () => {
+    const index = createSpatialIndex(points, { cellSizeKm: 1 });
+    for (const radius of [0.5, 3, 6, 10, 1000]) {
+      const expected = points
+        .filter(p => p.location || p.latitude != null)
+        .map(p => ({ id: p.id, d: calculateDistance(buyer, p.location || { lat: p.latitude, lng: p.longitude }) }))
+        .filter(p => p.d <= radius);
+      const actual = index.queryRadius(buyer, radius);
+      if (actual.length !== expected.length) {
+        throw new Error(`Radius ${radius}: expected ${expected.length}, got ${actual.length}`);
+      }
+      for (const hit of actual) {
+        const match = expected.find(e => e.id === hit.item.id);
+        if (!match || match.d !== hit.distance_km) throw new Error(`Radius ${radius}: distance mismatch`);
+      }
+    }
+  });
+
+  // Test 3: Sorted results
+  test('Radius: Results sorted by distance', () => {
+    const results = createSpatialIndex(points).queryRadius(buyer, 20);
+    for (let i = 0; i < results.length - 1; i++) {
+      if (results[i].distance_km > results[i + 1].distance_km) throw new Error('Not sorted');
+    }
+  });
+
+  // Test 4: K-nearest
+  test('Nearest: Returns the k closest items', () => {
+    const nearest = createSpatialIndex(points).queryNearest(buyer, 2);
+    if (nearest.length !== 2 || nearest[0].item.id !== 4) {
+      throw new Error(`Expected Manila first, got ${nearest.map(n => n.item.id)}`);
+    }
+    const all = createSpatialIndex(points).queryNearest(buyer, 10);
+    if (all.length !== 6 || all[5].item.id !== 6) throw new Error('Should find every item, Cebu last');
+  });
+
+  // Test 5: Stats
+  test('Stats: Prefilter avoids distance calculations', () => {
+    const index = createSpatialIndex(points);
+    index.queryRadius(buyer, 3);
+    const stats = index.getStats();
+    if (stats.distance_calculations >= 6) throw new Error('Index should skip far items');
+    if (stats.hits !== 1 || stats.queries !== 1) throw new Error(`Unexpected stats ${JSON.stringify(stats)}`);
+  });
+
+  // Test 6: Antimeridian
+  test('Bounding box: Wraps across the antimeridian', () => {
+    const index = createSpatialIndex([
+      { id: 'east', location: { lat: 0, lng: 179.99 } },
+      { id: 'west', location: { lat: 0, lng: -179.99 } }
+    ]);
+    const results = index.queryRadius({ lat: 0, lng: 179.995 }, 5);
+    if (results.length !== 2) throw new Error(`Expected both sides, got ${results.length}`);
+  });
+
+  // Test 7: Error handling
+  test('Error: Invalid item location', () => {
+    try {
+      createSpatialIndex([{ id: 1, location: { lat: 95, lng: 120 } }]);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof ValidationError) || e.code !== 'out_of_range' || !e.message.includes('Invalid location for item 1')) throw e;
+    }
+  });
+
+  // Test 8: Invalid locations under a lenient policy
+  test('Error: Skip or quarantine invalid locations', () => {
+    const items = [
+      { id: 1, location: { lat: 95, lng: 120 } },
+      { id: 2, location: { lat: 14.5, lng: 121 } }
+    ];
+    const skipped = createSpatialIndex(items, { onInvalid: 'skip' });
+    if (skipped.size !== 1 || skipped.has(items[0]) || !skipped.has(items[1])) {
+      throw new Error('Only the valid item should be indexed');
+    }
+    const quarantine = [];
+    createSpatialIndex(items, { onInvalid: 'quarantine', quarantine });
+    if (quarantine.length !== 1 || quarantine[0].product !== items[0] || quarantine[0].stage !== 'spatial_index') {
+      throw new Error(`Unexpected quarantine: ${JSON.stringify(quarantine)}`);
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Chenda - Spatial Index Integration Test
+ * Compares indexed radius and k-nearest queries against a full haversine scan
+ *
+ * Tests:
+ * 1. Radius queries for every buyer persona match the full scan exactly
+ * 2. K-nearest queries match a sorted full scan
+ * 3. Synthetic Metro Manila dataset: identical results, fewer distance calculations
+ */
+
+const { createSpatialIndex } = require('./spatial-index.js');
+const { calculateDistance } = require('./haversine.js');
+const mockData = require('../../product-display/mock_data.js');
+
+console.log('=== Spatial Index Integration Test ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function fullScan(center, products, radiusKm) {
+  return products
+    .map(product => ({ item: product, distance_km: calculateDistance(center, product.location) }))
+    .filter(hit => hit.distance_km <= radiusKm)
+    .sort((a, b) => a.distance_km - b.distance_km);
+}
+
+// Listings from the same seller share a location, so compare ties by id
+function byDistanceThenId(a, b) {
+  return a.distance_km - b.distance_km || a.item.id - b.item.id;
+}
+
+function sameResults(a, b) {
+  const left = [...a].sort(byDistanceThenId);
+  const right = [...b].sort(byDistanceThenId);
+  return left.length === right.length &&
+    left.every((hit, i) => hit.item === right[i].item && hit.distance_km === right[i].distance_km);
+}
+
+const buyers = mockData.mockUsers.filter(user => user.type === 'buyer' || user.type === 'both');
+const products = mockData.mockProducts;
+
+// ============================================================================
+// TEST 1: Radius queries for every buyer
+// ============================================================================
+
+console.log('TEST 1: Radius queries match full haversine scan\n');
+
+const index = createSpatialIndex(products, { cellSizeKm: 1 });
+
+buyers.forEach(buyer => {
+  const radius = buyer.preferences.max_radius_km;
+  const expected = fullScan(buyer.location, products, radius);
+  const actual = index.queryRadius(buyer.location, radius);
+  check(`${buyer.name} (${radius} km): ${actual.length} products`, sameResults(actual, expected));
+});
+
+// ============================================================================
+// TEST 2: K-nearest queries
+// ============================================================================
+
+console.log('\nTEST 2: K-nearest queries match sorted full scan\n');
+
+[1, 5, 10, products.length].forEach(k => {
+  const buyer = buyers[0];
+  const expected = fullScan(buyer.location, products, Infinity).slice(0, k);
+  const actual = index.queryNearest(buyer.location, k);
+  check(`${k} nearest to ${buyer.name}`, sameResults(actual, expected));
+});
+
+// ============================================================================
+// TEST 3: Synthetic dataset
+// ============================================================================
+
+console.log('\nTEST 3: Synthetic dataset (5,000 listings around Metro Manila)\n');
+
+// Deterministic pseudo-random generator so runs are reproducible
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+const synthetic = Array.from({ length: 5000 }, (_, i) => ({
+  id: i + 1,
+  location: {
+    lat: 14.35 + random() * 0.6,
+    lng: 120.85 + random() * 0.4
+  }
+}));
+
+const syntheticIndex = createSpatialIndex(synthetic);
+const center = buyers[0].location;
+
+[2, 5, 10].forEach(radius => {
+  syntheticIndex.resetStats();
+  const expected = fullScan(center, synthetic, radius);
+  const actual = syntheticIndex.queryRadius(center, radius);
+  const stats = syntheticIndex.getStats();
+  check(
+    `${radius} km: ${actual.length} hits, ${stats.distance_calculations} distance calculations (scan: ${synthetic.length})`,
+    sameResults(actual, expected) && stats.distance_calculations < synthetic.length
+  );
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('❌ Some checks failed');
+  process.exit(1);
+}
+
+console.log('✅ Spatial index matches the haversine path');
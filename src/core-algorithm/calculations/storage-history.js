@@ -0,0 +1,334 @@
+/**
+ * Chenda - Storage History
+ * Remaining shelf life of a listing that changed storage before it was listed
+ * (frozen then thawed, refrigerated then opened, ...)
+ *
+ * A storage history is a chronological list of storage conditions:
+ *   [{ storage_condition: 'frozen', started_at: '2024-10-29T06:00:00Z' },
+ *    { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-28T06:00:00Z' }]
+ * Each phase lasts until the next one starts; the last phase lasts until the
+ * evaluation date.
+ *
+ * Each condition has its own shelf life budget (ProductType.shelf_life_by_condition).
+ * The remaining life is tracked as a fraction of the current condition's budget:
+ * - Time spent in a phase consumes days / budget of that fraction
+ * - Moving to a regular condition keeps the fraction (half-used frozen meat
+ *   moved to the fridge has half of its refrigerated shelf life left)
+ * - Moving to a transition window (refrigerated_after_thawing) starts that
+ *   window's own budget, capped by the days left in the previous condition -
+ *   thawing never extends a product's life
+ * - Once the fraction reaches 0 the product is expired, whatever follows
+ */
+
+const { ValidationError, ConfigurationError, DataError } = require('../../utils/errors');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Conditions whose FoodKeeper window starts at the transition (thawing)
+const TRANSITION_CONDITIONS = ['refrigerated_after_thawing'];
+
+// shelf_life_by_condition field used for each expiry bound
+const BOUND_FIELDS = {
+  conservative: 'min_shelf_life_days',
+  expected: 'shelf_life_days',
+  optimistic: 'max_shelf_life_days'
+};
+
+/**
+ * Parse a Date or ISO 8601 string
+ * @private
+ */
+function toDate(value, field) {
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  if ((typeof value !== 'string' && !(value instanceof Date)) || isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${field}: ${value}`, {
+      code: 'invalid_date', field: field, value: value
+    });
+  }
+  return date;
+}
+
+/**
+ * Validate a storage history and parse its dates
+ *
+ * @param {Array<Object>} history - [{ storage_condition, started_at }] in chronological order
+ * @returns {Array<Object>} Entries with started_at as Date
+ * @throws {DataError} If the history is empty, an entry is invalid or dates go backwards
+ * @throws {ValidationError} If a date does not parse (code 'invalid_date')
+ *
+ * @example
+ * validateStorageHistory([{ storage_condition: 'frozen', started_at: '2024-10-29T06:00:00Z' }]);
+ */
+function validateStorageHistory(history) {
+  if (!Array.isArray(history) || history.length === 0) {
+    throw new DataError('storage_history must be a non-empty array', {
+      code: 'invalid_field', field: 'storage_history', value: history
+    });
+  }
+
+  let previous = null;
+  return history.map((entry, index) => {
+    if (!entry || typeof entry.storage_condition !== 'string' || entry.storage_condition === '') {
+      throw new DataError(`storage_history[${index}] missing storage_condition`, {
+        code: 'missing_field', field: `storage_history[${index}].storage_condition`, value: entry
+      });
+    }
+    const startedAt = toDate(entry.started_at, `storage_history[${index}].started_at`);
+    if (previous && startedAt < previous) {
+      throw new DataError('storage_history must be in chronological order', {
+        code: 'invalid_field', field: `storage_history[${index}].started_at`, value: entry.started_at
+      });
+    }
+    previous = startedAt;
+    return { storage_condition: entry.storage_condition, started_at: startedAt };
+  });
+}
+
+/**
+ * Get the shelf life budget of every condition for an expiry bound
+ *
+ * @param {Object} shelfLifeByCondition - ProductType.shelf_life_by_condition
+ * @param {string} bound - 'conservative' (min), 'expected' (default) or 'optimistic' (max)
+ * @returns {Object} Budget in days keyed by storage condition
+ *
+ * @example
+ * getStorageBudgets({ frozen: { shelf_life_days: 120, min_shelf_life_days: 90, max_shelf_life_days: 150 } }, 'conservative');
+ * // Returns: { frozen: 90 }
+ */
+function getStorageBudgets(shelfLifeByCondition, bound = 'expected') {
+  if (!shelfLifeByCondition || typeof shelfLifeByCondition !== 'object') {
+    throw new DataError('shelf_life_by_condition is required to use a storage_history', {
+      code: 'missing_field', field: 'shelf_life_by_condition', value: shelfLifeByCondition
+    });
+  }
+
+  const field = BOUND_FIELDS[bound];
+  if (!field) {
+    throw new ConfigurationError(`Invalid bound: ${bound}. Must be one of: ${Object.keys(BOUND_FIELDS).join(', ')}`, {
+      code: 'invalid_option', field: 'bound', value: bound
+    });
+  }
+
+  const budgets = {};
+  for (const [condition, data] of Object.entries(shelfLifeByCondition)) {
+    budgets[condition] = data[field] != null ? data[field] : data.shelf_life_days;
+  }
+  return budgets;
+}
+
+/**
+ * Consume each storage condition's budget in turn
+ *
+ * @param {Array<Object>} history - [{ storage_condition, started_at }] in chronological order
+ * @param {Object} budgets - Shelf life in days keyed by storage condition (see getStorageBudgets)
+ * @param {string|Date} currentDate - Evaluation date (default: now). Later entries are ignored
+ * @returns {Object} { storage_condition, total_shelf_life_days, remaining_shelf_life_days,
+ *   freshness_percent, expiration_date, is_expired, phases }
+ * @throws {DataError} If the history is invalid or a condition has no budget
+ *
+ * @example
+ * // Chicken nuggets: frozen for 30 of their 60 days, thawed 1 day ago
+ * calculateStorageHistory([
+ *   { storage_condition: 'frozen_opened', started_at: '2024-12-29T06:00:00Z' },
+ *   { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-28T06:00:00Z' }
+ * ], { frozen_opened: 60, refrigerated_after_thawing: 2 }, '2025-01-29T06:00:00Z');
+ * // Returns: { storage_condition: 'refrigerated_after_thawing', total_shelf_life_days: 2,
+ * //            remaining_shelf_life_days: 1, freshness_percent: 50, ... }
+ */
+function calculateStorageHistory(history, budgets, currentDate = new Date()) {
+  const entries = validateStorageHistory(history);
+  const now = toDate(currentDate, 'currentDate');
+
+  // Phases that started after the evaluation date have not happened yet
+  let active = entries.filter(entry => entry.started_at <= now);
+  if (active.length === 0) {
+    active = [entries[0]];
+  }
+
+  let fraction = 1;
+  let previousBudget = null;
+  let expiresAt = null;
+  let budget = null;
+  let phaseStart = null;
+  const phases = [];
+
+  active.forEach((entry, index) => {
+    budget = budgets[entry.storage_condition];
+    if (typeof budget !== 'number' || isNaN(budget) || budget <= 0) {
+      throw new DataError(`No shelf life data for storage condition: ${entry.storage_condition}`, {
+        code: 'missing_field', field: 'shelf_life_by_condition', value: entry.storage_condition
+      });
+    }
+
+    // Transition windows start their own budget, capped by the days left
+    if (index > 0 && TRANSITION_CONDITIONS.includes(entry.storage_condition)) {
+      fraction = Math.min(budget, fraction * previousBudget) / budget;
+    }
+
+    const isLast = index === active.length - 1;
+    phaseStart = entry.started_at;
+    const end = isLast ? now : active[index + 1].started_at;
+    const days = Math.max(0, (end - phaseStart) / MS_PER_DAY);
+    const remainingAtStart = fraction * budget;
+
+    if (expiresAt === null && !isLast && days >= remainingAtStart) {
+      expiresAt = new Date(phaseStart.getTime() + remainingAtStart * MS_PER_DAY);
+    }
+
+    phases.push({
+      storage_condition: entry.storage_condition,
+      started_at: phaseStart.toISOString(),
+      ended_at: isLast ? null : end.toISOString(),
+      days: Number(days.toFixed(2)),
+      shelf_life_days: budget,
+      remaining_at_start_days: Number(remainingAtStart.toFixed(2)),
+      remaining_at_end_days: Number(Math.max(0, remainingAtStart - days).toFixed(2))
+    });
+
+    // The current phase keeps its fraction so the expiration can be projected
+    if (!isLast) {
+      fraction = Math.max(0, fraction - days / budget);
+    }
+    previousBudget = budget;
+  });
+
+  // Still within budget at the start of the current phase: project its end
+  if (expiresAt === null) {
+    expiresAt = new Date(phaseStart.getTime() + fraction * budget * MS_PER_DAY);
+  }
+
+  const remainingDays = Math.max(0, (expiresAt - now) / MS_PER_DAY);
+
+  return {
+    storage_condition: active[active.length - 1].storage_condition,
+    total_shelf_life_days: budget,
+    remaining_shelf_life_days: Number(remainingDays.toFixed(2)),
+    freshness_percent: Number(((remainingDays / budget) * 100).toFixed(2)),
+    expiration_date: expiresAt,
+    is_expired: now > expiresAt,
+    phases
+  };
+}
+
+// Export functions
+module.exports = {
+  validateStorageHistory,
+  getStorageBudgets,
+  calculateStorageHistory,
+  TRANSITION_CONDITIONS
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Storage History Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const nuggets = { frozen_opened: 60, refrigerated_after_thawing: 2, refrigerated_opened: 4 };
+
+  // Test 1: Single condition behaves like the basic calculation
+  test('Single phase: Remaining = budget - days in condition', () => {
+    const result = calculateStorageHistory([
+      { storage_condition: 'refrigerated_opened', started_at: '2025-01-28T06:00:00Z' }
+    ], nuggets, '2025-01-29T06:00:00Z');
+    if (result.remaining_shelf_life_days !== 3) throw new Error(`Expected 3, got ${result.remaining_shelf_life_days}`);
+    if (result.freshness_percent !== 75) throw new Error(`Expected 75%, got ${result.freshness_percent}`);
+    if (result.expiration_date.toISOString() !== '2025-02-01T06:00:00.000Z') throw new Error('Wrong expiration date');
+  });
+
+  // Test 2: Freeze then thaw
+  test('Freeze then thaw: Thawed phase gets its own budget', () => {
+    const result = calculateStorageHistory([
+      { storage_condition: 'frozen_opened', started_at: '2024-12-29T06:00:00Z' },
+      { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-28T06:00:00Z' }
+    ], nuggets, '2025-01-29T06:00:00Z');
+    if (result.storage_condition !== 'refrigerated_after_thawing') throw new Error('Wrong current condition');
+    if (result.total_shelf_life_days !== 2) throw new Error('Budget should be the thawing window');
+    if (result.remaining_shelf_life_days !== 1) throw new Error(`Expected 1 day left, got ${result.remaining_shelf_life_days}`);
+    if (result.phases[0].remaining_at_end_days !== 30) throw new Error('Frozen phase should use 30 of 60 days');
+  });
+
+  // Test 3: Transition window capped by remaining life
+  test('Transition window: Never extends the remaining life', () => {
+    const result = calculateStorageHistory([
+      { storage_condition: 'frozen_opened', started_at: '2024-11-30T00:00:00Z' },
+      { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-28T12:00:00Z' }
+    ], nuggets, '2025-01-28T12:00:00Z');
+    if (result.remaining_shelf_life_days !== 0.5) {
+      throw new Error(`Expected 0.5 days left, got ${result.remaining_shelf_life_days}`);
+    }
+  });
+
+  // Test 4: Regular transition keeps the fraction
+  test('Regular transition: Fraction of life carries over', () => {
+    const result = calculateStorageHistory([
+      { storage_condition: 'frozen_opened', started_at: '2024-12-29T06:00:00Z' },
+      { storage_condition: 'refrigerated_opened', started_at: '2025-01-28T06:00:00Z' }
+    ], nuggets, '2025-01-28T06:00:00Z');
+    if (result.freshness_percent !== 50 || result.remaining_shelf_life_days !== 2) {
+      throw new Error(`Expected 50% / 2 days, got ${result.freshness_percent}% / ${result.remaining_shelf_life_days}`);
+    }
+  });
+
+  // Test 5: Budget exhausted in an earlier phase
+  test('Exhausted: Expired in an earlier phase stays expired', () => {
+    const result = calculateStorageHistory([
+      { storage_condition: 'frozen_opened', started_at: '2024-10-01T00:00:00Z' },
+      { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-28T00:00:00Z' }
+    ], nuggets, '2025-01-28T06:00:00Z');
+    if (!result.is_expired || result.freshness_percent !== 0) throw new Error('Product should be expired');
+    if (result.expiration_date.toISOString() !== '2024-11-30T00:00:00.000Z') {
+      throw new Error(`Expired while frozen, got ${result.expiration_date.toISOString()}`);
+    }
+  });
+
+  // Test 6: Budgets per bound
+  test('Budgets: Bound picks min/max with fallback', () => {
+    const budgets = getStorageBudgets({
+      frozen: { shelf_life_days: 120, min_shelf_life_days: 90, max_shelf_life_days: 150 },
+      refrigerated: { shelf_life_days: 5 }
+    }, 'conservative');
+    if (budgets.frozen !== 90 || budgets.refrigerated !== 5) throw new Error(`Wrong budgets ${JSON.stringify(budgets)}`);
+  });
+
+  // Test 7: Invalid history
+  test('Error: Unordered history and unknown condition', () => {
+    try {
+      calculateStorageHistory([
+        { storage_condition: 'frozen_opened', started_at: '2025-01-28T00:00:00Z' },
+        { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-01T00:00:00Z' }
+      ], nuggets);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('chronological')) throw e;
+    }
+    try {
+      calculateStorageHistory([{ storage_condition: 'pantry', started_at: '2025-01-28T00:00:00Z' }], nuggets);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('No shelf life data')) throw e;
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,386 @@
+/**
+ * Chenda - Temperature Log
+ * Dynamic shelf life from a logged temperature time series
+ *
+ * Sellers can attach readings from a fridge or freezer logger to a listing,
+ * as an array of { timestamp, temperature_c }, a JSON string of the same, or
+ * CSV text with a header row (timestamp,temperature_c).
+ *
+ * Kinetic model: spoilage runs at a relative rate r(T) compared with the
+ * storage condition's reference temperature (refrigerated 4°C, frozen -18°C,
+ * pantry 21°C). Each reading holds until the next one; the last reading holds
+ * until the evaluation date, as the product is assumed to stay where it was logged.
+ * - q10 (default): r = q10^((T - T_ref) / 10), q10 default 2
+ * - arrhenius: r = e^((Ea / R) * (1/T_ref - 1/T)), T in kelvin,
+ *   activation_energy_kj_mol default 80
+ *
+ * Static shelf life assumes r = 1 all the time, so a log changes the shelf
+ * life consumed by the excess days Σ duration * (r - 1). Warm periods add
+ * days, colder-than-reference periods give some back.
+ *
+ * Temperature abuse: consecutive readings above the condition's threshold
+ * (refrigerated 5°C, frozen -12°C, pantry 32°C) form an abuse period.
+ */
+
+const { ValidationError, ConfigurationError, DataError } = require('../../utils/errors');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Gas constant in kJ/(mol·K)
+const GAS_CONSTANT = 0.008314;
+
+const KINETIC_MODELS = ['q10', 'arrhenius'];
+
+// Reference temperature and abuse threshold per storage group
+const STORAGE_TEMPERATURES = {
+  refrigerated: { reference_c: 4, abuse_threshold_c: 5 },
+  frozen: { reference_c: -18, abuse_threshold_c: -12 },
+  pantry: { reference_c: 21, abuse_threshold_c: 32 }
+};
+
+// Accepted column / property names
+const TIME_FIELDS = ['timestamp', 'time', 'recorded_at'];
+const TEMPERATURE_FIELDS = ['temperature_c', 'temperature', 'temp_c'];
+
+/**
+ * Get the storage group (refrigerated, frozen, pantry) of a storage condition
+ * @private
+ */
+function getStorageGroup(storageCondition) {
+  const group = Object.keys(STORAGE_TEMPERATURES)
+    .find(name => typeof storageCondition === 'string' && storageCondition.startsWith(name));
+  if (!group) {
+    throw new DataError(`No reference temperature for storage condition: ${storageCondition}`, {
+      code: 'invalid_field', field: 'storage_condition', value: storageCondition
+    });
+  }
+  return group;
+}
+
+/**
+ * Build a reading from a record with any accepted field names
+ * @private
+ */
+function toReading(record, position) {
+  const timeField = TIME_FIELDS.find(field => record[field] != null && record[field] !== '');
+  const temperatureField = TEMPERATURE_FIELDS.find(field => record[field] != null && record[field] !== '');
+
+  if (!timeField || !temperatureField) {
+    throw new DataError(`Invalid temperature reading at ${position}: needs timestamp and temperature_c`, {
+      code: 'missing_field', field: 'temperature_log', value: record
+    });
+  }
+
+  const timestamp = new Date(record[timeField]);
+  const temperature = Number(record[temperatureField]);
+  if (isNaN(timestamp.getTime()) || isNaN(temperature)) {
+    throw new DataError(`Invalid temperature reading at ${position}: ${record[timeField]}, ${record[temperatureField]}`, {
+      code: 'invalid_field', field: 'temperature_log', value: record
+    });
+  }
+
+  return { timestamp, temperature_c: temperature };
+}
+
+/**
+ * Parse CSV text with a header row
+ * @private
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+  return lines.slice(1).map((line, index) => {
+    const values = line.split(',').map(value => value.trim());
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = values[i];
+    });
+    return toReading(record, `line ${index + 2}`);
+  });
+}
+
+/**
+ * Parse a temperature log
+ *
+ * @param {Array<Object>|string} input - Readings, JSON string or CSV text
+ * @returns {Array<Object>} Readings { timestamp: Date, temperature_c } sorted by time
+ * @throws {DataError} If the input or a reading is invalid
+ *
+ * @example
+ * parseTemperatureLog('timestamp,temperature_c\n2025-01-29T06:00:00Z,4\n2025-01-29T12:00:00Z,9');
+ * // Returns: [{ timestamp: Date, temperature_c: 4 }, { timestamp: Date, temperature_c: 9 }]
+ */
+function parseTemperatureLog(input) {
+  let readings;
+
+  if (Array.isArray(input)) {
+    readings = input.map((record, index) => {
+      if (!record || typeof record !== 'object') {
+        throw new DataError(`Invalid temperature reading at index ${index}`, {
+          code: 'invalid_field', field: 'temperature_log', value: record
+        });
+      }
+      return toReading(record, `index ${index}`);
+    });
+  } else if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('[')) {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        throw new DataError(`Invalid temperature log JSON: ${error.message}`, {
+          code: 'invalid_field', field: 'temperature_log', value: input
+        });
+      }
+      return parseTemperatureLog(parsed);
+    }
+    readings = parseCsv(text);
+  } else {
+    throw new DataError('temperature log must be an array, a JSON string or CSV text', {
+      code: 'invalid_field', field: 'temperature_log', value: input
+    });
+  }
+
+  return readings.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Relative spoilage rate at a temperature
+ *
+ * @param {number} temperatureC - Temperature in °C
+ * @param {number} referenceC - Reference temperature in °C (rate 1)
+ * @param {Object} options - Kinetic model options
+ * @param {string} options.model - 'q10' (default) or 'arrhenius'
+ * @param {number} options.q10 - Q10 factor (default: 2)
+ * @param {number} options.activationEnergy - Activation energy in kJ/mol (default: 80)
+ * @returns {number} Rate relative to the reference temperature
+ *
+ * @example
+ * calculateRelativeRate(14, 4);                          // 2 (10°C warmer, Q10 = 2)
+ * calculateRelativeRate(14, 4, { model: 'arrhenius' });  // 3.35
+ */
+function calculateRelativeRate(temperatureC, referenceC, options = {}) {
+  const { model = 'q10', q10 = 2, activationEnergy = 80 } = options;
+
+  if (!KINETIC_MODELS.includes(model)) {
+    throw new ConfigurationError(`Invalid kinetic model: ${model}. Valid: ${KINETIC_MODELS.join(', ')}`, {
+      code: 'invalid_option', field: 'model', value: model
+    });
+  }
+
+  if (model === 'arrhenius') {
+    const temperatureK = temperatureC + 273.15;
+    const referenceK = referenceC + 273.15;
+    return Math.exp((activationEnergy / GAS_CONSTANT) * (1 / referenceK - 1 / temperatureK));
+  }
+
+  return Math.pow(q10, (temperatureC - referenceC) / 10);
+}
+
+/**
+ * Analyze a temperature log against a storage condition
+ *
+ * @param {Array<Object>|string} log - Temperature log (see parseTemperatureLog)
+ * @param {string} storageCondition - Storage condition the log was recorded in
+ * @param {string|Date} currentDate - Evaluation date: readings after it are ignored and the last
+ *   reading is carried forward to it (default: now)
+ * @param {Object} options - Model options
+ * @param {string} options.model - 'q10' (default) or 'arrhenius'
+ * @param {number} options.q10 - Q10 factor (default: 2)
+ * @param {number} options.activationEnergy - Activation energy in kJ/mol (default: 80)
+ * @param {number} options.abuseThresholdC - Abuse threshold (default: per storage group)
+ * @returns {Object} { model, reference_temperature_c, abuse_threshold_c, readings, covered_hours,
+ *   kinetic_excess_days, abuse_periods: [{ start, end, duration_hours, max_temperature_c }],
+ *   temperature_abuse }
+ *
+ * @example
+ * const analysis = analyzeTemperatureLog(csvText, 'refrigerated', '2025-01-30T06:00:00Z');
+ * console.log(analysis.kinetic_excess_days, analysis.temperature_abuse);
+ */
+function analyzeTemperatureLog(log, storageCondition, currentDate = new Date(), options = {}) {
+  const group = getStorageGroup(storageCondition);
+  const referenceC = STORAGE_TEMPERATURES[group].reference_c;
+  const thresholdC = options.abuseThresholdC != null
+    ? options.abuseThresholdC
+    : STORAGE_TEMPERATURES[group].abuse_threshold_c;
+  const now = new Date(currentDate);
+  if (isNaN(now.getTime())) {
+    throw new ValidationError(`Invalid date: ${currentDate}`, {
+      code: 'invalid_date', field: 'currentDate', value: currentDate
+    });
+  }
+
+  const readings = parseTemperatureLog(log).filter(reading => reading.timestamp <= now);
+
+  let excessDays = 0;
+  let coveredMs = 0;
+  const abusePeriods = [];
+  let current = null;
+
+  readings.forEach((reading, index) => {
+    const next = readings[index + 1];
+    const end = next ? next.timestamp : now;
+    const durationMs = end - reading.timestamp;
+    const rate = calculateRelativeRate(reading.temperature_c, referenceC, options);
+
+    excessDays += (durationMs / MS_PER_DAY) * (rate - 1);
+    coveredMs += durationMs;
+
+    if (reading.temperature_c > thresholdC) {
+      if (!current) {
+        current = { start: reading.timestamp, end, max_temperature_c: reading.temperature_c };
+        abusePeriods.push(current);
+      }
+      current.end = end;
+      current.max_temperature_c = Math.max(current.max_temperature_c, reading.temperature_c);
+    } else {
+      current = null;
+    }
+  });
+
+  const formattedPeriods = abusePeriods.map(period => ({
+    start: period.start.toISOString(),
+    end: period.end.toISOString(),
+    duration_hours: Number(((period.end - period.start) / MS_PER_HOUR).toFixed(2)),
+    max_temperature_c: period.max_temperature_c
+  }));
+
+  return {
+    model: options.model || 'q10',
+    reference_temperature_c: referenceC,
+    abuse_threshold_c: thresholdC,
+    readings: readings.length,
+    covered_hours: Number((coveredMs / MS_PER_HOUR).toFixed(2)),
+    kinetic_excess_days: Number(excessDays.toFixed(4)),
+    abuse_periods: formattedPeriods,
+    temperature_abuse: formattedPeriods.length > 0
+  };
+}
+
+// Export functions
+module.exports = {
+  parseTemperatureLog,
+  calculateRelativeRate,
+  analyzeTemperatureLog,
+  STORAGE_TEMPERATURES,
+  KINETIC_MODELS
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Temperature Log Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const csv = [
+    'timestamp,temperature_c',
+    '2025-01-29T06:00:00Z,4',
+    '2025-01-29T18:00:00Z,14',
+    '2025-01-30T06:00:00Z,4',
+    '2025-01-30T18:00:00Z,4'
+  ].join('\n');
+
+  // Test 1: CSV and JSON parsing
+  test('Parse: CSV and JSON give the same sorted readings', () => {
+    const fromCsv = parseTemperatureLog(csv);
+    const fromJson = parseTemperatureLog(JSON.stringify([
+      { recorded_at: '2025-01-30T18:00:00Z', temperature: 4 },
+      { timestamp: '2025-01-29T06:00:00Z', temperature_c: 4 },
+      { timestamp: '2025-01-29T18:00:00Z', temp_c: 14 },
+      { timestamp: '2025-01-30T06:00:00Z', temperature_c: 4 }
+    ]));
+    if (fromCsv.length !== 4 || fromCsv[1].temperature_c !== 14) throw new Error('CSV not parsed');
+    if (JSON.stringify(fromCsv) !== JSON.stringify(fromJson)) throw new Error('JSON should match CSV');
+  });
+
+  // Test 2: Kinetic models
+  test('Rate: Q10 and Arrhenius', () => {
+    if (calculateRelativeRate(14, 4) !== 2) throw new Error('Q10 = 2 should double the rate at +10°C');
+    if (calculateRelativeRate(4, 4, { model: 'arrhenius' }) !== 1) throw new Error('Rate 1 at reference');
+    const arrhenius = calculateRelativeRate(14, 4, { model: 'arrhenius' });
+    if (arrhenius.toFixed(2) !== '3.35') throw new Error(`Expected 3.35, got ${arrhenius}`);
+  });
+
+  // Test 3: Excess days
+  test('Analyze: 12 hours at 14°C cost half an extra day', () => {
+    const analysis = analyzeTemperatureLog(csv, 'refrigerated', '2025-01-31T06:00:00Z');
+    if (analysis.kinetic_excess_days !== 0.5) throw new Error(`Expected 0.5, got ${analysis.kinetic_excess_days}`);
+    if (analysis.covered_hours !== 48) throw new Error(`Expected 48 covered hours, got ${analysis.covered_hours}`);
+  });
+
+  // Test 4: Abuse periods
+  test('Analyze: Abuse period detected above threshold', () => {
+    const analysis = analyzeTemperatureLog(csv, 'refrigerated_opened', '2025-01-31T06:00:00Z');
+    if (!analysis.temperature_abuse || analysis.abuse_periods.length !== 1) throw new Error('Expected one abuse period');
+    const [period] = analysis.abuse_periods;
+    if (period.duration_hours !== 12 || period.max_temperature_c !== 14) throw new Error(`Wrong period ${JSON.stringify(period)}`);
+    const frozen = analyzeTemperatureLog(csv, 'frozen', '2025-01-31T06:00:00Z', { abuseThresholdC: 20 });
+    if (frozen.temperature_abuse) throw new Error('Custom threshold should suppress abuse');
+  });
+
+  // Test 5: Readings after the evaluation date are ignored
+  test('Analyze: Future readings ignored', () => {
+    const analysis = analyzeTemperatureLog(csv, 'refrigerated', '2025-01-29T12:00:00Z');
+    if (analysis.readings !== 1 || analysis.temperature_abuse) throw new Error('Only the first reading has happened');
+  });
+
+  // Test 6: The last reading holds until the evaluation date
+  test('Analyze: Last reading carried forward to the evaluation date', () => {
+    const log = [
+      { timestamp: '2025-01-27T06:00:00Z', temperature_c: 4 },
+      { timestamp: '2025-01-28T06:00:00Z', temperature_c: 25 }
+    ];
+    const analysis = analyzeTemperatureLog(log, 'refrigerated', '2025-01-30T06:00:00Z');
+    if (!(analysis.kinetic_excess_days > 0)) throw new Error(`Expected excess days, got ${analysis.kinetic_excess_days}`);
+    const [period] = analysis.abuse_periods;
+    if (!period || period.duration_hours !== 48 || period.end !== '2025-01-30T06:00:00.000Z') {
+      throw new Error(`Expected a 48 hour abuse period, got ${JSON.stringify(analysis.abuse_periods)}`);
+    }
+  });
+
+  // Test 7: Invalid input
+  test('Error: Invalid readings and conditions', () => {
+    const cases = [
+      [() => parseTemperatureLog('timestamp,temperature_c\n2025-01-29T06:00:00Z,warm'), 'line 2'],
+      [() => parseTemperatureLog([{ temperature_c: 4 }]), 'needs timestamp'],
+      [() => analyzeTemperatureLog(csv, 'unknown'), 'No reference temperature'],
+      [() => calculateRelativeRate(4, 4, { model: 'linear' }), 'Invalid kinetic model']
+    ];
+    for (const [fn, message] of cases) {
+      try {
+        fn();
+        throw new Error('Should have thrown error');
+      } catch (e) {
+        if (!e.message.includes(message)) throw e;
+      }
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
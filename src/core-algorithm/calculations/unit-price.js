@@ -0,0 +1,317 @@
+/**
+ * Chenda - Unit Price Normalization
+ * Convert a listing's price to a comparable price per liter, per kg or per piece
+ *
+ * Listings store the price of the whole listing with a quantity and a unit
+ * (e.g. 180 PHP for 2 dozen eggs). The unit is converted to a base unit:
+ * - liter: liters, ml
+ * - kg: kg, g, lb
+ * - piece: pieces, dozen (12 pieces), and packaged goods sold by the item
+ *   (containers, bottles, blocks, bags, wheels, ...)
+ *
+ * unit_price = price / (quantity × factor), e.g. 180 / (2 × 12) = 7.50 per piece.
+ * Unit names are case-insensitive and may be singular or plural. Listings
+ * without a unit are priced per listed item (the previous price / quantity).
+ *
+ * Unit prices are only comparable within one price_unit; compare across
+ * product types with the median per product type and price_unit
+ * (normalizePriceScoreByMedian).
+ */
+
+const { ConfigurationError, DataError } = require('../../utils/errors');
+
+const BASE_UNITS = ['liter', 'kg', 'piece'];
+
+// Unit name → base unit and how many base units one unit holds
+const UNIT_CONVERSIONS = {
+  liter: { unit: 'liter', factor: 1 },
+  litre: { unit: 'liter', factor: 1 },
+  l: { unit: 'liter', factor: 1 },
+  ml: { unit: 'liter', factor: 0.001 },
+  milliliter: { unit: 'liter', factor: 0.001 },
+  kg: { unit: 'kg', factor: 1 },
+  kilogram: { unit: 'kg', factor: 1 },
+  g: { unit: 'kg', factor: 0.001 },
+  gram: { unit: 'kg', factor: 0.001 },
+  lb: { unit: 'kg', factor: 0.453592 },
+  pound: { unit: 'kg', factor: 0.453592 },
+  piece: { unit: 'piece', factor: 1 },
+  pc: { unit: 'piece', factor: 1 },
+  dozen: { unit: 'piece', factor: 12 },
+  // Packaged goods: one package is one piece
+  container: { unit: 'piece', factor: 1 },
+  bottle: { unit: 'piece', factor: 1 },
+  block: { unit: 'piece', factor: 1 },
+  bag: { unit: 'piece', factor: 1 },
+  wheel: { unit: 'piece', factor: 1 },
+  pack: { unit: 'piece', factor: 1 },
+  box: { unit: 'piece', factor: 1 },
+  can: { unit: 'piece', factor: 1 },
+  jar: { unit: 'piece', factor: 1 },
+  tray: { unit: 'piece', factor: 1 }
+};
+
+/**
+ * Look up the base unit conversion for a unit name
+ *
+ * @param {string} unit - Unit name, e.g. 'liters', 'dozen', 'kg', 'containers'
+ * @returns {Object} { unit: 'liter'|'kg'|'piece', factor } - base units per unit
+ * @throws {ConfigurationError} If the unit is not in UNIT_CONVERSIONS (code 'unsupported_unit')
+ *
+ * @example
+ * getUnitConversion('dozen');  // { unit: 'piece', factor: 12 }
+ * getUnitConversion('Liters'); // { unit: 'liter', factor: 1 }
+ */
+function getUnitConversion(unit) {
+  if (typeof unit !== 'string' || unit.trim() === '') {
+    throw new ConfigurationError('unit must be a non-empty string', {
+      code: 'unsupported_unit', field: 'unit', value: unit
+    });
+  }
+
+  const name = unit.trim().toLowerCase();
+  // Plurals: liters → liter, boxes → box, pcs → pc
+  const candidates = [name, name.replace(/s$/, ''), name.replace(/es$/, '')];
+  const key = candidates.find(candidate => UNIT_CONVERSIONS[candidate]);
+  if (!key) {
+    throw new ConfigurationError(`Unsupported unit: ${unit}`, {
+      code: 'unsupported_unit', field: 'unit', value: unit
+    });
+  }
+
+  return { ...UNIT_CONVERSIONS[key] };
+}
+
+/**
+ * Calculate a listing's price per base unit
+ *
+ * price is the total for the whole quantity, never a price per unit: a listing of
+ * 12 pieces at 120 costs 10 per piece.
+ *
+ * @param {Object} product - Listing with price (for all of quantity), quantity and unit
+ * @param {number} decimals - Decimal places (default: 2)
+ * @returns {Object} { unit_price, price_unit, base_quantity }
+ * @throws {DataError} If price or quantity is missing or not positive, or the unit is not
+ *   supported (code 'invalid_field', field 'unit')
+ *
+ * @example
+ * calculateUnitPrice({ id: 2, price: 180, quantity: 2, unit: 'dozen' });
+ * // Returns: { unit_price: 7.5, price_unit: 'piece', base_quantity: 24 }
+ */
+function calculateUnitPrice(product, decimals = 2) {
+  if (!product || typeof product !== 'object') {
+    throw new DataError('product must be an object', {
+      code: 'invalid_field', field: 'product', value: product
+    });
+  }
+
+  const id = product.id || 'unknown';
+  if (typeof product.price !== 'number' || isNaN(product.price) || product.price < 0) {
+    throw new DataError(`Product ${id} missing price`, {
+      code: 'missing_field', field: 'price', value: product.price
+    });
+  }
+  if (typeof product.quantity !== 'number' || isNaN(product.quantity) || product.quantity <= 0) {
+    throw new DataError(`Product ${id} has invalid quantity (${product.quantity})`, {
+      code: 'invalid_field', field: 'quantity', value: product.quantity
+    });
+  }
+
+  let conversion = { unit: 'piece', factor: 1 };
+  if (product.unit != null) {
+    try {
+      conversion = getUnitConversion(product.unit);
+    } catch (error) {
+      // The unit comes from the listing, so it is bad data rather than a bad option
+      throw new DataError(`Product ${id}: ${error.message}`, {
+        code: 'invalid_field', field: 'unit', value: product.unit
+      });
+    }
+  }
+
+  const baseQuantity = product.quantity * conversion.factor;
+  return {
+    unit_price: Number((product.price / baseQuantity).toFixed(decimals)),
+    price_unit: conversion.unit,
+    base_quantity: Number(baseQuantity.toFixed(6))
+  };
+}
+
+/**
+ * Median of a list of numbers
+ *
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median (mean of the middle two for even counts), null when empty
+ *
+ * @example
+ * calculateMedian([7.5, 4.72, 5.67]); // 5.67
+ */
+function calculateMedian(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Median price per product type and price unit within a candidate set
+ *
+ * Listings of one type sold by different base units (eggs per piece and per kg)
+ * get separate medians, as their unit prices are not comparable.
+ *
+ * @param {Array<Object>} products - Candidate listings with product_type_id
+ * @param {Function} getPrice - product → price to compare (e.g. its unit price)
+ * @param {Function} getUnit - product → price unit (default: all listings in one unit, null)
+ * @returns {Map<*, Map<*, number>>} Median price keyed by product_type_id, then price unit
+ *   (listings without a product_type_id are grouped under null)
+ *
+ * @example
+ * const medians = getMedianPricesByType(products, p => calculateUnitPrice(p).unit_price,
+ *   p => calculateUnitPrice(p).price_unit);
+ * medians.get(21).get('piece'); // median egg price per piece
+ */
+function getMedianPricesByType(products, getPrice, getUnit = () => null) {
+  const groups = new Map();
+  products.forEach(product => {
+    const type = product.product_type_id != null ? product.product_type_id : null;
+    const unit = getUnit(product);
+    if (!groups.has(type)) {
+      groups.set(type, new Map());
+    }
+    const units = groups.get(type);
+    if (!units.has(unit)) {
+      units.set(unit, []);
+    }
+    units.get(unit).push(getPrice(product));
+  });
+
+  const medians = new Map();
+  for (const [type, units] of groups) {
+    medians.set(type, new Map([...units].map(([unit, prices]) => [unit, calculateMedian(prices)])));
+  }
+  return medians;
+}
+
+// Export functions
+module.exports = {
+  getUnitConversion,
+  calculateUnitPrice,
+  calculateMedian,
+  getMedianPricesByType,
+  UNIT_CONVERSIONS,
+  BASE_UNITS
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Unit Price Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Test 1: Conversions
+  test('Units: Plurals, case and dozen → pieces', () => {
+    const cases = [
+      ['liters', 'liter', 1],
+      ['ML', 'liter', 0.001],
+      ['kg', 'kg', 1],
+      ['grams', 'kg', 0.001],
+      ['dozen', 'piece', 12],
+      ['pcs', 'piece', 1],
+      ['containers', 'piece', 1],
+      ['boxes', 'piece', 1],
+      ['Wheel', 'piece', 1]
+    ];
+    for (const [unit, base, factor] of cases) {
+      const conversion = getUnitConversion(unit);
+      if (conversion.unit !== base || conversion.factor !== factor) {
+        throw new Error(`${unit}: expected ${factor} ${base}, got ${JSON.stringify(conversion)}`);
+      }
+    }
+  });
+
+  // Test 2: Unit prices from the mock listings
+  test('Unit price: Price per piece, liter and kg', () => {
+    const eggs = calculateUnitPrice({ id: 2, price: 180, quantity: 2, unit: 'dozen' });
+    if (eggs.unit_price !== 7.5 || eggs.price_unit !== 'piece' || eggs.base_quantity !== 24) {
+      throw new Error(`Unexpected eggs: ${JSON.stringify(eggs)}`);
+    }
+    const buttermilk = calculateUnitPrice({ id: 3, price: 95, quantity: 2, unit: 'liters' });
+    if (buttermilk.unit_price !== 47.5 || buttermilk.price_unit !== 'liter') throw new Error('Expected 47.50 per liter');
+    const cheddar = calculateUnitPrice({ id: 8, price: 250, quantity: 500, unit: 'g' });
+    if (cheddar.unit_price !== 500 || cheddar.price_unit !== 'kg') throw new Error('Expected 500 per kg');
+    const noUnit = calculateUnitPrice({ price: 90, quantity: 4 });
+    if (noUnit.unit_price !== 22.5 || noUnit.price_unit !== 'piece') throw new Error('No unit should price per item');
+  });
+
+  // Test 3: Medians by product type
+  test('Median: Per product type and price unit within the candidate set', () => {
+    if (calculateMedian([3, 1, 2]) !== 2 || calculateMedian([4, 1, 3, 2]) !== 2.5) throw new Error('Wrong median');
+    if (calculateMedian([]) !== null) throw new Error('Empty median should be null');
+    const medians = getMedianPricesByType([
+      { product_type_id: 21, price: 7.5, unit: 'piece' },
+      { product_type_id: 21, price: 4.38, unit: 'piece' },
+      { product_type_id: 21, price: 5.67, unit: 'piece' },
+      { product_type_id: 21, price: 90, unit: 'kg' },
+      { product_type_id: 2, price: 47.5, unit: 'liter' },
+      { price: 10, unit: 'piece' }
+    ], p => p.price, p => p.unit);
+    if (medians.get(21).get('piece') !== 5.67 || medians.get(21).get('kg') !== 90 ||
+        medians.get(2).get('liter') !== 47.5 || medians.get(null).get('piece') !== 10) {
+      throw new Error(`Unexpected medians: ${JSON.stringify([...medians].map(([type, units]) => [type, [...units]]))}`);
+    }
+    const byType = getMedianPricesByType([{ product_type_id: 21, price: 3 }, { product_type_id: 21, price: 5 }], p => p.price);
+    if (byType.get(21).get(null) !== 4) throw new Error('Without a unit getter all listings share one unit');
+  });
+
+  // Test 4: Errors
+  test('Error: Unsupported units and bad listings', () => {
+    const cases = [
+      [() => getUnitConversion('bushels'), ConfigurationError, 'unsupported_unit', 'Unsupported unit: bushels'],
+      [() => calculateUnitPrice({ id: 5, price: 10, quantity: 1, unit: 'bunch' }), DataError, 'invalid_field', 'Product 5: Unsupported unit'],
+      [() => calculateUnitPrice({ id: 6, quantity: 1, unit: 'kg' }), DataError, 'missing_field', 'Product 6 missing price'],
+      [() => calculateUnitPrice({ id: 7, price: 10, quantity: 0, unit: 'kg' }), DataError, 'invalid_field', 'invalid quantity']
+    ];
+    for (const [fn, ErrorClass, code, message] of cases) {
+      try {
+        fn();
+        throw new Error('Should have thrown error');
+      } catch (e) {
+        if (!(e instanceof ErrorClass) || e.code !== code || !e.message.includes(message)) throw e;
+      }
+    }
+  });
+
+  // Test 5: Listing price covers the whole quantity
+  test('Unit price: price is the total for the listing, not per unit', () => {
+    const eggs = calculateUnitPrice({ id: 21, price: 120, quantity: 12, unit: 'pieces' });
+    if (eggs.unit_price !== 10 || eggs.price_unit !== 'piece' || eggs.base_quantity !== 12) {
+      throw new Error(`12 eggs at 120 should cost 10 each, got ${JSON.stringify(eggs)}`);
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
@@ -9,7 +9,7 @@
  * - Performance benchmarks
  */
 
-const { chendaAlgorithm, quickSearch, searchByPrice, searchByDistance, searchByFreshness } = require('./chenda_algorithm');
+const { chendaAlgorithm, quickSearch, searchByPrice, searchByDistance, searchByFreshness, createConfigFromUser } = require('./chenda_algorithm');
 const mockData = require('../product-display/mock_data');
 
 console.log('Running chenda_algorithm.js integration tests...\n');
@@ -46,6 +46,10 @@ for (const pt of productTypes) {
   productTypeMap[pt.id] = pt;
 }
 
+// Freshness is measured at config.now; pin it to the mock data's reference date
+// so scenarios give the same results whenever they run
+const NOW = '2025-01-30T12:00:00Z';
+
 // Enrich products with product type data (total_shelf_life_days)
 const products = rawProducts.map(product => {
   const productType = productTypeMap[product.product_type_id];
@@ -79,7 +83,7 @@ function createBuyer(mockUser) {
 
 test('Scenario 1.1: Execute algorithm with default config', () => {
   const buyer = createBuyer(buyers[0]); // Maria Santos
-  const result = chendaAlgorithm(buyer, products);
+  const result = chendaAlgorithm(buyer, products, { now: NOW });
   
   if (!result.products || !Array.isArray(result.products)) {
     throw new Error('Should return products array');
@@ -96,7 +100,7 @@ test('Scenario 1.1: Execute algorithm with default config', () => {
 
 test('Scenario 1.2: Algorithm enriches all products with distance', () => {
   const buyer = createBuyer(buyers[0]);
-  const result = chendaAlgorithm(buyer, products, { max_radius: 100 }); // Large radius to include all
+  const result = chendaAlgorithm(buyer, products, { now: NOW, max_radius: 100 }); // Large radius to include all
   
   const productsWithoutDistance = result.products.filter(p => p.distance_km == null);
   if (productsWithoutDistance.length > 0) {
@@ -106,7 +110,7 @@ test('Scenario 1.2: Algorithm enriches all products with distance', () => {
 
 test('Scenario 1.3: Algorithm enriches products with shelf life metrics', () => {
   const buyer = createBuyer(buyers[0]);
-  const result = chendaAlgorithm(buyer, products, { max_radius: 100 });
+  const result = chendaAlgorithm(buyer, products, { now: NOW, max_radius: 100 });
   
   if (result.products.length === 0) return; // Skip if all filtered
   
@@ -126,6 +130,7 @@ test('Scenario 1.3: Algorithm enriches products with shelf life metrics', () =>
 test('Scenario 2.1: Ranking mode sorts by combined score', () => {
   const buyer = createBuyer(buyers[0]);
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'ranking',
     max_radius: 50
   });
@@ -150,6 +155,7 @@ test('Scenario 2.1: Ranking mode sorts by combined score', () => {
 test('Scenario 2.2: Balanced weights (50/50)', () => {
   const buyer = createBuyer(buyers[0]);
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'ranking',
     weight_preset: 'balanced',
     max_radius: 50
@@ -164,6 +170,7 @@ test('Scenario 2.2: Balanced weights (50/50)', () => {
 test('Scenario 2.3: Proximity-focused weights (70/30)', () => {
   const buyer = createBuyer(buyers[1]); // Carlos Reyes - convenience shopper
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'ranking',
     weight_preset: 'proximity_focused',
     max_radius: 30
@@ -178,6 +185,7 @@ test('Scenario 2.3: Proximity-focused weights (70/30)', () => {
 test('Scenario 2.4: Freshness-focused weights (30/70)', () => {
   const buyer = createBuyer(buyers[2]); // Ana Cruz - quality-conscious
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'ranking',
     weight_preset: 'freshness_focused',
     max_radius: 40
@@ -196,6 +204,7 @@ test('Scenario 2.4: Freshness-focused weights (30/70)', () => {
 test('Scenario 3.1: Filter mode with price sorting (ascending)', () => {
   const buyer = createBuyer(buyers[3]); // Robert Lee - budget-conscious
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'filter',
     sort_by: 'price',
     sort_order: 'asc',
@@ -215,6 +224,7 @@ test('Scenario 3.1: Filter mode with price sorting (ascending)', () => {
 test('Scenario 3.2: Filter mode with distance sorting', () => {
   const buyer = createBuyer(buyers[0]);
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'filter',
     sort_by: 'distance',
     sort_order: 'asc',
@@ -234,6 +244,7 @@ test('Scenario 3.2: Filter mode with distance sorting', () => {
 test('Scenario 3.3: Filter mode with freshness sorting (descending)', () => {
   const buyer = createBuyer(buyers[2]);
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'filter',
     sort_by: 'freshness',
     sort_order: 'desc',
@@ -257,6 +268,7 @@ test('Scenario 3.3: Filter mode with freshness sorting (descending)', () => {
 test('Scenario 4.1: Max radius constraint filters distant products', () => {
   const buyer = createBuyer(buyers[0]);
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     max_radius: 10 // Very tight radius
   });
   
@@ -271,6 +283,7 @@ test('Scenario 4.1: Max radius constraint filters distant products', () => {
 test('Scenario 4.2: Min freshness constraint filters stale products', () => {
   const buyer = createBuyer(buyers[2]);
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     max_radius: 50,
     min_freshness_score: 70 // Only very fresh products
   });
@@ -289,6 +302,7 @@ test('Scenario 4.2: Min freshness constraint filters stale products', () => {
 test('Scenario 4.3: Stats track filtering results', () => {
   const buyer = createBuyer(buyers[0]);
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     max_radius: 20,
     min_freshness_score: 50
   });
@@ -391,6 +405,7 @@ test('Scenario 5.4: searchByFreshness finds freshest products', () => {
 test('Scenario 6.1: Budget-conscious buyer (price priority)', () => {
   const buyer = createBuyer(buyers.find(b => b.name === 'Roberto Cruz'));
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'filter',
     sort_by: 'price',
     sort_order: 'asc',
@@ -411,6 +426,7 @@ test('Scenario 6.1: Budget-conscious buyer (price priority)', () => {
 test('Scenario 6.2: Convenience-focused buyer (proximity priority)', () => {
   const buyer = createBuyer(buyers.find(b => b.name === 'Carlos Reyes'));
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'ranking',
     weight_preset: 'proximity_focused',
     max_radius: 30
@@ -425,6 +441,7 @@ test('Scenario 6.2: Convenience-focused buyer (proximity priority)', () => {
 test('Scenario 6.3: Quality-conscious buyer (freshness priority)', () => {
   const buyer = createBuyer(buyers.find(b => b.name === 'Ana Garcia'));
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     mode: 'ranking',
     weight_preset: 'freshness_focused',
     max_radius: 40,
@@ -444,7 +461,7 @@ test('Scenario 6.3: Quality-conscious buyer (freshness priority)', () => {
 test('Scenario 7.1: Algorithm executes in reasonable time (<100ms)', () => {
   const buyer = createBuyer(buyers[0]);
   const start = Date.now();
-  const result = chendaAlgorithm(buyer, products, { max_radius: 50 });
+  const result = chendaAlgorithm(buyer, products, { now: NOW, max_radius: 50 });
   const elapsed = Date.now() - start;
   
   if (elapsed > 100) {
@@ -459,7 +476,7 @@ test('Scenario 7.1: Algorithm executes in reasonable time (<100ms)', () => {
 
 test('Scenario 7.2: Empty product array handled gracefully', () => {
   const buyer = createBuyer(buyers[0]);
-  const result = chendaAlgorithm(buyer, [], { max_radius: 50 });
+  const result = chendaAlgorithm(buyer, [], { now: NOW, max_radius: 50 });
   
   if (result.products.length !== 0) {
     throw new Error('Empty input should return empty output');
@@ -469,6 +486,7 @@ test('Scenario 7.2: Empty product array handled gracefully', () => {
 test('Scenario 7.3: Very restrictive filters handled gracefully', () => {
   const buyer = createBuyer(buyers[0]);
   const result = chendaAlgorithm(buyer, products, {
+    now: NOW,
     max_radius: 0.01, // Nearly impossible radius
     min_freshness_score: 99.9 // Nearly impossible freshness
   });
@@ -479,6 +497,245 @@ test('Scenario 7.3: Very restrictive filters handled gracefully', () => {
   }
 });
 
+// ============================================================================
+// SCENARIO 8: PRODUCT TYPE RESOLUTION
+// ============================================================================
+
+test('Scenario 8.1: Raw listings resolved from product type catalog', () => {
+  const buyer = createBuyer(buyers[0]);
+  const result = chendaAlgorithm(buyer, rawProducts, {
+    now: NOW,
+    max_radius: 100,
+    product_types: productTypes
+  });
+  
+  if (result.metadata.stats.resolved_product_types !== rawProducts.length) {
+    throw new Error(`Expected ${rawProducts.length} resolved, got ${result.metadata.stats.resolved_product_types}`);
+  }
+  
+  for (const product of result.products) {
+    if (product.freshness_percent == null || !product.product_name) {
+      throw new Error(`Product ${product.id} should be enriched from its product type`);
+    }
+  }
+});
+
+test('Scenario 8.2: Unknown product type IDs reported in stats', () => {
+  const buyer = createBuyer(buyers[0]);
+  const listings = [...rawProducts, { ...rawProducts[0], id: 999, product_type_id: 99999 }];
+  const result = chendaAlgorithm(buyer, listings, {
+    now: NOW,
+    max_radius: 100,
+    product_types: productTypes
+  });
+  
+  const stats = result.metadata.stats;
+  if (stats.unknown_product_types !== 1 || !stats.unknown_product_type_ids.includes(99999)) {
+    throw new Error('Unknown product type should be reported in stats');
+  }
+  
+  if (result.products.some(p => p.id === 999)) {
+    throw new Error('Product with unknown type should not be ranked');
+  }
+});
+
+// ============================================================================
+// SCENARIO 9: STORAGE COMPATIBILITY
+// ============================================================================
+
+test('Scenario 9.1: Room-temperature buyer cannot receive refrigerated listings', () => {
+  const buyer = { ...createBuyer(buyers[0]), storage_condition: 'room_temp' };
+  const result = chendaAlgorithm(buyer, products, { now: NOW, max_radius: 100 });
+  
+  for (const product of result.products) {
+    if (product.storage_condition && !product.storage_condition.startsWith('pantry')) {
+      throw new Error(`Product ${product.id} (${product.storage_condition}) should be removed`);
+    }
+  }
+  
+  const filterStats = result.metadata.stats.filter_stats;
+  if (filterStats.removedStorage !== products.length) {
+    throw new Error(`Expected ${products.length} removed by storage, got ${filterStats.removedStorage}`);
+  }
+});
+
+test('Scenario 9.2: Refrigerated buyer keeps refrigerated listings', () => {
+  const buyer = createBuyer(buyers[0]);
+  const result = chendaAlgorithm(buyer, products, { now: NOW, max_radius: 100 });
+  
+  if (result.metadata.stats.filter_stats.removedStorage !== 0) {
+    throw new Error('Refrigerated buyer should be able to store all mock listings');
+  }
+});
+
+// ============================================================================
+// SCENARIO 10: EVALUATION DATE
+// ============================================================================
+
+test('Scenario 10.1: Fixed config.now gives reproducible results', () => {
+  const buyer = createBuyer(buyers[0]);
+  const config = { max_radius: 50, now: NOW, product_types: productTypes };
+  const first = chendaAlgorithm(buyer, rawProducts, config);
+  const second = chendaAlgorithm(buyer, rawProducts, config);
+  
+  const summarize = result => result.products.map(p => `${p.id}:${p.combined_score}:${p.freshness_percent}`).join(',');
+  if (summarize(first) !== summarize(second)) {
+    throw new Error('Same config.now should produce identical rankings');
+  }
+  if (first.metadata.config.now !== '2025-01-30T12:00:00.000Z') {
+    throw new Error('Metadata should echo config.now');
+  }
+});
+
+test('Scenario 10.2: Later evaluation date lowers freshness', () => {
+  const buyer = createBuyer(buyers[0]);
+  const early = chendaAlgorithm(buyer, rawProducts, { max_radius: 50, now: NOW, product_types: productTypes });
+  const late = chendaAlgorithm(buyer, rawProducts, { max_radius: 50, now: '2025-02-03T12:00:00Z', product_types: productTypes });
+  
+  for (const product of late.products) {
+    const before = early.products.find(p => p.id === product.id);
+    if (before && product.freshness_percent > before.freshness_percent) {
+      throw new Error(`Product ${product.id} got fresher over time`);
+    }
+  }
+});
+
+// ============================================================================
+// SCENARIO 11: STORED BUYER PROFILES
+// ============================================================================
+
+test('Scenario 11.1: Stored user profiles drive config for every buyer persona', () => {
+  for (const user of buyers) {
+    const result = chendaAlgorithm(user, rawProducts, {
+      now: NOW,
+      product_types: productTypes
+    });
+    const config = result.metadata.config;
+    const prefs = user.preferences;
+    
+    if (config.max_radius !== prefs.max_radius_km) {
+      throw new Error(`${user.name}: max_radius should be ${prefs.max_radius_km}`);
+    }
+    if (config.weights.proximity_weight !== prefs.proximity_weight / 100 ||
+        config.weights.freshness_weight !== prefs.shelf_life_weight / 100) {
+      throw new Error(`${user.name}: weights should come from profile`);
+    }
+    if (config.mode !== (prefs.display_mode === 'filter_sort' ? 'filter' : 'ranking')) {
+      throw new Error(`${user.name}: mode should come from display_mode`);
+    }
+    for (const product of result.products) {
+      if (product.distance_km > prefs.max_radius_km) {
+        throw new Error(`${user.name}: product beyond profile radius`);
+      }
+    }
+  }
+});
+
+test('Scenario 11.2: Explicit config overrides stored profile', () => {
+  const user = buyers.find(b => b.preferences.display_mode === 'filter_sort');
+  const result = chendaAlgorithm(user, rawProducts, {
+    now: NOW,
+    product_types: productTypes,
+    mode: 'ranking',
+    weight_preset: 'balanced'
+  });
+  
+  const config = result.metadata.config;
+  if (config.mode !== 'ranking' || config.weights.proximity_weight !== 0.5) {
+    throw new Error('Explicit mode and preset should win over profile');
+  }
+  if (config.max_radius !== createConfigFromUser(user).max_radius) {
+    throw new Error('Non-overridden profile values should still apply');
+  }
+});
+
+// ============================================================================
+// SCENARIO 12: CATEGORY FRESHNESS CURVES
+// ============================================================================
+
+test('Scenario 12.1: Category default curves reshape freshness scores from catalog categories', () => {
+  const buyer = buyers[0];
+  const config = { max_radius: 50, now: NOW, product_types: productTypes };
+  const linear = chendaAlgorithm(buyer, rawProducts, config);
+  const curved = chendaAlgorithm(buyer, rawProducts, { ...config, freshness_curves: 'category_defaults' });
+  
+  for (const product of linear.products) {
+    if (product.freshness_score !== product.freshness_percent) {
+      throw new Error('Without curves freshness_score should equal freshness_percent');
+    }
+  }
+  const reshaped = curved.products.filter(p => p.freshness_score !== p.freshness_percent);
+  if (reshaped.length === 0) {
+    throw new Error('Category curves should change some freshness scores');
+  }
+  if (reshaped.some(p => p.category_id == null)) {
+    throw new Error('Curves should be picked by catalog category_id');
+  }
+});
+
+// ============================================================================
+// SCENARIO 13: EXPLAIN MODE
+// ============================================================================
+
+test('Scenario 13.1: Explain mode accounts for every listing', () => {
+  const buyer = { ...buyers[0], storage_condition: 'room_temp' };
+  const listings = [...rawProducts, { ...rawProducts[0], id: 999, product_type_id: 99999 }];
+  const result = chendaAlgorithm(buyer, listings, {
+    max_radius: 10,
+    now: NOW,
+    product_types: productTypes,
+    explain: true
+  });
+  
+  if (result.products.length + result.rejected.length !== listings.length) {
+    throw new Error('Every listing should be either returned or rejected');
+  }
+  const byFilter = result.rejected.reduce((counts, entry) => {
+    counts[entry.filter] = (counts[entry.filter] || 0) + 1;
+    return counts;
+  }, {});
+  if (byFilter.product_type !== 1) {
+    throw new Error('Unknown product type should be rejected at enrichment');
+  }
+  const filterStats = result.metadata.stats.filter_stats;
+  if ((byFilter.proximity || 0) !== filterStats.removedProximity ||
+      (byFilter.freshness || 0) !== filterStats.removedFreshness ||
+      (byFilter.storage || 0) !== filterStats.removedStorage) {
+    throw new Error('Rejection filters should match filter stats');
+  }
+  if (!byFilter.storage) {
+    throw new Error('Room-temperature buyer should have storage rejections');
+  }
+  const unknown = result.rejected.find(entry => entry.product_id === 999);
+  if (unknown.values.product_type_id !== 99999) {
+    throw new Error('Rejection should carry the values involved');
+  }
+});
+
+test('Scenario 13.2: Explain mode breaks down each ranked score', () => {
+  const buyer = buyers[0];
+  const result = chendaAlgorithm(buyer, rawProducts, {
+    max_radius: 50,
+    now: NOW,
+    product_types: productTypes,
+    explain: true
+  });
+  
+  for (const product of result.products) {
+    const { raw_metrics, factors, combined_score } = product.explanation;
+    const total = Object.values(factors).reduce((sum, f) => sum + f.contribution, 0);
+    if (Math.abs(total - combined_score) > 0.02) {
+      throw new Error(`Product ${product.id}: contributions ${total} != ${combined_score}`);
+    }
+    if (raw_metrics.freshness_percent !== product.freshness_percent) {
+      throw new Error(`Product ${product.id}: raw metrics missing`);
+    }
+    if (factors.proximity.weight !== result.metadata.config.weights.proximity_weight * 100) {
+      throw new Error(`Product ${product.id}: weights missing`);
+    }
+  }
+});
+
 // ============================================================================
 // SUMMARY
 // ============================================================================
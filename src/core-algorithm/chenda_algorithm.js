@@ -5,7 +5,7 @@
  * all previous phases into a single cohesive pipeline for ranking perishable products.
  * 
  * Pipeline Flow:
- * 1. Data Enrichment: Calculate distances and shelf life for all products
+ * 1. Data Enrichment: Resolve product types, calculate distances and shelf life for all products
  * 2. Filtering: Apply buyer constraints (max radius, min freshness, storage)
  * 3. Display/Ranking: Score and sort products based on mode
  * 4. Return: Products with metadata (execution time, stats)
@@ -14,46 +14,154 @@
  */
 
 const { calculateDistance } = require('./calculations/haversine.js');
-const { calculateShelfLifeMetrics } = require('./calculations/shelf-life.js');
+const { createSpatialIndex } = require('./calculations/spatial-index.js');
+const { validateClimateProfile } = require('./calculations/climate.js');
+const { KINETIC_MODELS } = require('./calculations/temperature-log.js');
+const { calculateShelfLifeMetrics, validateExpiryPolicy } = require('./calculations/shelf-life.js');
 const productFilter = require('../product-display/product_filter.js');
 const productRanker = require('./ranking/product_ranker.js');
 const productSorter = require('./ranking/product_sorter.js');
+const {
+  createProductTypeIndex,
+  findProductType,
+  applyProductType,
+  getStorageTip
+} = require('../product-management/product-type-catalog.js');
+const { getFactorNames, validateFactorData, PRICE_NORMALIZATIONS } = require('./scoring/factor-scoring.js');
+const { calculateUnitPrice } = require('./calculations/unit-price.js');
+const { validateProximityDecay } = require('./scoring/proximity-decay.js');
+const { validateFreshnessCurves, DEFAULT_CATEGORY_CURVES } = require('./scoring/freshness-curves.js');
+const { validateUser, validateProduct } = require('../utils/schema-validator.js');
+const { INVALID_POLICIES } = require('../utils/invalid-policy.js');
+const { ValidationError, ConfigurationError, DataError, describeError } = require('../utils/errors.js');
+
+// Weight keys handled by the classic two-factor ranking path
+const TWO_FACTOR_WEIGHTS = ['proximity_weight', 'freshness_weight'];
 
 /**
  * Main Chenda Algorithm - Unified pipeline for perishable product ranking
  * 
+ * The buyer can also be a stored user object (userSchema: location.lat/lng and
+ * preferences). Its location, weights, radius, freshness threshold and display
+ * mode are then derived with createConfigFromUser(); explicit config overrides them.
+ * 
  * @param {Object} buyer - Buyer object with location and preferences
  * @param {number} buyer.latitude - Buyer's latitude coordinate
  * @param {number} buyer.longitude - Buyer's longitude coordinate
+ * @param {Object} [buyer.location] - Stored user location {lat, lng} (alternative to latitude/longitude)
+ * @param {Object} [buyer.preferences] - Stored user preferences (used with buyer.location)
  * @param {string} [buyer.storage_condition] - Storage capability ('room_temp', 'refrigerated', 'frozen')
  * @param {Array<Object>} products - Array of product objects to process
  * @param {Object} config - Configuration object for the algorithm
  * @param {number} [config.max_radius] - Maximum distance in km (default: 10)
  * @param {Object} [config.weights] - Scoring weights for ranking
  * @param {number} [config.weights.proximity_weight] - Distance importance (0-1, default: 0.4)
- * @param {number} [config.weights.freshness_weight] - Shelf life importance (0-1, default: 0.6)
+ * @param {number} [config.weights.freshness_weight] - Shelf life importance (0-1, default: 0.6).
+ *   Setting only one of proximity_weight / freshness_weight sets the other to the rest of 1
+ * @param {number} [config.weights.<factor>_weight] - Any other scoring factor (price, unit_price,
+ *   seller_rating, quantity or a custom factor). Weights naming extra factors are used as the
+ *   complete weight set (no default merge) and must sum to 1
+ * @param {string|Object} [config.proximity_decay] - Proximity decay curve for ranking: 'linear' (default),
+ *   'exponential', 'gaussian', 'logistic', 'step', or { type, ...parameters }
+ *   e.g. { type: 'exponential', half_life_km: 2 } (see scoring/proximity-decay.js)
+ * @param {Object|string} [config.freshness_curves] - Freshness curves for ranking keyed by USDA
+ *   category_id (plus optional 'default'), e.g. { 15: { type: 'threshold', cliff_percent: 30 } },
+ *   or 'category_defaults' for DEFAULT_CATEGORY_CURVES (see scoring/freshness-curves.js)
+ * @param {Object} [config.custom_factors] - Extra factor definitions { name: { normalize, prepare } },
+ *   see scoring/factor-scoring.js
+ * @param {string} [config.price_normalization] - How price_weight and unit_price_weight score prices:
+ *   'range' (default, cheapest candidate = 100) or 'type_median' (vs the median unit price of the
+ *   same product_type_id and price unit among the candidates, median = 50). unit_price is the price per liter,
+ *   kg or piece (dozen = 12 pieces), see calculations/unit-price.js
  * @param {number} [config.min_freshness_score] - Minimum freshness score 0-100 (default: 0)
  * @param {string} [config.mode] - Display mode: 'ranking' or 'filter' (default: 'ranking')
- * @param {string} [config.sort_by] - Sort criterion for filter mode: 'price', 'distance', 'freshness', 'score', 'expiration'
- * @param {string} [config.sort_order] - Sort direction: 'asc' or 'desc' (default: 'asc')
+ * @param {string|Array} [config.sort_by] - Sort criterion for filter mode: 'price', 'distance', 'freshness',
+ *   'score', 'expiration', or an ordered list of keys, each a criterion or { by, order, missing },
+ *   e.g. ['price', { by: 'freshness', order: 'desc' }]. Remaining ties are broken by product id
+ * @param {string} [config.sort_order] - Sort direction: 'asc' or 'desc' (default: 'desc'). With a list of
+ *   keys it only applies, when set, to keys without their own order; the others use their
+ *   criterion's default (price, distance ascending; freshness, score, expiration descending)
+ * @param {string} [config.sort_missing] - Where products without a sort value go: 'error' (default,
+ *   invalid product, see on_invalid), 'first' or 'last'
  * @param {string} [config.weight_preset] - Named preset: 'balanced', 'proximity-focused', 'freshness-focused', etc.
+ * @param {Array<Object>} [config.product_types] - Product type catalog used to resolve product_type_id
+ *   (shelf life, name, category, default storage) for products without total_shelf_life_days.
+ *   Shelf life is taken for the listing's storage_condition when the catalog has data for it.
+ *   Products with unknown type IDs are excluded and counted in stats.unknown_product_types
+ * @param {Date|string} [config.now] - Evaluation date used by every stage (default: current time).
+ *   Fix it to make results reproducible
+ * @param {boolean|Object} [config.spatial_index] - Use a spatial index for the max_radius query
+ *   instead of a haversine scan of every product (default: false). true or { cell_size_km }
+ *   builds one per call; pass an index from createSpatialIndex(products) to reuse it across
+ *   searches (it must be built from the same product objects). Products outside the radius
+ *   are dropped before distance calculation; counts are in stats.spatial_index
+ * @param {string|Object} [config.expiry_policy] - Drop expired products using the 'conservative'
+ *   (USDA min), 'expected' or 'optimistic' (USDA max) shelf life, or a map keyed by category_id
+ *   (e.g. { 15: 'conservative', default: 'expected' }). Also picks the date used when sorting
+ *   by expiration. Products then need shelf life data. Default: no expiry filtering
+ * @param {string|Object} [config.climate] - Climate profile scaling pantry shelf life to the local
+ *   temperature: a preset ('metro_manila'), { temperature_c, q10 } or { multiplier }. Adjusted
+ *   products carry climate_adjustment with the unadjusted USDA values. Default: no adjustment
+ * @param {Object} [config.temperature_model] - Kinetic model for products with a temperature_log
+ *   (CSV or JSON logger readings): { model: 'q10'|'arrhenius', q10, activation_energy_kj_mol,
+ *   abuse_threshold_c } (default: q10 with Q10 = 2). Such products get temperature_profile and
+ *   temperature_abuse, and their freshness_percent follows the logged temperatures
+ * @param {boolean} [config.explain] - Explain mode (default: false). Every returned product gets
+ *   an `explanation` (raw metrics, and in ranking mode each factor's normalized score, weight
+ *   and contribution), and result.rejected lists every dropped product with the filter that
+ *   removed it and the values involved
+ * @param {boolean} [config.include_storage_tips] - Add storage_tip ({ storage_condition, tip } or
+ *   null) to every product: the USDA tip from the catalog (or the listing's own storage_tips)
+ *   that matches buyer.storage_condition (see getStorageTip) (default: false)
+ * @param {string} [config.validate_input] - Validate the input against userSchema/productSchema
+ *   before enrichment (see utils/schema-validator.js): 'throw' fails on the first invalid object
+ *   with error.validation_errors listing every field error, 'skip' drops invalid products and
+ *   'quarantine' also lists them in metadata.quarantined. A stored user buyer is validated too
+ *   and always throws. Default: no validation
+ * @param {string} [config.on_invalid] - What to do with a product a stage cannot process
+ *   (bad coordinates or shelf life data, no expiration_date or distance_km for a filter, no
+ *   data for a weighted factor, no value for a sort key): 'throw' (default) aborts the search, 'skip' drops it, 'quarantine'
+ *   drops it and lists it in metadata.quarantined. The rest rank normally; dropped products
+ *   are counted in stats.invalid_products
  * @returns {Object} Result object with products and metadata
  * @returns {Array<Object>} result.products - Processed and ranked/sorted products
  * @returns {Object} result.metadata - Execution metadata
  * @returns {number} result.metadata.execution_time_ms - Total processing time
  * @returns {Object} result.metadata.stats - Processing statistics
- * @returns {Object} result.metadata.config - Applied configuration
+ * @returns {Object} result.metadata.config - Applied configuration (config.now as ISO string)
+ * @returns {Array<Object>} [result.metadata.quarantined] - Quarantine only: { product, stage,
+ *   errors: [{ code, field, value, message }] }
+ *   per dropped product (stage 'validation', 'enrichment', 'expiration', 'proximity', 'freshness',
+ *   'storage', 'ranking' or 'sorting')
+ * @returns {Array<Object>} [result.rejected] - Explain mode only: { product_id, seller_id, filter,
+ *   reason, values, failures } per dropped product ('validation', 'invalid', 'product_type',
+ *   'expiration', 'proximity', 'freshness' or 'storage')
+ * @throws {ValidationError} If the buyer or products are invalid
+ * @throws {ConfigurationError} If a config option is invalid
+ * @throws {DataError} If a product lacks data a stage needs (on_invalid 'throw')
  */
 function chendaAlgorithm(buyer, products, config = {}) {
   const startTime = Date.now();
   
+  // Stored user profiles carry their own location and preferences
+  let profileConfig = {};
+  const storedUser = isStoredUser(buyer) ? buyer : null;
+  if (storedUser) {
+    profileConfig = createConfigFromUser(buyer);
+    buyer = createBuyerFromUser(buyer);
+  }
+  
   // Validate inputs
   if (!buyer || typeof buyer.latitude !== 'number' || typeof buyer.longitude !== 'number') {
-    throw new Error('Invalid buyer object: must have latitude and longitude');
+    throw new ValidationError('Invalid buyer object: must have latitude and longitude', {
+      code: 'invalid_value', field: 'buyer', value: null
+    });
   }
   
   if (!Array.isArray(products)) {
-    throw new Error('Products must be an array');
+    throw new ValidationError('Products must be an array', {
+      code: 'invalid_type', field: 'products', value: null
+    });
   }
   
   // Apply default configuration
@@ -69,7 +177,19 @@ function chendaAlgorithm(buyer, products, config = {}) {
     sort_order: 'desc'
   };
   
-  const finalConfig = { ...defaultConfig, ...config };
+  // The catalog is used for lookups only and is not echoed back in metadata
+  const {
+    product_types: productTypes,
+    custom_factors: customFactors = {},
+    spatial_index: spatialIndexOption,
+    ...userConfig
+  } = config;
+  const finalConfig = { ...defaultConfig, ...profileConfig, ...userConfig };
+  const productTypeIndex = productTypes ? createProductTypeIndex(productTypes) : null;
+  
+  // Single evaluation date shared by enrichment, filtering and sorting
+  const now = resolveEvaluationDate(finalConfig.now);
+  finalConfig.now = now.toISOString();
   
   // If weight preset specified, apply it
   if (finalConfig.weight_preset) {
@@ -84,73 +204,313 @@ function chendaAlgorithm(buyer, products, config = {}) {
     }
   }
   
-  // Merge custom weights with defaults
-  finalConfig.weights = {
-    ...defaultConfig.weights,
-    ...finalConfig.weights
+  // Merge custom weights with profile weights and defaults
+  // (a weight set naming extra factors is complete on its own)
+  if (!isMultiFactorWeights(finalConfig.weights)) {
+    const overridden = TWO_FACTOR_WEIGHTS.filter(key => finalConfig.weights && finalConfig.weights[key] != null);
+    const weights = {
+      ...defaultConfig.weights,
+      ...profileConfig.weights,
+      ...finalConfig.weights
+    };
+    // Overriding one weight of the pair rebalances the other to keep the sum at 1
+    if (overridden.length === 1) {
+      const other = TWO_FACTOR_WEIGHTS.find(key => key !== overridden[0]);
+      weights[other] = Number((1 - weights[overridden[0]]).toFixed(10));
+    }
+    finalConfig.weights = weights;
+  }
+  
+  ['validate_input', 'on_invalid'].forEach(key => {
+    if (finalConfig[key] != null && !INVALID_POLICIES.includes(finalConfig[key])) {
+      throw new ConfigurationError(`Invalid ${key}: ${finalConfig[key]}. Must be one of: ${INVALID_POLICIES.join(', ')}`, {
+        code: 'invalid_option', field: key, value: finalConfig[key]
+      });
+    }
+  });
+  
+  // Products dropped as malformed (validate_input, on_invalid), and in explain
+  // mode every dropped product with the reason
+  const quarantined = [];
+  const rejected = [];
+  let invalidProducts = 0;
+  const dropInvalid = (product, stage, failures, policy = finalConfig.on_invalid) => {
+    invalidProducts++;
+    if (policy === 'quarantine') {
+      quarantined.push({
+        product,
+        stage,
+        errors: failures.map(failure => describeError({ ...failure.values, message: failure.reason }))
+      });
+    }
+    if (finalConfig.explain) {
+      rejected.push(createRejection(product, failures));
+    }
   };
+  const invalidFailure = error => {
+    const { message, ...values } = describeError(error);
+    return { filter: 'invalid', reason: message, values };
+  };
+  const lenient = finalConfig.on_invalid === 'skip' || finalConfig.on_invalid === 'quarantine';
+  
+  // STEP 0: INPUT VALIDATION
+  // Check the input against the data structure schemas before any calculation
+  const inputCount = products.length;
+  if (finalConfig.validate_input) {
+    if (storedUser) {
+      assertValid(`buyer ${storedUser.id}`, validateUser(storedUser));
+    }
+    
+    const context = { productTypes: productTypeIndex || undefined, now };
+    products = products.filter(product => {
+      const result = validateProduct(product, context);
+      if (result.valid) {
+        return true;
+      }
+      if (finalConfig.validate_input === 'throw') {
+        assertValid(`product ${product && product.id}`, result);
+      }
+      const failures = result.errors
+        .filter(error => error.severity === 'error')
+        .map(error => ({
+          filter: 'validation',
+          reason: error.message,
+          values: { code: 'schema_violation', field: error.field, value: error.value }
+        }));
+      dropInvalid(product, 'validation', failures, finalConfig.validate_input);
+      return false;
+    });
+  }
   
   // Initialize stats
   const stats = {
-    input_products: products.length,
+    input_products: inputCount,
     enriched_products: 0,
     filtered_products: 0,
     output_products: 0
   };
   
+  if (productTypeIndex) {
+    stats.resolved_product_types = 0;
+    stats.unknown_product_types = 0;
+    stats.unknown_product_type_ids = [];
+  }
+  
+  // Spatial index: one radius query replaces a haversine call per product
+  let spatialIndex = null;
+  let indexedDistances = null;
+  if (spatialIndexOption && finalConfig.max_radius > 0) {
+    spatialIndex = resolveSpatialIndex(spatialIndexOption, products, lenient);
+    finalConfig.spatial_index = { cell_size_km: spatialIndex.cellSizeKm };
+    
+    const before = spatialIndex.getStats();
+    const hits = spatialIndex.queryRadius(
+      { lat: buyer.latitude, lng: buyer.longitude },
+      finalConfig.max_radius
+    );
+    const after = spatialIndex.getStats();
+    indexedDistances = new Map(hits.map(hit => [hit.item, hit.distance_km]));
+    
+    stats.spatial_index = {
+      indexed: after.indexed,
+      cells_visited: after.cells_visited - before.cells_visited,
+      candidates: after.candidates - before.candidates,
+      bbox_rejected: after.bbox_rejected - before.bbox_rejected,
+      distance_calculations: after.distance_calculations - before.distance_calculations,
+      hits: after.hits - before.hits,
+      pruned: 0
+    };
+  }
+  
   // STEP 1: DATA ENRICHMENT
-  // Calculate distance and shelf life for each product
-  const enrichedProducts = products.map(product => {
-    const enriched = { ...product };
-    
-    // Calculate distance if product has location
-    if (product.location && product.location.lat != null && product.location.lng != null) {
-      enriched.distance_km = calculateDistance(
-        { lat: buyer.latitude, lng: buyer.longitude },
-        { lat: product.location.lat, lng: product.location.lng }
-      );
-    } else if (product.latitude != null && product.longitude != null) {
-      // Support both location object and direct lat/lng properties
-      enriched.distance_km = calculateDistance(
-        { lat: buyer.latitude, lng: buyer.longitude },
-        { lat: product.latitude, lng: product.longitude }
+  // Resolve product type, then calculate distance and shelf life for each product.
+  // Listings with an unknown product type have no shelf life to rank on, so they
+  // are dropped here and reported in stats.
+  const enrichedProducts = [];
+  products.forEach(product => {
+    let enriched = { ...product };
+    let productType = null;
+    
+    // Look up shelf life data from the catalog if the product doesn't carry it
+    if (productTypeIndex && product.total_shelf_life_days == null && product.product_type_id != null) {
+      productType = findProductType(product, productTypeIndex);
+      if (productType) {
+        enriched = applyProductType(product, productType);
+        stats.resolved_product_types++;
+      } else {
+        stats.unknown_product_types++;
+        if (!stats.unknown_product_type_ids.includes(product.product_type_id)) {
+          stats.unknown_product_type_ids.push(product.product_type_id);
+        }
+        if (finalConfig.explain) {
+          const failure = {
+            filter: 'product_type',
+            reason: `Unknown product type (${product.product_type_id})`,
+            values: { product_type_id: product.product_type_id }
+          };
+          rejected.push(createRejection(product, [failure]));
+        }
+        return;
+      }
+    }
+    
+    // Storage tip for the buyer's storage capability
+    if (finalConfig.include_storage_tips) {
+      if (!productType && productTypeIndex && product.product_type_id != null) {
+        productType = findProductType(product, productTypeIndex);
+      }
+      enriched.storage_tip = getStorageTip(
+        product.storage_tips ? product : productType,
+        buyer.storage_condition,
+        enriched.storage_condition
       );
     }
     
-    // Calculate shelf life if product has required fields
-    if (product.total_shelf_life_days != null && 
-        product.days_already_used != null && 
-        product.listed_date) {
-      const shelfLife = calculateShelfLifeMetrics(product);
-      enriched.remaining_shelf_life_days = shelfLife.remaining_shelf_life_days;
-      enriched.freshness_percent = shelfLife.freshness_percent;
-      enriched.expiration_date = shelfLife.expiration_date;
-      enriched.is_expired = shelfLife.is_expired;
+    // Calculate distance if product has location, then shelf life.
+    // Bad coordinates or shelf life data follow config.on_invalid
+    try {
+      if (spatialIndex && spatialIndex.has(product)) {
+        // Indexed products outside the radius never reach the proximity filter
+        if (!indexedDistances.has(product)) {
+          stats.spatial_index.pruned++;
+          if (finalConfig.explain) {
+            const location = product.location || { lat: product.latitude, lng: product.longitude };
+            const distance = calculateDistance({ lat: buyer.latitude, lng: buyer.longitude }, location);
+            rejected.push(createRejection(product, [{
+              filter: 'proximity',
+              reason: `Beyond max radius (${distance}km > ${finalConfig.max_radius}km)`,
+              values: { distance_km: distance, max_radius_km: finalConfig.max_radius }
+            }]));
+          }
+          return;
+        }
+        enriched.distance_km = indexedDistances.get(product);
+      } else if (product.location && product.location.lat != null && product.location.lng != null) {
+        enriched.distance_km = calculateDistance(
+          { lat: buyer.latitude, lng: buyer.longitude },
+          { lat: product.location.lat, lng: product.location.lng }
+        );
+      } else if (product.latitude != null && product.longitude != null) {
+        // Support both location object and direct lat/lng properties
+        enriched.distance_km = calculateDistance(
+          { lat: buyer.latitude, lng: buyer.longitude },
+          { lat: product.latitude, lng: product.longitude }
+        );
+      }
+    
+      // Calculate shelf life if product has required fields
+      // (a storage history replaces days_already_used)
+      if (enriched.total_shelf_life_days != null && 
+          (enriched.days_already_used != null || enriched.storage_history) && 
+          enriched.listed_date) {
+        const shelfLife = calculateShelfLifeMetrics(enriched, now, {
+          climate: finalConfig.climate,
+          temperature: toTemperatureOptions(finalConfig.temperature_model)
+        });
+        enriched.remaining_shelf_life_days = shelfLife.remaining_shelf_life_days;
+        enriched.freshness_percent = shelfLife.freshness_percent;
+        enriched.expiration_date = shelfLife.expiration_date;
+        enriched.is_expired = shelfLife.is_expired;
+        enriched.expiration_range = shelfLife.expiration_range;
+        if (shelfLife.storage_phases) {
+          enriched.storage_phases = shelfLife.storage_phases;
+        }
+        if (shelfLife.climate_adjustment) {
+          enriched.climate_adjustment = shelfLife.climate_adjustment;
+        }
+        if (shelfLife.temperature_profile) {
+          enriched.temperature_profile = shelfLife.temperature_profile;
+          enriched.temperature_abuse = shelfLife.temperature_abuse;
+          stats.temperature_logged = (stats.temperature_logged || 0) + 1;
+          if (shelfLife.temperature_abuse) {
+            stats.temperature_abuse = (stats.temperature_abuse || 0) + 1;
+          }
+        }
+      }
+    } catch (error) {
+      if (!lenient) {
+        throw error;
+      }
+      dropInvalid(product, 'enrichment', [invalidFailure(error)]);
+      return;
     }
     
-    return enriched;
+    enrichedProducts.push(enriched);
   });
   
   stats.enriched_products = enrichedProducts.length;
   
   // STEP 2: FILTERING
   // Apply buyer constraints (max radius, min freshness, storage condition)
+  // Expiration filtering needs shelf life data on every product, so it only runs
+  // when an expiry policy is configured
   const filterConfig = {
-    filterExpired: false, // Disable expiration filtering (products may not have all required fields)
+    filterExpired: finalConfig.expiry_policy != null,
     maxRadiusKm: finalConfig.max_radius,
-    minFreshnessPercent: finalConfig.min_freshness_score
+    minFreshnessPercent: finalConfig.min_freshness_score,
+    currentDate: now
   };
+  if (finalConfig.expiry_policy != null) {
+    filterConfig.expiryPolicy = finalConfig.expiry_policy;
+  }
+  
+  // Products a filter cannot evaluate come back quarantined and follow config.on_invalid
+  if (lenient) {
+    filterConfig.onInvalid = 'quarantine';
+  }
   
   // Add storage condition from buyer if available
   if (buyer.storage_condition) {
-    filterConfig.storage_condition = buyer.storage_condition;
+    filterConfig.storageCondition = buyer.storage_condition;
   }
   
   const filterResult = productFilter.applyFilters(enrichedProducts, filterConfig);
-  const filteredProducts = filterResult.filtered;
-  stats.filtered_products = filteredProducts.length;
+  let filteredProducts = filterResult.filtered;
   stats.filter_stats = filterResult.stats;
   
+  const invalid = new Set();
+  (filterResult.quarantined || []).forEach(entry => {
+    invalid.add(entry.product);
+    dropInvalid(entry.product, entry.stage, [invalidFailure(entry.error)]);
+  });
+  
+  // Ranking needs the data of every weighted factor (distance, freshness, price,
+  // unit price, rating, quantity, custom factors) on every product
+  if (lenient && finalConfig.mode === 'ranking') {
+    const factorWeights = toFactorWeights(finalConfig.weights);
+    const factorOptions = {
+      maxRadiusKm: finalConfig.max_radius || 50,
+      proximityDecay: validateProximityDecay(finalConfig.proximity_decay || 'linear'),
+      freshnessCurves: finalConfig.freshness_curves ? resolveFreshnessCurves(finalConfig.freshness_curves) : null,
+      customFactors,
+      priceNormalization: finalConfig.price_normalization || 'range'
+    };
+    filteredProducts = filteredProducts.filter(product => {
+      try {
+        validateFactorData(product, factorWeights, factorOptions);
+        return true;
+      } catch (error) {
+        if (!(error instanceof DataError)) {
+          throw error;
+        }
+        invalid.add(product);
+        dropInvalid(product, 'ranking', [invalidFailure(error)]);
+        return false;
+      }
+    });
+  }
+  stats.filtered_products = filteredProducts.length;
+  
+  if (finalConfig.explain) {
+    const kept = new Set(filteredProducts);
+    enrichedProducts
+      .filter(product => !kept.has(product) && !invalid.has(product))
+      .forEach(product => {
+        const check = productFilter.checkProductFilters(product, filterConfig);
+        rejected.push(createRejection(product, check.failures));
+      });
+  }
+  
   // STEP 3: DISPLAY/RANKING
   // Process products based on mode (ranking or filter)
   let finalProducts = [];
@@ -164,30 +524,59 @@ function chendaAlgorithm(buyer, products, config = {}) {
       }
     };
     
+    const factorWeights = toFactorWeights(finalConfig.weights);
+    const rankingOptions = isMultiFactorWeights(finalConfig.weights)
+      ? { factors: factorWeights, customFactors, priceNormalization: finalConfig.price_normalization || 'range' }
+      : { proximityWeight: factorWeights.proximity, freshnessWeight: factorWeights.freshness };
+    if (finalConfig.proximity_decay) {
+      rankingOptions.proximityDecay = finalConfig.proximity_decay;
+    }
+    if (finalConfig.freshness_curves) {
+      rankingOptions.freshnessCurves = resolveFreshnessCurves(finalConfig.freshness_curves);
+    }
+    if (finalConfig.explain) {
+      rankingOptions.includeBreakdown = true;
+    }
+    
     finalProducts = productRanker.scoreAndRankProducts(
       filteredProducts, 
       mockBuyer,
-      {
-        proximityWeight: (finalConfig.weights.proximity_weight * 100),
-        freshnessWeight: (finalConfig.weights.freshness_weight * 100)
-      }
+      rankingOptions
     );
   } else {
-    // Filter mode: sort by specified criterion
+    // Filter mode: sort by specified criterion; products missing a sort key
+    // whose placement is 'error' follow config.on_invalid
+    const sortQuarantine = [];
     finalProducts = productSorter.sortProducts(
       filteredProducts,
       finalConfig.sort_by,
-      finalConfig.sort_order
+      Array.isArray(finalConfig.sort_by)
+        ? userConfig.sort_order || profileConfig.sort_order || null
+        : finalConfig.sort_order,
+      {
+        expiryPolicy: finalConfig.expiry_policy || 'expected',
+        missing: finalConfig.sort_missing || 'error',
+        onInvalid: lenient ? 'quarantine' : 'throw',
+        quarantine: sortQuarantine
+      }
     );
+    sortQuarantine.forEach(entry => dropInvalid(entry.product, entry.stage, [invalidFailure(entry.error)]));
+  }
+  
+  if (finalConfig.explain) {
+    finalProducts = finalProducts.map(product => explainProduct(product, finalConfig));
   }
   
   stats.output_products = finalProducts.length;
+  if (finalConfig.validate_input || lenient) {
+    stats.invalid_products = invalidProducts;
+  }
   
   // Calculate execution time
   const executionTime = Date.now() - startTime;
   
   // STEP 4: RETURN RESULTS
-  return {
+  const result = {
     products: finalProducts,
     metadata: {
       execution_time_ms: executionTime,
@@ -195,6 +584,317 @@ function chendaAlgorithm(buyer, products, config = {}) {
       config: finalConfig
     }
   };
+  
+  if (finalConfig.validate_input === 'quarantine' || finalConfig.on_invalid === 'quarantine') {
+    result.metadata.quarantined = quarantined;
+  }
+  
+  if (finalConfig.explain) {
+    result.rejected = rejected;
+  }
+  
+  return result;
+}
+
+/**
+ * Throw if a schema validation result has errors
+ * @private
+ * @param {string} label - Object being validated, e.g. 'product 3'
+ * @param {Object} result - Result of validateUser or validateProduct
+ * @throws {ValidationError} Listing the field errors (code 'schema_violation'), with error.validation_errors
+ */
+function assertValid(label, result) {
+  if (result.valid) {
+    return;
+  }
+  const errors = result.errors.filter(error => error.severity === 'error');
+  const error = new ValidationError(
+    `Invalid input: ${label}: ${errors.map(entry => entry.message).join('; ')}`,
+    { code: 'schema_violation', field: errors[0] ? errors[0].field : null, value: errors[0] ? errors[0].value : null }
+  );
+  error.validation_errors = errors;
+  throw error;
+}
+
+/**
+ * Use a prebuilt spatial index or build one from the products
+ * @private
+ * @param {boolean|Object} option - true, { cell_size_km }, or an index from createSpatialIndex
+ * @param {Array<Object>} products - Products to index
+ * @param {boolean} lenient - Leave products with bad coordinates out of the index; they then
+ *   fail distance calculation during enrichment and follow config.on_invalid there
+ * @returns {Object} Spatial index
+ */
+function resolveSpatialIndex(option, products, lenient) {
+  if (typeof option === 'object' && typeof option.queryRadius === 'function') {
+    return option;
+  }
+  const cellSizeKm = typeof option === 'object' && option.cell_size_km != null
+    ? option.cell_size_km
+    : undefined;
+  return createSpatialIndex(products, { cellSizeKm, onInvalid: lenient ? 'skip' : 'throw' });
+}
+
+/**
+ * Build a rejection entry for explain mode
+ * @private
+ * @param {Object} product - Dropped product
+ * @param {Array<Object>} failures - Failed checks ({ filter, reason, values }), first one removed it
+ * @returns {Object} { product_id, seller_id, filter, reason, values, failures }
+ */
+function createRejection(product, failures) {
+  // A product dropped by the pipeline always fails at least one check;
+  // fall back to a generic entry rather than losing it from the report
+  const [first] = failures.length > 0
+    ? failures
+    : [{ filter: 'unknown', reason: 'Removed by filtering', values: {} }];
+  
+  return {
+    product_id: product.id,
+    seller_id: product.seller_id != null ? product.seller_id : null,
+    filter: first.filter,
+    reason: first.reason,
+    values: first.values,
+    failures
+  };
+}
+
+/**
+ * Attach an explanation to a returned product for explain mode
+ * @private
+ * @param {Object} product - Ranked or sorted product
+ * @param {Object} config - Final algorithm configuration
+ * @returns {Object} Product with explanation (score_breakdown folded in)
+ */
+function explainProduct(product, config) {
+  const { score_breakdown: breakdown, ...rest } = product;
+  
+  const explanation = {
+    raw_metrics: {
+      distance_km: product.distance_km != null ? product.distance_km : null,
+      freshness_percent: product.freshness_percent != null ? product.freshness_percent : null,
+      remaining_shelf_life_days: product.remaining_shelf_life_days != null ? product.remaining_shelf_life_days : null,
+      expiration_date: product.expiration_date || null,
+      price: product.price != null ? product.price : null,
+      storage_condition: product.storage_condition || null
+    }
+  };
+  
+  if (breakdown) {
+    explanation.factors = breakdown.factors;
+    explanation.combined_score = breakdown.combined_score;
+  } else {
+    explanation.sort_by = config.sort_by;
+    explanation.sort_order = config.sort_order;
+  }
+  
+  return { ...rest, explanation };
+}
+
+/**
+ * Resolve the evaluation date from config
+ * @private
+ * @param {Date|string|undefined} value - config.now
+ * @returns {Date} Evaluation date
+ * @throws {ValidationError} If value is not a valid Date or ISO 8601 string
+ */
+function resolveEvaluationDate(value) {
+  if (value == null) {
+    return new Date();
+  }
+  
+  let date;
+  if (value instanceof Date) {
+    date = new Date(value.getTime());
+  } else if (typeof value === 'string') {
+    date = new Date(value);
+  } else {
+    throw new ValidationError('now must be a Date object or ISO 8601 string', {
+      code: 'invalid_type', field: 'now', value: value
+    });
+  }
+  
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid now date: ${value}`, {
+      code: 'invalid_date', field: 'now', value: value
+    });
+  }
+  
+  return date;
+}
+
+/**
+ * Check whether a buyer is a stored user object (userSchema) rather than
+ * the flat {latitude, longitude} buyer format
+ * @private
+ */
+function isStoredUser(buyer) {
+  return Boolean(buyer) &&
+    typeof buyer.latitude !== 'number' &&
+    buyer.location != null &&
+    typeof buyer.location === 'object';
+}
+
+/**
+ * Resolve config.freshness_curves to a curve map keyed by category_id
+ * @private
+ */
+function resolveFreshnessCurves(curves) {
+  if (curves === 'category_defaults') {
+    return DEFAULT_CATEGORY_CURVES;
+  }
+  return validateFreshnessCurves(curves);
+}
+
+/**
+ * Convert config.temperature_model to calculateShelfLifeMetrics temperature options
+ * @private
+ */
+function toTemperatureOptions(temperatureModel) {
+  if (!temperatureModel) {
+    return {};
+  }
+  return {
+    model: temperatureModel.model,
+    q10: temperatureModel.q10,
+    activationEnergy: temperatureModel.activation_energy_kj_mol,
+    abuseThresholdC: temperatureModel.abuse_threshold_c
+  };
+}
+
+/**
+ * Check whether a weight set names factors beyond proximity and freshness
+ * @private
+ */
+function isMultiFactorWeights(weights) {
+  return Boolean(weights) &&
+    Object.keys(weights).some(key => !TWO_FACTOR_WEIGHTS.includes(key));
+}
+
+/**
+ * Convert config weights (price_weight: 0.2) to ranker factor weights (price: 20)
+ * @private
+ * Weights are rounded to 2 decimals; when the config weights sum to 1 the largest
+ * one absorbs the rounding so the set still sums to exactly 100 (1/3 each → 33.33,
+ * 33.33, 33.34). Sets that do not sum to 1 are left for the ranker to reject.
+ */
+function toFactorWeights(weights) {
+  const factors = {};
+  let rawSum = 0;
+  for (const [key, value] of Object.entries(weights)) {
+    factors[key.replace(/_weight$/, '')] = Number((value * 100).toFixed(2));
+    rawSum += value * 100;
+  }
+  
+  const names = Object.keys(factors);
+  if (names.length > 0 && Math.abs(rawSum - 100) <= 1e-9) {
+    const largest = names.reduce((max, name) => (factors[name] > factors[max] ? name : max));
+    const others = names
+      .filter(name => name !== largest)
+      .reduce((sum, name) => sum + factors[name], 0);
+    factors[largest] = Number((100 - others).toFixed(2));
+  }
+  return factors;
+}
+
+/**
+ * Convert a stored user object into the buyer format used by chendaAlgorithm
+ * 
+ * @param {Object} user - User object (see userSchema in data_structures.js)
+ * @returns {Object} Buyer with latitude, longitude and storage_condition
+ * @throws {ValidationError} If the user has no valid location
+ * 
+ * @example
+ * const buyer = createBuyerFromUser(mockUsers[0]);
+ * // Returns: { id: 1, latitude: 14.5995, longitude: 120.9842 }
+ */
+function createBuyerFromUser(user) {
+  if (!user || !user.location ||
+      typeof user.location.lat !== 'number' || typeof user.location.lng !== 'number') {
+    throw new ValidationError('Invalid user object: must have location.lat and location.lng', {
+      code: 'invalid_value', field: 'user.location', value: null
+    });
+  }
+  
+  const buyer = {
+    id: user.id,
+    latitude: user.location.lat,
+    longitude: user.location.lng
+  };
+  
+  if (user.storage_condition) {
+    buyer.storage_condition = user.storage_condition;
+  }
+  
+  return buyer;
+}
+
+/**
+ * Derive algorithm configuration from stored user preferences
+ * Weights are converted from 0-100 to 0-1 and display_mode 'filter_sort' maps to 'filter'
+ * (sorted by price, ascending). Preferences that are missing or null are left to the
+ * algorithm defaults.
+ * 
+ * @param {Object} user - User object (see userSchema in data_structures.js)
+ * @returns {Object} Validated configuration (see createConfig)
+ * @throws {ValidationError} If user is not an object
+ * @throws {ConfigurationError} If a preference is invalid
+ * 
+ * @example
+ * const config = createConfigFromUser(mockUsers[0]);
+ * // Returns: {
+ * //   max_radius: 30,
+ * //   weights: { proximity_weight: 0.6, freshness_weight: 0.4 },
+ * //   min_freshness_score: 50,
+ * //   mode: 'ranking'
+ * // }
+ */
+function createConfigFromUser(user) {
+  if (!user || typeof user !== 'object') {
+    throw new ValidationError('user must be an object', {
+      code: 'invalid_type', field: 'user', value: null
+    });
+  }
+  
+  const preferences = user.preferences || {};
+  const options = {};
+  
+  if (preferences.max_radius_km != null) {
+    options.max_radius = preferences.max_radius_km;
+  }
+  
+  const weights = {};
+  if (preferences.proximity_weight != null) {
+    weights.proximity_weight = preferences.proximity_weight / 100;
+  }
+  if (preferences.shelf_life_weight != null) {
+    weights.freshness_weight = preferences.shelf_life_weight / 100;
+  }
+  if (Object.keys(weights).length > 0) {
+    options.weights = weights;
+  }
+  
+  if (preferences.min_freshness_percent != null) {
+    options.min_freshness_score = preferences.min_freshness_percent;
+  }
+  
+  if (preferences.display_mode) {
+    const modeMap = { ranking: 'ranking', filter_sort: 'filter', filter: 'filter' };
+    if (!modeMap[preferences.display_mode]) {
+      throw new ConfigurationError(`Invalid display_mode: ${preferences.display_mode}`, {
+        code: 'invalid_option', field: 'preferences.display_mode', value: preferences.display_mode
+      });
+    }
+    options.mode = modeMap[preferences.display_mode];
+    
+    // Products aren't scored in filter mode; sort like filterAndSortMode does by default
+    if (options.mode === 'filter') {
+      options.sort_by = 'price';
+      options.sort_order = 'asc';
+    }
+  }
+  
+  return createConfig(options);
 }
 
 /**
@@ -202,6 +902,7 @@ function chendaAlgorithm(buyer, products, config = {}) {
  * 
  * @param {Object} options - Configuration options
  * @returns {Object} Validated configuration object
+ * @throws {ConfigurationError} If an option is invalid (error.field names the option)
  */
 function createConfig(options = {}) {
   const config = {};
@@ -209,7 +910,9 @@ function createConfig(options = {}) {
   // Max radius validation
   if (options.max_radius != null) {
     if (typeof options.max_radius !== 'number' || options.max_radius < 0) {
-      throw new Error('max_radius must be a non-negative number');
+      throw new ConfigurationError('max_radius must be a non-negative number', {
+        code: 'invalid_option', field: 'max_radius', value: options.max_radius
+      });
     }
     config.max_radius = options.max_radius;
   }
@@ -217,17 +920,23 @@ function createConfig(options = {}) {
   // Weights validation
   if (options.weights) {
     if (typeof options.weights !== 'object') {
-      throw new Error('weights must be an object');
+      throw new ConfigurationError('weights must be an object', {
+        code: 'invalid_option', field: 'weights', value: options.weights
+      });
     }
     
-    const validWeights = ['proximity_weight', 'freshness_weight'];
+    const validWeights = getFactorNames(options.custom_factors).map(name => `${name}_weight`);
     for (const key of Object.keys(options.weights)) {
       if (!validWeights.includes(key)) {
-        throw new Error(`Invalid weight key: ${key}`);
+        throw new ConfigurationError(`Invalid weight key: ${key}`, {
+          code: 'invalid_option', field: `weights.${key}`, value: key
+        });
       }
       const value = options.weights[key];
       if (typeof value !== 'number' || value < 0 || value > 1) {
-        throw new Error(`${key} must be a number between 0 and 1`);
+        throw new ConfigurationError(`${key} must be a number between 0 and 1`, {
+          code: 'invalid_option', field: `weights.${key}`, value: value
+        });
       }
     }
     config.weights = options.weights;
@@ -238,7 +947,9 @@ function createConfig(options = {}) {
     if (typeof options.min_freshness_score !== 'number' || 
         options.min_freshness_score < 0 || 
         options.min_freshness_score > 100) {
-      throw new Error('min_freshness_score must be a number between 0 and 100');
+      throw new ConfigurationError('min_freshness_score must be a number between 0 and 100', {
+        code: 'invalid_option', field: 'min_freshness_score', value: options.min_freshness_score
+      });
     }
     config.min_freshness_score = options.min_freshness_score;
   }
@@ -247,38 +958,225 @@ function createConfig(options = {}) {
   if (options.mode) {
     const validModes = ['ranking', 'filter'];
     if (!validModes.includes(options.mode)) {
-      throw new Error(`mode must be one of: ${validModes.join(', ')}`);
+      throw new ConfigurationError(`mode must be one of: ${validModes.join(', ')}`, {
+        code: 'invalid_option', field: 'mode', value: options.mode
+      });
     }
     config.mode = options.mode;
   }
   
-  // Sort criterion validation
+  // Sort criterion validation (one criterion or a list of sort keys)
+  const validOrders = ['asc', 'desc'];
   if (options.sort_by) {
     const validCriteria = ['price', 'distance', 'freshness', 'score', 'expiration'];
-    if (!validCriteria.includes(options.sort_by)) {
-      throw new Error(`sort_by must be one of: ${validCriteria.join(', ')}`);
+    const keys = Array.isArray(options.sort_by) ? options.sort_by : [options.sort_by];
+    if (keys.length === 0) {
+      throw new ConfigurationError('sort_by must name at least one sort key', {
+        code: 'invalid_sort', field: 'sort_by', value: options.sort_by
+      });
     }
+    keys.forEach((key, index) => {
+      const spec = key && typeof key === 'object' ? key : { by: key };
+      const field = Array.isArray(options.sort_by) ? `sort_by[${index}]` : 'sort_by';
+      if (!validCriteria.includes(spec.by)) {
+        throw new ConfigurationError(`sort_by must be one of: ${validCriteria.join(', ')}`, {
+          code: 'invalid_sort', field, value: spec.by
+        });
+      }
+      if (spec.order != null && !validOrders.includes(spec.order)) {
+        throw new ConfigurationError(`${field}.order must be one of: ${validOrders.join(', ')}`, {
+          code: 'invalid_sort', field: `${field}.order`, value: spec.order
+        });
+      }
+      if (spec.missing != null && !productSorter.MISSING_PLACEMENTS.includes(spec.missing)) {
+        throw new ConfigurationError(`${field}.missing must be one of: ${productSorter.MISSING_PLACEMENTS.join(', ')}`, {
+          code: 'invalid_sort', field: `${field}.missing`, value: spec.missing
+        });
+      }
+    });
     config.sort_by = options.sort_by;
   }
   
   // Sort order validation
   if (options.sort_order) {
-    const validOrders = ['asc', 'desc'];
     if (!validOrders.includes(options.sort_order)) {
-      throw new Error(`sort_order must be one of: ${validOrders.join(', ')}`);
+      throw new ConfigurationError(`sort_order must be one of: ${validOrders.join(', ')}`, {
+        code: 'invalid_sort', field: 'sort_order', value: options.sort_order
+      });
     }
     config.sort_order = options.sort_order;
   }
   
+  // Missing sort value placement validation
+  if (options.sort_missing != null) {
+    if (!productSorter.MISSING_PLACEMENTS.includes(options.sort_missing)) {
+      throw new ConfigurationError(`sort_missing must be one of: ${productSorter.MISSING_PLACEMENTS.join(', ')}`, {
+        code: 'invalid_sort', field: 'sort_missing', value: options.sort_missing
+      });
+    }
+    config.sort_missing = options.sort_missing;
+  }
+  
   // Weight preset validation
   if (options.weight_preset) {
     const presets = productRanker.getWeightPresets();
     if (!presets[options.weight_preset]) {
-      throw new Error(`Invalid weight_preset: ${options.weight_preset}`);
+      throw new ConfigurationError(`Invalid weight_preset: ${options.weight_preset}`, {
+        code: 'invalid_option', field: 'weight_preset', value: options.weight_preset
+      });
     }
     config.weight_preset = options.weight_preset;
   }
   
+  // Evaluation date validation
+  if (options.now != null) {
+    config.now = resolveEvaluationDate(options.now).toISOString();
+  }
+  
+  // Product type catalog validation
+  if (options.product_types != null) {
+    if (!Array.isArray(options.product_types)) {
+      throw new ConfigurationError('product_types must be an array', {
+        code: 'invalid_option', field: 'product_types', value: null
+      });
+    }
+    config.product_types = options.product_types;
+  }
+  
+  // Spatial index validation
+  if (options.spatial_index != null) {
+    const option = options.spatial_index;
+    const isIndex = typeof option === 'object' && typeof option.queryRadius === 'function';
+    if (typeof option !== 'boolean' && (typeof option !== 'object' || option === null)) {
+      throw new ConfigurationError('spatial_index must be a boolean, an options object or a spatial index', {
+        code: 'invalid_option', field: 'spatial_index', value: option
+      });
+    }
+    if (!isIndex && typeof option === 'object' && option.cell_size_km != null &&
+        (typeof option.cell_size_km !== 'number' || option.cell_size_km <= 0)) {
+      throw new ConfigurationError('spatial_index.cell_size_km must be a positive number', {
+        code: 'invalid_option', field: 'spatial_index.cell_size_km', value: option.cell_size_km
+      });
+    }
+    config.spatial_index = option;
+  }
+  
+  // Climate profile validation
+  if (options.climate != null) {
+    validateClimateProfile(options.climate);
+    config.climate = options.climate;
+  }
+  
+  // Temperature model validation
+  if (options.temperature_model != null) {
+    const model = options.temperature_model;
+    if (typeof model !== 'object' || Array.isArray(model)) {
+      throw new ConfigurationError('temperature_model must be an object', {
+        code: 'invalid_option', field: 'temperature_model', value: null
+      });
+    }
+    if (model.model != null && !KINETIC_MODELS.includes(model.model)) {
+      throw new ConfigurationError(`temperature_model.model must be one of: ${KINETIC_MODELS.join(', ')}`, {
+        code: 'invalid_option', field: 'temperature_model.model', value: model.model
+      });
+    }
+    for (const key of ['q10', 'activation_energy_kj_mol']) {
+      if (model[key] != null && (typeof model[key] !== 'number' || model[key] <= 0)) {
+        throw new ConfigurationError(`temperature_model.${key} must be a positive number`, {
+          code: 'invalid_option', field: `temperature_model.${key}`, value: model[key]
+        });
+      }
+    }
+    if (model.abuse_threshold_c != null && typeof model.abuse_threshold_c !== 'number') {
+      throw new ConfigurationError('temperature_model.abuse_threshold_c must be a number', {
+        code: 'invalid_option', field: 'temperature_model.abuse_threshold_c', value: model.abuse_threshold_c
+      });
+    }
+    config.temperature_model = model;
+  }
+  
+  // Expiry policy validation
+  if (options.expiry_policy != null) {
+    config.expiry_policy = validateExpiryPolicy(options.expiry_policy);
+  }
+  
+  // Storage tips validation
+  if (options.include_storage_tips != null) {
+    if (typeof options.include_storage_tips !== 'boolean') {
+      throw new ConfigurationError('include_storage_tips must be a boolean', {
+        code: 'invalid_option', field: 'include_storage_tips', value: options.include_storage_tips
+      });
+    }
+    config.include_storage_tips = options.include_storage_tips;
+  }
+  
+  // Input validation and invalid product policies
+  if (options.validate_input != null) {
+    if (!INVALID_POLICIES.includes(options.validate_input)) {
+      throw new ConfigurationError(`Invalid validate_input: ${options.validate_input}. Must be one of: ${INVALID_POLICIES.join(', ')}`, {
+        code: 'invalid_option', field: 'validate_input', value: options.validate_input
+      });
+    }
+    config.validate_input = options.validate_input;
+  }
+  if (options.on_invalid != null) {
+    if (!INVALID_POLICIES.includes(options.on_invalid)) {
+      throw new ConfigurationError(`Invalid on_invalid: ${options.on_invalid}. Must be one of: ${INVALID_POLICIES.join(', ')}`, {
+        code: 'invalid_option', field: 'on_invalid', value: options.on_invalid
+      });
+    }
+    config.on_invalid = options.on_invalid;
+  }
+  
+  // Explain mode validation
+  if (options.explain != null) {
+    if (typeof options.explain !== 'boolean') {
+      throw new ConfigurationError('explain must be a boolean', {
+        code: 'invalid_option', field: 'explain', value: options.explain
+      });
+    }
+    config.explain = options.explain;
+  }
+  
+  // Proximity decay validation
+  if (options.proximity_decay != null) {
+    config.proximity_decay = validateProximityDecay(options.proximity_decay);
+  }
+  
+  // Freshness curve validation
+  if (options.freshness_curves != null) {
+    resolveFreshnessCurves(options.freshness_curves);
+    config.freshness_curves = options.freshness_curves;
+  }
+  
+  // Price normalization validation
+  if (options.price_normalization != null) {
+    if (!PRICE_NORMALIZATIONS.includes(options.price_normalization)) {
+      throw new ConfigurationError(
+        `Invalid price_normalization: ${options.price_normalization}. Must be one of: ${PRICE_NORMALIZATIONS.join(', ')}`,
+        { code: 'invalid_option', field: 'price_normalization', value: options.price_normalization }
+      );
+    }
+    config.price_normalization = options.price_normalization;
+  }
+  
+  // Custom scoring factor validation
+  if (options.custom_factors != null) {
+    if (typeof options.custom_factors !== 'object') {
+      throw new ConfigurationError('custom_factors must be an object', {
+        code: 'invalid_option', field: 'custom_factors', value: null
+      });
+    }
+    for (const [name, factor] of Object.entries(options.custom_factors)) {
+      if (!factor || typeof factor.normalize !== 'function') {
+        throw new ConfigurationError(`Custom factor ${name} must define a normalize function`, {
+          code: 'invalid_option', field: `custom_factors.${name}`, value: null
+        });
+      }
+    }
+    config.custom_factors = options.custom_factors;
+  }
+  
   return config;
 }
 
@@ -364,6 +1262,8 @@ function searchByFreshness(buyer, products, maxRadius = 10, minFreshness = 50) {
 module.exports = {
   chendaAlgorithm,
   createConfig,
+  createConfigFromUser,
+  createBuyerFromUser,
   quickSearch,
   searchByPrice,
   searchByDistance,
@@ -591,6 +1491,750 @@ if (require.main === module) {
     }
   });
   
+  // Test 13: Product type resolution from catalog
+  test('chendaAlgorithm should resolve product types from product_type_id', () => {
+    const catalog = [
+      { id: 21, name: 'Eggs', category_id: 7, default_shelf_life_days: 28, default_storage_condition: 'refrigerated' }
+    ];
+    const listings = [
+      { id: 10, product_type_id: 21, days_already_used: 5, listed_date: '2025-01-29T06:00:00Z', price: 180, location: { lat: 14.5580, lng: 120.9300 } },
+      { id: 11, product_type_id: 999, days_already_used: 1, listed_date: '2025-01-29T06:00:00Z', price: 50, location: { lat: 14.5580, lng: 120.9300 } }
+    ];
+    const result = chendaAlgorithm(mockBuyer, listings, { product_types: catalog, mode: 'filter', sort_by: 'price' });
+    const eggs = result.products.find(p => p.id === 10);
+    if (!eggs || eggs.total_shelf_life_days !== 28 || eggs.product_name !== 'Eggs') {
+      throw new Error('Product should be enriched from catalog');
+    }
+    if (eggs.freshness_percent == null) {
+      throw new Error('Resolved product should have freshness_percent');
+    }
+    const stats = result.metadata.stats;
+    if (stats.resolved_product_types !== 1 || stats.unknown_product_types !== 1) {
+      throw new Error('Stats should count resolved and unknown product types');
+    }
+    if (result.products.some(p => p.id === 11)) {
+      throw new Error('Product with unknown type should be excluded');
+    }
+    if (stats.unknown_product_type_ids[0] !== 999) {
+      throw new Error('Stats should list unknown product type ids');
+    }
+    if (result.metadata.config.product_types) {
+      throw new Error('Catalog should not be echoed in metadata config');
+    }
+  });
+  
+  // Test 14: Injectable evaluation date
+  test('chendaAlgorithm should evaluate freshness at config.now', () => {
+    const atListing = chendaAlgorithm(mockBuyer, mockProducts, { now: '2025-01-29T06:00:00Z', max_radius: 15 });
+    const weekLater = chendaAlgorithm(mockBuyer, mockProducts, { now: new Date('2025-02-05T06:00:00Z'), max_radius: 15 });
+    const milkAtListing = atListing.products.find(p => p.id === 1);
+    const milkWeekLater = weekLater.products.find(p => p.id === 1);
+    if (milkAtListing.remaining_shelf_life_days !== 6) {
+      throw new Error(`Expected 6 days remaining at listing, got ${milkAtListing.remaining_shelf_life_days}`);
+    }
+    if (milkWeekLater.remaining_shelf_life_days !== 0 || !milkWeekLater.is_expired) {
+      throw new Error('Milk should be expired a week after listing');
+    }
+    if (atListing.metadata.config.now !== '2025-01-29T06:00:00.000Z') {
+      throw new Error('Metadata should echo evaluation date as ISO string');
+    }
+  });
+  
+  // Test 15: Invalid evaluation date
+  test('chendaAlgorithm should reject invalid config.now', () => {
+    try {
+      chendaAlgorithm(mockBuyer, mockProducts, { now: 'not-a-date' });
+      throw new Error('Should reject invalid now');
+    } catch (error) {
+      if (!error.message.includes('Invalid now')) {
+        throw error;
+      }
+    }
+  });
+  
+  // Test 16: Config derived from stored user profile
+  test('createConfigFromUser should convert stored preferences', () => {
+    const config = createConfigFromUser({
+      location: { lat: 14.5794, lng: 121.0359 },
+      preferences: {
+        proximity_weight: 40,
+        shelf_life_weight: 60,
+        max_radius_km: 50,
+        min_freshness_percent: null,
+        display_mode: 'filter_sort'
+      }
+    });
+    if (config.weights.proximity_weight !== 0.4 || config.weights.freshness_weight !== 0.6) {
+      throw new Error('Weights should be converted to 0-1');
+    }
+    if (config.max_radius !== 50 || config.mode !== 'filter') {
+      throw new Error('Radius and mode should be derived from preferences');
+    }
+    if ('min_freshness_score' in config) {
+      throw new Error('Null min_freshness_percent should fall back to default');
+    }
+  });
+  
+  // Test 17: Stored user accepted as buyer, explicit config overrides
+  test('chendaAlgorithm should accept a stored user and let config override it', () => {
+    const storedUser = {
+      id: 1,
+      location: { lat: 14.5995, lng: 120.9842 },
+      storage_condition: 'refrigerated',
+      preferences: {
+        proximity_weight: 60,
+        shelf_life_weight: 40,
+        max_radius_km: 30,
+        min_freshness_percent: 10,
+        display_mode: 'ranking'
+      }
+    };
+    const derived = chendaAlgorithm(storedUser, mockProducts, { now: '2025-01-29T06:00:00Z' });
+    const config = derived.metadata.config;
+    if (config.max_radius !== 30 || config.weights.proximity_weight !== 0.6 || config.min_freshness_score !== 10) {
+      throw new Error('Config should be derived from stored user preferences');
+    }
+    const overridden = chendaAlgorithm(storedUser, mockProducts, { now: '2025-01-29T06:00:00Z', max_radius: 5 });
+    if (overridden.metadata.config.max_radius !== 5) {
+      throw new Error('Explicit config should override stored preferences');
+    }
+  });
+  
+  // Test 18: Extra scoring factors
+  test('chendaAlgorithm should rank on extra weighted factors', () => {
+    const result = chendaAlgorithm(mockBuyer, mockProducts, {
+      now: '2025-01-29T06:00:00Z',
+      weights: { proximity_weight: 0.2, freshness_weight: 0.2, price_weight: 0.6 }
+    });
+    const weights = result.metadata.config.weights;
+    if (Object.keys(weights).length !== 3) {
+      throw new Error('Multi-factor weights should not be merged with defaults');
+    }
+    if (result.products[0].price_score == null || !result.products[0].factor_scores) {
+      throw new Error('Products should carry price_score and factor_scores');
+    }
+    const cheapest = Math.min(...result.products.map(p => p.price));
+    if (result.products[0].price !== cheapest) {
+      throw new Error('Price-weighted ranking should favour the cheapest product');
+    }
+  });
+  
+  // Test 19: Custom factor weights
+  test('createConfig should accept weights for custom factors only when defined', () => {
+    const organic = { normalize: product => (product.organic ? 100 : 0) };
+    createConfig({ weights: { freshness_weight: 0.5, organic_weight: 0.5 }, custom_factors: { organic } });
+    try {
+      createConfig({ weights: { organic_weight: 0.5 } });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid weight key')) throw e;
+    }
+  });
+  
+  // Test 20: Proximity decay curve
+  test('chendaAlgorithm should apply config.proximity_decay when ranking', () => {
+    // All three listings are fresh on this date and 3.7-7.9km away, inside the
+    // 10km radius and the 20km step tier
+    const config = { now: '2025-01-29T06:00:00Z', max_radius: 10 };
+    const linear = chendaAlgorithm(mockBuyer, mockProducts, config);
+    const stepped = chendaAlgorithm(mockBuyer, mockProducts, {
+      ...config,
+      proximity_decay: { type: 'step', tiers: [{ max_km: 20, score: 100 }] }
+    });
+    if (linear.products.length !== 3 || stepped.products.length !== 3) {
+      throw new Error(`Expected all 3 products ranked, got ${linear.products.length} and ${stepped.products.length}`);
+    }
+    if (stepped.products.some(p => p.proximity_score !== 100)) {
+      throw new Error('Step decay should give every product in the tier 100');
+    }
+    if (linear.products.every(p => p.proximity_score === 100)) {
+      throw new Error('Linear decay should not score every product 100');
+    }
+    try {
+      createConfig({ proximity_decay: 'cubic' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid proximity decay type')) throw e;
+    }
+  });
+  
+  // Test 21: Category freshness curves
+  test('chendaAlgorithm should apply config.freshness_curves per category', () => {
+    const now = '2025-01-29T06:00:00Z';
+    const categorized = mockProducts.map(p => ({ ...p, category_id: 7 }));
+    const result = chendaAlgorithm(mockBuyer, categorized, {
+      now,
+      freshness_curves: { 7: { type: 'exponential', rate: 3 } }
+    });
+    for (const product of result.products) {
+      if (product.freshness_percent < 100 && product.freshness_score >= product.freshness_percent) {
+        throw new Error('Exponential curve should lower freshness scores');
+      }
+    }
+    createConfig({ freshness_curves: 'category_defaults' });
+    try {
+      createConfig({ freshness_curves: { 7: 'cubic' } });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid freshness curve type')) throw e;
+    }
+  });
+  
+  // Test 22: Explain mode
+  test('chendaAlgorithm should explain scores and rejections in explain mode', () => {
+    const result = chendaAlgorithm(mockBuyer, mockProducts, {
+      now: '2025-01-29T06:00:00Z',
+      max_radius: 6,
+      explain: true
+    });
+    for (const product of result.products) {
+      const { factors, raw_metrics } = product.explanation;
+      const total = factors.proximity.contribution + factors.freshness.contribution;
+      if (Math.abs(total - product.combined_score) > 0.02) {
+        throw new Error('Contributions should add up to combined_score');
+      }
+      if (raw_metrics.distance_km !== product.distance_km) {
+        throw new Error('Explanation should carry raw metrics');
+      }
+    }
+    if (result.rejected.length === 0) {
+      throw new Error('Products beyond 6km should be rejected');
+    }
+    if (result.rejected.length + result.products.length !== mockProducts.length) {
+      throw new Error('Every dropped product should be listed in rejected');
+    }
+    for (const entry of result.rejected) {
+      if (entry.filter !== 'proximity' || entry.values.max_radius_km !== 6) {
+        throw new Error(`Unexpected rejection: ${JSON.stringify(entry)}`);
+      }
+    }
+    if (chendaAlgorithm(mockBuyer, mockProducts).rejected) {
+      throw new Error('rejected should only be returned in explain mode');
+    }
+  });
+  
+  // Test 23: Spatial index
+  test('chendaAlgorithm should give identical results with spatial_index', () => {
+    const config = { now: '2025-01-29T06:00:00Z', max_radius: 6 };
+    const scanned = chendaAlgorithm(mockBuyer, mockProducts, config);
+    const indexed = chendaAlgorithm(mockBuyer, mockProducts, { ...config, spatial_index: true });
+    if (JSON.stringify(scanned.products) !== JSON.stringify(indexed.products)) {
+      throw new Error('Indexed search should return identical products');
+    }
+    const indexStats = indexed.metadata.stats.spatial_index;
+    if (indexStats.hits !== indexed.products.length || indexStats.pruned !== mockProducts.length - indexStats.hits) {
+      throw new Error(`Unexpected index stats ${JSON.stringify(indexStats)}`);
+    }
+    try {
+      createConfig({ spatial_index: 'yes' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('spatial_index must be')) throw e;
+    }
+  });
+  
+  // Test 24: Expiry policy
+  test('chendaAlgorithm should drop products expired under the expiry policy', () => {
+    const ranged = mockProducts.map(p => (p.id === 1 ? { ...p, min_shelf_life_days: 5, max_shelf_life_days: 9 } : p));
+    const config = { now: '2025-02-03T12:00:00Z', max_radius: 20 };
+    const unfiltered = chendaAlgorithm(mockBuyer, ranged, config);
+    const expected = chendaAlgorithm(mockBuyer, ranged, { ...config, expiry_policy: 'expected' });
+    const conservative = chendaAlgorithm(mockBuyer, ranged, { ...config, expiry_policy: 'conservative' });
+    if (!expected.products.some(p => p.id === 1)) throw new Error('Milk is within its expected shelf life');
+    if (conservative.products.some(p => p.id === 1)) throw new Error('Milk is past its USDA minimum');
+    if (conservative.metadata.stats.filter_stats.removedExpired !== 1) throw new Error('Should count 1 expired product');
+    const milk = unfiltered.products.find(p => p.id === 1);
+    if (!milk.expiration_range || milk.expiration_range.optimistic.shelf_life_days !== 9) {
+      throw new Error('Products should carry expiration_range');
+    }
+    try {
+      createConfig({ expiry_policy: { poultry: 'conservative' } });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid expiry policy key')) throw e;
+    }
+  });
+  
+  // Test 25: Shelf life per storage condition
+  test('chendaAlgorithm should use the shelf life of the listing storage condition', () => {
+    const catalog = [{
+      id: 50, name: 'Hot dogs', category_id: 9, default_shelf_life_days: 7,
+      default_storage_condition: 'refrigerated_opened',
+      shelf_life_by_condition: {
+        refrigerated_opened: { shelf_life_days: 7, min_shelf_life_days: 7, max_shelf_life_days: 7 },
+        refrigerated: { shelf_life_days: 14, min_shelf_life_days: 14, max_shelf_life_days: 14 }
+      }
+    }];
+    const listing = { product_type_id: 50, days_already_used: 0, listed_date: '2025-01-29T06:00:00Z', price: 90, location: { lat: 14.5580, lng: 120.9300 } };
+    const result = chendaAlgorithm(mockBuyer, [
+      { ...listing, id: 20, storage_condition: 'refrigerated_opened' },
+      { ...listing, id: 21, storage_condition: 'refrigerated' }
+    ], { product_types: catalog, now: '2025-01-29T06:00:00Z' });
+    const opened = result.products.find(p => p.id === 20);
+    const sealed = result.products.find(p => p.id === 21);
+    if (opened.total_shelf_life_days !== 7 || sealed.total_shelf_life_days !== 14) {
+      throw new Error(`Expected 7 and 14 days, got ${opened.total_shelf_life_days} and ${sealed.total_shelf_life_days}`);
+    }
+    if (sealed.shelf_life_condition !== 'refrigerated') throw new Error('shelf_life_condition should be refrigerated');
+  });
+  
+  // Test 26: Storage history
+  test('chendaAlgorithm should consume shelf life along the storage history', () => {
+    const catalog = [{
+      id: 134, name: 'Chicken nuggets, patties', category_id: 13, default_shelf_life_days: 60,
+      default_storage_condition: 'frozen_opened',
+      shelf_life_by_condition: {
+        frozen_opened: { shelf_life_days: 60, min_shelf_life_days: 30, max_shelf_life_days: 90 },
+        refrigerated_after_thawing: { shelf_life_days: 2, min_shelf_life_days: 1, max_shelf_life_days: 2 }
+      }
+    }];
+    const listing = {
+      id: 30,
+      product_type_id: 134,
+      listed_date: '2025-01-28T06:00:00Z',
+      price: 150,
+      location: { lat: 14.5580, lng: 120.9300 },
+      storage_history: [
+        { storage_condition: 'frozen_opened', started_at: '2024-12-29T06:00:00Z' },
+        { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-28T06:00:00Z' }
+      ]
+    };
+    const result = chendaAlgorithm(mockBuyer, [listing], { product_types: catalog, now: '2025-01-29T06:00:00Z' });
+    const nuggets = result.products[0];
+    if (!nuggets || nuggets.freshness_percent !== 50 || nuggets.remaining_shelf_life_days !== 1) {
+      throw new Error(`Expected 50% / 1 day, got ${nuggets && nuggets.freshness_percent}`);
+    }
+    if (nuggets.storage_phases.length !== 2) throw new Error('storage_phases should list both phases');
+  });
+  
+  // Test 27: Climate adjustment
+  test('chendaAlgorithm should shorten pantry shelf life for the climate', () => {
+    const listings = [
+      { id: 40, name: 'Bread', price: 60, location: { lat: 14.5580, lng: 120.9300 }, storage_condition: 'pantry',
+        total_shelf_life_days: 10, days_already_used: 0, listed_date: '2025-01-29T06:00:00Z' },
+      { id: 41, name: 'Cheese', price: 250, location: { lat: 14.5580, lng: 120.9300 }, storage_condition: 'refrigerated',
+        total_shelf_life_days: 10, days_already_used: 0, listed_date: '2025-01-29T06:00:00Z' }
+    ];
+    const config = { now: '2025-02-02T06:00:00Z', mode: 'filter', sort_by: 'freshness' };
+    const reference = chendaAlgorithm(mockBuyer, listings, config);
+    const manila = chendaAlgorithm(mockBuyer, listings, { ...config, climate: { multiplier: 0.5 } });
+    const bread = manila.products.find(p => p.id === 40);
+    if (reference.products.find(p => p.id === 40).freshness_percent !== 60) throw new Error('Reference bread should be 60% fresh');
+    if (bread.freshness_percent !== 20 || bread.climate_adjustment.unadjusted.freshness_percent !== 60) {
+      throw new Error(`Expected 20% adjusted / 60% unadjusted, got ${bread.freshness_percent}`);
+    }
+    if (manila.products.find(p => p.id === 41).climate_adjustment) throw new Error('Refrigerated goods should not be adjusted');
+    if (manila.products[0].id !== 41) throw new Error('Cheese should now rank fresher than bread');
+    try {
+      createConfig({ climate: 'tropical' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid climate preset')) throw e;
+    }
+  });
+  
+  // Test 28: Temperature log
+  test('chendaAlgorithm should rank with logged temperatures and flag abuse', () => {
+    const milk = {
+      name: 'Fresh Milk', price: 2.50, location: { lat: 14.5580, lng: 120.9300 },
+      storage_condition: 'refrigerated_opened', total_shelf_life_days: 7, days_already_used: 1,
+      listed_date: '2025-01-29T06:00:00Z'
+    };
+    const abusedLog = JSON.stringify([
+      { timestamp: '2025-01-29T06:00:00Z', temperature_c: 4 },
+      { timestamp: '2025-01-29T18:00:00Z', temperature_c: 24 },
+      { timestamp: '2025-01-30T06:00:00Z', temperature_c: 4 }
+    ]);
+    const result = chendaAlgorithm(mockBuyer, [
+      { ...milk, id: 50, temperature_log: abusedLog },
+      { ...milk, id: 51 }
+    ], { now: '2025-01-31T06:00:00Z', weights: { proximity_weight: 0, freshness_weight: 1 } });
+    const [first, second] = result.products;
+    if (first.id !== 51 || second.id !== 50) throw new Error('Abused milk should rank below untouched milk');
+    if (!second.temperature_abuse || second.temperature_profile.kinetic_excess_days !== 1.5) {
+      throw new Error(`Expected abuse flag and 1.5 excess days, got ${JSON.stringify(second.temperature_profile)}`);
+    }
+    if (result.metadata.stats.temperature_abuse !== 1) throw new Error('Stats should count abused products');
+    try {
+      createConfig({ temperature_model: { model: 'linear' } });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('temperature_model.model')) throw e;
+    }
+  });
+  
+  // Test 29: Storage tips
+  test('chendaAlgorithm should include the storage tip for the buyer storage', () => {
+    const productTypes = require('../product-management/product-types.json');
+    const garlic = {
+      id: 60, product_type_id: 285, price: 40, location: { lat: 14.5580, lng: 120.9300 },
+      storage_condition: 'refrigerated_opened', days_already_used: 0, listed_date: '2025-01-29T06:00:00Z'
+    };
+    const config = { now: '2025-01-30T06:00:00Z', product_types: productTypes, include_storage_tips: true };
+    
+    const fridge = chendaAlgorithm({ ...mockBuyer, storage_condition: 'refrigerated' }, [garlic], config);
+    const pantry = chendaAlgorithm({ ...mockBuyer, storage_condition: 'room_temp' }, [
+      { ...garlic, storage_condition: 'pantry' }
+    ], config);
+    if (fridge.products[0].storage_tip.tip !== 'Store individual cloves in refrigerator.') {
+      throw new Error(`Expected fridge tip, got ${JSON.stringify(fridge.products[0].storage_tip)}`);
+    }
+    if (pantry.products[0].storage_tip.storage_condition !== 'pantry') throw new Error('Expected pantry tip');
+    
+    const withoutTips = chendaAlgorithm(mockBuyer, [garlic], { ...config, include_storage_tips: false });
+    if ('storage_tip' in withoutTips.products[0]) throw new Error('Tips should be opt-in');
+    const listingTips = chendaAlgorithm(mockBuyer, [{
+      ...garlic, product_type_id: undefined, total_shelf_life_days: 10,
+      storage_tips: { refrigerated_opened: 'Keep dry.' }
+    }], config);
+    if (listingTips.products[0].storage_tip.tip !== 'Keep dry.') throw new Error('Listing tips should be used');
+    try {
+      createConfig({ include_storage_tips: 'yes' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('include_storage_tips must be a boolean')) throw e;
+    }
+  });
+  
+  // Test 30: Input validation pre-stage
+  test('chendaAlgorithm should validate input against the schemas', () => {
+    const productTypes = require('../product-management/product-types.json');
+    const { mockUsers: storedUsers, mockProducts: storedProducts } = require('../product-display/mock_data.js');
+    const config = { now: '2025-01-30T06:00:00Z', product_types: productTypes };
+    const broken = [
+      { ...storedProducts[0], id: 101, price: 0 },
+      { ...storedProducts[1], id: 102, listed_date: '2025-02-15T00:00:00Z' }
+    ];
+    
+    const clean = chendaAlgorithm(storedUsers[0], storedProducts, { ...config, validate_input: 'throw' });
+    if (clean.metadata.stats.invalid_products !== 0) throw new Error('Mock data should validate');
+    
+    const skipped = chendaAlgorithm(storedUsers[0], [...storedProducts, ...broken], {
+      ...config, validate_input: 'skip', explain: true
+    });
+    if (skipped.metadata.stats.invalid_products !== 2) throw new Error('Should count 2 invalid products');
+    if (skipped.metadata.stats.input_products !== storedProducts.length + 2) throw new Error('Input count should include invalid products');
+    const rejection = skipped.rejected.find(entry => entry.product_id === 101);
+    if (!rejection || rejection.filter !== 'validation' || rejection.values.field !== 'price') {
+      throw new Error(`Unexpected rejection: ${JSON.stringify(rejection)}`);
+    }
+    
+    try {
+      chendaAlgorithm(storedUsers[0], broken, { ...config, validate_input: 'throw' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid input: product 101: price: Must be > 0')) throw e;
+      if (e.validation_errors[0].field !== 'price') throw new Error('Should attach field errors');
+    }
+    const badUser = { ...storedUsers[0], preferences: { ...storedUsers[0].preferences, proximity_weight: 90 } };
+    try {
+      chendaAlgorithm(badUser, storedProducts, { ...config, validate_input: 'skip' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Must sum to 100')) throw e;
+    }
+    try {
+      createConfig({ validate_input: 'warn' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid validate_input')) throw e;
+    }
+  });
+  
+  // Test 31: Invalid product policy
+  test('chendaAlgorithm should skip or quarantine malformed products', () => {
+    const config = { now: '2025-01-30T06:00:00Z', expiry_policy: 'expected' };
+    const listing = {
+      total_shelf_life_days: 7, days_already_used: 1, listed_date: '2025-01-29T06:00:00Z',
+      location: { lat: 14.5580, lng: 120.9300 }, price: 50
+    };
+    const products = [
+      { ...listing, id: 1 },
+      { ...listing, id: 2, location: { lat: 140, lng: 120.9300 } },  // Bad latitude
+      { ...listing, id: 3, listed_date: undefined },                 // No shelf life, no expiration_date
+      { ...listing, id: 4, location: undefined },                    // No distance
+      { ...listing, id: 5, days_already_used: 2 }
+    ];
+    
+    try {
+      chendaAlgorithm(mockBuyer, products, config);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('lat')) throw e;
+    }
+    
+    const skipped = chendaAlgorithm(mockBuyer, products, { ...config, on_invalid: 'skip' });
+    if (skipped.products.map(p => p.id).join() !== '1,5') throw new Error(`Got ${skipped.products.map(p => p.id)}`);
+    if (skipped.metadata.stats.invalid_products !== 3) throw new Error('Should count 3 invalid products');
+    if ('quarantined' in skipped.metadata) throw new Error('Skip should not list products');
+    
+    const result = chendaAlgorithm(mockBuyer, products, { ...config, on_invalid: 'quarantine', explain: true });
+    const stages = result.metadata.quarantined.map(entry => `${entry.product.id}:${entry.stage}`).join();
+    if (stages !== '2:enrichment,3:expiration,4:proximity') throw new Error(`Got ${stages}`);
+    const [expiryError] = result.metadata.quarantined[1].errors;
+    if (expiryError.message !== 'Product 3 missing expiration_date' || expiryError.code !== 'missing_field') {
+      throw new Error(`Unexpected errors: ${JSON.stringify(result.metadata.quarantined[1].errors)}`);
+    }
+    const explained = result.rejected.find(entry => entry.product_id === 3);
+    if (explained.values.code !== 'missing_field' || explained.values.field !== 'expiration_date') {
+      throw new Error(`Explain should keep error details, got ${JSON.stringify(explained.values)}`);
+    }
+    if (result.products.length !== 2 || result.rejected.filter(entry => entry.filter === 'invalid').length !== 3) {
+      throw new Error('Quarantined products should be rejected as invalid, the rest ranked');
+    }
+    
+    const ranking = chendaAlgorithm(mockBuyer, [products[0], products[2]], { now: config.now, on_invalid: 'quarantine' });
+    if (ranking.metadata.quarantined[0].stage !== 'ranking' || ranking.products.length !== 1) {
+      throw new Error('Products without freshness should be quarantined before ranking');
+    }
+    try {
+      createConfig({ on_invalid: 'ignore' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid on_invalid')) throw e;
+    }
+  });
+  
+  // Test 32: Error classes and codes
+  test('chendaAlgorithm should throw structured errors with stable codes', () => {
+    const expectError = (fn, ErrorClass, code, field) => {
+      try {
+        fn();
+      } catch (e) {
+        if (!(e instanceof ErrorClass) || e.code !== code || e.field !== field) {
+          throw new Error(`Expected ${ErrorClass.name} ${code} on ${field}, got ${e.name} ${e.code} on ${e.field}: ${e.message}`);
+        }
+        return e;
+      }
+      throw new Error('Should have thrown error');
+    };
+    
+    expectError(() => chendaAlgorithm({ id: 1 }, []), ValidationError, 'invalid_value', 'buyer');
+    expectError(() => chendaAlgorithm(mockBuyer, {}), ValidationError, 'invalid_type', 'products');
+    expectError(() => createConfig({ now: 'yesterday' }), ValidationError, 'invalid_date', 'now');
+    expectError(() => createConfig({ sort_by: 'rating' }), ConfigurationError, 'invalid_sort', 'sort_by');
+    const weight = expectError(() => createConfig({ weights: { proximity_weight: 2 } }),
+      ConfigurationError, 'invalid_option', 'weights.proximity_weight');
+    if (weight.value !== 2) throw new Error('Error should carry the offending value');
+    expectError(() => createConfig({ climate: 'tropical' }), ConfigurationError, 'invalid_option', 'climate');
+    expectError(() => createConfig({ proximity_decay: { type: 'cubic' } }), ConfigurationError, 'invalid_option', 'proximity_decay.type');
+    
+    const noLocation = { id: 9, listed_date: '2025-01-29T06:00:00Z', total_shelf_life_days: 7, days_already_used: 1 };
+    expectError(() => chendaAlgorithm(mockBuyer, [noLocation], { now: '2025-01-30T06:00:00Z' }),
+      DataError, 'missing_field', 'distance_km');
+    const schema = expectError(() => chendaAlgorithm(mockBuyer, [{ ...noLocation, price: -1 }], { validate_input: 'throw' }),
+      ValidationError, 'schema_violation', 'seller_id');
+    if (!schema.message.startsWith('Invalid input: product 9')) throw new Error(`Unexpected message: ${schema.message}`);
+    const logged = {
+      ...mockProducts[0],
+      storage_condition: 'refrigerated',
+      temperature_log: 'timestamp,temperature_c\n2025-01-29T06:00:00Z,warm'
+    };
+    expectError(() => chendaAlgorithm(mockBuyer, [logged], { now: '2025-01-30T06:00:00Z' }),
+      DataError, 'invalid_field', 'temperature_log');
+  });
+  
+  // Test 33: Unit price ranking
+  test('chendaAlgorithm should rank on unit price vs the product type median', () => {
+    const productTypes = require('../product-management/product-types.json');
+    const { mockUsers: storedUsers, mockProducts: storedProducts } = require('../product-display/mock_data.js');
+    const config = {
+      now: '2025-01-30T06:00:00Z',
+      product_types: productTypes,
+      max_radius: 50,
+      weights: { proximity_weight: 0.3, freshness_weight: 0.3, unit_price_weight: 0.4 },
+      price_normalization: 'type_median'
+    };
+    
+    const result = chendaAlgorithm(storedUsers[0], storedProducts, config);
+    const eggs = result.products
+      .filter(p => p.product_type_id === 21)
+      .sort((a, b) => calculateUnitPrice(a).unit_price - calculateUnitPrice(b).unit_price);
+    const scores = eggs.map(p => p.unit_price_score);
+    if (eggs.length < 2 || scores[0] <= 50 || scores[scores.length - 1] >= 50 ||
+        scores.some((score, i) => i > 0 && score >= scores[i - 1])) {
+      throw new Error(`Eggs cheaper per piece than the median should score above 50, got ${scores}`);
+    }
+    
+    const bushel = { ...storedProducts[1], id: 201, unit: 'bushels' };
+    const quarantined = chendaAlgorithm(storedUsers[0], [...storedProducts, bushel], { ...config, on_invalid: 'quarantine' });
+    const entry = quarantined.metadata.quarantined[0];
+    if (!entry || entry.product.id !== 201 || entry.stage !== 'ranking' || !entry.errors[0].message.includes('Unsupported unit')) {
+      throw new Error(`Unexpected quarantine: ${JSON.stringify(quarantined.metadata.quarantined)}`);
+    }
+    
+    try {
+      createConfig({ price_normalization: 'mean' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof ConfigurationError) || e.field !== 'price_normalization') throw e;
+    }
+  });
+  
+  // Test 34: Multi-key sorting in filter mode
+  test('chendaAlgorithm should sort on several keys with an id tie-breaker', () => {
+    const products = [
+      { ...mockProducts[0], id: 7, price: 2.00 },
+      { ...mockProducts[1], id: 5, price: 2.00 },
+      { ...mockProducts[2], id: 6, price: 2.00, days_already_used: 1 },
+      { ...mockProducts[2], id: 4, price: 2.00, days_already_used: 1 },
+      { ...mockProducts[0], id: 8, price: undefined }
+    ];
+    const config = {
+      now: '2025-01-29T06:00:00Z',
+      mode: 'filter',
+      sort_by: ['price', { by: 'freshness', order: 'desc' }],
+      sort_missing: 'last'
+    };
+    
+    const result = chendaAlgorithm(mockBuyer, products, config);
+    const ids = result.products.map(p => p.id).join();
+    if (ids !== '4,6,5,7,8') throw new Error(`Got ${ids}`);
+    
+    try {
+      chendaAlgorithm(mockBuyer, products, { ...config, sort_missing: undefined });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof DataError) || e.field !== 'price') throw e;
+    }
+    try {
+      createConfig({ sort_by: ['price', { by: 'distance', order: 'up' }] });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof ConfigurationError) || e.field !== 'sort_by[1].order') throw e;
+    }
+  });
+  
+  // Test 35: Spatial index with on_invalid
+  test('chendaAlgorithm should apply on_invalid to listings the spatial index rejects', () => {
+    const products = [
+      { ...mockProducts[0], id: 1 },
+      { ...mockProducts[0], id: 2, location: { lat: 200, lng: 120.9842 } },  // Bad latitude
+      { ...mockProducts[1], id: 3 }
+    ];
+    const config = { now: '2025-01-29T06:00:00Z', spatial_index: true };
+    
+    try {
+      chendaAlgorithm(mockBuyer, products, config);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid location for item 2')) throw e;
+    }
+    
+    const plain = chendaAlgorithm(mockBuyer, products, { ...config, spatial_index: false, on_invalid: 'skip' });
+    const skipped = chendaAlgorithm(mockBuyer, products, { ...config, on_invalid: 'skip' });
+    if (skipped.metadata.stats.invalid_products !== 1) throw new Error('Should count 1 invalid product');
+    if (skipped.metadata.stats.spatial_index.indexed !== 2) throw new Error('Bad listing should not be indexed');
+    if (skipped.products.map(p => p.id).join() !== plain.products.map(p => p.id).join()) {
+      throw new Error('Indexed and unindexed searches should agree');
+    }
+    
+    const quarantined = chendaAlgorithm(mockBuyer, products, { ...config, on_invalid: 'quarantine' });
+    const stages = quarantined.metadata.quarantined.map(entry => `${entry.product.id}:${entry.stage}`).join();
+    if (stages !== '2:enrichment') throw new Error(`Got ${stages}`);
+  });
+  
+  // Test 36: Weights that do not round to 2 decimals
+  test('chendaAlgorithm should accept thirds as weights', () => {
+    const config = { now: '2025-01-29T06:00:00Z', explain: true };
+    const thirds = chendaAlgorithm(mockBuyer, mockProducts, {
+      ...config,
+      weights: { proximity_weight: 1 / 3, freshness_weight: 1 / 3, price_weight: 1 / 3 }
+    });
+    if (thirds.products.length === 0) throw new Error('Expected ranked products');
+    const weights = Object.values(thirds.products[0].explanation.factors)
+      .map(factor => factor.weight).sort().join();
+    if (weights !== '33.33,33.33,33.34') throw new Error(`Got weights ${weights}`);
+    
+    const pair = chendaAlgorithm(mockBuyer, mockProducts, {
+      ...config,
+      weights: { proximity_weight: 1 / 3, freshness_weight: 2 / 3 }
+    });
+    if (pair.products.length === 0) throw new Error('Expected ranked products');
+  });
+  
+  // Test 37: Overriding one weight of a stored pair
+  test('chendaAlgorithm should rebalance the pair when one weight is overridden', () => {
+    const { mockUsers: storedUsers, mockProducts: storedProducts } = require('../product-display/mock_data.js');
+    const productTypes = require('../product-management/product-types.json');
+    const buyer = storedUsers.find(user => user.id === 1);  // Stored 60/40 weights
+    const config = { now: '2025-01-30T12:00:00Z', product_types: productTypes };
+    const result = chendaAlgorithm(buyer, storedProducts, { ...config, weights: { proximity_weight: 0.5 } });
+    const { weights } = result.metadata.config;
+    if (weights.proximity_weight !== 0.5 || weights.freshness_weight !== 0.5) {
+      throw new Error(`Got weights ${JSON.stringify(weights)}`);
+    }
+    if (result.products.length === 0) throw new Error('Expected ranked products');
+    
+    const fromFreshness = chendaAlgorithm(buyer, storedProducts, { ...config, weights: { freshness_weight: 0.7 } });
+    if (fromFreshness.metadata.config.weights.proximity_weight !== 0.3) throw new Error('Proximity should take the rest');
+  });
+  
+  // Test 38: Unknown listing storage condition
+  test('chendaAlgorithm should treat an unknown listing storage condition as invalid', () => {
+    const products = [
+      { ...mockProducts[0], id: 1, storage_condition: 'refrigerated' },
+      { ...mockProducts[1], id: 2, storage_condition: 'cellar' }
+    ];
+    const config = { now: '2025-01-29T06:00:00Z' };
+    
+    try {
+      chendaAlgorithm(mockBuyer, products, config);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof DataError) || e.field !== 'storage_condition' || e.value !== 'cellar') throw e;
+    }
+    
+    const skipped = chendaAlgorithm(mockBuyer, products, { ...config, on_invalid: 'skip' });
+    if (skipped.products.map(p => p.id).join() !== '1') throw new Error(`Got ${skipped.products.map(p => p.id)}`);
+    if (skipped.metadata.stats.invalid_products !== 1) throw new Error('Should count 1 invalid product');
+    
+    const quarantined = chendaAlgorithm(mockBuyer, products, { ...config, on_invalid: 'quarantine' });
+    const [entry] = quarantined.metadata.quarantined;
+    if (entry.product.id !== 2 || entry.stage !== 'storage' || entry.errors[0].code !== 'invalid_field') {
+      throw new Error(`Unexpected quarantine: ${JSON.stringify(quarantined.metadata.quarantined)}`);
+    }
+  });
+  
+  // Test 39: Listings missing weighted factor or sort data
+  test('chendaAlgorithm should quarantine listings without the price it ranks or sorts on', () => {
+    const products = [
+      { ...mockProducts[0], id: 1, price: 2.50 },
+      { ...mockProducts[1], id: 2, price: undefined },
+      { ...mockProducts[2], id: 3, price: 1.75 }
+    ];
+    const ranking = {
+      now: '2025-01-29T06:00:00Z',
+      weights: { proximity_weight: 0.4, freshness_weight: 0.4, price_weight: 0.2 }
+    };
+    const filter = { now: ranking.now, mode: 'filter', sort_by: 'price' };
+    
+    [ranking, filter].forEach(config => {
+      try {
+        chendaAlgorithm(mockBuyer, products, config);
+        throw new Error('Should have thrown error');
+      } catch (e) {
+        if (!(e instanceof DataError) || e.field !== 'price') throw e;
+      }
+    });
+    
+    const ranked = chendaAlgorithm(mockBuyer, products, { ...ranking, on_invalid: 'quarantine' });
+    const [rankEntry] = ranked.metadata.quarantined;
+    if (ranked.products.length !== 2 || ranked.metadata.quarantined.length !== 1 ||
+        rankEntry.product.id !== 2 || rankEntry.stage !== 'ranking' ||
+        rankEntry.errors[0].code !== 'missing_field' || rankEntry.errors[0].field !== 'price') {
+      throw new Error(`Unexpected ranking quarantine: ${JSON.stringify(ranked.metadata.quarantined)}`);
+    }
+    
+    const sorted = chendaAlgorithm(mockBuyer, products, { ...filter, on_invalid: 'quarantine' });
+    const [sortEntry] = sorted.metadata.quarantined;
+    if (sorted.products.map(p => p.id).join() !== '1,3' || sorted.metadata.quarantined.length !== 1 ||
+        sortEntry.product.id !== 2 || sortEntry.stage !== 'sorting' || sortEntry.errors[0].field !== 'price') {
+      throw new Error(`Unexpected sorting quarantine: ${JSON.stringify(sorted.metadata.quarantined)}`);
+    }
+    if (sorted.metadata.stats.invalid_products !== 1) throw new Error('Should count 1 invalid product');
+  });
+  
   // Summary
   console.log(`\n${'='.repeat(50)}`);
   console.log(`Total: ${passed + failed} tests`);
@@ -35,7 +35,7 @@ console.log('='.repeat(80));
 // SETUP: Enrich products with complete metrics
 // ============================================================================
 
-const currentDate = new Date('2026-02-06T12:00:00Z');
+const currentDate = new Date('2025-01-30T12:00:00Z');
 console.log(`Current date: ${currentDate.toISOString()}\n`);
 
 // Select a buyer for testing
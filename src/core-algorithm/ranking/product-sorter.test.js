@@ -6,6 +6,7 @@
  * - Ranking mode with real data
  * - Filter+sort mode with multiple criteria
  * - Mode toggling
+ * - Multi-key sorting with id tie-breaker
  * - Complete pipeline integration
  */
 
@@ -32,7 +33,7 @@ console.log('='.repeat(80));
 // SETUP: Enrich products with complete metrics
 // ============================================================================
 
-const currentDate = new Date('2026-02-06T12:00:00Z');
+const currentDate = new Date('2025-01-30T12:00:00Z');
 console.log(`Current date: ${currentDate.toISOString()}\n`);
 
 const testBuyer = mockUsers.find(u => u.name === 'Maria Santos') || mockUsers[0];
@@ -467,6 +468,53 @@ try {
 
 console.log('\n');
 
+// ============================================================================
+// SCENARIO 13: Multi-Key Sorting
+// ============================================================================
+
+console.log('🔀 SCENARIO 13: Multi-Key Sorting (price asc, freshness desc, distance asc)');
+console.log('-'.repeat(80));
+
+const sortKeys = ['price', { by: 'freshness', order: 'desc' }, { by: 'distance', order: 'asc' }];
+const multiKey = sortProducts(fullyEnrichedProducts, sortKeys);
+
+console.log('\nFirst 10 Products:\n');
+multiKey.slice(0, 10).forEach((product, index) => {
+  console.log(
+    `${String(index + 1).padStart(4)} | ` +
+    `${product.name.padEnd(20)} | ` +
+    `₱${String(product.price).padStart(4)} | ` +
+    `${product.freshness_percent.toFixed(1).padStart(5)}% | ` +
+    `${product.distance_km.toFixed(2).padStart(6)} km`
+  );
+});
+
+const ordered = multiKey.every((product, index) => {
+  if (index === 0) return true;
+  const previous = multiKey[index - 1];
+  return previous.price < product.price ||
+    (previous.price === product.price && previous.freshness_percent >= product.freshness_percent);
+});
+console.log(`\n${ordered ? '✅' : '❌'} Sorted by price, then freshness`);
+
+const reshuffled = sortProducts([...fullyEnrichedProducts].reverse(), sortKeys);
+const deterministic = reshuffled.every((product, index) => product.id === multiKey[index].id);
+console.log(`${deterministic ? '✅' : '❌'} Same order whatever the input order (id tie-breaker)`);
+
+const isoDates = fullyEnrichedProducts.map(product => ({
+  ...product,
+  expiration_date: product.expiration_date.toISOString()
+}));
+const byIsoExpiration = sortProducts(isoDates, 'expiration', 'asc').map(p => p.id).join();
+const byDateExpiration = sortProducts(fullyEnrichedProducts, 'expiration', 'asc').map(p => p.id).join();
+console.log(`${byIsoExpiration === byDateExpiration ? '✅' : '❌'} ISO string and Date expirations sort alike`);
+
+const withUnpriced = [...fullyEnrichedProducts, { ...fullyEnrichedProducts[0], id: 99, price: undefined }];
+const unpricedLast = sortProducts(withUnpriced, 'price', 'desc', { missing: 'last' });
+console.log(`${unpricedLast[unpricedLast.length - 1].id === 99 ? '✅' : '❌'} Unpriced product placed last`);
+
+console.log('\n');
+
 // ============================================================================
 // FINAL SUMMARY
 // ============================================================================
@@ -488,6 +536,7 @@ console.log('  9. Display configuration creation');
 console.log('  10. Ranking vs filter mode comparison');
 console.log('  11. Performance benchmark');
 console.log('  12. Edge cases testing');
+console.log('  13. Multi-key sorting with id tie-breaker');
 
 console.log('\n📊 Key Metrics:');
 console.log(`  Products tested: ${fullyEnrichedProducts.length}`);
@@ -11,6 +11,7 @@
  * - Rank products by combined score (descending)
  * - Support batch processing for efficiency
  * - Provide detailed scoring breakdowns
+ * - Optional N-factor scoring (price, seller rating, ...) via factor-scoring.js
  * 
  * Integration:
  * - Uses score_normalizer.js for normalization
@@ -28,6 +29,11 @@ const {
   calculateCombinedScoresBatch 
 } = require('../scoring/combined-score');
 
+const { scoreProductsByFactors, buildScoreBreakdown } = require('../scoring/factor-scoring');
+const { getFreshnessCurve } = require('../scoring/freshness-curves');
+const { validateProximityDecay } = require('../scoring/proximity-decay');
+const { ValidationError, DataError } = require('../../utils/errors');
+
 /**
  * Score and rank products for a buyer
  * Complete pipeline: normalize scores → calculate combined score → sort by rank
@@ -37,7 +43,20 @@ const {
  * @param {Object} options - Optional configuration
  * @param {number} options.proximityWeight - Weight for proximity (0-100, default: 50)
  * @param {number} options.freshnessWeight - Weight for freshness (0-100, default: 50)
- * @param {boolean} options.includeBreakdown - Include score breakdown (default: false)
+ * @param {boolean} options.includeBreakdown - Include score breakdown (default: false). Adds
+ *   score_breakdown: { factors: { [name]: { field, raw_value, score, weight, contribution } },
+ *   combined_score } to every product
+ * @param {Object<string, number>} options.factors - Weight per factor (0-100), replaces
+ *   proximityWeight/freshnessWeight when given (e.g. { proximity: 40, freshness: 40, price: 20 })
+ * @param {Object} options.customFactors - Extra factor definitions for options.factors
+ * @param {string} options.priceNormalization - Price and unit_price scoring for options.factors:
+ *   'range' (default) or 'type_median' (see scoring/factor-scoring.js)
+ * @param {string|Object} options.proximityDecay - Proximity decay curve: 'linear' (default),
+ *   'exponential', 'gaussian', 'logistic', 'step' or { type, ...parameters }.
+ *   Precomputed proximity scores are recalculated when a curve is given
+ * @param {Object} options.freshnessCurves - Freshness curves keyed by category_id (plus optional
+ *   'default'); each product is scored with the curve for its category_id.
+ *   Precomputed freshness scores are recalculated when curves are given
  * @returns {Array} Products sorted by combined_score (highest first)
  * 
  * @example
@@ -50,21 +69,35 @@ const {
  *   freshnessWeight: 30,
  *   includeBreakdown: true
  * });
+ * 
+ * @example
+ * const rankedProducts = scoreAndRankProducts(products, buyer, {
+ *   factors: { proximity: 40, freshness: 40, seller_rating: 20 }
+ * });
  */
 function scoreAndRankProducts(products, buyer, options = {}) {
   const {
     proximityWeight = 50,
     freshnessWeight = 50,
-    includeBreakdown = false
+    includeBreakdown = false,
+    factors = null,
+    customFactors = {},
+    priceNormalization = 'range',
+    proximityDecay = null,
+    freshnessCurves = null
   } = options;
 
   // Validate inputs
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
 
   if (!buyer || !buyer.preferences) {
-    throw new Error('buyer must have preferences object');
+    throw new ValidationError('buyer must have preferences object', {
+      code: 'required', field: 'buyer.preferences', value: buyer && buyer.preferences
+    });
   }
 
   if (products.length === 0) {
@@ -74,10 +107,33 @@ function scoreAndRankProducts(products, buyer, options = {}) {
   // Extract max radius from buyer preferences
   const maxRadius = buyer.preferences.max_radius || buyer.preferences.max_radius_km || 50;
 
-  // First, normalize scores if not already present
+  // N-factor scoring: factors are normalized against the whole candidate set
+  if (factors) {
+    const factorScored = scoreProductsByFactors(products, factors, {
+      maxRadiusKm: maxRadius,
+      proximityDecay: proximityDecay || 'linear',
+      freshnessCurves,
+      customFactors,
+      priceNormalization,
+      strict: true
+    });
+    
+    const withBreakdown = includeBreakdown
+      ? factorScored.map(product => ({
+        ...product,
+        score_breakdown: buildScoreBreakdown(product, product.factor_scores, factors, customFactors)
+      }))
+      : factorScored;
+    
+    return withBreakdown.sort((a, b) => b.combined_score - a.combined_score);
+  }
+
+  // First, normalize scores if not already present (the decay is validated once)
+  const decay = validateProximityDecay(proximityDecay || 'linear');
   const productsWithScores = products.map(product => {
-    // If scores already exist, use them
-    if (typeof product.proximity_score === 'number' && 
+    // If scores already exist (and no curve overrides them), use them
+    if (!proximityDecay && !freshnessCurves &&
+        typeof product.proximity_score === 'number' && 
         typeof product.freshness_score === 'number') {
       return product;
     }
@@ -85,10 +141,14 @@ function scoreAndRankProducts(products, buyer, options = {}) {
     // Otherwise, calculate scores
     const proximity_score = normalizeProximityScore(
       product.distance_km,
-      maxRadius
+      maxRadius,
+      2,
+      decay
     );
     const freshness_score = normalizeFreshnessScore(
-      product.freshness_percent
+      product.freshness_percent,
+      2,
+      freshnessCurves ? getFreshnessCurve(product.category_id, freshnessCurves) : 'linear'
     );
 
     return {
@@ -108,8 +168,20 @@ function scoreAndRankProducts(products, buyer, options = {}) {
     }
   );
 
+  // Attach per-factor breakdown if requested
+  const weights = { proximity: proximityWeight, freshness: freshnessWeight };
+  const withBreakdown = includeBreakdown
+    ? scoredProducts.map(product => ({
+      ...product,
+      score_breakdown: buildScoreBreakdown(product, {
+        proximity: product.proximity_score,
+        freshness: product.freshness_score
+      }, weights)
+    }))
+    : scoredProducts;
+
   // Sort by combined_score descending (highest score first)
-  const rankedProducts = scoredProducts.sort((a, b) => 
+  const rankedProducts = withBreakdown.sort((a, b) => 
     b.combined_score - a.combined_score
   );
 
@@ -134,7 +206,9 @@ function scoreAndRankProducts(products, buyer, options = {}) {
  */
 function rankByScore(products, order = 'desc') {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
 
   if (products.length === 0) {
@@ -147,7 +221,9 @@ function rankByScore(products, order = 'desc') {
   );
 
   if (missingScore) {
-    throw new Error('All products must have a valid combined_score property');
+    throw new DataError('All products must have a valid combined_score property', {
+      code: 'missing_field', field: 'combined_score'
+    });
   }
 
   // Sort by combined_score
@@ -172,7 +248,7 @@ function rankByScore(products, order = 'desc') {
  * @param {boolean} options.strict - Weights must sum to 100 (default: true)
  * @param {boolean} options.normalize - Auto-normalize to sum to 100 (default: false)
  * @returns {Object} Validated weight configuration
- * @throws {Error} If weights are invalid
+ * @throws {ValidationError} If weights are invalid
  * 
  * @example
  * const weights = createWeightConfig(60, 40);
@@ -187,16 +263,22 @@ function createWeightConfig(proximityWeight, freshnessWeight, options = {}) {
 
   // Validate types
   if (typeof proximityWeight !== 'number' || typeof freshnessWeight !== 'number') {
-    throw new Error('Weights must be numbers');
+    throw new ValidationError('Weights must be numbers', {
+      code: 'invalid_type', field: typeof proximityWeight !== 'number' ? 'proximityWeight' : 'freshnessWeight', value: typeof proximityWeight !== 'number' ? proximityWeight : freshnessWeight
+    });
   }
 
   // Validate range
   if (proximityWeight < 0 || proximityWeight > 100) {
-    throw new Error(`proximityWeight must be 0-100 (got ${proximityWeight})`);
+    throw new ValidationError(`proximityWeight must be 0-100 (got ${proximityWeight})`, {
+      code: 'out_of_range', field: 'proximityWeight', value: proximityWeight
+    });
   }
 
   if (freshnessWeight < 0 || freshnessWeight > 100) {
-    throw new Error(`freshnessWeight must be 0-100 (got ${freshnessWeight})`);
+    throw new ValidationError(`freshnessWeight must be 0-100 (got ${freshnessWeight})`, {
+      code: 'out_of_range', field: 'freshnessWeight', value: freshnessWeight
+    });
   }
 
   let finalProximityWeight = proximityWeight;
@@ -209,9 +291,10 @@ function createWeightConfig(proximityWeight, freshnessWeight, options = {}) {
     finalProximityWeight = Number(((proximityWeight / sum) * 100).toFixed(2));
     finalFreshnessWeight = Number(((freshnessWeight / sum) * 100).toFixed(2));
   } else if (strict && sum !== 100) {
-    throw new Error(
+    throw new ValidationError(
       `Weights must sum to 100 (got ${sum}). ` +
-      `Set strict=false or normalize=true to allow other values.`
+      `Set strict=false or normalize=true to allow other values.`,
+      { code: 'weights_sum', field: 'weights', value: sum }
     );
   }
 
@@ -275,7 +358,9 @@ function getWeightPresets() {
  */
 function addRankPositions(products) {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
 
   if (products.length === 0) {
@@ -305,11 +390,15 @@ function addRankPositions(products) {
  */
 function getTopProducts(products, limit = 10) {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
 
   if (typeof limit !== 'number' || limit < 1) {
-    throw new Error('limit must be a positive number');
+    throw new ValidationError('limit must be a positive number', {
+      code: 'out_of_range', field: 'limit', value: limit
+    });
   }
 
   const ranked = rankByScore(products, 'desc');
@@ -329,7 +418,9 @@ function getTopProducts(products, limit = 10) {
  */
 function getRankingStatistics(products) {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
 
   if (products.length === 0) {
@@ -345,7 +436,9 @@ function getRankingStatistics(products) {
   const scores = products.map(p => p.combined_score).filter(s => typeof s === 'number');
 
   if (scores.length === 0) {
-    throw new Error('No valid combined_score values found');
+    throw new DataError('No valid combined_score values found', {
+      code: 'missing_field', field: 'combined_score'
+    });
   }
 
   const sum = scores.reduce((acc, score) => acc + score, 0);
@@ -387,7 +480,9 @@ function getRankingStatistics(products) {
  */
 function compareWeightConfigs(products, buyer, weightConfigs) {
   if (!Array.isArray(products) || !Array.isArray(weightConfigs)) {
-    throw new Error('products and weightConfigs must be arrays');
+    throw new ValidationError('products and weightConfigs must be arrays', {
+      code: 'invalid_type', field: Array.isArray(products) ? 'weightConfigs' : 'products'
+    });
   }
 
   return weightConfigs.map(config => {
@@ -592,6 +687,105 @@ function runTests() {
     }
   });
 
+  // Test 16: N-factor ranking
+  test('Test 16: Score and rank - N-factor weights', () => {
+    const buyer = { preferences: { max_radius: 50 } };
+    const products = [
+      { id: 1, distance_km: 5, freshness_percent: 90, price: 200 },
+      { id: 2, distance_km: 5, freshness_percent: 90, price: 100 }
+    ];
+    const ranked = scoreAndRankProducts(products, buyer, {
+      factors: { proximity: 40, freshness: 40, price: 20 }
+    });
+    if (ranked[0].id !== 2) throw new Error('Cheaper product should rank first');
+    if (ranked[0].combined_score !== 92) throw new Error(`Expected 92, got ${ranked[0].combined_score}`);
+    if (ranked[0].factor_scores.price !== 100) throw new Error('factor_scores missing price');
+  });
+
+  // Test 17: Proximity decay curve
+  test('Test 17: Score and rank - proximity decay curve', () => {
+    const buyer = { preferences: { max_radius: 20 } };
+    const products = [
+      { id: 1, distance_km: 2, freshness_percent: 80, proximity_score: 90, freshness_score: 80 },
+      { id: 2, distance_km: 4, freshness_percent: 100 }
+    ];
+    const linear = scoreAndRankProducts(products, buyer);
+    const exponential = scoreAndRankProducts(products, buyer, {
+      proximityDecay: { type: 'exponential', half_life_km: 2 }
+    });
+    if (linear[0].id !== 2) throw new Error('Linear decay should favour the fresher product');
+    if (exponential[0].id !== 1) throw new Error('Exponential decay should favour the closer product');
+    if (exponential[0].proximity_score !== 50) throw new Error('Precomputed score should be recalculated');
+  });
+
+  // Test 18: Category freshness curves
+  test('Test 18: Score and rank - freshness curve per category', () => {
+    const buyer = { preferences: { max_radius: 20 } };
+    const products = [
+      { id: 1, distance_km: 2, freshness_percent: 25, category_id: 15 },
+      { id: 2, distance_km: 6, freshness_percent: 25, category_id: 7 }
+    ];
+    const ranked = scoreAndRankProducts(products, buyer, {
+      freshnessCurves: { 15: { type: 'threshold', cliff_percent: 30 } }
+    });
+    const poultry = ranked.find(p => p.id === 1);
+    const dairy = ranked.find(p => p.id === 2);
+    if (poultry.freshness_score !== 6.25) throw new Error(`Expected 6.25, got ${poultry.freshness_score}`);
+    if (dairy.freshness_score !== 25) throw new Error('Category without curve should stay linear');
+  });
+
+  // Test 19: Score breakdown
+  test('Test 19: Score and rank - includeBreakdown', () => {
+    const buyer = { preferences: { max_radius: 50 } };
+    const ranked = scoreAndRankProducts(mockProducts, buyer, {
+      proximityWeight: 70,
+      freshnessWeight: 30,
+      includeBreakdown: true
+    });
+    const { factors, combined_score } = ranked[0].score_breakdown;
+    if (factors.proximity.weight !== 70 || factors.proximity.raw_value !== 5) {
+      throw new Error('Breakdown should carry weights and raw metrics');
+    }
+    if (factors.proximity.contribution !== 63 || factors.freshness.contribution !== 27) {
+      throw new Error('Contributions should be score × weight / 100');
+    }
+    if (combined_score !== ranked[0].combined_score) throw new Error('Breakdown total mismatch');
+    if (scoreAndRankProducts(mockProducts, buyer)[0].score_breakdown) {
+      throw new Error('Breakdown should be opt-in');
+    }
+  });
+
+  test('Test 20: Structured errors', () => {
+    const { ValidationError, DataError } = require('../../utils/errors');
+    try {
+      createWeightConfig(70, 40);
+      throw new Error('Should throw error for invalid sum');
+    } catch (e) {
+      if (!(e instanceof ValidationError) || e.code !== 'weights_sum' || e.value !== 110) throw e;
+    }
+    try {
+      rankByScore([{ id: 1 }]);
+      throw new Error('Should throw error for missing combined_score');
+    } catch (e) {
+      if (!(e instanceof DataError) || e.field !== 'combined_score') throw e;
+    }
+  });
+
+  test('Test 21: Score and rank - unit price vs product type median', () => {
+    const buyer = { preferences: { max_radius: 50 } };
+    const products = [
+      { id: 1, product_type_id: 21, distance_km: 5, freshness_percent: 90, price: 180, quantity: 2, unit: 'dozen' },
+      { id: 2, product_type_id: 21, distance_km: 5, freshness_percent: 90, price: 170, quantity: 3, unit: 'dozen' },
+      { id: 3, product_type_id: 2, distance_km: 5, freshness_percent: 90, price: 95, quantity: 2, unit: 'liters' }
+    ];
+    const ranked = scoreAndRankProducts(products, buyer, {
+      factors: { proximity: 40, freshness: 40, unit_price: 20 },
+      priceNormalization: 'type_median'
+    });
+    if (ranked.map(p => p.id).join() !== '2,3,1') throw new Error(`Got ${ranked.map(p => p.id)}`);
+    if (ranked[1].factor_scores.unit_price !== 50) throw new Error('Only listing of its type should score 50');
+  });
+
   // Summary
   console.log('\n' + '='.repeat(80));
   console.log(`✅ ${passed} passed, ❌ ${failed} failed`);
@@ -4,7 +4,8 @@
  * 
  * Purpose: Provide multiple sorting modes for product display
  * - Ranking mode: Sort by combined score (proximity + freshness)
- * - Filter+Sort mode: Apply filters, then sort by price/freshness/distance
+ * - Filter+Sort mode: Apply filters, then sort by price/freshness/distance, or by
+ *   several keys in turn (ties broken by id)
  * - Mode toggle: Switch between display modes
  * 
  * Integration:
@@ -15,88 +16,214 @@
 
 const { scoreAndRankProducts, rankByScore } = require('./product_ranker');
 const { applyFilters } = require('../../product-display/product_filter');
+const { getPolicyExpirationDate } = require('../calculations/shelf-life');
+const { ValidationError, ConfigurationError, DataError } = require('../../utils/errors');
+const { resolveInvalidPolicy, handleInvalidProduct } = require('../../utils/invalid-policy');
+
+// Sort criteria: product property and default direction
+// (only price and distance default to ascending, as sortProducts always has:
+// expiration without an order lists the latest expiring products first)
+const SORT_CRITERIA = {
+  price: { property: 'price', defaultOrder: 'asc' },
+  distance: { property: 'distance_km', defaultOrder: 'asc' },
+  freshness: { property: 'freshness_percent', defaultOrder: 'desc' },
+  score: { property: 'combined_score', defaultOrder: 'desc' },
+  expiration: { property: 'expiration_date', defaultOrder: 'desc' }
+};
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Where products without a value for a sort key go ('error' throws)
+const MISSING_PLACEMENTS = ['error', 'first', 'last'];
+
+/**
+ * Normalize a sort specification to an ordered list of sort keys
+ * 
+ * @param {string|Object|Array<string|Object>} sortBy - Criterion, { by, order, missing }, or a list of them
+ * @param {string} order - Direction for keys without their own (default: the criterion's default)
+ * @param {string} missing - Placement for keys without their own: 'error' (default), 'first' or 'last'
+ * @returns {Array<Object>} [{ by, order, missing }]
+ * @throws {ConfigurationError} If a criterion, direction or placement is invalid
+ * 
+ * @example
+ * normalizeSortKeys(['price', { by: 'freshness', order: 'asc' }]);
+ * // Returns: [{ by: 'price', order: 'asc', missing: 'error' },
+ * //   { by: 'freshness', order: 'asc', missing: 'error' }]
+ */
+function normalizeSortKeys(sortBy, order = null, missing = 'error') {
+  const keys = Array.isArray(sortBy) ? sortBy : [sortBy];
+  if (keys.length === 0) {
+    throw new ConfigurationError('sortBy must name at least one sort key', {
+      code: 'invalid_sort', field: 'sortBy', value: sortBy
+    });
+  }
+
+  return keys.map((key, index) => {
+    const spec = key && typeof key === 'object' ? key : { by: key };
+    const field = Array.isArray(sortBy) ? `sortBy[${index}]` : 'sortBy';
+    const criterion = SORT_CRITERIA[spec.by];
+    if (!criterion) {
+      const valid = Object.keys(SORT_CRITERIA);
+      throw new ConfigurationError(`Invalid sortBy value: ${spec.by}. Must be one of: ${valid.join(', ')}`, {
+        code: 'invalid_sort', field, value: spec.by
+      });
+    }
+
+    const keyOrder = spec.order || order || criterion.defaultOrder;
+    if (!SORT_ORDERS.includes(keyOrder)) {
+      throw new ConfigurationError(`Invalid sort order: ${keyOrder}. Must be one of: ${SORT_ORDERS.join(', ')}`, {
+        code: 'invalid_sort', field: `${field}.order`, value: keyOrder
+      });
+    }
+
+    const keyMissing = spec.missing || missing;
+    if (!MISSING_PLACEMENTS.includes(keyMissing)) {
+      throw new ConfigurationError(`Invalid missing placement: ${keyMissing}. Must be one of: ${MISSING_PLACEMENTS.join(', ')}`, {
+        code: 'invalid_sort', field: `${field}.missing`, value: keyMissing
+      });
+    }
+
+    return { by: spec.by, order: keyOrder, missing: keyMissing };
+  });
+}
+
+/**
+ * Read a comparable sort value (a number, or null when missing)
+ * Expiration dates may be Date instances or ISO 8601 strings
+ * @private
+ */
+function getSortValue(product, by, expiryPolicy) {
+  if (by === 'expiration') {
+    const date = getPolicyExpirationDate(product, expiryPolicy);
+    if (date instanceof Date || typeof date === 'string') {
+      const time = date instanceof Date ? date.getTime() : Date.parse(date);
+      return isNaN(time) ? null : time;
+    }
+    return null;
+  }
+  const value = product[SORT_CRITERIA[by].property];
+  return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+/**
+ * Compare product IDs for the final tie-breaker (products without an ID last)
+ * @private
+ */
+function compareIds(a, b) {
+  if (a == null || b == null) {
+    return (a == null) - (b == null);
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b));
+}
 
 /**
- * Sort products by a specific criterion
+ * Sort products by one or more criteria
+ * 
+ * Keys are compared in order: ties on the first key are broken by the second,
+ * and so on. Products still tied are ordered by id (ascending), so the result
+ * is deterministic and stable across pages.
  * 
  * @param {Array} products - Products to sort
- * @param {string} sortBy - Sort criterion: 'price', 'distance', 'freshness', 'score', 'expiration'
- * @param {string} order - Sort order: 'asc' or 'desc' (default: 'asc' for price/distance, 'desc' for freshness/score)
+ * @param {string|Object|Array<string|Object>} sortBy - Sort criterion ('price', 'distance', 'freshness',
+ *   'score', 'expiration'), a key { by, order, missing }, or an ordered list of them
+ * @param {string} order - Sort order: 'asc' or 'desc' for keys without their own
+ *   (default: 'asc' for price/distance, 'desc' for freshness/score/expiration)
+ * @param {Object} options - Sort options
+ * @param {string|Object} options.expiryPolicy - Expiration bound used by 'expiration' sorting:
+ *   'conservative', 'expected' (default) or 'optimistic', or a map keyed by category_id
+ * @param {string} options.missing - Products without a value for a key: 'error' (default, invalid
+ *   product), 'first' or 'last' (whatever the key's direction); keys can override it
+ * @param {string} options.onInvalid - Products missing an 'error' key: 'throw' (default), 'skip' or
+ *   'quarantine' (dropped, see utils/invalid-policy.js)
+ * @param {Array<Object>} options.quarantine - Receives { product, index, stage: 'sorting', error }
  * @returns {Array} Sorted products
+ * @throws {ConfigurationError} If a sort key is invalid
+ * @throws {DataError} If a product has no value for a key whose placement is 'error' (onInvalid 'throw')
  * 
  * @example
  * const sorted = sortProducts(products, 'price', 'asc');
- * // Returns products sorted by price (lowest first)
+ * // Returns products sorted by price (lowest first), ties by id
  * 
  * @example
  * const sorted = sortProducts(products, 'freshness', 'desc');
  * // Returns products sorted by freshness (highest first)
+ * 
+ * @example
+ * const sorted = sortProducts(products, 'expiration', 'asc', { expiryPolicy: 'conservative' });
+ * // Returns products sorted by their USDA minimum shelf life expiration
+ * 
+ * @example
+ * const sorted = sortProducts(products, [
+ *   'price',
+ *   { by: 'freshness', order: 'desc' },
+ *   { by: 'distance', missing: 'last' }
+ * ]);
+ * // Cheapest first, then freshest, then nearest (unknown distances last), then by id
  */
-function sortProducts(products, sortBy, order = null) {
+function sortProducts(products, sortBy, order = null, options = {}) {
+  const { expiryPolicy = 'expected', missing = 'error' } = options;
+
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
 
+  const keys = normalizeSortKeys(sortBy, order, missing);
+  resolveInvalidPolicy(options);
+
   if (products.length === 0) {
     return [];
   }
 
-  // Determine default order based on sort criterion
-  let defaultOrder;
-  if (sortBy === 'price' || sortBy === 'distance') {
-    defaultOrder = 'asc'; // Lower is better
-  } else {
-    defaultOrder = 'desc'; // Higher is better
-  }
-
-  const sortOrder = order || defaultOrder;
-
-  // Validate sortBy
-  const validCriteria = ['price', 'distance', 'freshness', 'score', 'expiration'];
-  if (!validCriteria.includes(sortBy)) {
-    throw new Error(`Invalid sortBy value: ${sortBy}. Must be one of: ${validCriteria.join(', ')}`);
-  }
-
-  // Map sortBy to property name
-  const propertyMap = {
-    'price': 'price',
-    'distance': 'distance_km',
-    'freshness': 'freshness_percent',
-    'score': 'combined_score',
-    'expiration': 'expiration_date'
-  };
-
-  const property = propertyMap[sortBy];
-
-  // Validate all products have the required property
-  const missingProperty = products.find(p => {
-    if (sortBy === 'expiration') {
-      return !p[property] || !(p[property] instanceof Date);
+  // Read every sort value once
+  let entries = products.map((product, index) => ({
+    product,
+    index,
+    values: keys.map(key => getSortValue(product, key.by, expiryPolicy))
+  }));
+
+  // Products without a value for an 'error' key follow options.onInvalid
+  const invalid = new Set();
+  keys.forEach((key, k) => {
+    if (key.missing !== 'error') {
+      return;
     }
-    return typeof p[property] !== 'number' || isNaN(p[property]);
+    entries.filter(entry => entry.values[k] === null && !invalid.has(entry)).forEach(entry => {
+      const property = SORT_CRITERIA[key.by].property;
+      const value = key.by === 'expiration'
+        ? getPolicyExpirationDate(entry.product, expiryPolicy)
+        : entry.product[property];
+      const error = new DataError(`All products must have a valid ${property} property for sorting by ${key.by}`, {
+        code: 'missing_field', field: property, value
+      });
+      handleInvalidProduct(error, entry.product, entry.index, 'sorting', options);
+      invalid.add(entry);
+    });
   });
-
-  if (missingProperty) {
-    throw new Error(`All products must have a valid ${property} property for sorting by ${sortBy}`);
-  }
-
-  // Sort products
-  return [...products].sort((a, b) => {
-    let valA = a[property];
-    let valB = b[property];
-
-    // Handle dates
-    if (sortBy === 'expiration') {
-      valA = valA.getTime();
-      valB = valB.getTime();
-    }
-
-    if (sortOrder === 'asc') {
-      return valA - valB;
-    } else {
-      return valB - valA;
+  entries = entries.filter(entry => !invalid.has(entry));
+
+  entries.sort((a, b) => {
+    for (let k = 0; k < keys.length; k++) {
+      const valA = a.values[k];
+      const valB = b.values[k];
+      if (valA === valB) {
+        continue;
+      }
+      if (valA === null || valB === null) {
+        // Missing values go first or last regardless of direction
+        const missingFirst = keys[k].missing === 'first';
+        return (valA === null) === missingFirst ? -1 : 1;
+      }
+      return keys[k].order === 'asc' ? valA - valB : valB - valA;
     }
+    return compareIds(a.product.id, b.product.id);
   });
+
+  return entries.map(entry => entry.product);
 }
 
 /**
@@ -124,9 +251,13 @@ function rankingMode(products, buyer, options = {}) {
  * @param {Array} products - Products with complete metrics
  * @param {Object} buyer - Buyer with preferences
  * @param {Object} options - Configuration
- * @param {string} options.sortBy - Sort criterion: 'price', 'distance', 'freshness', 'score'
+ * @param {string|Array} options.sortBy - Sort criterion: 'price', 'distance', 'freshness', 'score',
+ *   'expiration', or an ordered list of sort keys (see sortProducts)
  * @param {string} options.order - Sort order: 'asc' or 'desc'
+ * @param {string} options.missing - Placement of products without a sort value (see sortProducts)
  * @param {boolean} options.applyFilter - Apply filters before sorting (default: true)
+ * @param {Date|string} options.currentDate - Evaluation date for expiration filtering (default: now)
+ * @param {string|Object} options.expiryPolicy - Expiration bound for filtering and sorting (default: 'expected')
  * @returns {Object} { products: Array, summary: Object }
  * 
  * @example
@@ -141,15 +272,22 @@ function filterAndSortMode(products, buyer, options = {}) {
   const {
     sortBy = 'price',
     order = null,
-    applyFilter = true
+    applyFilter = true,
+    currentDate = new Date(),
+    expiryPolicy = 'expected',
+    missing = 'error'
   } = options;
 
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
 
   if (!buyer || !buyer.preferences) {
-    throw new Error('buyer must have preferences object');
+    throw new ValidationError('buyer must have preferences object', {
+      code: 'required', field: 'buyer.preferences', value: buyer && buyer.preferences
+    });
   }
 
   let processedProducts = products;
@@ -159,7 +297,9 @@ function filterAndSortMode(products, buyer, options = {}) {
   if (applyFilter) {
     const filterConfig = {
       maxRadiusKm: buyer.preferences.max_radius || buyer.preferences.max_radius_km || 50,
-      minFreshnessPercent: buyer.preferences.min_freshness || null
+      minFreshnessPercent: buyer.preferences.min_freshness || null,
+      currentDate,
+      expiryPolicy
     };
 
     const filterResult = applyFilters(products, filterConfig);
@@ -178,7 +318,7 @@ function filterAndSortMode(products, buyer, options = {}) {
   }
 
   // Sort products
-  const sortedProducts = sortProducts(processedProducts, sortBy, order);
+  const sortedProducts = sortProducts(processedProducts, sortBy, order, { expiryPolicy, missing });
 
   return {
     products: sortedProducts,
@@ -194,10 +334,13 @@ function filterAndSortMode(products, buyer, options = {}) {
  * @param {Object} buyer - Buyer with preferences
  * @param {Object} config - Display configuration
  * @param {string} config.mode - Display mode: 'ranking' or 'filter'
- * @param {string} config.sortBy - Sort criterion (for filter mode)
+ * @param {string|Array} config.sortBy - Sort criterion or list of sort keys (for filter mode)
  * @param {string} config.order - Sort order
  * @param {number} config.proximityWeight - Weight for proximity (ranking mode)
  * @param {number} config.freshnessWeight - Weight for freshness (ranking mode)
+ * @param {Date|string} config.currentDate - Evaluation date for expiration filtering (default: now)
+ * @param {string|Object} config.expiryPolicy - Expiration bound (filter mode, default: 'expected')
+ * @param {string} config.missing - Placement of products without a sort value (filter mode, see sortProducts)
  * @returns {Object} { products: Array, mode: string, summary: Object }
  * 
  * @example
@@ -222,12 +365,17 @@ function displayProducts(products, buyer, config = {}) {
     sortBy = 'price',
     order = null,
     proximityWeight = 50,
-    freshnessWeight = 50
+    freshnessWeight = 50,
+    currentDate = new Date(),
+    expiryPolicy = 'expected',
+    missing = 'error'
   } = config;
 
   // Validate mode
   if (mode !== 'ranking' && mode !== 'filter') {
-    throw new Error(`Invalid mode: ${mode}. Must be 'ranking' or 'filter'`);
+    throw new ConfigurationError(`Invalid mode: ${mode}. Must be 'ranking' or 'filter'`, {
+      code: 'invalid_option', field: 'mode', value: mode
+    });
   }
 
   if (mode === 'ranking') {
@@ -250,16 +398,21 @@ function displayProducts(products, buyer, config = {}) {
     const result = filterAndSortMode(products, buyer, {
       sortBy,
       order,
-      applyFilter: true
+      applyFilter: true,
+      currentDate,
+      expiryPolicy,
+      missing
     });
 
+    const sortKeys = normalizeSortKeys(sortBy, order, missing);
     return {
       products: result.products,
       mode: 'filter',
       summary: {
         ...result.summary,
         sortedBy: sortBy,
-        sortOrder: order || (sortBy === 'price' || sortBy === 'distance' ? 'asc' : 'desc')
+        sortOrder: sortKeys[0].order,
+        sortKeys
       }
     };
   }
@@ -545,6 +698,127 @@ function runTests() {
     }
   });
 
+  // Test 19: Filter mode honours evaluation date
+  test('Test 19: Filter mode - expiration checked at currentDate', () => {
+    const early = filterAndSortMode(mockProducts, mockBuyer, { sortBy: 'price', currentDate: '2026-02-01T00:00:00Z' });
+    const late = filterAndSortMode(mockProducts, mockBuyer, { sortBy: 'price', currentDate: '2026-02-12T00:00:00Z' });
+    if (early.products.length !== 3) throw new Error('No product should be expired on 2026-02-01');
+    if (late.products.length !== 1) throw new Error('Only product B should remain on 2026-02-12');
+    if (late.summary.removed.expired !== 2) throw new Error('Should report 2 expired products');
+  });
+
+  // Test 20: Expiration sorting with an expiry policy
+  test('Test 20: Sort by expiration - conservative policy uses minimum shelf life', () => {
+    const ranged = [
+      { ...mockProducts[0], expiration_range: { conservative: { expiration_date: new Date('2026-02-04') } } },
+      { ...mockProducts[2], expiration_range: { conservative: { expiration_date: new Date('2026-02-07') } } }
+    ];
+    const expected = sortProducts(ranged, 'expiration', 'asc');
+    const conservative = sortProducts(ranged, 'expiration', 'asc', { expiryPolicy: 'conservative' });
+    if (expected[0].id !== 3) throw new Error('Expected policy should sort C first');
+    if (conservative[0].id !== 1) throw new Error('Conservative policy should sort A first');
+  });
+
+  // Test 21: Structured errors
+  test('Test 21: Sort errors carry class, code and field', () => {
+    const { ConfigurationError, DataError } = require('../../utils/errors');
+    try {
+      sortProducts(mockProducts, 'rating');
+      throw new Error('Should throw error for invalid criterion');
+    } catch (error) {
+      if (!(error instanceof ConfigurationError) || error.code !== 'invalid_sort' || error.value !== 'rating') throw error;
+    }
+    try {
+      sortProducts([{ id: 1, price: 10 }, { id: 2 }], 'price');
+      throw new Error('Should throw error for missing price');
+    } catch (error) {
+      if (!(error instanceof DataError) || error.code !== 'missing_field' || error.field !== 'price') throw error;
+    }
+  });
+
+  // Test 22: Multi-key sorting
+  test('Test 22: Sort by several keys - each with its own direction', () => {
+    const products = [
+      { id: 4, price: 50, freshness_percent: 60, distance_km: 2 },
+      { id: 2, price: 50, freshness_percent: 90, distance_km: 8 },
+      { id: 3, price: 50, freshness_percent: 90, distance_km: 1 },
+      { id: 1, price: 20, freshness_percent: 40, distance_km: 9 }
+    ];
+    const sorted = sortProducts(products, ['price', { by: 'freshness', order: 'desc' }, { by: 'distance', order: 'asc' }]);
+    if (sorted.map(p => p.id).join() !== '1,3,2,4') throw new Error(`Got ${sorted.map(p => p.id)}`);
+    const keys = normalizeSortKeys(['price', { by: 'freshness', order: 'asc' }], 'desc');
+    if (keys[0].order !== 'desc' || keys[1].order !== 'asc' || keys[1].missing !== 'error') {
+      throw new Error('Key directions should override the default order');
+    }
+  });
+
+  // Test 23: Deterministic tie-breaker
+  test('Test 23: Sort ties - broken by id whatever the input order', () => {
+    const products = [
+      { id: 'b', price: 10 }, { id: 3, price: 10 }, { id: 1, price: 10 }, { id: 'a', price: 5 }, { id: 2, price: 10 }
+    ];
+    const forward = sortProducts(products, 'price').map(p => p.id).join();
+    const backward = sortProducts([...products].reverse(), 'price').map(p => p.id).join();
+    if (forward !== 'a,1,2,3,b' || backward !== forward) throw new Error(`Got ${forward} and ${backward}`);
+  });
+
+  // Test 24: Missing value placement
+  test('Test 24: Sort missing values - first, last or error', () => {
+    const products = [{ id: 1, price: 30 }, { id: 2 }, { id: 3, price: 10 }, { id: 4, price: null }];
+    const last = sortProducts(products, 'price', 'desc', { missing: 'last' }).map(p => p.id).join();
+    const first = sortProducts(products, [{ by: 'price', missing: 'first' }]).map(p => p.id).join();
+    if (last !== '1,3,2,4') throw new Error(`Missing last: got ${last}`);
+    if (first !== '2,4,3,1') throw new Error(`Missing first: got ${first}`);
+    try {
+      sortProducts(products, 'price', 'asc', { missing: 'middle' });
+      throw new Error('Should throw error for invalid placement');
+    } catch (error) {
+      if (error.code !== 'invalid_sort' || error.field !== 'sortBy.missing') throw error;
+    }
+  });
+
+  // Test 25: ISO strings and Dates for expiration
+  test('Test 25: Sort by expiration - ISO strings and Dates mixed', () => {
+    const products = [
+      { id: 1, expiration_date: '2026-02-10T00:00:00Z' },
+      { id: 2, expiration_date: new Date('2026-02-05T00:00:00Z') },
+      { id: 3, expiration_date: '2026-02-07' },
+      { id: 4, expiration_date: 'soon' }
+    ];
+    const sorted = sortProducts(products, 'expiration', 'asc', { missing: 'last' });
+    if (sorted.map(p => p.id).join() !== '2,3,1,4') throw new Error(`Got ${sorted.map(p => p.id)}`);
+    try {
+      sortProducts(products, 'expiration');
+      throw new Error('Should throw error for unparseable date');
+    } catch (error) {
+      if (error.code !== 'missing_field' || error.value !== 'soon') throw error;
+    }
+  });
+
+  // Test 26: Invalid-product policy for missing 'error' keys
+  test('Test 26: Sort missing values - skip or quarantine instead of throwing', () => {
+    const products = [{ id: 1, price: 30 }, { id: 2 }, { id: 3, price: 10 }];
+    const skipped = sortProducts(products, 'price', 'asc', { onInvalid: 'skip' });
+    if (skipped.map(p => p.id).join() !== '3,1') throw new Error(`Skip: got ${skipped.map(p => p.id)}`);
+    const quarantine = [];
+    const sorted = sortProducts(products, 'price', 'asc', { onInvalid: 'quarantine', quarantine });
+    if (sorted.map(p => p.id).join() !== '3,1') throw new Error(`Quarantine: got ${sorted.map(p => p.id)}`);
+    if (quarantine.length !== 1 || quarantine[0].product.id !== 2 || quarantine[0].index !== 1) {
+      throw new Error(`Wrong quarantine: ${JSON.stringify(quarantine)}`);
+    }
+    if (quarantine[0].stage !== 'sorting' || quarantine[0].error.code !== 'missing_field' || quarantine[0].error.field !== 'price') {
+      throw new Error(`Wrong quarantine details: ${JSON.stringify(quarantine[0])}`);
+    }
+  });
+
+  // Test 27: Default direction per criterion
+  test('Test 27: Sort without an order - expiration defaults to latest first', () => {
+    const byExpiration = sortProducts(mockProducts, 'expiration').map(p => p.id).join();
+    const byPrice = sortProducts(mockProducts, 'price').map(p => p.id).join();
+    if (byExpiration !== '2,1,3') throw new Error(`Expiration: got ${byExpiration}`);
+    if (byPrice !== '2,3,1') throw new Error(`Price: got ${byPrice}`);
+  });
+
   // Summary
   console.log('\n' + '='.repeat(80));
   console.log(`✅ ${passed} passed, ❌ ${failed} failed`);
@@ -564,6 +838,8 @@ function runTests() {
 
 module.exports = {
   sortProducts,
+  normalizeSortKeys,
+  MISSING_PLACEMENTS,
   rankingMode,
   filterAndSortMode,
   displayProducts,
@@ -11,8 +11,14 @@
  * - Each weight must be 0-100
  * - Weights should typically sum to 100 (enforced with strict mode)
  * - Default: 50/50 split (equal priority)
+ * 
+ * N-factor scoring (calculateWeightedScore):
+ * - combined_score = Σ(weight_i × score_i) / 100 over any set of named factors
+ * - The two-factor functions are the special case { proximity, freshness }
  */
 
+const { ValidationError, DataError } = require('../../utils/errors');
+
 /**
  * Calculate combined score from normalized proximity and freshness scores
  * 
@@ -24,7 +30,7 @@
  * @param {boolean} options.strict - If true, weights must sum to exactly 100 (default: true)
  * @param {number} options.decimals - Decimal places for result (default: 2)
  * @returns {number} Combined score (0-100)
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
  * 
  * @example
  * // Equal weights (50/50)
@@ -60,9 +66,10 @@ function calculateCombinedScore(
   if (strict) {
     const sum = proximity_weight + freshness_weight;
     if (sum !== 100) {
-      throw new Error(
+      throw new ValidationError(
         `Weights must sum to 100 in strict mode (got ${proximity_weight} + ${freshness_weight} = ${sum}). ` +
-        `Set strict=false to allow other sums.`
+        `Set strict=false to allow other sums.`,
+        { code: 'weights_sum', field: 'weights', value: sum }
       );
     }
   }
@@ -75,6 +82,50 @@ function calculateCombinedScore(
   return Number(combined.toFixed(decimals));
 }
 
+/**
+ * Calculate combined score from any set of named factor scores
+ * Generalisation of calculateCombinedScore to N factors
+ * 
+ * @param {Object<string, number>} scores - Normalized score per factor (0-100)
+ * @param {Object<string, number>} weights - Weight per factor (0-100)
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.strict - If true, weights must sum to exactly 100 (default: true)
+ * @param {number} options.decimals - Decimal places for result (default: 2)
+ * @returns {number} Combined score (0-100)
+ * @throws {ValidationError} If a weighted factor has no score, or inputs are invalid
+ * 
+ * @example
+ * const score = calculateWeightedScore(
+ *   { proximity: 80, freshness: 90, price: 50 },
+ *   { proximity: 40, freshness: 40, price: 20 }
+ * );
+ * // Returns: 78.00
+ */
+function calculateWeightedScore(scores, weights, options = {}) {
+  const { strict = true, decimals = 2 } = options;
+  
+  if (!scores || typeof scores !== 'object') {
+    throw new ValidationError('scores must be an object', {
+      code: 'invalid_type', field: 'scores', value: scores
+    });
+  }
+  
+  validateWeightSet(weights, strict);
+  
+  let combined = 0;
+  for (const [factor, weight] of Object.entries(weights)) {
+    if (!(factor in scores)) {
+      throw new ValidationError(`Missing score for factor: ${factor}`, {
+        code: 'required', field: `${factor}_score`
+      });
+    }
+    validateScore(scores[factor], `${factor}_score`);
+    combined += weight * scores[factor];
+  }
+  
+  return Number((combined / 100).toFixed(decimals));
+}
+
 /**
  * Calculate combined score with percentage weights
  * Alternative interface that accepts weights as percentages (0-1)
@@ -127,15 +178,21 @@ function calculateCombinedScorePercent(
  */
 function calculateProductScore(product, proximity_weight, freshness_weight, options = {}) {
   if (!product || typeof product !== 'object') {
-    throw new Error('product must be an object');
+    throw new ValidationError('product must be an object', {
+      code: 'invalid_type', field: 'product', value: product
+    });
   }
   
   if (typeof product.proximity_score !== 'number') {
-    throw new Error(`product.proximity_score must be a number (got ${typeof product.proximity_score})`);
+    throw new DataError(`product.proximity_score must be a number (got ${typeof product.proximity_score})`, {
+      code: 'invalid_field', field: 'proximity_score', value: product.proximity_score
+    });
   }
   
   if (typeof product.freshness_score !== 'number') {
-    throw new Error(`product.freshness_score must be a number (got ${typeof product.freshness_score})`);
+    throw new DataError(`product.freshness_score must be a number (got ${typeof product.freshness_score})`, {
+      code: 'invalid_field', field: 'freshness_score', value: product.freshness_score
+    });
   }
   
   const combined_score = calculateCombinedScore(
@@ -161,7 +218,8 @@ function calculateProductScore(product, proximity_weight, freshness_weight, opti
  * @param {number} freshness_weight - Weight for freshness (0-100)
  * @param {Object} options - Optional configuration
  * @returns {Array<Object>} Products enriched with combined_score
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
+ * @throws {DataError} If a product has no numeric proximity_score or freshness_score
  * 
  * @example
  * const products = [
@@ -176,7 +234,9 @@ function calculateProductScore(product, proximity_weight, freshness_weight, opti
  */
 function calculateCombinedScoresBatch(products, proximity_weight, freshness_weight, options = {}) {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
   
   // Validate weights once (not per product)
@@ -185,8 +245,9 @@ function calculateCombinedScoresBatch(products, proximity_weight, freshness_weig
   
   const { strict = true } = options;
   if (strict && proximity_weight + freshness_weight !== 100) {
-    throw new Error(
-      `Weights must sum to 100 in strict mode (got ${proximity_weight} + ${freshness_weight} = ${proximity_weight + freshness_weight})`
+    throw new ValidationError(
+      `Weights must sum to 100 in strict mode (got ${proximity_weight} + ${freshness_weight} = ${proximity_weight + freshness_weight})`,
+      { code: 'weights_sum', field: 'weights', value: proximity_weight + freshness_weight }
     );
   }
   
@@ -216,12 +277,16 @@ function sortByCombinedScore(products, options = {}) {
   const { descending = true } = options;
   
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
   
   return [...products].sort((a, b) => {
     if (typeof a.combined_score !== 'number' || typeof b.combined_score !== 'number') {
-      throw new Error('All products must have a numeric combined_score property');
+      throw new DataError('All products must have a numeric combined_score property', {
+        code: 'missing_field', field: 'combined_score'
+      });
     }
     
     return descending 
@@ -262,15 +327,48 @@ function calculateAndRank(products, proximity_weight, freshness_weight, options
  */
 function validateScore(score, paramName) {
   if (typeof score !== 'number') {
-    throw new Error(`${paramName} must be a number (got ${typeof score})`);
+    throw new ValidationError(`${paramName} must be a number (got ${typeof score})`, {
+      code: 'invalid_type', field: paramName, value: score
+    });
   }
   
   if (isNaN(score)) {
-    throw new Error(`${paramName} cannot be NaN`);
+    throw new ValidationError(`${paramName} cannot be NaN`, {
+      code: 'invalid_type', field: paramName, value: NaN
+    });
   }
   
   if (score < 0 || score > 100) {
-    throw new Error(`${paramName} must be between 0-100 (got ${score})`);
+    throw new ValidationError(`${paramName} must be between 0-100 (got ${score})`, {
+      code: 'out_of_range', field: paramName, value: score
+    });
+  }
+}
+
+/**
+ * Validate a set of named weights (each 0-100, sum 100 in strict mode)
+ * @private
+ */
+function validateWeightSet(weights, strict) {
+  if (!weights || typeof weights !== 'object' || Object.keys(weights).length === 0) {
+    throw new ValidationError('weights must be a non-empty object', {
+      code: 'invalid_type', field: 'weights', value: weights
+    });
+  }
+  
+  let sum = 0;
+  for (const [factor, weight] of Object.entries(weights)) {
+    validateWeight(weight, `${factor}_weight`);
+    sum += weight;
+  }
+  
+  // Tolerate floating point noise from 0-1 → 0-100 conversions
+  if (strict && Math.abs(sum - 100) > 1e-9) {
+    throw new ValidationError(
+      `Weights must sum to 100 in strict mode (got ${Object.values(weights).join(' + ')} = ${sum}). ` +
+      `Set strict=false to allow other sums.`,
+      { code: 'weights_sum', field: 'weights', value: sum }
+    );
   }
 }
 
@@ -280,21 +378,28 @@ function validateScore(score, paramName) {
  */
 function validateWeight(weight, paramName) {
   if (typeof weight !== 'number') {
-    throw new Error(`${paramName} must be a number (got ${typeof weight})`);
+    throw new ValidationError(`${paramName} must be a number (got ${typeof weight})`, {
+      code: 'invalid_type', field: paramName, value: weight
+    });
   }
   
   if (isNaN(weight)) {
-    throw new Error(`${paramName} cannot be NaN`);
+    throw new ValidationError(`${paramName} cannot be NaN`, {
+      code: 'invalid_type', field: paramName, value: NaN
+    });
   }
   
   if (weight < 0 || weight > 100) {
-    throw new Error(`${paramName} must be between 0-100 (got ${weight})`);
+    throw new ValidationError(`${paramName} must be between 0-100 (got ${weight})`, {
+      code: 'out_of_range', field: paramName, value: weight
+    });
   }
 }
 
 // Export functions
 module.exports = {
   calculateCombinedScore,
+  calculateWeightedScore,
   calculateCombinedScorePercent,
   calculateProductScore,
   calculateCombinedScoresBatch,
@@ -460,6 +565,59 @@ if (require.main === module) {
     if (score !== 80.0000) throw new Error(`Expected 80.0000, got ${score}`);
   });
   
+  // Test 19: N-factor weighted score
+  test('N-factor: Three weighted factors', () => {
+    const score = calculateWeightedScore(
+      { proximity: 80, freshness: 90, price: 50 },
+      { proximity: 40, freshness: 40, price: 20 }
+    );
+    if (score !== 78) throw new Error(`Expected 78, got ${score}`);
+  });
+  
+  // Test 20: N-factor matches two-factor calculation
+  test('N-factor: Two factors match calculateCombinedScore', () => {
+    const generic = calculateWeightedScore({ proximity: 80, freshness: 90 }, { proximity: 70, freshness: 30 });
+    const twoFactor = calculateCombinedScore(80, 90, 70, 30);
+    if (generic !== twoFactor) throw new Error(`Expected ${twoFactor}, got ${generic}`);
+  });
+  
+  // Test 21: N-factor missing score
+  test('Error: N-factor weight without score', () => {
+    try {
+      calculateWeightedScore({ proximity: 80 }, { proximity: 50, seller_rating: 50 });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Missing score for factor')) throw e;
+    }
+  });
+  
+  // Test 22: N-factor weight sum
+  test('Error: N-factor weights sum validation (strict mode)', () => {
+    try {
+      calculateWeightedScore({ proximity: 80, price: 50 }, { proximity: 60, price: 60 });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('must sum to 100')) throw e;
+    }
+  });
+  
+  // Test 23: Structured errors
+  test('Errors: Weight sum and product score codes', () => {
+    const { ValidationError, DataError } = require('../../utils/errors');
+    try {
+      calculateCombinedScore(80, 90, 60, 60);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof ValidationError) || e.code !== 'weights_sum' || e.value !== 120) throw e;
+    }
+    try {
+      calculateCombinedScoresBatch([{ id: 1, proximity_score: 80 }], 50, 50);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof DataError) || e.code !== 'invalid_field' || e.field !== 'freshness_score') throw e;
+    }
+  });
+  
   console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
   
   if (failed === 0) {
@@ -27,6 +27,10 @@ const productTypes = require('../../product-management/product-types.json');
 console.log('🧪 Combined Score Calculator Integration Test\n');
 console.log('=' .repeat(80));
 
+// Current date for all tests
+const CURRENT_DATE = new Date('2025-01-30T12:00:00Z');
+console.log(`Current date: ${CURRENT_DATE.toISOString()}\n`);
+
 // ============================================================================
 // SETUP: Enrich all products with full metrics
 // ============================================================================
@@ -47,7 +51,7 @@ const fullyEnrichedProducts = products.map(product => {
     total_shelf_life_days: productType.default_shelf_life_days,
     days_already_used: product.days_already_used,
     listed_date: product.listed_date
-  });
+  }, CURRENT_DATE);
   
   // Step 3: Normalize scores
   const scores = normalizeScores({
@@ -336,7 +340,7 @@ const shelfLife = calculateShelfLifeMetrics({
   total_shelf_life_days: sampleProductType.default_shelf_life_days,
   days_already_used: sampleProduct.days_already_used,
   listed_date: sampleProduct.listed_date
-});
+}, CURRENT_DATE);
 console.log(`  2. Shelf Life: ${shelfLife.freshness_percent.toFixed(2)}% fresh (${shelfLife.remaining_shelf_life_days} days left)`);
 
 // 3. Normalize scores
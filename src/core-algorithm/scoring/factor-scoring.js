@@ -0,0 +1,654 @@
+/**
+ * Chenda - N-Factor Scoring Engine
+ * Generalises the proximity/freshness combined score to any set of named factors
+ *
+ * Each factor has:
+ * - normalize(product, context, options) → 0-100 score (higher = better)
+ * - prepare(products, options) → context shared by all products (optional),
+ *   e.g. the price range of the candidate set
+ * - field / raw(product) → raw metric shown in score breakdowns (optional)
+ *
+ * Built-in factors:
+ * - proximity: distance_km vs max radius (closer = higher)
+ * - freshness: freshness_percent (fresher = higher)
+ * - price: price vs candidate set range (cheaper = higher)
+ * - unit_price: unit_price (or price per liter, kg or piece, see calculations/unit-price.js)
+ *   vs the range of listings with the same price unit (cheaper = higher)
+ * - seller_rating: seller_rating out of max rating (higher = higher)
+ * - quantity: quantity vs largest quantity in candidate set (more stock = higher)
+ *
+ * Price normalization (options.priceNormalization) for price and unit_price:
+ * - 'range' (default): cheapest in the candidate set = 100, most expensive = 0
+ * - 'type_median': vs the median of listings of the same product_type_id and price
+ *   group (price unit for unit_price) in the candidate set (median = 50, see
+ *   normalizePriceScoreByMedian)
+ *
+ * Weights are 0-100 and must sum to 100 (strict mode), as in combined-score.js.
+ * The two-factor presets from product_ranker.js are { proximity, freshness } weight sets.
+ */
+
+const {
+  normalizeProximityScore,
+  normalizeFreshnessScore,
+  normalizePriceScore,
+  normalizePriceScoreByMedian,
+  normalizeRatingScore,
+  normalizeQuantityScore
+} = require('./score-normalizer');
+
+const { calculateWeightedScore } = require('./combined-score');
+const { getFreshnessCurve } = require('./freshness-curves');
+const { calculateUnitPrice, getMedianPricesByType } = require('../calculations/unit-price');
+const { validateProximityDecay } = require('./proximity-decay');
+const { ChendaError, ValidationError, ConfigurationError, DataError } = require('../../utils/errors');
+
+const PRICE_NORMALIZATIONS = ['range', 'type_median'];
+
+/**
+ * Read a numeric property from a product, failing with a clear message
+ * @private
+ */
+function requireNumber(product, field) {
+  const value = product[field];
+  if (typeof value !== 'number' || isNaN(value)) {
+    throw new DataError(`Product ${product.id || 'unknown'} missing ${field}`, {
+      code: 'missing_field', field: field, value: value
+    });
+  }
+  return value;
+}
+
+/**
+ * Compute unit price for a product (explicit unit_price, else price per base unit)
+ * @private
+ */
+function getUnitPrice(product) {
+  if (typeof product.unit_price === 'number' && !isNaN(product.unit_price)) {
+    return product.unit_price;
+  }
+  return calculateUnitPrice(product).unit_price;
+}
+
+/**
+ * Base unit a product's unit price is quoted in
+ * @private
+ */
+function getPriceUnit(product) {
+  if (product.price_unit) {
+    return product.price_unit;
+  }
+  return typeof product.unit_price === 'number' ? 'piece' : calculateUnitPrice(product).price_unit;
+}
+
+/**
+ * Min/max of a value across the candidate set
+ * @private
+ */
+function getRange(products, getValue) {
+  const values = products.map(getValue);
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+}
+
+/**
+ * Build a price factor for a price getter
+ * Range normalization compares listings within the same group (e.g. price unit)
+ * @private
+ */
+function createPriceFactor(field, getPrice, getGroup, raw) {
+  return {
+    field,
+    raw,
+    prepare: (products, options) => {
+      if (options.priceNormalization === 'type_median') {
+        return { medians: getMedianPricesByType(products, getPrice, getGroup) };
+      }
+      const ranges = new Map();
+      products.forEach(product => {
+        const group = getGroup(product);
+        const price = getPrice(product);
+        const range = ranges.get(group) || { min: price, max: price };
+        ranges.set(group, { min: Math.min(range.min, price), max: Math.max(range.max, price) });
+      });
+      return { ranges };
+    },
+    normalize: (product, context, options) => {
+      const price = getPrice(product);
+      if (context.medians) {
+        const type = product.product_type_id != null ? product.product_type_id : null;
+        const median = context.medians.get(type).get(getGroup(product));
+        // A free listing type has no meaningful median; everything in it is a bargain
+        return median > 0 ? normalizePriceScoreByMedian(price, median, options.decimals) : 100;
+      }
+      const range = context.ranges.get(getGroup(product));
+      return normalizePriceScore(price, range.min, range.max, options.decimals);
+    }
+  };
+}
+
+/**
+ * Built-in factor definitions
+ */
+const BUILT_IN_FACTORS = {
+  proximity: {
+    field: 'distance_km',
+    normalize: (product, context, options) =>
+      normalizeProximityScore(
+        requireNumber(product, 'distance_km'),
+        options.maxRadiusKm,
+        options.decimals,
+        options.proximityDecay
+      )
+  },
+  freshness: {
+    field: 'freshness_percent',
+    normalize: (product, context, options) =>
+      normalizeFreshnessScore(
+        requireNumber(product, 'freshness_percent'),
+        options.decimals,
+        options.freshnessCurves ? getFreshnessCurve(product.category_id, options.freshnessCurves) : 'linear'
+      )
+  },
+  price: createPriceFactor('price', p => requireNumber(p, 'price'), () => null),
+  unit_price: createPriceFactor('unit_price', getUnitPrice, getPriceUnit, getUnitPrice),
+  seller_rating: {
+    field: 'seller_rating',
+    normalize: (product, context, options) =>
+      normalizeRatingScore(requireNumber(product, 'seller_rating'), options.maxRating, options.decimals)
+  },
+  quantity: {
+    field: 'quantity',
+    prepare: products => getRange(products, p => requireNumber(p, 'quantity')),
+    normalize: (product, range, options) =>
+      normalizeQuantityScore(requireNumber(product, 'quantity'), range.max, options.decimals)
+  }
+};
+
+/**
+ * Get the names of all available factors
+ *
+ * @param {Object} customFactors - Additional factor definitions (optional)
+ * @returns {Array<string>} Factor names
+ *
+ * @example
+ * getFactorNames();
+ * // Returns: ['proximity', 'freshness', 'price', 'unit_price', 'seller_rating', 'quantity']
+ */
+function getFactorNames(customFactors = {}) {
+  return [...new Set([...Object.keys(BUILT_IN_FACTORS), ...Object.keys(customFactors)])];
+}
+
+/**
+ * Resolve factor definitions for a weight set
+ * @private
+ */
+function resolveFactorDefinitions(weights, customFactors) {
+  const definitions = {};
+  for (const name of Object.keys(weights)) {
+    const definition = customFactors[name] || BUILT_IN_FACTORS[name];
+    if (!definition) {
+      throw new ConfigurationError(`Unknown scoring factor: ${name}. Available: ${getFactorNames(customFactors).join(', ')}`, {
+        code: 'invalid_option', field: `weights.${name}`, value: name
+      });
+    }
+    if (typeof definition.normalize !== 'function') {
+      throw new ConfigurationError(`Scoring factor ${name} must define a normalize function`, {
+        code: 'invalid_option', field: `customFactors.${name}`, value: definition
+      });
+    }
+    definitions[name] = definition;
+  }
+  return definitions;
+}
+
+/**
+ * Convert a two-factor weight configuration to factor weights
+ *
+ * @param {Object} weightConfig - { proximityWeight, freshnessWeight } (e.g. from getWeightPresets)
+ * @returns {Object} { proximity, freshness } factor weights
+ *
+ * @example
+ * const weights = toFactorWeights(getWeightPresets().proximity_focused);
+ * // Returns: { proximity: 70, freshness: 30 }
+ */
+function toFactorWeights(weightConfig) {
+  if (!weightConfig || typeof weightConfig !== 'object') {
+    throw new ValidationError('weightConfig must be an object', {
+      code: 'invalid_type', field: 'weightConfig', value: weightConfig
+    });
+  }
+  return {
+    proximity: weightConfig.proximityWeight,
+    freshness: weightConfig.freshnessWeight
+  };
+}
+
+/**
+ * Score products on any set of weighted factors
+ * Factors with weight 0 are skipped, so their data is not required
+ *
+ * @param {Array<Object>} products - Products with the fields the weighted factors need
+ * @param {Object<string, number>} weights - Weight per factor name (0-100)
+ * @param {Object} options - Optional configuration
+ * @param {number} options.maxRadiusKm - Radius for proximity normalization (default: 50)
+ * @param {string|Object} options.proximityDecay - Proximity decay curve (default: 'linear')
+ * @param {Object} options.freshnessCurves - Freshness curves keyed by category_id (optional)
+ * @param {number} options.maxRating - Maximum seller rating (default: 5)
+ * @param {string} options.priceNormalization - Price and unit_price scoring: 'range' (default)
+ *   or 'type_median' (vs the product type's median in the candidate set)
+ * @param {Object} options.customFactors - Extra factor definitions { name: { normalize, prepare } }
+ * @param {boolean} options.strict - Weights must sum to 100 (default: true)
+ * @param {number} options.decimals - Decimal places (default: 2)
+ * @returns {Array<Object>} Products with factor_scores, <factor>_score and combined_score
+ * @throws {ConfigurationError} If a factor is unknown or has no normalize function
+ * @throws {DataError} If a product lacks data a factor needs (code 'missing_field')
+ *
+ * @example
+ * const scored = scoreProductsByFactors(products, {
+ *   proximity: 40,
+ *   freshness: 40,
+ *   price: 20
+ * }, { maxRadiusKm: 30 });
+ * // Each product gets: factor_scores: { proximity, freshness, price },
+ * //   proximity_score, freshness_score, price_score, combined_score
+ */
+function scoreProductsByFactors(products, weights, options = {}) {
+  const {
+    maxRadiusKm = 50,
+    proximityDecay = 'linear',
+    freshnessCurves = null,
+    maxRating = 5,
+    priceNormalization = 'range',
+    customFactors = {},
+    strict = true,
+    decimals = 2
+  } = options;
+
+  if (!PRICE_NORMALIZATIONS.includes(priceNormalization)) {
+    throw new ConfigurationError(
+      `Invalid priceNormalization: ${priceNormalization}. Must be one of: ${PRICE_NORMALIZATIONS.join(', ')}`,
+      { code: 'invalid_option', field: 'priceNormalization', value: priceNormalization }
+    );
+  }
+
+  if (!Array.isArray(products)) {
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
+  }
+
+  if (!weights || typeof weights !== 'object') {
+    throw new ValidationError('weights must be an object', {
+      code: 'invalid_type', field: 'weights', value: weights
+    });
+  }
+
+  const activeWeights = {};
+  for (const [name, weight] of Object.entries(weights)) {
+    if (weight !== 0) {
+      activeWeights[name] = weight;
+    }
+  }
+
+  const definitions = resolveFactorDefinitions(activeWeights, customFactors);
+
+  // Validate weights up front, even for empty product lists
+  calculateWeightedScore(
+    Object.fromEntries(Object.keys(activeWeights).map(name => [name, 0])),
+    activeWeights,
+    { strict }
+  );
+
+  // Validated once here; every product's proximity score reuses it
+  const decay = validateProximityDecay(proximityDecay);
+
+  if (products.length === 0) {
+    return [];
+  }
+
+  const normalizeOptions = { maxRadiusKm, proximityDecay: decay, freshnessCurves, maxRating, priceNormalization, decimals };
+
+  // Build per-factor context from the whole candidate set
+  const contexts = {};
+  for (const [name, definition] of Object.entries(definitions)) {
+    contexts[name] = definition.prepare ? definition.prepare(products, normalizeOptions) : null;
+  }
+
+  return products.map(product => {
+    if (!product || typeof product !== 'object') {
+      throw new ValidationError('Each product must be an object', {
+        code: 'invalid_type', field: 'products', value: product
+      });
+    }
+
+    const factorScores = {};
+    for (const [name, definition] of Object.entries(definitions)) {
+      factorScores[name] = definition.normalize(product, contexts[name], normalizeOptions);
+    }
+
+    const scoreFields = {};
+    for (const [name, score] of Object.entries(factorScores)) {
+      scoreFields[`${name}_score`] = score;
+    }
+
+    return {
+      ...product,
+      ...scoreFields,
+      factor_scores: factorScores,
+      combined_score: calculateWeightedScore(factorScores, activeWeights, { strict, decimals })
+    };
+  });
+}
+
+/**
+ * Check that a product has the data every weighted factor needs
+ *
+ * Scores the product on its own, so callers can drop listings that would make
+ * scoreProductsByFactors throw for the whole candidate set (e.g. a missing price).
+ * Errors from custom factors that are not ChendaErrors are reported as DataErrors.
+ *
+ * @param {Object} product - Product to check
+ * @param {Object<string, number>} weights - Weight per factor name (factors with weight 0 are skipped)
+ * @param {Object} options - Same options as scoreProductsByFactors
+ * @throws {DataError} If the product lacks data a weighted factor needs
+ * @throws {ConfigurationError} If a factor is unknown or has no normalize function
+ *
+ * @example
+ * validateFactorData({ id: 1, distance_km: 2 }, { proximity: 50, price: 50 });
+ * // Throws DataError: Product 1 missing price
+ */
+function validateFactorData(product, weights, options = {}) {
+  const { customFactors = {}, ...normalizeOptions } = {
+    maxRadiusKm: 50,
+    proximityDecay: 'linear',
+    freshnessCurves: null,
+    maxRating: 5,
+    priceNormalization: 'range',
+    decimals: 2,
+    ...options
+  };
+  normalizeOptions.proximityDecay = validateProximityDecay(normalizeOptions.proximityDecay);
+  const activeWeights = Object.fromEntries(Object.entries(weights).filter(([, weight]) => weight !== 0));
+  const definitions = resolveFactorDefinitions(activeWeights, customFactors);
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    try {
+      const context = definition.prepare ? definition.prepare([product], normalizeOptions) : null;
+      definition.normalize(product, context, normalizeOptions);
+    } catch (error) {
+      if (error instanceof ChendaError) {
+        throw error;
+      }
+      throw new DataError(`Product ${product.id || 'unknown'} cannot be scored on ${name}: ${error.message}`, {
+        code: 'invalid_field', field: definition.field || name, value: definition.field ? product[definition.field] : null
+      });
+    }
+  }
+}
+
+/**
+ * Explain a product's combined score factor by factor
+ * 
+ * @param {Object} product - Scored product (with combined_score)
+ * @param {Object<string, number>} factorScores - Normalized score per factor (0-100)
+ * @param {Object<string, number>} weights - Weight per factor (0-100)
+ * @param {Object} customFactors - Extra factor definitions (optional)
+ * @returns {Object} { factors: { [name]: { field, raw_value, score, weight, contribution } }, combined_score }
+ * 
+ * @example
+ * buildScoreBreakdown(product, { proximity: 80, freshness: 90 }, { proximity: 40, freshness: 60 });
+ * // Returns: { factors: { proximity: { field: 'distance_km', raw_value: 10, score: 80,
+ * //   weight: 40, contribution: 32 }, freshness: {...} }, combined_score: 86 }
+ */
+function buildScoreBreakdown(product, factorScores, weights, customFactors = {}) {
+  const factors = {};
+  
+  for (const [name, weight] of Object.entries(weights)) {
+    const definition = customFactors[name] || BUILT_IN_FACTORS[name] || {};
+    const score = typeof factorScores[name] === 'number' ? factorScores[name] : null;
+    
+    let rawValue = null;
+    if (definition.raw) {
+      try {
+        rawValue = definition.raw(product);
+      } catch (error) {
+        rawValue = null;
+      }
+    } else if (definition.field && product[definition.field] !== undefined) {
+      rawValue = product[definition.field];
+    }
+    
+    factors[name] = {
+      field: definition.field || null,
+      raw_value: rawValue,
+      score,
+      weight,
+      // Points this factor adds to the combined score
+      contribution: score === null ? 0 : Number((score * weight / 100).toFixed(2))
+    };
+  }
+  
+  return {
+    factors,
+    combined_score: product.combined_score
+  };
+}
+
+/**
+ * Score and rank products on any set of weighted factors
+ *
+ * @param {Array<Object>} products - Products with the fields the weighted factors need
+ * @param {Object<string, number>} weights - Weight per factor name (0-100)
+ * @param {Object} options - Same options as scoreProductsByFactors
+ * @returns {Array<Object>} Scored products sorted by combined_score (highest first)
+ *
+ * @example
+ * const ranked = rankProductsByFactors(products, { proximity: 30, freshness: 50, seller_rating: 20 });
+ */
+function rankProductsByFactors(products, weights, options = {}) {
+  return scoreProductsByFactors(products, weights, options)
+    .sort((a, b) => b.combined_score - a.combined_score);
+}
+
+// Export functions
+module.exports = {
+  scoreProductsByFactors,
+  validateFactorData,
+  rankProductsByFactors,
+  buildScoreBreakdown,
+  toFactorWeights,
+  getFactorNames,
+  PRICE_NORMALIZATIONS,
+  BUILT_IN_FACTORS
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Factor Scoring Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const products = [
+    { id: 1, distance_km: 5, freshness_percent: 90, price: 100, quantity: 2, seller_rating: 4.5 },
+    { id: 2, distance_km: 25, freshness_percent: 50, price: 50, quantity: 10, seller_rating: 3 },
+    { id: 3, distance_km: 10, freshness_percent: 70, price: 75, quantity: 5, seller_rating: 5 }
+  ];
+
+  // Test 1: Two-factor special case
+  test('Two factors: Matches proximity/freshness combined score', () => {
+    const scored = scoreProductsByFactors(products, { proximity: 50, freshness: 50 }, { maxRadiusKm: 50 });
+    // Product 1: proximity 90, freshness 90 → 90
+    if (scored[0].combined_score !== 90) throw new Error(`Expected 90, got ${scored[0].combined_score}`);
+    if (scored[0].proximity_score !== 90) throw new Error('Should expose proximity_score');
+  });
+
+  // Test 2: Price factor relative to candidate set
+  test('Price factor: Cheapest scores 100, most expensive 0', () => {
+    const scored = scoreProductsByFactors(products, { price: 100 });
+    if (scored[1].price_score !== 100) throw new Error('Cheapest should score 100');
+    if (scored[0].price_score !== 0) throw new Error('Most expensive should score 0');
+    if (scored[2].price_score !== 50) throw new Error('Middle price should score 50');
+  });
+
+  // Test 3: Unit price factor
+  test('Unit price factor: Uses price per quantity', () => {
+    const scored = scoreProductsByFactors(products, { unit_price: 100 });
+    // Unit prices: 50, 5, 15 → product 2 cheapest
+    if (scored[1].unit_price_score !== 100) throw new Error('Lowest unit price should score 100');
+    if (scored[0].unit_price_score !== 0) throw new Error('Highest unit price should score 0');
+  });
+
+  // Test 4: Seller rating and quantity factors
+  test('Seller rating and quantity factors', () => {
+    const scored = scoreProductsByFactors(products, { seller_rating: 50, quantity: 50 });
+    if (scored[2].seller_rating_score !== 100) throw new Error('5-star seller should score 100');
+    if (scored[1].quantity_score !== 100) throw new Error('Largest quantity should score 100');
+    if (scored[0].quantity_score !== 20) throw new Error(`Expected 20, got ${scored[0].quantity_score}`);
+  });
+
+  // Test 5: Ranking with many factors
+  test('Ranking: Sorted by combined score', () => {
+    const ranked = rankProductsByFactors(products, {
+      proximity: 30,
+      freshness: 30,
+      price: 20,
+      seller_rating: 20
+    }, { maxRadiusKm: 50 });
+    for (let i = 0; i < ranked.length - 1; i++) {
+      if (ranked[i].combined_score < ranked[i + 1].combined_score) throw new Error('Not sorted descending');
+    }
+  });
+
+  // Test 6: Custom factor
+  test('Custom factor: Own normalizer and weight', () => {
+    const scored = scoreProductsByFactors(products, { freshness: 50, organic: 50 }, {
+      customFactors: {
+        organic: { normalize: product => (product.id === 3 ? 100 : 0) }
+      }
+    });
+    if (scored[2].organic_score !== 100) throw new Error('Custom factor score not applied');
+    if (scored[2].combined_score !== 85) throw new Error(`Expected 85, got ${scored[2].combined_score}`);
+  });
+
+  // Test 7: Zero-weight factors are skipped
+  test('Zero weight: Factor data not required', () => {
+    const scored = scoreProductsByFactors([{ id: 1, freshness_percent: 80 }], { freshness: 100, seller_rating: 0 });
+    if (scored[0].combined_score !== 80) throw new Error(`Expected 80, got ${scored[0].combined_score}`);
+  });
+
+  // Test 8: Preset conversion
+  test('Presets: Convert two-factor weights', () => {
+    const weights = toFactorWeights({ proximityWeight: 70, freshnessWeight: 30 });
+    if (weights.proximity !== 70 || weights.freshness !== 30) throw new Error('Wrong factor weights');
+  });
+
+  // Test 9: Score breakdown
+  test('Breakdown: Contributions add up to combined score', () => {
+    const weights = { proximity: 30, freshness: 30, unit_price: 40 };
+    const [scored] = scoreProductsByFactors(products, weights, { maxRadiusKm: 50 });
+    const breakdown = buildScoreBreakdown(scored, scored.factor_scores, weights);
+    const total = Object.values(breakdown.factors).reduce((sum, f) => sum + f.contribution, 0);
+    if (Math.abs(total - scored.combined_score) > 0.02) throw new Error(`Contributions ${total} != ${scored.combined_score}`);
+    if (breakdown.factors.proximity.raw_value !== 5) throw new Error('Proximity raw value should be distance_km');
+    if (breakdown.factors.unit_price.raw_value !== 50) throw new Error('Unit price raw value should be computed');
+  });
+
+  // Test 10: Unknown factor
+  test('Error: Unknown factor', () => {
+    try {
+      scoreProductsByFactors(products, { popularity: 100 });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Unknown scoring factor')) throw e;
+    }
+  });
+
+  // Test 11: Missing data
+  test('Error: Product missing factor data', () => {
+    try {
+      scoreProductsByFactors([{ id: 9, freshness_percent: 80 }], { freshness: 50, seller_rating: 50 });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('missing seller_rating')) throw e;
+    }
+  });
+
+  // Test 12: Unit conversion
+  test('Unit price factor: Dozen priced per piece, units compared separately', () => {
+    const listings = [
+      { id: 1, price: 180, quantity: 2, unit: 'dozen' },     // 7.50 per piece
+      { id: 2, price: 60, quantity: 6, unit: 'pieces' },     // 10.00 per piece
+      { id: 3, price: 95, quantity: 2, unit: 'liters' }      // 47.50 per liter, alone in its unit
+    ];
+    const scored = scoreProductsByFactors(listings, { unit_price: 100 });
+    if (scored[0].unit_price_score !== 100 || scored[1].unit_price_score !== 0) {
+      throw new Error('Eggs by the dozen should be cheaper per piece');
+    }
+    if (scored[2].unit_price_score !== 100) throw new Error('Liters should not be ranked against pieces');
+  });
+
+  // Test 13: Median per product type
+  test('Price normalization: type_median compares within the product type', () => {
+    const listings = [
+      { id: 1, product_type_id: 21, price: 180, quantity: 2, unit: 'dozen' },  // 7.50
+      { id: 2, product_type_id: 21, price: 170, quantity: 3, unit: 'dozen' },  // 4.72
+      { id: 3, product_type_id: 21, price: 175, quantity: 4, unit: 'dozen' },  // 3.65
+      { id: 4, product_type_id: 2, price: 95, quantity: 2, unit: 'liters' },   // 47.50
+      { id: 5, product_type_id: 21, price: 400, quantity: 1, unit: 'kg' }      // 400 per kg
+    ];
+    const scored = scoreProductsByFactors(listings, { unit_price: 100 }, { priceNormalization: 'type_median' });
+    const scores = scored.map(p => p.unit_price_score).join();
+    // Eggs by the kg get their own median instead of skewing the per-piece one
+    if (scores !== '20.55,50,61.33,50,50') throw new Error(`Got ${scores}`);
+    try {
+      scoreProductsByFactors(listings, { price: 100 }, { priceNormalization: 'mean' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (e.code !== 'invalid_option' || !e.message.includes('Invalid priceNormalization')) throw e;
+    }
+  });
+
+  // Test 14: Per-product data check
+  test('validateFactorData: Reports the factor data a product lacks', () => {
+    const weights = { proximity: 40, price: 30, seller_rating: 30, quantity: 0 };
+    validateFactorData({ id: 1, distance_km: 2, price: 50, seller_rating: 4 }, weights);
+    const cases = [
+      [{ id: 2, distance_km: 2, seller_rating: 4 }, weights, {}, 'price'],
+      [{ id: 3, distance_km: 2, price: 50 }, weights, {}, 'seller_rating'],
+      [{ id: 4, distance_km: 2 }, { proximity: 50, organic: 50 },
+        { customFactors: { organic: { field: 'organic', normalize: p => p.organic.score } } }, 'organic']
+    ];
+    for (const [product, factorWeights, options, field] of cases) {
+      try {
+        validateFactorData(product, factorWeights, options);
+        throw new Error('Should have thrown error');
+      } catch (e) {
+        if (!(e instanceof DataError) || e.field !== field) throw e;
+      }
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Chenda - N-Factor Scoring Integration Test
+ * Test multi-factor ranking with real mock data
+ *
+ * Tests:
+ * 1. Two-factor weights reproduce the classic combined score
+ * 2. Adding price, seller rating and quantity factors changes the ranking
+ * 3. Custom factor with its own normalizer
+ * 4. Unit price vs the product type median
+ */
+
+const {
+  scoreProductsByFactors,
+  rankProductsByFactors,
+  toFactorWeights
+} = require('./factor-scoring.js');
+
+const { calculateCombinedScoresBatch } = require('./combined-score.js');
+const { calculateDistance } = require('../calculations/haversine.js');
+const { calculateShelfLifeMetrics } = require('../calculations/shelf-life.js');
+const { normalizeScores } = require('./score-normalizer.js');
+const { getWeightPresets } = require('../ranking/product_ranker.js');
+const { calculateUnitPrice } = require('../calculations/unit-price.js');
+const mockData = require('../../product-display/mock_data.js');
+const productTypes = require('../../product-management/product-types.json');
+
+console.log('🧪 N-Factor Scoring Integration Test\n');
+console.log('='.repeat(80));
+
+// Fixed evaluation date so the mock listings (Jan 2025) are still fresh
+const REFERENCE_DATE = new Date('2025-01-30T12:00:00Z');
+
+// Example seller ratings (not part of the mock data)
+const SELLER_RATINGS = { 6: 4.8, 7: 3.9, 8: 4.2, 9: 2.5 };
+
+// ============================================================================
+// SETUP: Enrich all products with metrics and seller ratings
+// ============================================================================
+console.log('\n🔧 Setup: Calculating product metrics...');
+
+const buyer = mockData.mockUsers.find(u => u.id === 1); // Maria Santos
+const maxRadiusKm = buyer.preferences.max_radius_km;
+
+const products = mockData.mockProducts.map(product => {
+  const productType = productTypes.find(pt => pt.id === product.product_type_id);
+  const distance_km = Number(calculateDistance(buyer.location, product.location).toFixed(2));
+  const shelfLifeMetrics = calculateShelfLifeMetrics({
+    total_shelf_life_days: productType.default_shelf_life_days,
+    days_already_used: product.days_already_used,
+    listed_date: product.listed_date
+  }, REFERENCE_DATE);
+  const scores = normalizeScores({
+    distance_km,
+    freshness_percent: shelfLifeMetrics.freshness_percent,
+    max_radius_km: maxRadiusKm
+  });
+
+  return {
+    id: product.id,
+    product_name: productType.name,
+    seller_id: product.seller_id,
+    product_type_id: product.product_type_id,
+    price: product.price,
+    quantity: product.quantity,
+    unit: product.unit,
+    seller_rating: SELLER_RATINGS[product.seller_id],
+    distance_km,
+    freshness_percent: shelfLifeMetrics.freshness_percent,
+    proximity_score: scores.proximity_score,
+    freshness_score: scores.freshness_score
+  };
+});
+
+console.log(`✓ Enriched ${products.length} products\n`);
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function printTop(ranked, count = 5) {
+  ranked.slice(0, count).forEach((p, idx) => {
+    console.log(
+      `  ${idx + 1}. ${p.product_name.substring(0, 20).padEnd(20)} - ` +
+      `Score: ${String(p.combined_score).padStart(6)}, ` +
+      `Price: ₱${String(p.price).padStart(5)}, ` +
+      `Seller: ${p.seller_id}`
+    );
+  });
+}
+
+// ============================================================================
+// SCENARIO 1: Two-factor weights match the classic combined score
+// ============================================================================
+console.log('\n📍 SCENARIO 1: Two-Factor Compatibility');
+console.log('-'.repeat(80));
+
+const presets = getWeightPresets();
+Object.entries(presets).forEach(([name, preset]) => {
+  const classic = calculateCombinedScoresBatch(products, preset.proximityWeight, preset.freshnessWeight);
+  const factored = scoreProductsByFactors(products, toFactorWeights(preset), { maxRadiusKm });
+  const matches = classic.every((p, i) => p.combined_score === factored[i].combined_score);
+  check(`Preset ${name}: N-factor scores match calculateCombinedScoresBatch`, matches);
+});
+
+// ============================================================================
+// SCENARIO 2: Extra factors change the ranking
+// ============================================================================
+console.log('\n\n🔍 SCENARIO 2: Price, Seller Rating and Quantity Factors');
+console.log('-'.repeat(80));
+
+const balanced = rankProductsByFactors(products, { proximity: 50, freshness: 50 }, { maxRadiusKm });
+const bargain = rankProductsByFactors(products, {
+  proximity: 30,
+  freshness: 30,
+  price: 40
+}, { maxRadiusKm });
+const trusted = rankProductsByFactors(products, {
+  proximity: 25,
+  freshness: 25,
+  seller_rating: 40,
+  quantity: 10
+}, { maxRadiusKm });
+
+console.log('\n50/50 proximity/freshness:');
+printTop(balanced);
+console.log('\n30/30/40 with price:');
+printTop(bargain);
+console.log('\n25/25/40/10 with seller rating and quantity:');
+printTop(trusted);
+
+const avgPrice = list => list.slice(0, 5).reduce((sum, p) => sum + p.price, 0) / 5;
+const avgRating = list => list.slice(0, 5).reduce((sum, p) => sum + p.seller_rating, 0) / 5;
+
+check('Price factor lowers the average price of the top 5', avgPrice(bargain) <= avgPrice(balanced));
+check('Seller rating factor raises the average rating of the top 5', avgRating(trusted) >= avgRating(balanced));
+check('Every product carries factor_scores for its weighted factors',
+  trusted.every(p => ['proximity', 'freshness', 'seller_rating', 'quantity']
+    .every(name => typeof p.factor_scores[name] === 'number')));
+
+// ============================================================================
+// SCENARIO 3: Custom factor
+// ============================================================================
+console.log('\n\n🧩 SCENARIO 3: Custom Factor (preferred sellers)');
+console.log('-'.repeat(80));
+
+const preferredSellers = [8];
+const withCustom = rankProductsByFactors(products, { freshness: 50, preferred_seller: 50 }, {
+  customFactors: {
+    preferred_seller: {
+      normalize: product => (preferredSellers.includes(product.seller_id) ? 100 : 0)
+    }
+  }
+});
+printTop(withCustom);
+
+check('Preferred seller products rank first', withCustom[0].seller_id === 8);
+
+// ============================================================================
+// SCENARIO 4: Unit price vs the product type median
+// ============================================================================
+console.log('\n\n🥚 SCENARIO 4: Unit Price vs Product Type Median');
+console.log('-'.repeat(80));
+
+const byMedian = scoreProductsByFactors(products, { unit_price: 100 }, { priceNormalization: 'type_median' });
+const eggs = byMedian
+  .filter(p => p.product_type_id === 21)
+  .map(p => ({ ...p, ...calculateUnitPrice(p) }))
+  .sort((a, b) => a.unit_price - b.unit_price);
+eggs.forEach(p => {
+  console.log(`  Product ${p.id}: ${p.quantity} ${p.unit} for ₱${p.price} = ₱${p.unit_price}/${p.price_unit}, ` +
+    `score ${p.unit_price_score}`);
+});
+
+check('Eggs are priced per piece', eggs.every(p => p.price_unit === 'piece'));
+check('Median-priced eggs score 50', eggs[1].unit_price_score === 50);
+check('Cheaper eggs per piece score higher', eggs[0].unit_price_score > eggs[1].unit_price_score &&
+  eggs[1].unit_price_score > eggs[2].unit_price_score);
+check('Every listing unit converts', byMedian.every(p => typeof p.unit_price_score === 'number'));
+
+const byPrice = rankProductsByFactors(products, { proximity: 30, freshness: 30, unit_price: 40 }, {
+  maxRadiusKm,
+  priceNormalization: 'type_median'
+});
+printTop(byPrice);
+check('Weighting unit price changes the ranking',
+  byPrice.map(p => p.id).join() !== balanced.map(p => p.id).join() &&
+  byPrice.every(p => typeof p.factor_scores.unit_price === 'number'));
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '='.repeat(80));
+console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('✅ N-Factor Scoring Integration Test Complete!');
+} else {
+  console.log('❌ Some checks failed');
+  process.exit(1);
+}
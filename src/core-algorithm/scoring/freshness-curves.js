@@ -0,0 +1,305 @@
+/**
+ * Chenda - Freshness Curves
+ * Map freshness percent (0-100) to a freshness score per USDA food category
+ *
+ * Curve models (f = freshness_percent; every model maps 0 → 0 and 100 → 100):
+ * - linear: f (default, original pass-through behaviour)
+ * - threshold: f above cliff_percent, f * below_factor under it - value
+ *   falls off a cliff near the end of life (defaults: cliff 30%, factor 0.25)
+ * - exponential: 100 * (e^(rate·f/100) - 1) / (e^rate - 1) - rate > 0 penalises
+ *   low freshness, rate < 0 keeps scores high until late (default rate: 3)
+ * - sigmoid: logistic S-curve around midpoint_percent (default: 50) with
+ *   steepness per percent (default: 0.1), rescaled to 0-100
+ *
+ * A curve is given as a model name ('sigmoid') or an object with the model
+ * name in `type` plus its parameters ({ type: 'threshold', cliff_percent: 40 }).
+ * Curve maps are keyed by USDA category_id (see shelf-life-core.json Category
+ * sheet), with an optional `default` entry for other categories.
+ */
+
+const { ConfigurationError } = require('../../utils/errors');
+
+const CURVE_TYPES = ['linear', 'threshold', 'exponential', 'sigmoid'];
+
+// Parameters accepted by each model
+const CURVE_PARAMETERS = {
+  linear: [],
+  threshold: ['cliff_percent', 'below_factor'],
+  exponential: ['rate'],
+  sigmoid: ['midpoint_percent', 'steepness']
+};
+
+/**
+ * Suggested curves for perishable USDA categories
+ * Fresh meat, poultry and seafood are unsafe soon after their window closes;
+ * produce loses value quickly; dairy (incl. hard cheese) degrades gently
+ */
+const DEFAULT_CATEGORY_CURVES = {
+  7: { type: 'exponential', rate: -2 },              // Dairy Products & Eggs
+  10: { type: 'threshold', cliff_percent: 25 },       // Meat - Fresh
+  15: { type: 'threshold', cliff_percent: 30 },       // Poultry - Fresh
+  18: { type: 'sigmoid', midpoint_percent: 40 },      // Produce - Fresh Fruits
+  19: { type: 'exponential', rate: 3 },               // Produce - Fresh Vegetables
+  20: { type: 'threshold', cliff_percent: 30 },       // Seafood - Fresh
+  21: { type: 'threshold', cliff_percent: 30 },       // Seafood - Shellfish
+  default: 'linear'
+};
+
+/**
+ * Validate a freshness curve and convert it to object form
+ *
+ * @param {string|Object} curve - Model name or { type, ...parameters } (default: 'linear')
+ * @returns {Object} Curve object { type, ...parameters }
+ * @throws {ConfigurationError} If the model or a parameter is invalid (code 'invalid_option')
+ *
+ * @example
+ * validateFreshnessCurve({ type: 'threshold', cliff_percent: 40 });
+ * // Returns: { type: 'threshold', cliff_percent: 40 }
+ */
+function validateFreshnessCurve(curve = 'linear') {
+  const config = typeof curve === 'string' ? { type: curve } : curve;
+
+  if (!config || typeof config !== 'object') {
+    throw new ConfigurationError('freshness curve must be a model name or an object with a type', {
+      code: 'invalid_option', field: 'freshness_curve', value: curve
+    });
+  }
+
+  if (!CURVE_TYPES.includes(config.type)) {
+    throw new ConfigurationError(`Invalid freshness curve type: ${config.type}. Valid: ${CURVE_TYPES.join(', ')}`, {
+      code: 'invalid_option', field: 'freshness_curve.type', value: config.type
+    });
+  }
+
+  const allowed = CURVE_PARAMETERS[config.type];
+  for (const [key, value] of Object.entries(config)) {
+    if (key === 'type') continue;
+    if (!allowed.includes(key)) {
+      throw new ConfigurationError(`Invalid parameter for ${config.type} curve: ${key}`, {
+        code: 'invalid_option', field: `freshness_curve.${key}`, value: key
+      });
+    }
+    if (typeof value !== 'number' || isNaN(value)) {
+      throw new ConfigurationError(`${key} must be a number (got ${value})`, {
+        code: 'invalid_option', field: `freshness_curve.${key}`, value: value
+      });
+    }
+  }
+
+  if (config.cliff_percent != null && (config.cliff_percent <= 0 || config.cliff_percent >= 100)) {
+    throw new ConfigurationError(`cliff_percent must be between 0-100 (got ${config.cliff_percent})`, {
+      code: 'invalid_option', field: 'freshness_curve.cliff_percent', value: config.cliff_percent
+    });
+  }
+  if (config.below_factor != null && (config.below_factor < 0 || config.below_factor > 1)) {
+    throw new ConfigurationError(`below_factor must be between 0-1 (got ${config.below_factor})`, {
+      code: 'invalid_option', field: 'freshness_curve.below_factor', value: config.below_factor
+    });
+  }
+  if (config.rate === 0) {
+    throw new ConfigurationError('rate cannot be 0 (use the linear curve)', {
+      code: 'invalid_option', field: 'freshness_curve.rate', value: config.rate
+    });
+  }
+  if (config.midpoint_percent != null && (config.midpoint_percent < 0 || config.midpoint_percent > 100)) {
+    throw new ConfigurationError(`midpoint_percent must be between 0-100 (got ${config.midpoint_percent})`, {
+      code: 'invalid_option', field: 'freshness_curve.midpoint_percent', value: config.midpoint_percent
+    });
+  }
+  if (config.steepness != null && config.steepness <= 0) {
+    throw new ConfigurationError(`steepness must be positive (got ${config.steepness})`, {
+      code: 'invalid_option', field: 'freshness_curve.steepness', value: config.steepness
+    });
+  }
+
+  return { ...config };
+}
+
+/**
+ * Validate a curve map keyed by category_id
+ *
+ * @param {Object} curves - { [category_id]: curve, default: curve }
+ * @returns {Object} Curve map with every curve in object form
+ * @throws {ConfigurationError} If the map or any curve is invalid (code 'invalid_option')
+ */
+function validateFreshnessCurves(curves) {
+  if (!curves || typeof curves !== 'object' || Array.isArray(curves)) {
+    throw new ConfigurationError('freshness curves must be an object keyed by category_id', {
+      code: 'invalid_option', field: 'freshness_curves', value: curves
+    });
+  }
+
+  const validated = {};
+  for (const [key, curve] of Object.entries(curves)) {
+    if (key !== 'default' && !/^\d+$/.test(key)) {
+      throw new ConfigurationError(`Invalid freshness curve key: ${key} (expected category_id or 'default')`, {
+        code: 'invalid_option', field: `freshness_curves.${key}`, value: key
+      });
+    }
+    validated[key] = validateFreshnessCurve(curve);
+  }
+  return validated;
+}
+
+/**
+ * Apply a freshness curve (unrounded)
+ * Inputs are expected to be validated by the caller (see normalizeFreshnessScore)
+ *
+ * @param {number} freshness_percent - Freshness percentage (0-100)
+ * @param {string|Object} curve - Model name or { type, ...parameters } (default: 'linear')
+ * @returns {number} Score from 0-100
+ *
+ * @example
+ * applyFreshnessCurve(20, { type: 'threshold', cliff_percent: 30 }); // 5
+ * applyFreshnessCurve(50, 'exponential');                            // 18.24
+ */
+function applyFreshnessCurve(freshness_percent, curve = 'linear') {
+  const config = validateFreshnessCurve(curve);
+  const f = freshness_percent;
+
+  switch (config.type) {
+    case 'threshold': {
+      const cliff = config.cliff_percent != null ? config.cliff_percent : 30;
+      const factor = config.below_factor != null ? config.below_factor : 0.25;
+      return f >= cliff ? f : f * factor;
+    }
+    case 'exponential': {
+      const rate = config.rate != null ? config.rate : 3;
+      return 100 * (Math.exp(rate * f / 100) - 1) / (Math.exp(rate) - 1);
+    }
+    case 'sigmoid': {
+      const midpoint = config.midpoint_percent != null ? config.midpoint_percent : 50;
+      const steepness = config.steepness != null ? config.steepness : 0.1;
+      const logistic = x => 1 / (1 + Math.exp(-steepness * (x - midpoint)));
+      const low = logistic(0);
+      const high = logistic(100);
+      return 100 * (logistic(f) - low) / (high - low);
+    }
+    default:
+      return f;
+  }
+}
+
+/**
+ * Pick the freshness curve for a product category
+ *
+ * @param {number|string} category_id - USDA category ID (may be null)
+ * @param {Object} curves - Curve map keyed by category_id (default: DEFAULT_CATEGORY_CURVES)
+ * @returns {string|Object} Curve for the category, the map's default, or 'linear'
+ *
+ * @example
+ * getFreshnessCurve(15);  // { type: 'threshold', cliff_percent: 30 } (Poultry - Fresh)
+ * getFreshnessCurve(23);  // 'linear' (Shelf Stable Foods)
+ */
+function getFreshnessCurve(category_id, curves = DEFAULT_CATEGORY_CURVES) {
+  if (category_id != null && curves[category_id] != null) {
+    return curves[category_id];
+  }
+  return curves.default != null ? curves.default : 'linear';
+}
+
+// Export functions
+module.exports = {
+  applyFreshnessCurve,
+  validateFreshnessCurve,
+  validateFreshnessCurves,
+  getFreshnessCurve,
+  DEFAULT_CATEGORY_CURVES,
+  CURVE_TYPES
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Freshness Curve Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const round = value => Number(value.toFixed(2));
+
+  // Test 1: Linear default
+  test('Linear: Pass-through by default', () => {
+    if (applyFreshnessCurve(82.14) !== 82.14) throw new Error('Expected 82.14');
+  });
+
+  // Test 2: Threshold cliff
+  test('Threshold: Score drops below cliff', () => {
+    const curve = { type: 'threshold', cliff_percent: 30 };
+    if (applyFreshnessCurve(40, curve) !== 40) throw new Error('Expected 40 above cliff');
+    if (applyFreshnessCurve(20, curve) !== 5) throw new Error('Expected 5 below cliff');
+  });
+
+  // Test 3: Exponential
+  test('Exponential: Positive rate penalises, negative rate is gentle', () => {
+    const sharp = round(applyFreshnessCurve(50, 'exponential'));
+    const gentle = round(applyFreshnessCurve(50, { type: 'exponential', rate: -2 }));
+    if (sharp !== 18.24) throw new Error(`Expected 18.24, got ${sharp}`);
+    if (gentle <= 50) throw new Error(`Gentle curve should stay above linear, got ${gentle}`);
+  });
+
+  // Test 4: Sigmoid
+  test('Sigmoid: Endpoints fixed, 50 at midpoint', () => {
+    if (round(applyFreshnessCurve(0, 'sigmoid')) !== 0) throw new Error('Expected 0 at 0%');
+    if (round(applyFreshnessCurve(100, 'sigmoid')) !== 100) throw new Error('Expected 100 at 100%');
+    if (round(applyFreshnessCurve(50, 'sigmoid')) !== 50) throw new Error('Expected 50 at midpoint');
+  });
+
+  // Test 5: Category lookup
+  test('Category: Curve picked by category_id with default fallback', () => {
+    if (getFreshnessCurve(15).type !== 'threshold') throw new Error('Poultry should use threshold');
+    if (getFreshnessCurve(23) !== 'linear') throw new Error('Unlisted category should use default');
+    if (getFreshnessCurve(null, { default: 'sigmoid' }) !== 'sigmoid') throw new Error('Should use map default');
+  });
+
+  // Test 6: Default map is valid
+  test('Defaults: DEFAULT_CATEGORY_CURVES validates', () => {
+    validateFreshnessCurves(DEFAULT_CATEGORY_CURVES);
+  });
+
+  // Test 7: Invalid curve
+  test('Error: Invalid curve type and parameters', () => {
+    try {
+      validateFreshnessCurve('cubic');
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid freshness curve type')) throw e;
+    }
+    try {
+      validateFreshnessCurve({ type: 'threshold', cliff_percent: 150 });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('cliff_percent')) throw e;
+    }
+  });
+
+  // Test 8: Invalid map key
+  test('Error: Invalid curve map key', () => {
+    try {
+      validateFreshnessCurves({ poultry: 'threshold' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid freshness curve key')) throw e;
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
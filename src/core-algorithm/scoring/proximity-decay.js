@@ -0,0 +1,303 @@
+/**
+ * Chenda - Proximity Decay Curves
+ * Shape how the proximity score falls off between 0 km and the max radius
+ *
+ * Decay models (d = distance, R = max radius; every model scores 0 at d >= R):
+ * - linear: 100 * (1 - d/R) (default, original behaviour)
+ * - exponential: 100 * 0.5^(d / half_life_km) - halves every half_life_km (default: R/4)
+ * - gaussian: 100 * e^(-d² / 2σ²) - flat near the buyer, then drops (sigma_km default: R/3)
+ * - logistic: 100 / (1 + e^(steepness * (d - midpoint_km))) - S-curve around
+ *   midpoint_km (default: R/2) with steepness per km (default: 10/R)
+ * - step: tiered scores, tiers [{ max_km, score }] sorted by max_km
+ *   (default: 10% of R → 100, 25% → 75, 50% → 50, R → 25)
+ *
+ * A decay is given as a model name ('gaussian') or an object with the model
+ * name in `type` plus its parameters ({ type: 'exponential', half_life_km: 2 })
+ *
+ * Batch callers validate the decay once with validateProximityDecay and pass the
+ * returned object down; applyProximityDecay uses such an object as is.
+ */
+
+const { ConfigurationError } = require('../../utils/errors');
+
+const DECAY_TYPES = ['linear', 'exponential', 'gaussian', 'logistic', 'step'];
+
+// Parameters accepted by each model (all must be positive numbers, except tiers)
+const DECAY_PARAMETERS = {
+  linear: [],
+  exponential: ['half_life_km'],
+  gaussian: ['sigma_km'],
+  logistic: ['midpoint_km', 'steepness'],
+  step: ['tiers']
+};
+
+// Decay objects returned by validateProximityDecay (frozen, so they stay valid)
+const validatedDecays = new WeakSet();
+
+/**
+ * Validate tiers for the step model
+ * @private
+ */
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new ConfigurationError('step decay tiers must be a non-empty array', {
+      code: 'invalid_option', field: 'proximity_decay.tiers', value: tiers
+    });
+  }
+
+  let previous = 0;
+  for (const tier of tiers) {
+    if (!tier || typeof tier.max_km !== 'number' || tier.max_km <= previous) {
+      throw new ConfigurationError('step decay tiers must have increasing positive max_km values', {
+        code: 'invalid_option', field: 'proximity_decay.tiers', value: tier
+      });
+    }
+    if (typeof tier.score !== 'number' || tier.score < 0 || tier.score > 100) {
+      throw new ConfigurationError(`step decay tier score must be between 0-100 (got ${tier.score})`, {
+        code: 'invalid_option', field: 'proximity_decay.tiers', value: tier.score
+      });
+    }
+    previous = tier.max_km;
+  }
+}
+
+/**
+ * Validate a proximity decay and convert it to object form
+ *
+ * @param {string|Object} decay - Model name or { type, ...parameters } (default: 'linear')
+ * @returns {Object} Frozen decay object { type, ...parameters } (a validated decay is returned as is)
+ * @throws {ConfigurationError} If the model or a parameter is invalid (code 'invalid_option')
+ *
+ * @example
+ * validateProximityDecay('gaussian');
+ * // Returns: { type: 'gaussian' }
+ *
+ * @example
+ * validateProximityDecay({ type: 'exponential', half_life_km: 2 });
+ * // Returns: { type: 'exponential', half_life_km: 2 }
+ */
+function validateProximityDecay(decay = 'linear') {
+  if (validatedDecays.has(decay)) {
+    return decay;
+  }
+
+  const config = typeof decay === 'string' ? { type: decay } : decay;
+
+  if (!config || typeof config !== 'object') {
+    throw new ConfigurationError('proximity decay must be a model name or an object with a type', {
+      code: 'invalid_option', field: 'proximity_decay', value: decay
+    });
+  }
+
+  if (!DECAY_TYPES.includes(config.type)) {
+    throw new ConfigurationError(`Invalid proximity decay type: ${config.type}. Valid: ${DECAY_TYPES.join(', ')}`, {
+      code: 'invalid_option', field: 'proximity_decay.type', value: config.type
+    });
+  }
+
+  const allowed = DECAY_PARAMETERS[config.type];
+  for (const [key, value] of Object.entries(config)) {
+    if (key === 'type') continue;
+    if (!allowed.includes(key)) {
+      throw new ConfigurationError(`Invalid parameter for ${config.type} decay: ${key}`, {
+        code: 'invalid_option', field: `proximity_decay.${key}`, value: key
+      });
+    }
+    if (key === 'tiers') {
+      validateTiers(value);
+    } else if (typeof value !== 'number' || isNaN(value) || value <= 0) {
+      throw new ConfigurationError(`${key} must be a positive number (got ${value})`, {
+        code: 'invalid_option', field: `proximity_decay.${key}`, value: value
+      });
+    }
+  }
+
+  const validated = Object.freeze({ ...config });
+  validatedDecays.add(validated);
+  return validated;
+}
+
+/**
+ * Calculate the decayed proximity score (unrounded)
+ * Inputs are expected to be validated by the caller (see normalizeProximityScore)
+ *
+ * @param {number} distance_km - Distance in kilometers (>= 0)
+ * @param {number} max_radius_km - Maximum search radius in kilometers (> 0)
+ * @param {string|Object} decay - Model name, { type, ...parameters } or the result of
+ *   validateProximityDecay, which is not validated again (default: 'linear')
+ * @returns {number} Score from 0-100
+ *
+ * @example
+ * applyProximityDecay(2, 20, 'linear');                                  // 90
+ * applyProximityDecay(2, 20, { type: 'exponential', half_life_km: 2 }); // 50
+ */
+function applyProximityDecay(distance_km, max_radius_km, decay = 'linear') {
+  const config = validateProximityDecay(decay);
+
+  // Products at or beyond max radius get 0 score, whatever the curve
+  if (distance_km >= max_radius_km) {
+    return 0;
+  }
+
+  switch (config.type) {
+    case 'exponential': {
+      const halfLife = config.half_life_km || max_radius_km / 4;
+      return 100 * Math.pow(0.5, distance_km / halfLife);
+    }
+    case 'gaussian': {
+      const sigma = config.sigma_km || max_radius_km / 3;
+      return 100 * Math.exp(-(distance_km * distance_km) / (2 * sigma * sigma));
+    }
+    case 'logistic': {
+      const midpoint = config.midpoint_km || max_radius_km / 2;
+      const steepness = config.steepness || 10 / max_radius_km;
+      return 100 / (1 + Math.exp(steepness * (distance_km - midpoint)));
+    }
+    case 'step': {
+      const tiers = config.tiers || [
+        { max_km: max_radius_km * 0.1, score: 100 },
+        { max_km: max_radius_km * 0.25, score: 75 },
+        { max_km: max_radius_km * 0.5, score: 50 },
+        { max_km: max_radius_km, score: 25 }
+      ];
+      const tier = tiers.find(t => distance_km <= t.max_km);
+      return tier ? tier.score : 0;
+    }
+    default:
+      // Linear inverse normalization: score = 100 * (1 - distance/max_radius)
+      return 100 * (1 - (distance_km / max_radius_km));
+  }
+}
+
+/**
+ * Get available proximity decay models and their parameters
+ *
+ * @returns {Object} Parameter names keyed by model name
+ */
+function getProximityDecayModels() {
+  return Object.fromEntries(
+    Object.entries(DECAY_PARAMETERS).map(([type, params]) => [type, [...params]])
+  );
+}
+
+// Export functions
+module.exports = {
+  applyProximityDecay,
+  validateProximityDecay,
+  getProximityDecayModels,
+  DECAY_TYPES
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Proximity Decay Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const round = value => Number(value.toFixed(2));
+
+  // Test 1: Linear default
+  test('Linear: Default model matches original formula', () => {
+    if (applyProximityDecay(10, 50) !== 80) throw new Error('Expected 80');
+    if (applyProximityDecay(50, 50) !== 0) throw new Error('Expected 0 at max radius');
+  });
+
+  // Test 2: Exponential
+  test('Exponential: Halves every half_life_km', () => {
+    const decay = { type: 'exponential', half_life_km: 2 };
+    if (applyProximityDecay(2, 20, decay) !== 50) throw new Error('Expected 50 at one half-life');
+    if (applyProximityDecay(4, 20, decay) !== 25) throw new Error('Expected 25 at two half-lives');
+  });
+
+  // Test 3: Gaussian
+  test('Gaussian: Flat near buyer, steep further out', () => {
+    const near = applyProximityDecay(1, 30, 'gaussian') - applyProximityDecay(3, 30, 'gaussian');
+    const far = applyProximityDecay(20, 30, 'gaussian') - applyProximityDecay(22, 30, 'gaussian');
+    if (round(applyProximityDecay(10, 30, { type: 'gaussian', sigma_km: 10 })) !== 60.65) {
+      throw new Error('Expected 60.65 at one sigma');
+    }
+    if (near <= 0 || near >= far) throw new Error('Score should drop slower near the buyer');
+  });
+
+  // Test 4: Logistic
+  test('Logistic: 50 at midpoint', () => {
+    if (applyProximityDecay(5, 20, { type: 'logistic', midpoint_km: 5 }) !== 50) {
+      throw new Error('Expected 50 at midpoint');
+    }
+    if (applyProximityDecay(1, 20, 'logistic') <= applyProximityDecay(3, 20, 'logistic')) {
+      throw new Error('Closer should score higher');
+    }
+  });
+
+  // Test 5: Step tiers
+  test('Step: Tiered scores', () => {
+    const decay = { type: 'step', tiers: [{ max_km: 1, score: 100 }, { max_km: 3, score: 80 }, { max_km: 10, score: 40 }] };
+    if (applyProximityDecay(0.5, 20, decay) !== 100) throw new Error('Expected 100 in first tier');
+    if (applyProximityDecay(3, 20, decay) !== 80) throw new Error('Expected 80 in second tier');
+    if (applyProximityDecay(15, 20, decay) !== 0) throw new Error('Expected 0 beyond last tier');
+    if (applyProximityDecay(4, 20, 'step') !== 75) throw new Error('Expected 75 with default tiers');
+  });
+
+  // Test 6: Beyond radius
+  test('All models: 0 at or beyond max radius', () => {
+    for (const type of DECAY_TYPES) {
+      if (applyProximityDecay(25, 20, type) !== 0) throw new Error(`${type} should be 0 beyond radius`);
+    }
+  });
+
+  // Test 7: Invalid type
+  test('Error: Invalid decay type', () => {
+    try {
+      validateProximityDecay('cubic');
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid proximity decay type')) throw e;
+    }
+  });
+
+  // Test 8: Invalid parameters
+  test('Error: Invalid decay parameters', () => {
+    try {
+      validateProximityDecay({ type: 'exponential', sigma_km: 2 });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid parameter')) throw e;
+    }
+    try {
+      validateProximityDecay({ type: 'step', tiers: [{ max_km: 5, score: 50 }, { max_km: 2, score: 80 }] });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('increasing')) throw e;
+    }
+  });
+
+  // Test 9: Validated decays are reused
+  test('Validate: Result is frozen and passes through unchanged', () => {
+    const decay = validateProximityDecay({ type: 'exponential', half_life_km: 2 });
+    if (!Object.isFrozen(decay)) throw new Error('Validated decay should be frozen');
+    if (validateProximityDecay(decay) !== decay) throw new Error('Validated decay should be returned as is');
+    if (applyProximityDecay(2, 20, decay) !== 50) throw new Error('Expected 50 at one half-life');
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Chenda - Proximity Decay Integration Test
+ * Pin every decay curve to known scores and check batch scoring
+ *
+ * Tests:
+ * 1. Known values per curve (half-life, step boundaries, gaussian and logistic midpoints)
+ * 2. Batches validate the decay once and score like single calls
+ */
+
+const {
+  applyProximityDecay,
+  validateProximityDecay,
+  DECAY_TYPES
+} = require('./proximity-decay.js');
+
+const { normalizeProximityScore, normalizeScoresBatch } = require('./score-normalizer.js');
+const { scoreProductsByFactors } = require('./factor-scoring.js');
+const { ConfigurationError } = require('../../utils/errors.js');
+
+console.log('🧪 Proximity Decay Integration Test\n');
+console.log('='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function thrownError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (e) {
+    return e;
+  }
+}
+
+const round = value => Number(value.toFixed(2));
+const scoresAt = (distances, radius, decay) =>
+  distances.map(distance => round(applyProximityDecay(distance, radius, decay))).join();
+
+// ============================================================================
+// TEST 1: Known values per curve
+// ============================================================================
+
+console.log('\nTEST 1: Known values per curve\n');
+
+check('Linear: 100 at 0 km, 50 at half the radius, 0 at the radius',
+  scoresAt([0, 25, 50], 50, 'linear') === '100,50,0');
+
+check('Exponential: half_life_km 50 halves the score every 50 km',
+  scoresAt([0, 50, 100, 150], 200, { type: 'exponential', half_life_km: 50 }) === '100,50,25,12.5');
+check('Exponential: default half-life is a quarter of the radius (50 km for 200 km)',
+  scoresAt([50, 100], 200, 'exponential') === '50,25');
+
+// Default tiers for a 100 km radius: 10 km → 100, 25 km → 75, 50 km → 50, 100 km → 25
+check('Step: tier boundaries are inclusive',
+  scoresAt([0, 10, 25, 50, 99.99], 100, 'step') === '100,100,75,50,25');
+check('Step: just past a boundary drops to the next tier',
+  scoresAt([10.01, 25.01, 50.01, 100], 100, 'step') === '75,50,25,0');
+
+// Gaussian: e^(-1/2) at one sigma, 50 at sigma * sqrt(2 ln 2)
+const sigma = 30;
+const gaussianMidpoint = sigma * Math.sqrt(2 * Math.LN2);
+check('Gaussian: 60.65 at one sigma (default sigma is a third of the radius)',
+  scoresAt([0, sigma], 90, 'gaussian') === '100,60.65' &&
+  scoresAt([sigma], 200, { type: 'gaussian', sigma_km: sigma }) === '60.65');
+check(`Gaussian: 50 at ${round(gaussianMidpoint)} km`,
+  scoresAt([gaussianMidpoint], 200, { type: 'gaussian', sigma_km: sigma }) === '50');
+
+// Logistic: 50 at the midpoint, symmetric around it
+check('Logistic: 50 at the default midpoint (half the radius)', scoresAt([25], 50, 'logistic') === '50');
+check('Logistic: 50 at an explicit midpoint', scoresAt([8], 50, { type: 'logistic', midpoint_km: 8, steepness: 2 }) === '50');
+check('Logistic: scores mirror around the midpoint',
+  round(applyProximityDecay(20, 50, 'logistic') + applyProximityDecay(30, 50, 'logistic')) === 100);
+check('Logistic: 26.89 one km past the midpoint with steepness 1',
+  scoresAt([9], 50, { type: 'logistic', midpoint_km: 8, steepness: 1 }) === '26.89');
+
+check('Every curve scores 0 at the radius', DECAY_TYPES.every(type => applyProximityDecay(40, 40, type) === 0));
+
+// ============================================================================
+// TEST 2: Batch scoring
+// ============================================================================
+
+console.log('\nTEST 2: Batches validate the decay once\n');
+
+const products = [
+  { id: 1, distance_km: 2, freshness_percent: 90 },
+  { id: 2, distance_km: 12.5, freshness_percent: 80 },
+  { id: 3, distance_km: 40, freshness_percent: 70 }
+];
+const decay = { type: 'exponential', half_life_km: 5 };
+
+const batch = normalizeScoresBatch(products, 50, 2, decay);
+check('normalizeScoresBatch matches single scores',
+  batch.every(p => p.proximity_score === normalizeProximityScore(p.distance_km, 50, 2, decay)));
+
+const validated = validateProximityDecay(decay);
+check('A validated decay is reused, not copied', validateProximityDecay(validated) === validated);
+check('A validated decay scores like the raw one',
+  normalizeScoresBatch(products, 50, 2, validated).every((p, i) => p.proximity_score === batch[i].proximity_score));
+
+const factorScored = scoreProductsByFactors(products, { proximity: 60, freshness: 40 }, { maxRadiusKm: 50, proximityDecay: validated });
+check('scoreProductsByFactors uses the same curve',
+  factorScored.every((p, i) => p.factor_scores.proximity === batch[i].proximity_score));
+
+const batchError = thrownError(() => normalizeScoresBatch([], 50, 2, 'cubic'));
+const factorError = thrownError(() => scoreProductsByFactors([], { proximity: 100 }, { proximityDecay: { type: 'step', tiers: [] } }));
+check('An invalid decay fails the batch up front, even with no products',
+  batchError instanceof ConfigurationError && batchError.field === 'proximity_decay.type' &&
+  factorError instanceof ConfigurationError && factorError.field === 'proximity_decay.tiers');
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+console.log('\n' + '='.repeat(80));
+console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('✅ Proximity Decay Integration Test Complete!');
+} else {
+  console.log('❌ Some checks failed');
+  process.exit(1);
+}
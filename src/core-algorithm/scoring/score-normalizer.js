@@ -6,10 +6,20 @@
  * for the ranking algorithm
  * 
  * Normalization Rules:
- * - Proximity: 0 km = 100 score, max_radius km = 0 score (linear inverse)
- * - Freshness: Already 0-100%, may apply curve adjustments if needed
+ * - Proximity: 0 km = 100 score, max_radius km = 0 score (linear inverse by default,
+ *   other decay curves in proximity-decay.js)
+ * - Freshness: Already 0-100% (pass-through by default, category-specific
+ *   curves in freshness-curves.js)
+ * - Price: Cheapest in candidate set = 100, most expensive = 0 (linear inverse)
+ * - Price vs median: median price = 50, free = 100, twice the median or more = 0
+ * - Seller rating: 0 stars = 0 score, max rating = 100 score (linear)
+ * - Quantity: Largest available quantity in candidate set = 100 (linear)
  */
 
+const { applyProximityDecay, validateProximityDecay } = require('./proximity-decay');
+const { applyFreshnessCurve, getFreshnessCurve } = require('./freshness-curves');
+const { ValidationError, DataError } = require('../../utils/errors');
+
 /**
  * Normalize proximity distance to 0-100 score
  * Closer products get higher scores
@@ -17,31 +27,44 @@
  * @param {number} distance_km - Distance in kilometers
  * @param {number} max_radius_km - Maximum search radius in kilometers
  * @param {number} decimals - Number of decimal places (default: 2)
+ * @param {string|Object} decay - Decay curve: 'linear' (default), 'exponential', 'gaussian',
+ *   'logistic', 'step', or { type, ...parameters } (see proximity-decay.js)
  * @returns {number} Score from 0-100 (100 = closest, 0 = at max radius)
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
  * 
  * @example
  * const score1 = normalizeProximityScore(0, 50);    // 100.00 (same location)
  * const score2 = normalizeProximityScore(25, 50);   // 50.00 (halfway)
  * const score3 = normalizeProximityScore(50, 50);   // 0.00 (at max radius)
  * const score4 = normalizeProximityScore(10, 50);   // 80.00 (very close)
+ * 
+ * @example
+ * const score5 = normalizeProximityScore(2, 20, 2, { type: 'exponential', half_life_km: 2 }); // 50.00
  */
-function normalizeProximityScore(distance_km, max_radius_km, decimals = 2) {
+function normalizeProximityScore(distance_km, max_radius_km, decimals = 2, decay = 'linear') {
   // Validate inputs
   if (typeof distance_km !== 'number' || typeof max_radius_km !== 'number') {
-    throw new Error('distance_km and max_radius_km must be numbers');
+    throw new ValidationError('distance_km and max_radius_km must be numbers', {
+      code: 'invalid_type', field: typeof distance_km !== 'number' ? 'distance_km' : 'max_radius_km', value: typeof distance_km !== 'number' ? distance_km : max_radius_km
+    });
   }
   
   if (isNaN(distance_km) || isNaN(max_radius_km)) {
-    throw new Error('distance_km and max_radius_km cannot be NaN');
+    throw new ValidationError('distance_km and max_radius_km cannot be NaN', {
+      code: 'invalid_type', field: isNaN(distance_km) ? 'distance_km' : 'max_radius_km', value: NaN
+    });
   }
   
   if (distance_km < 0) {
-    throw new Error(`distance_km cannot be negative (got ${distance_km})`);
+    throw new ValidationError(`distance_km cannot be negative (got ${distance_km})`, {
+      code: 'out_of_range', field: 'distance_km', value: distance_km
+    });
   }
   
   if (max_radius_km <= 0) {
-    throw new Error(`max_radius_km must be positive (got ${max_radius_km})`);
+    throw new ValidationError(`max_radius_km must be positive (got ${max_radius_km})`, {
+      code: 'out_of_range', field: 'max_radius_km', value: max_radius_km
+    });
   }
   
   // Products beyond max radius get 0 score
@@ -49,11 +72,11 @@ function normalizeProximityScore(distance_km, max_radius_km, decimals = 2) {
     return 0;
   }
   
-  // Linear inverse normalization: score = 100 * (1 - distance/max_radius)
+  // Default linear inverse normalization: score = 100 * (1 - distance/max_radius)
   // 0 km → 100 score
   // max_radius/2 → 50 score
   // max_radius → 0 score
-  const score = 100 * (1 - (distance_km / max_radius_km));
+  const score = applyProximityDecay(distance_km, max_radius_km, decay);
   
   // Round to specified decimals
   return Number(score.toFixed(decimals));
@@ -61,42 +84,243 @@ function normalizeProximityScore(distance_km, max_radius_km, decimals = 2) {
 
 /**
  * Normalize freshness percentage to 0-100 score
- * Currently a pass-through since freshness is already 0-100%
- * Function exists for consistency and future enhancements (e.g., curves)
+ * Pass-through by default since freshness is already 0-100%; a curve reshapes
+ * it for categories that lose value sharply (or gently) near expiry
  * 
  * @param {number} freshness_percent - Freshness percentage (0-100)
  * @param {number} decimals - Number of decimal places (default: 2)
+ * @param {string|Object} curve - Freshness curve: 'linear' (default), 'threshold',
+ *   'exponential', 'sigmoid', or { type, ...parameters } (see freshness-curves.js)
  * @returns {number} Score from 0-100
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
  * 
  * @example
  * const score1 = normalizeFreshnessScore(100);   // 100.00 (perfect)
  * const score2 = normalizeFreshnessScore(82.14); // 82.14 (good)
  * const score3 = normalizeFreshnessScore(50);    // 50.00 (fair)
  * const score4 = normalizeFreshnessScore(10);    // 10.00 (near expiry)
+ * 
+ * @example
+ * const score5 = normalizeFreshnessScore(20, 2, { type: 'threshold', cliff_percent: 30 }); // 5.00
  */
-function normalizeFreshnessScore(freshness_percent, decimals = 2) {
+function normalizeFreshnessScore(freshness_percent, decimals = 2, curve = 'linear') {
   // Validate inputs
   if (typeof freshness_percent !== 'number') {
-    throw new Error('freshness_percent must be a number');
+    throw new ValidationError('freshness_percent must be a number', {
+      code: 'invalid_type', field: 'freshness_percent', value: freshness_percent
+    });
   }
   
   if (isNaN(freshness_percent)) {
-    throw new Error('freshness_percent cannot be NaN');
+    throw new ValidationError('freshness_percent cannot be NaN', {
+      code: 'invalid_type', field: 'freshness_percent', value: NaN
+    });
   }
   
   if (freshness_percent < 0 || freshness_percent > 100) {
-    throw new Error(`freshness_percent must be between 0-100 (got ${freshness_percent})`);
+    throw new ValidationError(`freshness_percent must be between 0-100 (got ${freshness_percent})`, {
+      code: 'out_of_range', field: 'freshness_percent', value: freshness_percent
+    });
   }
   
-  // Currently pass-through (already 0-100)
-  // Future enhancement: could apply curves (e.g., exponential decay near expiration)
-  const score = freshness_percent;
+  // Pass-through (already 0-100) unless a curve is given
+  const score = applyFreshnessCurve(freshness_percent, curve);
   
   // Round to specified decimals
   return Number(score.toFixed(decimals));
 }
 
+/**
+ * Normalize price to 0-100 score relative to a price range
+ * Cheaper products get higher scores
+ * 
+ * @param {number} price - Product price (or unit price)
+ * @param {number} min_price - Lowest price in the candidate set
+ * @param {number} max_price - Highest price in the candidate set
+ * @param {number} decimals - Number of decimal places (default: 2)
+ * @returns {number} Score from 0-100 (100 = cheapest, 0 = most expensive)
+ * @throws {ValidationError} If inputs are invalid
+ * 
+ * @example
+ * const score1 = normalizePriceScore(50, 50, 150);   // 100.00 (cheapest)
+ * const score2 = normalizePriceScore(100, 50, 150);  // 50.00 (middle)
+ * const score3 = normalizePriceScore(150, 50, 150);  // 0.00 (most expensive)
+ */
+function normalizePriceScore(price, min_price, max_price, decimals = 2) {
+  // Validate inputs
+  const values = { price, min_price, max_price };
+  const notNumber = Object.keys(values).find(key => typeof values[key] !== 'number');
+  if (notNumber) {
+    throw new ValidationError('price, min_price and max_price must be numbers', {
+      code: 'invalid_type', field: notNumber, value: values[notNumber]
+    });
+  }
+  
+  const nan = Object.keys(values).find(key => isNaN(values[key]));
+  if (nan) {
+    throw new ValidationError('price, min_price and max_price cannot be NaN', {
+      code: 'invalid_type', field: nan, value: NaN
+    });
+  }
+  
+  if (price < 0 || min_price < 0) {
+    throw new ValidationError(`price cannot be negative (got ${price < 0 ? price : min_price})`, {
+      code: 'out_of_range', field: price < 0 ? 'price' : 'min_price', value: price < 0 ? price : min_price
+    });
+  }
+  
+  if (min_price > max_price) {
+    throw new ValidationError(`min_price (${min_price}) cannot exceed max_price (${max_price})`, {
+      code: 'out_of_range', field: 'min_price', value: min_price
+    });
+  }
+  
+  // All candidates cost the same: nobody is cheaper
+  if (max_price === min_price) {
+    return 100;
+  }
+  
+  // Clamp prices outside the range
+  const clamped = Math.min(Math.max(price, min_price), max_price);
+  
+  // Linear inverse normalization: score = 100 * (max - price) / (max - min)
+  const score = 100 * ((max_price - clamped) / (max_price - min_price));
+  
+  return Number(score.toFixed(decimals));
+}
+
+/**
+ * Normalize price to 0-100 score relative to a median price
+ * Cheaper than the median scores above 50, dearer scores below
+ * 
+ * Use with the median unit price of the product's type in the candidate set
+ * (see calculations/unit-price.js), so eggs are compared with eggs and
+ * buttermilk with buttermilk.
+ * 
+ * @param {number} price - Product price (or unit price)
+ * @param {number} median_price - Median price to compare with
+ * @param {number} decimals - Number of decimal places (default: 2)
+ * @returns {number} Score from 0-100 (50 = at the median, 0 = twice the median or more)
+ * @throws {ValidationError} If inputs are invalid
+ * 
+ * @example
+ * const score1 = normalizePriceScoreByMedian(5, 10);   // 75.00 (half the median)
+ * const score2 = normalizePriceScoreByMedian(10, 10);  // 50.00 (at the median)
+ * const score3 = normalizePriceScoreByMedian(25, 10);  // 0.00 (over twice the median)
+ */
+function normalizePriceScoreByMedian(price, median_price, decimals = 2) {
+  const values = { price, median_price };
+  const notNumber = Object.keys(values).find(key => typeof values[key] !== 'number' || isNaN(values[key]));
+  if (notNumber) {
+    throw new ValidationError('price and median_price must be numbers', {
+      code: 'invalid_type', field: notNumber, value: values[notNumber]
+    });
+  }
+  
+  if (price < 0) {
+    throw new ValidationError(`price cannot be negative (got ${price})`, {
+      code: 'out_of_range', field: 'price', value: price
+    });
+  }
+  
+  if (median_price <= 0) {
+    throw new ValidationError(`median_price must be positive (got ${median_price})`, {
+      code: 'out_of_range', field: 'median_price', value: median_price
+    });
+  }
+  
+  // Linear: score = 50 * (2 - price / median), clamped to 0-100
+  const score = Math.min(Math.max(50 * (2 - price / median_price), 0), 100);
+  
+  return Number(score.toFixed(decimals));
+}
+
+/**
+ * Normalize seller rating to 0-100 score
+ * 
+ * @param {number} rating - Seller rating (0 to max_rating)
+ * @param {number} max_rating - Maximum possible rating (default: 5)
+ * @param {number} decimals - Number of decimal places (default: 2)
+ * @returns {number} Score from 0-100
+ * @throws {ValidationError} If inputs are invalid
+ * 
+ * @example
+ * const score1 = normalizeRatingScore(5);    // 100.00
+ * const score2 = normalizeRatingScore(4.2);  // 84.00
+ */
+function normalizeRatingScore(rating, max_rating = 5, decimals = 2) {
+  if (typeof rating !== 'number' || typeof max_rating !== 'number') {
+    throw new ValidationError('rating and max_rating must be numbers', {
+      code: 'invalid_type', field: typeof rating !== 'number' ? 'rating' : 'max_rating', value: typeof rating !== 'number' ? rating : max_rating
+    });
+  }
+  
+  if (isNaN(rating) || isNaN(max_rating)) {
+    throw new ValidationError('rating and max_rating cannot be NaN', {
+      code: 'invalid_type', field: isNaN(rating) ? 'rating' : 'max_rating', value: NaN
+    });
+  }
+  
+  if (max_rating <= 0) {
+    throw new ValidationError(`max_rating must be positive (got ${max_rating})`, {
+      code: 'out_of_range', field: 'max_rating', value: max_rating
+    });
+  }
+  
+  if (rating < 0 || rating > max_rating) {
+    throw new ValidationError(`rating must be between 0-${max_rating} (got ${rating})`, {
+      code: 'out_of_range', field: 'rating', value: rating
+    });
+  }
+  
+  const score = 100 * (rating / max_rating);
+  
+  return Number(score.toFixed(decimals));
+}
+
+/**
+ * Normalize available quantity to 0-100 score
+ * Listings with more stock get higher scores
+ * 
+ * @param {number} quantity - Available quantity
+ * @param {number} max_quantity - Largest quantity in the candidate set
+ * @param {number} decimals - Number of decimal places (default: 2)
+ * @returns {number} Score from 0-100 (100 = most stock)
+ * @throws {ValidationError} If inputs are invalid
+ * 
+ * @example
+ * const score = normalizeQuantityScore(3, 12); // 25.00
+ */
+function normalizeQuantityScore(quantity, max_quantity, decimals = 2) {
+  if (typeof quantity !== 'number' || typeof max_quantity !== 'number') {
+    throw new ValidationError('quantity and max_quantity must be numbers', {
+      code: 'invalid_type', field: typeof quantity !== 'number' ? 'quantity' : 'max_quantity', value: typeof quantity !== 'number' ? quantity : max_quantity
+    });
+  }
+  
+  if (isNaN(quantity) || isNaN(max_quantity)) {
+    throw new ValidationError('quantity and max_quantity cannot be NaN', {
+      code: 'invalid_type', field: isNaN(quantity) ? 'quantity' : 'max_quantity', value: NaN
+    });
+  }
+  
+  if (quantity < 0) {
+    throw new ValidationError(`quantity cannot be negative (got ${quantity})`, {
+      code: 'out_of_range', field: 'quantity', value: quantity
+    });
+  }
+  
+  if (max_quantity <= 0) {
+    throw new ValidationError(`max_quantity must be positive (got ${max_quantity})`, {
+      code: 'out_of_range', field: 'max_quantity', value: max_quantity
+    });
+  }
+  
+  const score = 100 * Math.min(quantity / max_quantity, 1);
+  
+  return Number(score.toFixed(decimals));
+}
+
 /**
  * Normalize both proximity and freshness scores for a product
  * Convenience function to normalize both metrics at once
@@ -105,9 +329,11 @@ function normalizeFreshnessScore(freshness_percent, decimals = 2) {
  * @param {number} params.distance_km - Distance in kilometers
  * @param {number} params.freshness_percent - Freshness percentage
  * @param {number} params.max_radius_km - Maximum search radius
+ * @param {string|Object} params.proximity_decay - Proximity decay curve (default: 'linear')
+ * @param {string|Object} params.freshness_curve - Freshness curve (default: 'linear')
  * @param {number} decimals - Number of decimal places (default: 2)
  * @returns {Object} Normalized scores {proximity_score, freshness_score}
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
  * 
  * @example
  * const scores = normalizeScores({
@@ -119,14 +345,22 @@ function normalizeFreshnessScore(freshness_percent, decimals = 2) {
  */
 function normalizeScores(params, decimals = 2) {
   if (!params || typeof params !== 'object') {
-    throw new Error('params must be an object');
+    throw new ValidationError('params must be an object', {
+      code: 'invalid_type', field: 'params', value: params
+    });
   }
   
-  const { distance_km, freshness_percent, max_radius_km } = params;
+  const {
+    distance_km,
+    freshness_percent,
+    max_radius_km,
+    proximity_decay = 'linear',
+    freshness_curve = 'linear'
+  } = params;
   
   return {
-    proximity_score: normalizeProximityScore(distance_km, max_radius_km, decimals),
-    freshness_score: normalizeFreshnessScore(freshness_percent, decimals)
+    proximity_score: normalizeProximityScore(distance_km, max_radius_km, decimals, proximity_decay),
+    freshness_score: normalizeFreshnessScore(freshness_percent, decimals, freshness_curve)
   };
 }
 
@@ -137,8 +371,12 @@ function normalizeScores(params, decimals = 2) {
  * @param {Array<Object>} products - Array of products with distance_km and freshness_percent
  * @param {number} max_radius_km - Maximum search radius
  * @param {number} decimals - Number of decimal places (default: 2)
+ * @param {string|Object} decay - Proximity decay curve (default: 'linear')
+ * @param {Object} freshness_curves - Freshness curves keyed by category_id, picked per
+ *   product from its category_id (optional, e.g. DEFAULT_CATEGORY_CURVES)
  * @returns {Array<Object>} Products enriched with proximity_score and freshness_score
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError} If inputs are invalid
+ * @throws {DataError} If a product lacks distance_km or freshness_percent
  * 
  * @example
  * const enriched = normalizeScoresBatch([
@@ -150,33 +388,48 @@ function normalizeScores(params, decimals = 2) {
  * //   { id: 2, distance_km: 15, freshness_percent: 75, proximity_score: 70.00, freshness_score: 75.00 }
  * // ]
  */
-function normalizeScoresBatch(products, max_radius_km, decimals = 2) {
+function normalizeScoresBatch(products, max_radius_km, decimals = 2, decay = 'linear', freshness_curves = null) {
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
   
   if (typeof max_radius_km !== 'number' || max_radius_km <= 0) {
-    throw new Error('max_radius_km must be a positive number');
+    throw new ValidationError('max_radius_km must be a positive number', {
+      code: 'out_of_range', field: 'max_radius_km', value: max_radius_km
+    });
   }
   
+  // Validate the decay once for the whole batch
+  const proximityDecay = validateProximityDecay(decay);
+  
   return products.map(product => {
     // Validate each product has required fields
     if (!product || typeof product !== 'object') {
-      throw new Error('Each product must be an object');
+      throw new ValidationError('Each product must be an object', {
+        code: 'invalid_type', field: 'product', value: product
+      });
     }
     
     if (typeof product.distance_km !== 'number') {
-      throw new Error(`Product missing distance_km: ${JSON.stringify(product)}`);
+      throw new DataError(`Product missing distance_km: ${JSON.stringify(product)}`, {
+        code: 'missing_field', field: 'distance_km'
+      });
     }
     
     if (typeof product.freshness_percent !== 'number') {
-      throw new Error(`Product missing freshness_percent: ${JSON.stringify(product)}`);
+      throw new DataError(`Product missing freshness_percent: ${JSON.stringify(product)}`, {
+        code: 'missing_field', field: 'freshness_percent'
+      });
     }
     
     const scores = normalizeScores({
       distance_km: product.distance_km,
       freshness_percent: product.freshness_percent,
-      max_radius_km
+      max_radius_km,
+      proximity_decay: proximityDecay,
+      freshness_curve: freshness_curves ? getFreshnessCurve(product.category_id, freshness_curves) : 'linear'
     }, decimals);
     
     return {
@@ -191,6 +444,10 @@ function normalizeScoresBatch(products, max_radius_km, decimals = 2) {
 module.exports = {
   normalizeProximityScore,
   normalizeFreshnessScore,
+  normalizePriceScore,
+  normalizePriceScoreByMedian,
+  normalizeRatingScore,
+  normalizeQuantityScore,
   normalizeScores,
   normalizeScoresBatch
 };
@@ -322,6 +579,109 @@ if (require.main === module) {
     if (score !== 33.3340) throw new Error(`Expected 33.3340, got ${score}`);
   });
   
+  // Test 15: Price normalization
+  test('Price: Cheapest → 100, most expensive → 0', () => {
+    if (normalizePriceScore(50, 50, 150) !== 100) throw new Error('Cheapest should score 100');
+    if (normalizePriceScore(100, 50, 150) !== 50) throw new Error('Middle price should score 50');
+    if (normalizePriceScore(150, 50, 150) !== 0) throw new Error('Most expensive should score 0');
+    if (normalizePriceScore(80, 80, 80) !== 100) throw new Error('Single price should score 100');
+  });
+  
+  // Test 16: Seller rating normalization
+  test('Rating: 4.2 of 5 stars → 84 score', () => {
+    const score = normalizeRatingScore(4.2);
+    if (score !== 84) throw new Error(`Expected 84, got ${score}`);
+  });
+  
+  // Test 17: Quantity normalization
+  test('Quantity: 3 of max 12 → 25 score', () => {
+    const score = normalizeQuantityScore(3, 12);
+    if (score !== 25) throw new Error(`Expected 25, got ${score}`);
+  });
+  
+  // Test 18: Error handling - rating out of range
+  test('Error: Rating above max throws error', () => {
+    try {
+      normalizeRatingScore(6, 5);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('must be between')) throw e;
+    }
+  });
+  
+  // Test 19: Proximity decay curves
+  test('Proximity decay: Non-linear curves favour nearby products', () => {
+    const linear = normalizeProximityScore(2, 20);
+    const exponential = normalizeProximityScore(2, 20, 2, { type: 'exponential', half_life_km: 2 });
+    const gaussian = normalizeProximityScore(2, 20, 2, 'gaussian');
+    if (linear !== 90) throw new Error(`Expected 90, got ${linear}`);
+    if (exponential !== 50) throw new Error(`Expected 50, got ${exponential}`);
+    if (gaussian !== 95.6) throw new Error(`Expected 95.6, got ${gaussian}`);
+  });
+  
+  // Test 20: Batch with decay curve
+  test('Batch: Proximity decay applied to every product', () => {
+    const results = normalizeScoresBatch([
+      { id: 1, distance_km: 1, freshness_percent: 90 },
+      { id: 2, distance_km: 4, freshness_percent: 75 }
+    ], 20, 2, { type: 'step', tiers: [{ max_km: 2, score: 100 }, { max_km: 5, score: 60 }] });
+    if (results[0].proximity_score !== 100 || results[1].proximity_score !== 60) {
+      throw new Error('Step tiers not applied');
+    }
+  });
+  
+  // Test 21: Freshness curve
+  test('Freshness curve: Threshold cliff below cutoff', () => {
+    const curve = { type: 'threshold', cliff_percent: 30 };
+    if (normalizeFreshnessScore(40, 2, curve) !== 40) throw new Error('Expected 40 above cliff');
+    if (normalizeFreshnessScore(20, 2, curve) !== 5) throw new Error('Expected 5 below cliff');
+  });
+  
+  // Test 22: Batch picks curve by category
+  test('Batch: Freshness curve picked per category_id', () => {
+    const results = normalizeScoresBatch([
+      { id: 1, distance_km: 5, freshness_percent: 20, category_id: 15 },
+      { id: 2, distance_km: 5, freshness_percent: 20, category_id: 23 }
+    ], 50, 2, 'linear', { 15: { type: 'threshold', cliff_percent: 30 } });
+    if (results[0].freshness_score !== 5) throw new Error('Poultry curve not applied');
+    if (results[1].freshness_score !== 20) throw new Error('Other categories should stay linear');
+  });
+  
+  // Test 23: Structured errors
+  test('Errors: Class, code, field and value', () => {
+    const { ValidationError, DataError } = require('../../utils/errors');
+    const cases = [
+      [() => normalizeProximityScore(-1, 50), ValidationError, 'out_of_range', 'distance_km', -1],
+      [() => normalizePriceScore(10, '5', 20), ValidationError, 'invalid_type', 'min_price', '5'],
+      [() => normalizeScoresBatch([{ id: 1, distance_km: 2 }], 50), DataError, 'missing_field', 'freshness_percent', null]
+    ];
+    cases.forEach(([fn, ErrorClass, code, field, value]) => {
+      try {
+        fn();
+        throw new Error('Should have thrown error');
+      } catch (e) {
+        if (!(e instanceof ErrorClass) || e.code !== code || e.field !== field || e.value !== value) {
+          throw new Error(`Unexpected ${e.name} ${e.code} ${e.field} ${e.value}: ${e.message}`);
+        }
+      }
+    });
+  });
+  
+  // Test 24: Price relative to median
+  test('Price vs median: 50 at the median, clamped to 0-100', () => {
+    const cases = [[5, 10, 75], [10, 10, 50], [15, 10, 25], [25, 10, 0], [0, 10, 100]];
+    cases.forEach(([price, median, expected]) => {
+      const score = normalizePriceScoreByMedian(price, median);
+      if (score !== expected) throw new Error(`${price} vs ${median}: expected ${expected}, got ${score}`);
+    });
+    try {
+      normalizePriceScoreByMedian(5, 0);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (e.field !== 'median_price' || e.code !== 'out_of_range') throw e;
+    }
+  });
+  
   console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
   
   if (failed === 0) {
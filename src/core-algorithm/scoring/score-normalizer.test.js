@@ -25,6 +25,10 @@ const productTypes = require('../../product-management/product-types.json');
 console.log('🧪 Score Normalization Integration Test\n');
 console.log('=' .repeat(80));
 
+// Current date for all tests
+const CURRENT_DATE = new Date('2025-01-30T12:00:00Z');
+console.log(`Current date: ${CURRENT_DATE.toISOString()}\n`);
+
 // ============================================================================
 // SCENARIO 1: Calculate normalized scores for buyer's product search
 // ============================================================================
@@ -56,7 +60,7 @@ const enrichedProducts = productsWithDistance.map(product => {
     total_shelf_life_days: productType.default_shelf_life_days,
     days_already_used: product.days_already_used,
     listed_date: product.listed_date
-  });
+  }, CURRENT_DATE);
   
   return {
     ...product,
@@ -31,7 +31,7 @@ console.log('🧪 Product Filter Integration Test\n');
 console.log('='.repeat(80));
 
 // Current date for all tests
-const CURRENT_DATE = new Date('2026-02-06T12:00:00Z');
+const CURRENT_DATE = new Date('2025-01-30T12:00:00Z');
 console.log(`Current date: ${CURRENT_DATE.toISOString()}\n`);
 
 // ============================================================================
@@ -9,10 +9,130 @@
  * 1. Expiration Filter (Task 3.1) - Remove expired products
  * 2. Proximity Filter (Task 3.2) - Filter by distance radius
  * 3. Freshness Filter (Task 3.3) - Filter by minimum freshness threshold
+ * 4. Storage Filter - Remove products the buyer cannot store
  */
 
 // Import Phase 2 filter functions
-const { filterExpiredProducts, filterByFreshness } = require('../core-algorithm/calculations/shelf-life');
+const {
+  filterExpiredProducts,
+  filterByFreshness,
+  isExpired,
+  getPolicyExpirationDate
+} = require('../core-algorithm/calculations/shelf-life');
+const { resolveInvalidPolicy, handleInvalidProduct } = require('../utils/invalid-policy');
+const { ValidationError, ConfigurationError, DataError } = require('../utils/errors');
+
+/**
+ * Product storage conditions each buyer capability can handle
+ * Capabilities are cumulative: a buyer with a freezer also has a fridge and a pantry
+ */
+const STORAGE_COMPATIBILITY = {
+  room_temp: ['pantry', 'pantry_opened'],
+  refrigerated: [
+    'pantry', 'pantry_opened',
+    'refrigerated', 'refrigerated_opened', 'refrigerated_after_thawing'
+  ],
+  frozen: [
+    'pantry', 'pantry_opened',
+    'refrigerated', 'refrigerated_opened', 'refrigerated_after_thawing',
+    'frozen', 'frozen_opened'
+  ]
+};
+
+// Every product storage condition a buyer capability can accept
+const STORAGE_CONDITIONS = STORAGE_COMPATIBILITY.frozen;
+
+/**
+ * Check whether a buyer can store a product
+ * 
+ * @param {string} productCondition - Product storage condition (from productSchema)
+ * @param {string|Array<string>} buyerCapability - 'room_temp', 'refrigerated', 'frozen' (or a list)
+ * @returns {boolean} True if the buyer can store the product
+ * @throws {ConfigurationError} If buyer capability is unknown
+ * @throws {DataError} If the product storage condition is unknown (code 'invalid_field')
+ * 
+ * @example
+ * isStorageCompatible('refrigerated_opened', 'refrigerated'); // true
+ * isStorageCompatible('frozen', 'room_temp');                 // false
+ */
+function isStorageCompatible(productCondition, buyerCapability) {
+  const capabilities = Array.isArray(buyerCapability) ? buyerCapability : [buyerCapability];
+  
+  return capabilities.some(capability => {
+    const accepted = STORAGE_COMPATIBILITY[capability];
+    if (!accepted) {
+      throw new ConfigurationError(
+        `Invalid storage capability: ${capability}. Must be one of: ${Object.keys(STORAGE_COMPATIBILITY).join(', ')}`,
+        { code: 'invalid_storage_capability', field: 'storage_condition', value: capability }
+      );
+    }
+    if (!STORAGE_CONDITIONS.includes(productCondition)) {
+      throw new DataError(
+        `Unknown storage condition: ${productCondition}. Must be one of: ${STORAGE_CONDITIONS.join(', ')}`,
+        { code: 'invalid_field', field: 'storage_condition', value: productCondition }
+      );
+    }
+    return accepted.includes(productCondition);
+  });
+}
+
+/**
+ * Filter products by buyer storage capability
+ * Products without a storage_condition are kept (nothing to check against);
+ * products with an unknown one follow options.onInvalid
+ * 
+ * @param {Array<Object>} products - Products with storage_condition property
+ * @param {string|Array<string>} buyerCapability - 'room_temp', 'refrigerated', 'frozen' (or a list)
+ * @param {Object} options - Invalid product handling: { onInvalid, quarantine } (stage: 'storage'),
+ *   see filterByProximity
+ * @returns {Array<Object>} Products the buyer can store
+ * @throws {ValidationError|ConfigurationError} If inputs or the buyer capability are invalid
+ * @throws {DataError} If a product storage condition is unknown (onInvalid 'throw')
+ * 
+ * @example
+ * const storable = filterByStorageCondition(products, 'room_temp');
+ * // Keeps only pantry and pantry_opened products
+ */
+function filterByStorageCondition(products, buyerCapability, options = {}) {
+  if (!Array.isArray(products)) {
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
+  }
+  
+  if (!buyerCapability || (Array.isArray(buyerCapability) && buyerCapability.length === 0)) {
+    throw new ValidationError('buyerCapability is required', {
+      code: 'required', field: 'buyerCapability', value: buyerCapability
+    });
+  }
+  
+  resolveInvalidPolicy(options);
+  
+  return products.filter((product, index) => {
+    if (!product || typeof product !== 'object') {
+      handleInvalidProduct(
+        new ValidationError('Each product must be an object', { code: 'invalid_type', field: 'product', value: product }),
+        product, index, 'storage', options
+      );
+      return false;
+    }
+    
+    if (!product.storage_condition) {
+      return true;
+    }
+    
+    try {
+      return isStorageCompatible(product.storage_condition, buyerCapability);
+    } catch (error) {
+      // An unknown buyer capability is a bad argument, not a bad product
+      if (!(error instanceof DataError)) {
+        throw error;
+      }
+      handleInvalidProduct(error, product, index, 'storage', options);
+      return false;
+    }
+  });
+}
 
 /**
  * Filter products by proximity radius
@@ -20,8 +140,12 @@ const { filterExpiredProducts, filterByFreshness } = require('../core-algorithm/
  * 
  * @param {Array<Object>} products - Products with distance_km property
  * @param {number} maxRadiusKm - Maximum distance in kilometers
+ * @param {Object} options - Invalid product handling
+ * @param {string} [options.onInvalid] - What to do with products without a valid distance_km:
+ *   'throw' (default), 'skip' or 'quarantine' (see utils/invalid-policy.js)
+ * @param {Array<Object>} [options.quarantine] - Receives { product, index, stage: 'proximity', error }
  * @returns {Array<Object>} Products within radius
- * @throws {Error} If inputs are invalid
+ * @throws {ValidationError|DataError} If inputs are invalid (products only under onInvalid 'throw')
  * 
  * @example
  * const products = [
@@ -32,32 +156,46 @@ const { filterExpiredProducts, filterByFreshness } = require('../core-algorithm/
  * const nearby = filterByProximity(products, 20);
  * // Returns: [{ id: 1, distance_km: 5 }, { id: 2, distance_km: 15 }]
  */
-function filterByProximity(products, maxRadiusKm) {
+function filterByProximity(products, maxRadiusKm, options = {}) {
   // Validate inputs
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
   
   if (typeof maxRadiusKm !== 'number' || isNaN(maxRadiusKm)) {
-    throw new Error('maxRadiusKm must be a number');
+    throw new ValidationError('maxRadiusKm must be a number', {
+      code: 'invalid_type', field: 'maxRadiusKm', value: maxRadiusKm
+    });
   }
   
   if (maxRadiusKm <= 0) {
-    throw new Error(`maxRadiusKm must be positive (got ${maxRadiusKm})`);
+    throw new ValidationError(`maxRadiusKm must be positive (got ${maxRadiusKm})`, {
+      code: 'out_of_range', field: 'maxRadiusKm', value: maxRadiusKm
+    });
   }
   
+  resolveInvalidPolicy(options);
+  
   // Filter products within radius
-  return products.filter(product => {
+  return products.filter((product, index) => {
+    let error = null;
     if (!product || typeof product !== 'object') {
-      throw new Error('Each product must be an object');
-    }
-    
-    if (typeof product.distance_km !== 'number') {
-      throw new Error(`Product ${product.id || 'unknown'} missing distance_km property`);
+      error = new ValidationError('Each product must be an object', { code: 'invalid_type', field: 'product', value: product });
+    } else if (typeof product.distance_km !== 'number') {
+      error = new DataError(`Product ${product.id || 'unknown'} missing distance_km property`, {
+        code: 'missing_field', field: 'distance_km'
+      });
+    } else if (isNaN(product.distance_km)) {
+      error = new DataError(`Product ${product.id || 'unknown'} has invalid distance_km (NaN)`, {
+        code: 'invalid_field', field: 'distance_km', value: NaN
+      });
     }
     
-    if (isNaN(product.distance_km)) {
-      throw new Error(`Product ${product.id || 'unknown'} has invalid distance_km (NaN)`);
+    if (error) {
+      handleInvalidProduct(error, product, index, 'proximity', options);
+      return false;
     }
     
     return product.distance_km <= maxRadiusKm;
@@ -73,14 +211,22 @@ function filterByProximity(products, maxRadiusKm) {
  * @param {boolean} filterConfig.filterExpired - Apply expiration filter (default: true)
  * @param {number|null} filterConfig.maxRadiusKm - Max distance (null = no filter)
  * @param {number|null} filterConfig.minFreshnessPercent - Min freshness (null = no filter)
+ * @param {string|Array<string>|null} filterConfig.storageCondition - Buyer storage capability (null = no filter)
  * @param {Date} filterConfig.currentDate - Current date for expiration check
- * @returns {Object} Filtered products and statistics
+ * @param {string|Object} filterConfig.expiryPolicy - 'conservative', 'expected' (default) or
+ *   'optimistic' expiration bound, or a map keyed by category_id (see resolveExpiryPolicy)
+ * @param {string} filterConfig.onInvalid - 'throw' (default), 'skip' or 'quarantine' products a
+ *   filter cannot evaluate (missing expiration_date, distance_km, ...)
+ * @returns {Object} Filtered products and statistics; invalid products are counted in
+ *   stats.removedInvalid and, under 'quarantine', listed in quarantined
+ *   ([{ product, index, stage, error }], index into the input products)
  * 
  * @example
  * const result = applyFilters(products, {
  *   filterExpired: true,
  *   maxRadiusKm: 30,
  *   minFreshnessPercent: 50,
+ *   storageCondition: 'refrigerated',
  *   currentDate: new Date()
  * });
  * // Returns: { filtered: [...], stats: {...} }
@@ -88,11 +234,15 @@ function filterByProximity(products, maxRadiusKm) {
 function applyFilters(products, filterConfig = {}) {
   // Validate inputs
   if (!Array.isArray(products)) {
-    throw new Error('products must be an array');
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
   }
   
   if (!filterConfig || typeof filterConfig !== 'object') {
-    throw new Error('filterConfig must be an object');
+    throw new ValidationError('filterConfig must be an object', {
+      code: 'invalid_type', field: 'filterConfig', value: filterConfig
+    });
   }
   
   // Default configuration
@@ -100,8 +250,12 @@ function applyFilters(products, filterConfig = {}) {
     filterExpired: filterConfig.filterExpired !== false, // Default: true
     maxRadiusKm: filterConfig.maxRadiusKm || null,
     minFreshnessPercent: filterConfig.minFreshnessPercent || null,
-    currentDate: filterConfig.currentDate || new Date()
+    storageCondition: filterConfig.storageCondition || null,
+    currentDate: filterConfig.currentDate || new Date(),
+    expiryPolicy: filterConfig.expiryPolicy || 'expected',
+    onInvalid: filterConfig.onInvalid || 'throw'
   };
+  resolveInvalidPolicy({ onInvalid: config.onInvalid, quarantine: [] });
   
   // Track statistics
   const stats = {
@@ -109,50 +263,77 @@ function applyFilters(products, filterConfig = {}) {
     afterExpiration: 0,
     afterProximity: 0,
     afterFreshness: 0,
+    afterStorage: 0,
     final: 0,
     removedExpired: 0,
     removedProximity: 0,
-    removedFreshness: 0
+    removedFreshness: 0,
+    removedStorage: 0,
+    removedInvalid: 0
   };
   
   let filtered = [...products];
   
+  // Products a filter cannot evaluate are collected per stage, then reported
+  // against their position in the input
+  const quarantined = [];
+  const runStage = filter => {
+    const input = filtered;
+    const invalid = [];
+    filtered = filter(input, config.onInvalid === 'throw' ? {} : { onInvalid: 'quarantine', quarantine: invalid });
+    stats.removedInvalid += invalid.length;
+    if (config.onInvalid === 'quarantine') {
+      invalid.forEach(entry => quarantined.push({ ...entry, index: products.indexOf(input[entry.index]) }));
+    }
+    return input.length - filtered.length - invalid.length;
+  };
+  
   // Step 1: Filter expired products (if enabled)
   if (config.filterExpired) {
-    const beforeCount = filtered.length;
-    filtered = filterExpiredProducts(filtered, config.currentDate);
+    stats.removedExpired = runStage((input, options) =>
+      filterExpiredProducts(input, config.currentDate, config.expiryPolicy, options));
     stats.afterExpiration = filtered.length;
-    stats.removedExpired = beforeCount - filtered.length;
   } else {
     stats.afterExpiration = filtered.length;
   }
   
   // Step 2: Filter by proximity radius (if configured)
   if (config.maxRadiusKm !== null) {
-    const beforeCount = filtered.length;
-    filtered = filterByProximity(filtered, config.maxRadiusKm);
+    stats.removedProximity = runStage((input, options) =>
+      filterByProximity(input, config.maxRadiusKm, options));
     stats.afterProximity = filtered.length;
-    stats.removedProximity = beforeCount - filtered.length;
   } else {
     stats.afterProximity = filtered.length;
   }
   
   // Step 3: Filter by minimum freshness (if configured)
   if (config.minFreshnessPercent !== null) {
-    const beforeCount = filtered.length;
-    filtered = filterByFreshness(filtered, config.minFreshnessPercent);
+    stats.removedFreshness = runStage((input, options) =>
+      filterByFreshness(input, config.minFreshnessPercent, options));
     stats.afterFreshness = filtered.length;
-    stats.removedFreshness = beforeCount - filtered.length;
   } else {
     stats.afterFreshness = filtered.length;
   }
   
+  // Step 4: Filter by buyer storage capability (if configured)
+  if (config.storageCondition !== null) {
+    stats.removedStorage = runStage((input, options) =>
+      filterByStorageCondition(input, config.storageCondition, options));
+    stats.afterStorage = filtered.length;
+  } else {
+    stats.afterStorage = filtered.length;
+  }
+  
   stats.final = filtered.length;
   
-  return {
+  const result = {
     filtered,
     stats
   };
+  if (config.onInvalid === 'quarantine') {
+    result.quarantined = quarantined;
+  }
+  return result;
 }
 
 /**
@@ -165,28 +346,37 @@ function applyFilters(products, filterConfig = {}) {
  * 
  * @example
  * const buyer = {
+ *   storage_condition: 'refrigerated',
  *   preferences: {
  *     max_radius_km: 30,
  *     min_freshness_percent: 50
  *   }
  * };
  * const config = createFilterConfig(buyer);
- * // Returns: { filterExpired: true, maxRadiusKm: 30, minFreshnessPercent: 50, currentDate: ... }
+ * // Returns: { filterExpired: true, maxRadiusKm: 30, minFreshnessPercent: 50, storageCondition: 'refrigerated',
+ * //            currentDate: ..., expiryPolicy: 'expected' }
+ * // buyer.preferences.expiry_policy overrides the expiry policy
  */
 function createFilterConfig(buyer, currentDate = new Date()) {
   if (!buyer || typeof buyer !== 'object') {
-    throw new Error('buyer must be an object');
+    throw new ValidationError('buyer must be an object', {
+      code: 'invalid_type', field: 'buyer', value: buyer
+    });
   }
   
   if (!buyer.preferences || typeof buyer.preferences !== 'object') {
-    throw new Error('buyer must have a preferences object');
+    throw new ValidationError('buyer must have a preferences object', {
+      code: 'required', field: 'buyer.preferences', value: buyer.preferences
+    });
   }
   
   return {
     filterExpired: true, // Always filter expired
     maxRadiusKm: buyer.preferences.max_radius_km || null,
     minFreshnessPercent: buyer.preferences.min_freshness_percent || null,
-    currentDate
+    storageCondition: buyer.storage_condition || null,
+    currentDate,
+    expiryPolicy: buyer.preferences.expiry_policy || 'expected'
   };
 }
 
@@ -233,23 +423,31 @@ function getFilterSummary(stats) {
     breakdown: {
       expired: `${stats.removedExpired} expired (${stats.initial > 0 ? ((stats.removedExpired / stats.initial) * 100).toFixed(1) : 0}%)`,
       proximity: `${stats.removedProximity} out of range (${stats.initial > 0 ? ((stats.removedProximity / stats.initial) * 100).toFixed(1) : 0}%)`,
-      freshness: `${stats.removedFreshness} not fresh enough (${stats.initial > 0 ? ((stats.removedFreshness / stats.initial) * 100).toFixed(1) : 0}%)`
+      freshness: `${stats.removedFreshness} not fresh enough (${stats.initial > 0 ? ((stats.removedFreshness / stats.initial) * 100).toFixed(1) : 0}%)`,
+      storage: `${stats.removedStorage || 0} not storable by buyer (${stats.initial > 0 ? (((stats.removedStorage || 0) / stats.initial) * 100).toFixed(1) : 0}%)`
     }
   };
 }
 
 /**
  * Check if product passes all filters (without filtering array)
- * Useful for single product validation
+ * Useful for single product validation and for explaining rejections
+ * 
+ * Failures are listed in applyFilters order, so failures[0].filter is the
+ * filter that removes the product in the pipeline.
  * 
  * @param {Object} product - Product with all required metrics
  * @param {Object} filterConfig - Filter configuration
- * @returns {Object} Pass/fail result with reasons
+ * @returns {Object} Pass/fail result with reasons and structured failures
+ *   ({ filter: 'expiration'|'proximity'|'freshness'|'storage', reason, values })
  * 
  * @example
  * const result = checkProductFilters(product, config);
  * if (!result.passes) {
  *   console.log(`Rejected: ${result.reasons.join(', ')}`);
+ *   console.log(result.failures[0]);
+ *   // { filter: 'proximity', reason: 'Beyond max radius (35km > 30km)',
+ *   //   values: { distance_km: 35, max_radius_km: 30 } }
  * }
  */
 function checkProductFilters(product, filterConfig = {}) {
@@ -257,33 +455,64 @@ function checkProductFilters(product, filterConfig = {}) {
     filterExpired: filterConfig.filterExpired !== false,
     maxRadiusKm: filterConfig.maxRadiusKm || null,
     minFreshnessPercent: filterConfig.minFreshnessPercent || null,
-    currentDate: filterConfig.currentDate || new Date()
+    storageCondition: filterConfig.storageCondition || null,
+    currentDate: filterConfig.currentDate || new Date(),
+    expiryPolicy: filterConfig.expiryPolicy || null
   };
   
-  const reasons = [];
-  let passes = true;
-  
-  // Check expiration
-  if (config.filterExpired && product.is_expired) {
-    reasons.push('Product has expired');
-    passes = false;
+  const failures = [];
+  
+  // Check expiration (is_expired is the expected bound; other policies use expiration_range)
+  const expirationDate = config.expiryPolicy
+    ? getPolicyExpirationDate(product, config.expiryPolicy)
+    : product.expiration_date;
+  const expired = config.expiryPolicy && expirationDate
+    ? isExpired(expirationDate, config.currentDate)
+    : product.is_expired;
+  if (config.filterExpired && expired) {
+    failures.push({
+      filter: 'expiration',
+      reason: 'Product has expired',
+      values: {
+        expiration_date: expirationDate || null,
+        current_date: config.currentDate,
+        ...(config.expiryPolicy && { expiry_policy: config.expiryPolicy })
+      }
+    });
   }
   
   // Check proximity
   if (config.maxRadiusKm !== null && product.distance_km > config.maxRadiusKm) {
-    reasons.push(`Beyond max radius (${product.distance_km}km > ${config.maxRadiusKm}km)`);
-    passes = false;
+    failures.push({
+      filter: 'proximity',
+      reason: `Beyond max radius (${product.distance_km}km > ${config.maxRadiusKm}km)`,
+      values: { distance_km: product.distance_km, max_radius_km: config.maxRadiusKm }
+    });
   }
   
   // Check freshness
   if (config.minFreshnessPercent !== null && product.freshness_percent < config.minFreshnessPercent) {
-    reasons.push(`Below min freshness (${product.freshness_percent.toFixed(1)}% < ${config.minFreshnessPercent}%)`);
-    passes = false;
+    failures.push({
+      filter: 'freshness',
+      reason: `Below min freshness (${product.freshness_percent.toFixed(1)}% < ${config.minFreshnessPercent}%)`,
+      values: { freshness_percent: product.freshness_percent, min_freshness_percent: config.minFreshnessPercent }
+    });
+  }
+  
+  // Check storage
+  if (config.storageCondition !== null && product.storage_condition &&
+      !isStorageCompatible(product.storage_condition, config.storageCondition)) {
+    failures.push({
+      filter: 'storage',
+      reason: `Buyer cannot store product (${product.storage_condition} needs more than ${config.storageCondition})`,
+      values: { storage_condition: product.storage_condition, buyer_storage: config.storageCondition }
+    });
   }
   
   return {
-    passes,
-    reasons,
+    passes: failures.length === 0,
+    reasons: failures.map(failure => failure.reason),
+    failures,
     productId: product.id
   };
 }
@@ -292,6 +521,7 @@ function checkProductFilters(product, filterConfig = {}) {
 module.exports = {
   // Core filters
   filterByProximity,
+  filterByStorageCondition,
   filterExpiredProducts,  // Re-export from shelf_life_calculator
   filterByFreshness,      // Re-export from shelf_life_calculator
   
@@ -302,7 +532,11 @@ module.exports = {
   // Utility functions
   createFilterConfig,
   getFilterSummary,
-  checkProductFilters
+  checkProductFilters,
+  isStorageCompatible,
+  
+  // Constants
+  STORAGE_COMPATIBILITY
 };
 
 // Run unit tests if executed directly
@@ -516,6 +750,44 @@ if (require.main === module) {
     if (result.reasons.length !== 3) throw new Error(`Should have 3 reasons, got ${result.reasons.length}`);
   });
   
+  // Test 12b: Structured failures in pipeline order
+  test('Check product filters: Structured failures with values', () => {
+    const result = checkProductFilters({ id: 1, distance_km: 35, freshness_percent: 40 }, {
+      maxRadiusKm: 30,
+      minFreshnessPercent: 50
+    });
+    const [first, second] = result.failures;
+    if (first.filter !== 'proximity' || second.filter !== 'freshness') {
+      throw new Error('Failures should follow applyFilters order');
+    }
+    if (first.values.distance_km !== 35 || first.values.max_radius_km !== 30) {
+      throw new Error('Proximity failure should carry the values involved');
+    }
+  });
+  
+  // Test 12c: Expiry policy
+  test('Apply filters: Expiry policy picks the expiration bound', () => {
+    const product = {
+      id: 1,
+      category_id: 15,
+      expiration_date: '2025-02-01T06:00:00Z',
+      is_expired: false,
+      expiration_range: {
+        conservative: { expiration_date: '2025-01-31T06:00:00Z' },
+        optimistic: { expiration_date: '2025-02-02T06:00:00Z' }
+      }
+    };
+    const currentDate = new Date('2025-01-31T12:00:00Z');
+    const expected = applyFilters([product], { currentDate });
+    const conservative = applyFilters([product], { currentDate, expiryPolicy: 'conservative' });
+    if (expected.filtered.length !== 1) throw new Error('Expected bound should keep product');
+    if (conservative.filtered.length !== 0) throw new Error('Conservative bound should remove product');
+    const check = checkProductFilters(product, { currentDate, expiryPolicy: { 15: 'conservative' } });
+    if (check.passes || check.failures[0].values.expiry_policy[15] !== 'conservative') {
+      throw new Error('checkProductFilters should apply the policy');
+    }
+  });
+  
   // Test 13: Error handling - invalid max radius
   test('Error: Invalid max radius (negative)', () => {
     try {
@@ -546,6 +818,141 @@ if (require.main === module) {
     }
   });
   
+  // Test 16: Storage filter - room temperature buyer
+  test('Storage filter: Room temperature buyer keeps pantry products only', () => {
+    const products = [
+      { id: 1, storage_condition: 'pantry' },
+      { id: 2, storage_condition: 'refrigerated_opened' },
+      { id: 3, storage_condition: 'frozen' },
+      { id: 4, storage_condition: 'pantry_opened' }
+    ];
+    const filtered = filterByStorageCondition(products, 'room_temp');
+    if (filtered.length !== 2) throw new Error(`Expected 2, got ${filtered.length}`);
+    if (filtered.some(p => p.id === 2 || p.id === 3)) throw new Error('Should remove refrigerated and frozen products');
+  });
+  
+  // Test 17: Storage filter - capabilities are cumulative
+  test('Storage filter: Refrigerated buyer keeps pantry and fridge products', () => {
+    const products = [
+      { id: 1, storage_condition: 'pantry' },
+      { id: 2, storage_condition: 'refrigerated_opened' },
+      { id: 3, storage_condition: 'frozen_opened' },
+      { id: 4 }
+    ];
+    const filtered = filterByStorageCondition(products, 'refrigerated');
+    if (filtered.length !== 3) throw new Error(`Expected 3, got ${filtered.length}`);
+    if (filtered.some(p => p.id === 3)) throw new Error('Should remove frozen product');
+  });
+  
+  // Test 18: Filter pipeline - storage stats
+  test('Filter pipeline: Storage removals tracked in stats', () => {
+    const products = [
+      { id: 1, distance_km: 5, storage_condition: 'pantry' },
+      { id: 2, distance_km: 5, storage_condition: 'frozen' }
+    ];
+    const result = applyFilters(products, {
+      filterExpired: false,
+      storageCondition: 'room_temp'
+    });
+    if (result.filtered.length !== 1) throw new Error(`Expected 1, got ${result.filtered.length}`);
+    if (result.stats.removedStorage !== 1) throw new Error('Should remove 1 by storage');
+    
+    const check = checkProductFilters(products[1], { filterExpired: false, storageCondition: 'room_temp' });
+    if (check.passes) throw new Error('checkProductFilters should reject unstorable product');
+  });
+  
+  // Test 19: Error handling - invalid storage capability
+  test('Error: Invalid buyer storage capability', () => {
+    try {
+      filterByStorageCondition([{ id: 1, storage_condition: 'pantry' }], 'cellar');
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Invalid storage capability')) throw e;
+    }
+  });
+  
+  // Test 20: Invalid products - skip and quarantine
+  test('Invalid products: Skipped or quarantined instead of aborting', () => {
+    const products = [
+      { id: 1, distance_km: 2, expiration_date: '2099-01-01T00:00:00Z' },
+      { id: 2, distance_km: 3 },
+      { id: 3, expiration_date: '2099-01-01T00:00:00Z' },
+      { id: 4, distance_km: 30, expiration_date: '2099-01-01T00:00:00Z' }
+    ];
+    const config = { maxRadiusKm: 10, currentDate: new Date('2025-01-30T00:00:00Z') };
+    
+    try {
+      applyFilters(products, config);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!e.message.includes('Product 2 missing expiration_date')) throw e;
+    }
+    
+    const skipped = applyFilters(products, { ...config, onInvalid: 'skip' });
+    if (skipped.filtered.map(p => p.id).join() !== '1') throw new Error('Expected only product 1');
+    if (skipped.stats.removedInvalid !== 2 || skipped.stats.removedProximity !== 1) throw new Error('Stats should separate invalid');
+    if ('quarantined' in skipped) throw new Error('Skip should not report products');
+    
+    const quarantined = applyFilters(products, { ...config, onInvalid: 'quarantine' }).quarantined;
+    const summary = quarantined.map(entry => `${entry.product.id}:${entry.stage}:${entry.index}`).join();
+    if (summary !== '2:expiration:1,3:proximity:2') throw new Error(`Got ${summary}`);
+    if (quarantined[1].error.message !== 'Product 3 missing distance_km property') throw new Error('Should keep the message');
+    if (quarantined[1].error.code !== 'missing_field' || quarantined[1].error.field !== 'distance_km') {
+      throw new Error('Should keep code and field');
+    }
+    
+    const nearby = filterByProximity(products.slice(1), 10, { onInvalid: 'skip' });
+    if (nearby.map(p => p.id).join() !== '2') throw new Error('filterByProximity should skip product 3');
+  });
+  
+  // Test 21: Structured errors
+  test('Errors: Data and configuration errors carry code and field', () => {
+    const { DataError, ConfigurationError } = require('../utils/errors');
+    try {
+      filterByProximity([{ id: 9 }], 10);
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof DataError) || e.code !== 'missing_field' || e.field !== 'distance_km') throw e;
+    }
+    try {
+      filterByStorageCondition([{ id: 1, storage_condition: 'pantry' }], 'cellar');
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof ConfigurationError) || e.code !== 'invalid_storage_capability' || e.value !== 'cellar') throw e;
+    }
+  });
+  
+  // Test 22: Unknown listing storage condition
+  test('Storage filter: Unknown listing storage condition follows onInvalid', () => {
+    const products = [
+      { id: 1, distance_km: 5, storage_condition: 'pantry' },
+      { id: 2, distance_km: 5, storage_condition: 'cellar' }
+    ];
+    try {
+      filterByStorageCondition(products, 'refrigerated');
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof DataError) || e.code !== 'invalid_field' || e.value !== 'cellar') throw e;
+    }
+    
+    const skipped = filterByStorageCondition(products, 'refrigerated', { onInvalid: 'skip' });
+    if (skipped.map(p => p.id).join() !== '1') throw new Error('Expected only product 1');
+    
+    const result = applyFilters(products, { filterExpired: false, storageCondition: 'refrigerated', onInvalid: 'quarantine' });
+    const [entry] = result.quarantined;
+    if (result.quarantined.length !== 1 || entry.product.id !== 2 || entry.stage !== 'storage' || entry.error.field !== 'storage_condition') {
+      throw new Error(`Unexpected quarantine: ${JSON.stringify(result.quarantined)}`);
+    }
+    if (result.stats.removedInvalid !== 1 || result.stats.removedStorage !== 0) throw new Error('Should count as invalid, not unstorable');
+    
+    try {
+      filterByStorageCondition(products, 'cellar', { onInvalid: 'skip' });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof ConfigurationError)) throw e;
+    }
+  });
+
   console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
   
   if (failed === 0) {
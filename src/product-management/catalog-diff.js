@@ -0,0 +1,384 @@
+/**
+ * Chenda - Product Type Catalog Diff
+ * Compares two transformed catalogs before swapping one in under live listings
+ *
+ * Product types are matched by USDA ID and reported as:
+ * - added / removed: ID only in the new / old catalog
+ * - shelf_life_changes: shelf life days (default, min/max or a storage
+ *   condition's values in shelf_life_by_condition) differ
+ * - storage_changes: default storage condition changed, or storage conditions
+ *   gained or lost shelf life data
+ *
+ * With a products file, every listing is resolved against both catalogs and
+ * the ones whose freshness, expiration date or expired status would change
+ * are listed, along with listings whose product type disappears.
+ *
+ * Catalogs can be product type arrays (product-types.json), versioned catalogs
+ * (foodkeeper-import.js) or a FoodKeeper export, which is imported first.
+ *
+ * Usage:
+ *   node src/product-management/catalog-diff.js [<old-catalog> <new-catalog>]
+ *     [--products <file>] [--now <ISO date>] [--policy <expiry policy>] [--json]
+ *
+ * Defaults compare product-types-full.json against a fresh import of the
+ * bundled FoodKeeper export, with the mock listings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createProductTypeIndex, applyProductType } = require('./product-type-catalog');
+const { importFoodKeeper } = require('./foodkeeper-import');
+const { calculateShelfLifeMetrics, resolveExpiryPolicy } = require('../core-algorithm/calculations/shelf-life');
+const { ValidationError, ConfigurationError } = require('../utils/errors');
+
+const DEFAULT_OLD_CATALOG = path.join(__dirname, 'product-types-full.json');
+const DEFAULT_NEW_CATALOG = path.join(__dirname, '../../shelf-life-db/shelf-life-core.json');
+const DEFAULT_PRODUCTS = path.join(__dirname, '../data/mock_products.json');
+
+const SHELF_LIFE_FIELDS = ['default_shelf_life_days', 'min_shelf_life_days', 'max_shelf_life_days'];
+const CONDITION_FIELDS = ['shelf_life_days', 'min_shelf_life_days', 'max_shelf_life_days'];
+
+/**
+ * Get the version label of a catalog
+ * @private
+ */
+function getVersion(catalog) {
+  return catalog && !Array.isArray(catalog) && catalog.version ? catalog.version : null;
+}
+
+/**
+ * Summarize a product type for the report
+ * @private
+ */
+function describe(productType) {
+  return { id: productType.id, name: productType.name, name_subtitle: productType.name_subtitle };
+}
+
+/**
+ * Compare the shelf life values of two versions of a product type
+ * @private
+ */
+function diffShelfLife(oldType, newType) {
+  const changes = [];
+  const push = (field, oldValue, newValue) => {
+    if (oldValue !== newValue) {
+      changes.push({ field, old: oldValue == null ? null : oldValue, new: newValue == null ? null : newValue });
+    }
+  };
+
+  SHELF_LIFE_FIELDS.forEach(field => push(field, oldType[field], newType[field]));
+
+  const oldConditions = oldType.shelf_life_by_condition || {};
+  const newConditions = newType.shelf_life_by_condition || {};
+  for (const condition of Object.keys(oldConditions)) {
+    if (!newConditions[condition]) continue;
+    CONDITION_FIELDS.forEach(field => push(
+      `shelf_life_by_condition.${condition}.${field}`,
+      oldConditions[condition][field],
+      newConditions[condition][field]
+    ));
+  }
+
+  return changes;
+}
+
+/**
+ * Compare the storage conditions of two versions of a product type
+ * @private
+ */
+function diffStorage(oldType, newType) {
+  const oldConditions = Object.keys(oldType.shelf_life_by_condition || {});
+  const newConditions = Object.keys(newType.shelf_life_by_condition || {});
+  const change = {};
+
+  if (oldType.default_storage_condition !== newType.default_storage_condition) {
+    change.default_storage_condition = {
+      old: oldType.default_storage_condition,
+      new: newType.default_storage_condition
+    };
+  }
+
+  const added = newConditions.filter(condition => !oldConditions.includes(condition));
+  const removed = oldConditions.filter(condition => !newConditions.includes(condition));
+  if (added.length > 0) change.conditions_added = added;
+  if (removed.length > 0) change.conditions_removed = removed;
+
+  return Object.keys(change).length > 0 ? change : null;
+}
+
+/**
+ * Diff two product type catalogs keyed by USDA ID
+ *
+ * @param {Array<Object>|Object} oldCatalog - Current catalog (array or versioned catalog)
+ * @param {Array<Object>|Object} newCatalog - Replacement catalog
+ * @returns {Object} { from_version, to_version, added, removed, shelf_life_changes,
+ *   storage_changes, summary }
+ *
+ * @example
+ * const diff = diffCatalogs(require('./product-types-full.json'), importedCatalog);
+ * diff.shelf_life_changes[0];
+ * // { id: 33, name: 'Yogurt', changes: [{ field: 'default_shelf_life_days', old: 11, new: 14 }] }
+ */
+function diffCatalogs(oldCatalog, newCatalog) {
+  const oldIndex = createProductTypeIndex(oldCatalog);
+  const newIndex = createProductTypeIndex(newCatalog);
+  const byId = (a, b) => a.id - b.id;
+
+  const added = [...newIndex.values()].filter(type => !oldIndex.has(Number(type.id))).map(describe).sort(byId);
+  const removed = [...oldIndex.values()].filter(type => !newIndex.has(Number(type.id))).map(describe).sort(byId);
+  const shelfLifeChanges = [];
+  const storageChanges = [];
+
+  for (const [id, oldType] of oldIndex) {
+    const newType = newIndex.get(id);
+    if (!newType) continue;
+
+    const changes = diffShelfLife(oldType, newType);
+    if (changes.length > 0) {
+      shelfLifeChanges.push({ ...describe(newType), changes });
+    }
+
+    const storage = diffStorage(oldType, newType);
+    if (storage) {
+      storageChanges.push({ ...describe(newType), ...storage });
+    }
+  }
+
+  shelfLifeChanges.sort(byId);
+  storageChanges.sort(byId);
+
+  return {
+    from_version: getVersion(oldCatalog),
+    to_version: getVersion(newCatalog),
+    added,
+    removed,
+    shelf_life_changes: shelfLifeChanges,
+    storage_changes: storageChanges,
+    summary: {
+      old_count: oldIndex.size,
+      new_count: newIndex.size,
+      added: added.length,
+      removed: removed.length,
+      shelf_life_changed: shelfLifeChanges.length,
+      storage_changed: storageChanges.length
+    }
+  };
+}
+
+/**
+ * Freshness and expiry of a listing resolved against a catalog entry
+ * @private
+ */
+function evaluateListing(product, productType, currentDate, policy) {
+  const resolved = applyProductType(product, productType);
+  const metrics = calculateShelfLifeMetrics(resolved, currentDate);
+  const bound = metrics.expiration_range[resolveExpiryPolicy(policy, resolved)];
+
+  return {
+    shelf_life_days: bound.shelf_life_days,
+    storage_condition: resolved.shelf_life_condition || resolved.storage_condition,
+    freshness_percent: bound.freshness_percent,
+    expiration_date: bound.expiration_date_iso,
+    is_expired: bound.is_expired
+  };
+}
+
+/**
+ * Find listings whose freshness or expiry changes with a new catalog
+ *
+ * @param {Array<Object>} products - Listings with product_type_id
+ * @param {Array<Object>|Object} oldCatalog - Current catalog
+ * @param {Array<Object>|Object} newCatalog - Replacement catalog
+ * @param {Object} options - Evaluation options
+ * @param {string|Date} [options.currentDate] - Evaluation date (default: now)
+ * @param {string|Object} [options.expiryPolicy] - Expiry policy (default: 'expected')
+ * @returns {Object} { changed: Array, orphaned: Array, unchanged: number }
+ *   changed entries are { product_id, product_type_id, changes, before, after } where
+ *   changes lists 'freshness', 'expiration_date' and/or 'is_expired'
+ * @throws {ValidationError} If products is not an array
+ *
+ * @example
+ * const impact = diffListings(mockProducts, oldCatalog, newCatalog, { currentDate: '2025-02-01' });
+ * impact.changed[0].changes; // ['freshness', 'expiration_date']
+ */
+function diffListings(products, oldCatalog, newCatalog, options = {}) {
+  if (!Array.isArray(products)) {
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
+  }
+
+  const oldIndex = oldCatalog instanceof Map ? oldCatalog : createProductTypeIndex(oldCatalog);
+  const newIndex = newCatalog instanceof Map ? newCatalog : createProductTypeIndex(newCatalog);
+  const currentDate = options.currentDate || new Date();
+  const policy = options.expiryPolicy || 'expected';
+  const changed = [];
+  const orphaned = [];
+  let unchanged = 0;
+
+  products.forEach(product => {
+    const typeId = Number(product.product_type_id);
+    const oldType = oldIndex.get(typeId);
+    const newType = newIndex.get(typeId);
+
+    if (!oldType) {
+      return;
+    }
+    if (!newType) {
+      orphaned.push({ product_id: product.id, product_type_id: product.product_type_id, name: oldType.name });
+      return;
+    }
+
+    const before = evaluateListing(product, oldType, currentDate, policy);
+    const after = evaluateListing(product, newType, currentDate, policy);
+    const changes = [];
+    if (before.freshness_percent !== after.freshness_percent) changes.push('freshness');
+    if (before.expiration_date !== after.expiration_date) changes.push('expiration_date');
+    if (before.is_expired !== after.is_expired) changes.push('is_expired');
+
+    if (changes.length === 0) {
+      unchanged++;
+      return;
+    }
+
+    changed.push({ product_id: product.id, product_type_id: product.product_type_id, changes, before, after });
+  });
+
+  return { changed, orphaned, unchanged };
+}
+
+/**
+ * Load a catalog file; FoodKeeper exports are imported first
+ * @private
+ */
+function loadCatalog(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return data && Array.isArray(data.sheets) ? importFoodKeeper(data, { sourcePath: file }) : data;
+}
+
+/**
+ * Parse command line arguments
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { oldCatalog, newCatalog, products, now, policy, json }
+ * @throws {ConfigurationError} On unknown options, missing values or a single catalog path
+ */
+function parseArgs(argv) {
+  const flags = { '--products': 'products', '--now': 'now', '--policy': 'policy' };
+  const args = { products: DEFAULT_PRODUCTS, now: null, policy: 'expected', json: false };
+  const catalogs = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      args.json = true;
+    } else if (flags[argv[i]]) {
+      if (argv[i + 1] == null || argv[i + 1].startsWith('--')) {
+        throw new ConfigurationError(`Missing value for ${argv[i]}`, {
+          code: 'invalid_option', field: argv[i]
+        });
+      }
+      args[flags[argv[i]]] = argv[++i];
+    } else if (argv[i].startsWith('--')) {
+      throw new ConfigurationError(`Unknown option: ${argv[i]}`, {
+        code: 'invalid_option', field: 'argv', value: argv[i]
+      });
+    } else {
+      catalogs.push(argv[i]);
+    }
+  }
+
+  if (catalogs.length !== 0 && catalogs.length !== 2) {
+    throw new ConfigurationError('Expected two catalog files: <old-catalog> <new-catalog>', {
+      code: 'invalid_option', field: 'argv', value: catalogs
+    });
+  }
+
+  args.oldCatalog = catalogs[0] || DEFAULT_OLD_CATALOG;
+  args.newCatalog = catalogs[1] || DEFAULT_NEW_CATALOG;
+  return args;
+}
+
+/**
+ * Run the diff from the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { catalog, listings }
+ */
+function main(argv) {
+  const args = parseArgs(argv);
+  const log = console.log;
+  const warn = console.warn;
+  let oldCatalog;
+  let newCatalog;
+
+  // Keep transformer warnings out of the report
+  console.warn = () => {};
+  try {
+    oldCatalog = loadCatalog(args.oldCatalog);
+    newCatalog = loadCatalog(args.newCatalog);
+  } finally {
+    console.warn = warn;
+  }
+
+  const products = JSON.parse(fs.readFileSync(args.products, 'utf8'));
+  const catalog = diffCatalogs(oldCatalog, newCatalog);
+  const listings = diffListings(products, oldCatalog, newCatalog, {
+    currentDate: args.now || new Date(),
+    expiryPolicy: args.policy
+  });
+
+  if (args.json) {
+    log(JSON.stringify({ catalog, listings }, null, 2));
+    return { catalog, listings };
+  }
+
+  const label = (file, version) => `${path.basename(file)}${version ? ` (${version})` : ''}`;
+  log(`Catalog diff: ${label(args.oldCatalog, catalog.from_version)} → ${label(args.newCatalog, catalog.to_version)}`);
+  log(`- Product types: ${catalog.summary.old_count} → ${catalog.summary.new_count}`);
+  log(`- Added: ${catalog.summary.added}, removed: ${catalog.summary.removed}`);
+  log(`- Shelf life changed: ${catalog.summary.shelf_life_changed}, storage changed: ${catalog.summary.storage_changed}`);
+
+  catalog.added.forEach(type => log(`  + ID ${type.id} ${type.name}`));
+  catalog.removed.forEach(type => log(`  - ID ${type.id} ${type.name}`));
+  catalog.shelf_life_changes.forEach(type => {
+    type.changes.forEach(change => log(`  ~ ID ${type.id} ${type.name}: ${change.field} ${change.old} → ${change.new}`));
+  });
+  catalog.storage_changes.forEach(type => {
+    if (type.default_storage_condition) {
+      log(`  ~ ID ${type.id} ${type.name}: default storage ${type.default_storage_condition.old} → ${type.default_storage_condition.new}`);
+    }
+    (type.conditions_added || []).forEach(condition => log(`  ~ ID ${type.id} ${type.name}: + ${condition}`));
+    (type.conditions_removed || []).forEach(condition => log(`  ~ ID ${type.id} ${type.name}: - ${condition}`));
+  });
+
+  log(`\nListings (${path.basename(args.products)}, policy: ${args.policy}):`);
+  log(`- Changed: ${listings.changed.length}, orphaned: ${listings.orphaned.length}, unchanged: ${listings.unchanged}`);
+  listings.changed.forEach(entry => {
+    log(`  Product #${entry.product_id}: freshness ${entry.before.freshness_percent}% → ${entry.after.freshness_percent}%, ` +
+      `expires ${entry.before.expiration_date} → ${entry.after.expiration_date}` +
+      (entry.changes.includes('is_expired') ? ` (${entry.after.is_expired ? 'now expired' : 'no longer expired'})` : ''));
+  });
+  listings.orphaned.forEach(entry => {
+    log(`  Product #${entry.product_id}: product type ${entry.product_type_id} (${entry.name}) removed`);
+  });
+
+  return { catalog, listings };
+}
+
+// Export functions
+module.exports = {
+  diffCatalogs,
+  diffListings,
+  parseArgs,
+  main
+};
+
+// Run the diff if executed directly
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Catalog diff failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Chenda - Catalog Diff Integration Test
+ * Diffs product-types.json against edited copies and checks the mock listings
+ *
+ * Tests:
+ * 1. Identical catalogs: no changes, every listing unchanged
+ * 2. Added, removed, shelf life and storage changes keyed by USDA ID
+ * 3. Listing impact: freshness, expiry and expired status changes, orphaned listings
+ * 4. Expiry policy: min/max changes only matter under that policy
+ * 5. Command line: argument parsing and JSON report for catalog files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffCatalogs, diffListings, parseArgs, main } = require('./catalog-diff.js');
+const catalog = require('./product-types.json');
+const mockProducts = require('../data/mock_products.json');
+const { ValidationError, ConfigurationError } = require('../utils/errors.js');
+
+console.log('=== Catalog Diff Integration Test ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function throwsWith(fn, message) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return e.message.includes(message);
+  }
+}
+
+function thrownError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (e) {
+    return e;
+  }
+}
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const currentDate = '2025-02-01T00:00:00Z';
+const listingIds = entries => entries.map(entry => entry.product_id).sort((a, b) => a - b).join(',');
+
+// ============================================================================
+// TEST 1: Identical catalogs
+// ============================================================================
+
+console.log('TEST 1: Identical catalogs\n');
+
+const same = diffCatalogs(catalog, clone(catalog));
+check('No added, removed or changed product types',
+  same.added.length === 0 && same.removed.length === 0 &&
+  same.shelf_life_changes.length === 0 && same.storage_changes.length === 0);
+
+const sameListings = diffListings(mockProducts, catalog, clone(catalog), { currentDate });
+check(`All ${mockProducts.length} listings unchanged`,
+  sameListings.unchanged === mockProducts.length && sameListings.changed.length === 0);
+
+// ============================================================================
+// TEST 2: Catalog changes
+// ============================================================================
+
+console.log('\nTEST 2: Catalog changes keyed by USDA ID\n');
+
+const edited = clone(catalog).filter(type => type.id !== 21); // Eggs removed
+const byId = id => edited.find(type => type.id === id);
+
+// Yogurt: 1-2 weeks → 2 weeks
+const yogurt = byId(33);
+yogurt.default_shelf_life_days = 14;
+yogurt.min_shelf_life_days = 14;
+yogurt.shelf_life_by_condition.refrigerated_opened = { shelf_life_days: 14, min_shelf_life_days: 14, max_shelf_life_days: 14 };
+
+// Buttermilk: frozen after opening data replaced by frozen
+const buttermilk = byId(2);
+buttermilk.shelf_life_by_condition.frozen = buttermilk.shelf_life_by_condition.frozen_opened;
+delete buttermilk.shelf_life_by_condition.frozen_opened;
+
+// Egg dishes: refrigerated 3-4 days → 2 days
+const eggDishes = byId(24);
+eggDishes.default_shelf_life_days = 2;
+eggDishes.min_shelf_life_days = 2;
+eggDishes.max_shelf_life_days = 2;
+eggDishes.shelf_life_by_condition.refrigerated = { shelf_life_days: 2, min_shelf_life_days: 2, max_shelf_life_days: 2 };
+
+edited.push({ ...clone(yogurt), id: 9999, name: 'Skyr' });
+
+const diff = diffCatalogs(catalog, { version: 'FMA-Data-v129', product_types: edited });
+check(`Versions: ${diff.from_version} → ${diff.to_version}`, diff.from_version === null && diff.to_version === 'FMA-Data-v129');
+check('Added: ID 9999 Skyr', diff.added.length === 1 && diff.added[0].id === 9999 && diff.added[0].name === 'Skyr');
+check('Removed: ID 21 Eggs', diff.removed.length === 1 && diff.removed[0].id === 21);
+
+const yogurtChange = diff.shelf_life_changes.find(entry => entry.id === 33);
+const fields = yogurtChange ? yogurtChange.changes.map(change => change.field) : [];
+check(`Yogurt shelf life changes: ${fields.join(', ')}`,
+  fields.includes('default_shelf_life_days') && fields.includes('min_shelf_life_days') &&
+  fields.includes('shelf_life_by_condition.refrigerated_opened.shelf_life_days') &&
+  !fields.includes('max_shelf_life_days'));
+check('Yogurt old/new values reported',
+  yogurtChange.changes[0].old === 11 && yogurtChange.changes[0].new === 14);
+
+const buttermilkChange = diff.storage_changes.find(entry => entry.id === 2);
+check('Buttermilk storage change: + frozen, - frozen_opened',
+  buttermilkChange && buttermilkChange.conditions_added.join() === 'frozen' &&
+  buttermilkChange.conditions_removed.join() === 'frozen_opened' && !buttermilkChange.default_storage_condition);
+check('Buttermilk has no shelf life change', !diff.shelf_life_changes.some(entry => entry.id === 2));
+check(`Summary: ${JSON.stringify(diff.summary)}`,
+  diff.summary.old_count === 180 && diff.summary.new_count === 180 &&
+  diff.summary.shelf_life_changed === 2 && diff.summary.storage_changed === 1);
+
+// ============================================================================
+// TEST 3: Listing impact
+// ============================================================================
+
+console.log('\nTEST 3: Listing impact\n');
+
+const impact = diffListings(mockProducts, catalog, edited, { currentDate });
+const yogurtListings = impact.changed.filter(entry => entry.product_type_id === 33);
+check(`Yogurt listings changed: #${listingIds(yogurtListings)}`,
+  listingIds(yogurtListings) === '1,11,21,26' &&
+  yogurtListings.every(entry => entry.changes.includes('freshness') && entry.changes.includes('expiration_date')));
+
+const listing1 = yogurtListings.find(entry => entry.product_id === 1);
+check(`Listing #1: ${listing1.before.freshness_percent}% → ${listing1.after.freshness_percent}%`,
+  listing1.before.shelf_life_days === 11 && listing1.after.shelf_life_days === 14 &&
+  listing1.after.freshness_percent > listing1.before.freshness_percent);
+
+const listing5 = impact.changed.find(entry => entry.product_id === 5);
+check('Listing #5 (egg dishes) becomes expired',
+  listing5 && listing5.changes.includes('is_expired') && !listing5.before.is_expired && listing5.after.is_expired);
+
+check(`Orphaned (eggs): #${listingIds(impact.orphaned)}`, listingIds(impact.orphaned) === '2,12,22');
+check('Buttermilk listings unchanged (refrigerated_opened data kept)',
+  !impact.changed.some(entry => entry.product_type_id === 2));
+check('Counts add up',
+  impact.changed.length + impact.orphaned.length + impact.unchanged === mockProducts.length);
+
+// ============================================================================
+// TEST 4: Expiry policy
+// ============================================================================
+
+console.log('\nTEST 4: Expiry policy\n');
+
+const minOnly = clone(catalog);
+const cottageCheese = minOnly.find(type => type.id === 9);
+cottageCheese.min_shelf_life_days = 3;
+cottageCheese.shelf_life_by_condition.refrigerated_opened.min_shelf_life_days = 3;
+
+const expectedImpact = diffListings(mockProducts, catalog, minOnly, { currentDate });
+const conservativeImpact = diffListings(mockProducts, catalog, minOnly, { currentDate, expiryPolicy: 'conservative' });
+check('Min change ignored under expected policy', expectedImpact.changed.length === 0);
+check(`Min change reported under conservative policy: #${listingIds(conservativeImpact.changed)}`,
+  listingIds(conservativeImpact.changed) === '4,19,29');
+check('Invalid products throw', throwsWith(() => diffListings(null, catalog, catalog), 'products must be an array'));
+check('Invalid products throw ValidationError', thrownError(() => diffListings(null, catalog, catalog)) instanceof ValidationError);
+
+// ============================================================================
+// TEST 5: Command line
+// ============================================================================
+
+console.log('\nTEST 5: Command line\n');
+
+const args = parseArgs(['old.json', 'new.json', '--now', currentDate, '--json']);
+check('Arguments parsed', args.oldCatalog === 'old.json' && args.newCatalog === 'new.json' &&
+  args.now === currentDate && args.json && args.products.endsWith('mock_products.json'));
+check('Defaults: full catalog vs FoodKeeper export',
+  parseArgs([]).oldCatalog.endsWith('product-types-full.json') && parseArgs([]).newCatalog.endsWith('shelf-life-core.json'));
+check('Single catalog throws', throwsWith(() => parseArgs(['old.json']), 'Expected two catalog files'));
+check('Missing value throws', throwsWith(() => parseArgs(['--policy']), 'Missing value for --policy'));
+check('Option errors are ConfigurationErrors', thrownError(() => parseArgs(['old.json'])) instanceof ConfigurationError);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chenda-diff-'));
+const oldFile = path.join(dir, 'old.json');
+const newFile = path.join(dir, 'new.json');
+fs.writeFileSync(oldFile, JSON.stringify(catalog));
+fs.writeFileSync(newFile, JSON.stringify({ version: 'FMA-Data-v129', product_types: edited }));
+
+const log = console.log;
+let output = '';
+console.log = text => { output += text; };
+try {
+  main([oldFile, newFile, '--now', currentDate, '--json']);
+} finally {
+  console.log = log;
+  fs.rmSync(dir, { recursive: true });
+}
+
+const report = JSON.parse(output);
+check('JSON report matches the library result',
+  report.catalog.summary.added === 1 && report.catalog.to_version === 'FMA-Data-v129' &&
+  report.listings.changed.length === impact.changed.length);
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('❌ Some checks failed');
+  process.exit(1);
+}
+
+console.log('✅ Catalog diff reports catalog and listing changes');
@@ -0,0 +1,363 @@
+/**
+ * Chenda - FoodKeeper Catalog Import
+ * Builds a versioned product_types catalog from the USDA FoodKeeper export
+ *
+ * Reads shelf-life-db/shelf-life-core.json (Category, Product and Data
+ * Dictionary sheets), transforms every product with usda-transformer.js and
+ * joins the category and subcategory names. The catalog is stamped with the
+ * FoodKeeper data version (e.g. FMA-Data-v128) and records where it came from,
+ * so catalogs built from different exports can be told apart.
+ *
+ * Products that cannot be imported are listed in the skipped report with a
+ * reason instead of only being logged:
+ * - missing_id: the row has no ID
+ * - duplicate_id: the ID was already imported
+ * - unknown_category: Category_ID is not in the Category sheet
+ * - unsupported_metric: shelf life only given in metrics that do not convert to days (e.g. Hours)
+ * - no_shelf_life_data: no storage condition has shelf life data
+ *
+ * The export is also validated against its Data Dictionary
+ * (foodkeeper-validator.js). The catalog carries the validation summary; with
+ * failOn ('error' or 'warning') issues of that severity fail the import.
+ *
+ * Usage:
+ *   node src/product-management/foodkeeper-import.js [--input <file>] [--out <file>]
+ *     [--climate <preset>] [--version <label>] [--report <file>] [--fail-on error|warning]
+ *
+ * Without --out the import is a dry run: the summary and skipped report are
+ * printed and nothing is written. --report writes the full validation report
+ * as JSON, even when validation fails the import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  transformProductType,
+  toRecord,
+  METRIC_TO_DAYS,
+  STORAGE_CONDITION_COLUMNS,
+  TRANSITION_CONDITION_COLUMNS
+} = require('./usda-transformer');
+const { validateFoodKeeper, shouldFailImport } = require('./foodkeeper-validator');
+const { ValidationError, ConfigurationError, CatalogError } = require('../utils/errors');
+
+const DEFAULT_INPUT = path.join(__dirname, '../../shelf-life-db/shelf-life-core.json');
+
+const REQUIRED_SHEETS = ['Category', 'Product', 'Data Dictionary'];
+
+// Product columns the transformer reads, besides the shelf life columns
+const PRODUCT_ID_COLUMNS = ['ID', 'Category_ID', 'Name', 'Name_subtitle'];
+
+/**
+ * Get the rows of a workbook sheet as records
+ *
+ * @param {Object} workbook - Parsed FoodKeeper export ({ fileName, sheets })
+ * @param {string} name - Sheet name
+ * @returns {Array<Object>} Rows converted with toRecord
+ * @throws {CatalogError} If the sheet is missing
+ */
+function getSheetRecords(workbook, name) {
+  const sheet = (workbook.sheets || []).find(s => s.name === name);
+  if (!sheet || !Array.isArray(sheet.data)) {
+    throw new CatalogError(`FoodKeeper export is missing the ${name} sheet`, {
+      code: 'invalid_catalog', field: 'sheets', value: name
+    });
+  }
+  return sheet.data.map(toRecord);
+}
+
+/**
+ * Get the catalog version label from the export file name
+ *
+ * @param {string} fileName - Workbook file name
+ * @returns {string|null} Version label, or null if the name has no version
+ *
+ * @example
+ * getCatalogVersion('FMA-Data-v128.xlsx'); // 'FMA-Data-v128'
+ */
+function getCatalogVersion(fileName) {
+  const match = /(FMA-Data-v\d+)/i.exec(fileName || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Check that the Data Dictionary declares every Product column the import reads
+ *
+ * @param {Array<Object>} dictionary - Data Dictionary sheet records
+ * @throws {CatalogError} If a column is not declared
+ */
+function checkDictionaryColumns(dictionary) {
+  const declared = new Set(
+    dictionary.filter(entry => entry.Sheet === 'Product').map(entry => entry.Column)
+  );
+
+  const shelfLifeColumns = [...STORAGE_CONDITION_COLUMNS, ...TRANSITION_CONDITION_COLUMNS]
+    .flatMap(columns => [columns.min, columns.max, columns.metric]);
+
+  for (const column of [...PRODUCT_ID_COLUMNS, ...shelfLifeColumns]) {
+    if (!declared.has(column)) {
+      throw new CatalogError(`Data Dictionary does not declare Product column: ${column}`, {
+        code: 'invalid_catalog', field: 'Data Dictionary', value: column
+      });
+    }
+  }
+}
+
+/**
+ * Find shelf life metrics of a product that cannot be converted to days
+ *
+ * @param {Object} record - Product record
+ * @returns {Array<string>} Distinct unsupported metric values
+ */
+function findUnsupportedMetrics(record) {
+  const metrics = new Set();
+  for (const columns of [...STORAGE_CONDITION_COLUMNS, ...TRANSITION_CONDITION_COLUMNS]) {
+    const metric = record[columns.metric];
+    if (metric && !METRIC_TO_DAYS[metric] && !METRIC_TO_DAYS[metric + 's']) {
+      metrics.add(metric);
+    }
+  }
+  return [...metrics];
+}
+
+/**
+ * Build a versioned product type catalog from a FoodKeeper export
+ *
+ * @param {Object} workbook - Parsed FoodKeeper export ({ fileName, sheets })
+ * @param {Object} options - Import options
+ * @param {string} [options.version] - Catalog version (default: from workbook.fileName)
+ * @param {string|Object} [options.climate] - Climate profile passed to the transformer
+ * @param {string} [options.sourcePath] - Input path recorded in the provenance
+ * @param {Date} [options.importedAt] - Import timestamp (default: now)
+ * @param {string} [options.failOn] - Fail on validation issues of this severity ('error' or 'warning')
+ * @param {Object} [options.validationReport] - Report from validateFoodKeeper, to skip revalidating
+ * @returns {Object} { version, source, validation, summary, product_types, skipped }
+ *   where validation is { valid, errors, warnings, by_code }
+ * @throws {ValidationError} If workbook is not an object
+ * @throws {CatalogError} If a sheet is missing, no version is known, the dictionary lacks a column
+ *   or validation fails under failOn
+ *
+ * @example
+ * const catalog = importFoodKeeper(require('../../shelf-life-db/shelf-life-core.json'));
+ * catalog.version;                  // 'FMA-Data-v128'
+ * catalog.product_types[0].category_name; // 'Dairy Products & Eggs'
+ */
+function importFoodKeeper(workbook, options = {}) {
+  if (!workbook || typeof workbook !== 'object') {
+    throw new ValidationError('workbook must be a parsed FoodKeeper export', {
+      code: 'invalid_type', field: 'workbook', value: workbook
+    });
+  }
+
+  const version = options.version || getCatalogVersion(workbook.fileName);
+  if (!version) {
+    throw new CatalogError(`Cannot determine catalog version from file name: ${workbook.fileName}`, {
+      code: 'invalid_catalog', field: 'fileName', value: workbook.fileName
+    });
+  }
+
+  const categories = getSheetRecords(workbook, 'Category');
+  const products = getSheetRecords(workbook, 'Product');
+  const dictionary = getSheetRecords(workbook, 'Data Dictionary');
+  checkDictionaryColumns(dictionary);
+
+  const report = options.validationReport || validateFoodKeeper(workbook);
+  if (options.failOn && shouldFailImport(report, options.failOn)) {
+    throw new CatalogError(
+      `FoodKeeper export failed validation: ${report.errors} errors, ${report.warnings} warnings ` +
+      `(${Object.entries(report.by_code).map(([code, count]) => `${code}: ${count}`).join(', ')})`,
+      { code: 'invalid_catalog', field: 'failOn', value: options.failOn }
+    );
+  }
+
+  const categoryIndex = new Map(categories.map(category => [category.ID, category]));
+  const productSheet = workbook.sheets.find(s => s.name === 'Product');
+  const importedIds = new Set();
+  const productTypes = [];
+  const skipped = [];
+
+  products.forEach((record, index) => {
+    const skip = (reason, details = {}) => skipped.push({
+      row: index + 1,
+      id: record.ID == null ? null : record.ID,
+      name: record.Name || null,
+      reason,
+      ...details
+    });
+
+    if (record.ID == null) {
+      return skip('missing_id');
+    }
+    if (importedIds.has(record.ID)) {
+      return skip('duplicate_id');
+    }
+
+    const category = categoryIndex.get(record.Category_ID);
+    if (!category) {
+      return skip('unknown_category', { category_id: record.Category_ID == null ? null : record.Category_ID });
+    }
+
+    const productType = transformProductType(productSheet.data[index], { climate: options.climate });
+    if (!productType) {
+      const unsupported = findUnsupportedMetrics(record);
+      return unsupported.length > 0
+        ? skip('unsupported_metric', { metrics: unsupported })
+        : skip('no_shelf_life_data');
+    }
+
+    importedIds.add(record.ID);
+    const { category_id, ...rest } = productType;
+    productTypes.push({
+      id: rest.id,
+      name: rest.name,
+      name_subtitle: rest.name_subtitle,
+      category_id,
+      category_name: category.Category_Name,
+      subcategory_name: category.Subcategory_Name,
+      ...rest
+    });
+  });
+
+  const byReason = {};
+  skipped.forEach(entry => {
+    byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+  });
+
+  return {
+    version,
+    source: {
+      file: workbook.fileName,
+      path: options.sourcePath || null,
+      sheets: Object.fromEntries(REQUIRED_SHEETS.map(name => [
+        name,
+        workbook.sheets.find(s => s.name === name).data.length
+      ])),
+      climate: options.climate || null,
+      imported_at: (options.importedAt || new Date()).toISOString()
+    },
+    validation: {
+      valid: report.valid,
+      errors: report.errors,
+      warnings: report.warnings,
+      by_code: report.by_code
+    },
+    summary: {
+      total_products: products.length,
+      imported: productTypes.length,
+      skipped: skipped.length,
+      skipped_by_reason: byReason
+    },
+    product_types: productTypes,
+    skipped
+  };
+}
+
+/**
+ * Parse command line arguments
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { input, out, climate, version, report, failOn }
+ * @throws {ConfigurationError} On unknown options or missing values
+ */
+function parseArgs(argv) {
+  const flags = {
+    '--input': 'input',
+    '--out': 'out',
+    '--climate': 'climate',
+    '--version': 'version',
+    '--report': 'report',
+    '--fail-on': 'failOn'
+  };
+  const args = { input: DEFAULT_INPUT, out: null, climate: null, version: null, report: null, failOn: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = flags[argv[i]];
+    if (!key) {
+      throw new ConfigurationError(`Unknown option: ${argv[i]}`, {
+        code: 'invalid_option', field: 'argv', value: argv[i]
+      });
+    }
+    if (argv[i + 1] == null || argv[i + 1].startsWith('--')) {
+      throw new ConfigurationError(`Missing value for ${argv[i]}`, {
+        code: 'invalid_option', field: argv[i]
+      });
+    }
+    args[key] = argv[++i];
+  }
+
+  return args;
+}
+
+/**
+ * Run the import from the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} The imported catalog
+ * @throws {Error} If the import fails, including validation under --fail-on
+ */
+function main(argv) {
+  const args = parseArgs(argv);
+  const workbook = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+  const report = validateFoodKeeper(workbook);
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2) + '\n');
+    console.log(`Validation report written to ${args.report}`);
+  }
+
+  const catalog = importFoodKeeper(workbook, {
+    version: args.version,
+    climate: args.climate,
+    sourcePath: path.relative(process.cwd(), args.input),
+    failOn: args.failOn,
+    validationReport: report
+  });
+
+  console.log(`FoodKeeper import: ${catalog.version} (${catalog.source.file})`);
+  console.log(`- Validation: ${report.errors} errors, ${report.warnings} warnings`);
+  for (const [code, count] of Object.entries(report.by_code)) {
+    console.log(`  - ${code}: ${count}`);
+  }
+  console.log(`- Products in export: ${catalog.summary.total_products}`);
+  console.log(`- Imported: ${catalog.summary.imported}`);
+  console.log(`- Skipped: ${catalog.summary.skipped}`);
+  for (const [reason, count] of Object.entries(catalog.summary.skipped_by_reason)) {
+    console.log(`  - ${reason}: ${count}`);
+  }
+
+  if (catalog.skipped.length > 0) {
+    console.log('\nSkipped records:');
+    catalog.skipped.forEach(entry => {
+      const details = entry.metrics ? ` [${entry.metrics.join(', ')}]` : '';
+      console.log(`  ID ${entry.id} ${entry.name}: ${entry.reason}${details}`);
+    });
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(catalog, null, 2) + '\n');
+    console.log(`\nCatalog written to ${args.out}`);
+  } else {
+    console.log('\nDry run: pass --out <file> to write the catalog');
+  }
+
+  return catalog;
+}
+
+// Export functions
+module.exports = {
+  importFoodKeeper,
+  getCatalogVersion,
+  getSheetRecords,
+  parseArgs,
+  main
+};
+
+// Run the import if executed directly
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Import failed: ${error.message}`);
+    process.exit(1);
+  }
+}
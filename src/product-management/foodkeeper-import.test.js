@@ -0,0 +1,279 @@
+/**
+ * Chenda - FoodKeeper Import Integration Test
+ * Imports the bundled FoodKeeper export and checks the versioned catalog
+ *
+ * Tests:
+ * 1. Real export: version stamp, provenance and counts
+ * 2. Imported product types match the hand-built product-types-full.json
+ * 3. Category and subcategory names are joined
+ * 4. Skipped-records report explains every skipped product
+ * 5. Malformed exports: bad rows are skipped, bad structure throws
+ * 6. Command line: argument parsing and catalog file output
+ * 7. Data Dictionary validation: summary in the catalog, report file, failing imports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importFoodKeeper, getCatalogVersion, parseArgs, main } = require('./foodkeeper-import.js');
+const { createProductTypeIndex } = require('./product-type-catalog.js');
+const workbook = require('../../shelf-life-db/shelf-life-core.json');
+const fullCatalog = require('./product-types-full.json');
+const { ValidationError, ConfigurationError, CatalogError } = require('../utils/errors.js');
+
+console.log('=== FoodKeeper Import Integration Test ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function throwsWith(fn, message) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return e.message.includes(message);
+  }
+}
+
+function thrownError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (e) {
+    return e;
+  }
+}
+
+const importedAt = new Date('2025-01-15T00:00:00Z');
+const catalog = importFoodKeeper(workbook, { importedAt, sourcePath: 'shelf-life-db/shelf-life-core.json' });
+
+// ============================================================================
+// TEST 1: Version and provenance
+// ============================================================================
+
+console.log('TEST 1: Version stamp and provenance\n');
+
+check(`Version: ${catalog.version}`, catalog.version === 'FMA-Data-v128');
+check('Source file recorded', catalog.source.file === 'FMA-Data-v128.xlsx' &&
+  catalog.source.path === 'shelf-life-db/shelf-life-core.json');
+check('Sheet row counts recorded', catalog.source.sheets.Category === 25 &&
+  catalog.source.sheets.Product === 661 && catalog.source.sheets['Data Dictionary'] === 62);
+check('Import timestamp recorded', catalog.source.imported_at === '2025-01-15T00:00:00.000Z');
+check(`Summary: ${catalog.summary.imported} imported, ${catalog.summary.skipped} skipped of ${catalog.summary.total_products}`,
+  catalog.summary.imported === 613 && catalog.summary.skipped === 48 && catalog.summary.total_products === 661);
+
+// ============================================================================
+// TEST 2: Matches the hand-built catalog
+// ============================================================================
+
+console.log('\nTEST 2: Product types match product-types-full.json\n');
+
+const importedIndex = createProductTypeIndex(catalog);
+const mismatched = fullCatalog.filter(expected => {
+  const actual = importedIndex.get(expected.id);
+  if (!actual) return true;
+  const { category_name, subcategory_name, ...rest } = actual;
+  return JSON.stringify(rest) !== JSON.stringify(expected);
+});
+
+check(`Same ${fullCatalog.length} ids`, importedIndex.size === fullCatalog.length);
+check(`Identical shelf life data (${mismatched.length} mismatched)`, mismatched.length === 0);
+
+const cottageCheese = importedIndex.get(9).shelf_life_by_condition;
+const bacon = importedIndex.get(107).shelf_life_by_condition;
+const conditionNames = new Set(catalog.product_types.flatMap(type => Object.keys(type.shelf_life_by_condition)));
+check('After-opening columns fill opened conditions without DOP data',
+  cottageCheese.refrigerated_opened.shelf_life_days === 14 && bacon.refrigerated_opened.shelf_life_days === 10 &&
+  [...conditionNames].every(name => !name.endsWith('_after_opening')));
+
+// ============================================================================
+// TEST 3: Category join
+// ============================================================================
+
+console.log('\nTEST 3: Category names joined\n');
+
+const eggs = importedIndex.get(21);
+check(`${eggs.name}: ${eggs.category_name}`, eggs.category_name === 'Dairy Products & Eggs' && eggs.subcategory_name === null);
+
+const chicken = catalog.product_types.find(type => type.category_id === 15);
+check(`${chicken.name}: ${chicken.category_name} / ${chicken.subcategory_name}`,
+  chicken.category_name === 'Poultry' && chicken.subcategory_name === 'Fresh');
+check('Every product type has a category name', catalog.product_types.every(type => typeof type.category_name === 'string'));
+
+// ============================================================================
+// TEST 4: Skipped-records report
+// ============================================================================
+
+console.log('\nTEST 4: Skipped-records report\n');
+
+const skippedById = new Map(catalog.skipped.map(entry => [entry.id, entry]));
+const formula = skippedById.get(368);
+check(`ID 368 ${formula.name}: ${formula.reason} [${formula.metrics}]`,
+  formula.reason === 'unsupported_metric' && formula.metrics.includes('Hours'));
+check('ID 112 Retort pouches: no_shelf_life_data', skippedById.get(112).reason === 'no_shelf_life_data');
+check('Reasons add up to the skipped count',
+  Object.values(catalog.summary.skipped_by_reason).reduce((a, b) => a + b, 0) === catalog.skipped.length);
+check('Skipped products are not in the catalog', catalog.skipped.every(entry => !importedIndex.has(entry.id)));
+
+const warnings = [];
+const originalWarn = console.warn;
+console.warn = message => warnings.push(message);
+try {
+  importFoodKeeper(workbook, { importedAt });
+} finally {
+  console.warn = originalWarn;
+}
+check('Unsupported metrics are reported, not logged', warnings.length === 0);
+
+// ============================================================================
+// TEST 5: Malformed exports
+// ============================================================================
+
+console.log('\nTEST 5: Malformed exports\n');
+
+const sheet = name => workbook.sheets.find(s => s.name === name);
+const butterRow = sheet('Product').data.find(row => row[0].ID === 1);
+const withId = (row, id, categoryId) => row.map(cell => {
+  if ('ID' in cell) return { ID: id };
+  if ('Category_ID' in cell && categoryId !== undefined) return { Category_ID: categoryId };
+  return cell;
+});
+
+const malformed = {
+  fileName: 'FMA-Data-v128.xlsx',
+  sheets: [
+    sheet('Category'),
+    sheet('Data Dictionary'),
+    { name: 'Product', data: [butterRow, butterRow, withId(butterRow, null), withId(butterRow, 900, 99)] }
+  ]
+};
+const malformedCatalog = importFoodKeeper(malformed);
+check('Rows skipped: duplicate_id, missing_id, unknown_category',
+  malformedCatalog.product_types.length === 1 &&
+  malformedCatalog.skipped.map(entry => entry.reason).join(',') === 'duplicate_id,missing_id,unknown_category');
+
+check('Missing sheet throws', throwsWith(
+  () => importFoodKeeper({ fileName: 'FMA-Data-v128.xlsx', sheets: [sheet('Product')] }),
+  'missing the Category sheet'
+));
+
+const shortDictionary = {
+  name: 'Data Dictionary',
+  data: sheet('Data Dictionary').data.filter(row => row[1].Column !== 'Freeze_Metric')
+};
+check('Undeclared column throws', throwsWith(
+  () => importFoodKeeper({ ...malformed, sheets: [sheet('Category'), sheet('Product'), shortDictionary] }),
+  'does not declare Product column: Freeze_Metric'
+));
+
+check('Unversioned file name throws', throwsWith(
+  () => importFoodKeeper({ ...malformed, fileName: 'export.xlsx' }),
+  'Cannot determine catalog version'
+));
+check('Version override', importFoodKeeper({ ...malformed, fileName: 'export.xlsx' }, { version: 'custom-1' }).version === 'custom-1');
+check('Version parsed from file name', getCatalogVersion('FMA-Data-v129.xlsx') === 'FMA-Data-v129');
+
+const missingSheet = thrownError(() => importFoodKeeper({ fileName: 'FMA-Data-v128.xlsx', sheets: [sheet('Product')] }));
+const notWorkbook = thrownError(() => importFoodKeeper(null));
+check('Malformed exports throw CatalogError, bad input ValidationError',
+  missingSheet instanceof CatalogError && missingSheet.code === 'invalid_catalog' && missingSheet.value === 'Category' &&
+  notWorkbook instanceof ValidationError && notWorkbook.code === 'invalid_type' && notWorkbook.field === 'workbook');
+
+// ============================================================================
+// TEST 6: Command line
+// ============================================================================
+
+console.log('\nTEST 6: Command line\n');
+
+const args = parseArgs(['--out', 'catalog.json', '--climate', 'metro_manila']);
+check('Arguments parsed', args.out === 'catalog.json' && args.climate === 'metro_manila' && args.input.endsWith('shelf-life-core.json'));
+check('Unknown option throws', throwsWith(() => parseArgs(['--output', 'x.json']), 'Unknown option: --output'));
+check('Missing value throws', throwsWith(() => parseArgs(['--out']), 'Missing value for --out'));
+check('Option errors are ConfigurationErrors', thrownError(() => parseArgs(['--output', 'x.json'])) instanceof ConfigurationError);
+
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chenda-import-'));
+const outFile = path.join(outDir, 'catalog.json');
+const log = console.log;
+console.log = () => {};
+try {
+  main(['--out', outFile, '--climate', 'metro_manila']);
+} finally {
+  console.log = log;
+}
+const written = JSON.parse(fs.readFileSync(outFile, 'utf8'));
+fs.rmSync(outDir, { recursive: true });
+
+const breadcrumbs = written.product_types.find(type => type.id === 643);
+check(`Catalog written: ${written.version}, ${written.product_types.length} product types`,
+  written.version === 'FMA-Data-v128' && written.product_types.length === 613);
+check('Climate profile applied and recorded',
+  written.source.climate === 'metro_manila' && breadcrumbs.climate_adjusted.default_shelf_life_days === 110.8);
+
+// ============================================================================
+// TEST 7: Data Dictionary validation
+// ============================================================================
+
+console.log('\nTEST 7: Data Dictionary validation\n');
+
+check(`Validation summary: ${catalog.validation.errors} errors, ${catalog.validation.warnings} warnings`,
+  !catalog.validation.valid && catalog.validation.by_code.unknown_metric === 5 &&
+  catalog.validation.by_code.invalid_type === 3 && catalog.validation.by_code.undeclared_column === 1);
+check('Import fails with failOn error', throwsWith(
+  () => importFoodKeeper(workbook, { failOn: 'error' }),
+  'failed validation: 8 errors, 1 warnings'
+));
+const failedImport = thrownError(() => importFoodKeeper(workbook, { failOn: 'error' }));
+check('Validation failure is a CatalogError',
+  failedImport instanceof CatalogError && failedImport.code === 'invalid_catalog' && failedImport.value === 'error');
+check('Malformed rows fail validation', throwsWith(() => importFoodKeeper(malformed, { failOn: 'error' }), 'duplicate_id: 1'));
+
+const clean = { ...malformed, sheets: [sheet('Category'), sheet('Data Dictionary'), { name: 'Product', data: [butterRow] }] };
+check('Clean export passes failOn error', importFoodKeeper(clean, { failOn: 'error' }).validation.valid);
+check('Undeclared Keywords column fails failOn warning', throwsWith(
+  () => importFoodKeeper(clean, { failOn: 'warning' }),
+  'undeclared_column: 1'
+));
+
+const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chenda-import-'));
+const reportFile = path.join(reportDir, 'report.json');
+const catalogFile = path.join(reportDir, 'catalog.json');
+console.log = () => {};
+let cliError = null;
+try {
+  main(['--out', catalogFile, '--report', reportFile, '--fail-on', 'error']);
+} catch (e) {
+  cliError = e;
+} finally {
+  console.log = log;
+}
+const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+const catalogWritten = fs.existsSync(catalogFile);
+fs.rmSync(reportDir, { recursive: true });
+
+check('--fail-on error stops the CLI before writing the catalog', cliError !== null && !catalogWritten);
+check(`Report written: ${report.issues.length} issues`,
+  report.file === 'FMA-Data-v128.xlsx' && report.errors === 8 &&
+  report.issues.some(issue => issue.code === 'unknown_metric' && issue.id === 368 && issue.value === 'Hours'));
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('❌ Some checks failed');
+  process.exit(1);
+}
+
+console.log('✅ FoodKeeper import reproduces the product type catalog');
@@ -0,0 +1,384 @@
+/**
+ * Chenda - FoodKeeper Import Validator
+ * Checks a FoodKeeper export against its own Data Dictionary sheet
+ *
+ * The Data Dictionary declares every column with a type description:
+ * - 'Integer', 'Decimal', 'Text', 'Date'
+ * - 'Character, Y or N' and comma-separated lists (e.g. metrics) are enums
+ *
+ * Every row of each sheet described by the dictionary is checked. Rows are
+ * ragged (empty trailing cells are omitted), so a missing cell counts as null.
+ *
+ * Issues (severity: error unless noted):
+ * - missing_column: a declared column appears in no row of the sheet
+ * - undeclared_column (warning): a column the dictionary does not declare
+ *   (e.g. Keywords), reported once per column
+ * - invalid_type: value does not match the declared type
+ * - invalid_value: value is not one of the declared enum values
+ * - unknown_metric: shelf life metric neither declared for any *_Metric column
+ *   nor convertible to days (e.g. Hours)
+ * - missing_metric: min/max given without a metric
+ * - min_exceeds_max: *_Min greater than *_Max
+ * - missing_id / duplicate_id: ID column empty or repeated
+ * - missing_name: Product row without a Name
+ */
+
+const { toRecord, METRIC_TO_DAYS } = require('./usda-transformer');
+const { ConfigurationError, CatalogError } = require('../utils/errors');
+
+const SEVERITIES = ['error', 'warning'];
+
+/**
+ * Parse a Data Dictionary type description
+ *
+ * @param {string} description - e.g. 'Integer' or 'Days, Weeks, Months'
+ * @returns {Object} { type: 'integer'|'decimal'|'text'|'date'|'enum', values? }
+ *
+ * @example
+ * parseColumnType('Character, Y or N'); // { type: 'enum', values: ['Y', 'N'] }
+ */
+function parseColumnType(description) {
+  const text = String(description || '').trim();
+  const simple = { integer: 'integer', decimal: 'decimal', text: 'text', date: 'date' };
+
+  if (simple[text.toLowerCase()]) {
+    return { type: simple[text.toLowerCase()] };
+  }
+
+  const character = /^Character,\s*(.+)$/i.exec(text);
+  if (character) {
+    return { type: 'enum', values: character[1].split(/\s+or\s+|,\s*/).map(value => value.trim()) };
+  }
+
+  if (text.includes(',')) {
+    return { type: 'enum', values: text.split(',').map(value => value.trim()) };
+  }
+
+  return { type: 'text' };
+}
+
+/**
+ * Build the column declarations from the Data Dictionary sheet
+ *
+ * @param {Array<Object>} dictionary - Data Dictionary records ({ Sheet, Column, Description })
+ * @returns {Object} { [sheet]: { [column]: { type, values? } } }
+ */
+function parseDictionary(dictionary) {
+  const sheets = {};
+  dictionary.forEach(entry => {
+    if (!entry.Sheet || !entry.Column) return;
+    sheets[entry.Sheet] = sheets[entry.Sheet] || {};
+    sheets[entry.Sheet][entry.Column] = parseColumnType(entry.Description);
+  });
+  return sheets;
+}
+
+/**
+ * Metric values accepted in any *_Metric column: every value the dictionary
+ * declares for a metric column, plus every unit the transformer converts
+ * @private
+ */
+function getKnownMetrics(declarations) {
+  const known = new Set(Object.keys(METRIC_TO_DAYS));
+  Object.values(declarations).forEach(columns => {
+    Object.entries(columns).forEach(([column, declaration]) => {
+      if (column.endsWith('_Metric') && declaration.values) {
+        declaration.values.forEach(value => known.add(value));
+      }
+    });
+  });
+  return known;
+}
+
+/**
+ * Check a value against a declared type
+ * @private
+ */
+function matchesType(value, declaration) {
+  switch (declaration.type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'decimal':
+      return typeof value === 'number' && !isNaN(value);
+    case 'date':
+      return typeof value === 'string' && !isNaN(Date.parse(value));
+    default:
+      return typeof value === 'string';
+  }
+}
+
+/**
+ * Validate the rows of one sheet
+ * @private
+ */
+function validateSheet(name, rows, columns, knownMetrics, addIssue) {
+  const records = rows.map(toRecord);
+  const seen = new Set();
+  const present = new Set();
+  records.forEach(record => Object.keys(record).forEach(column => present.add(column)));
+
+  Object.keys(columns).filter(column => !present.has(column)).forEach(column => {
+    addIssue('error', 'missing_column', { sheet: name, column }, `${name} sheet has no ${column} column`);
+  });
+
+  [...present].filter(column => !columns[column]).forEach(column => {
+    const rowCount = records.filter(record => record[column] != null).length;
+    addIssue('warning', 'undeclared_column', { sheet: name, column, rows: rowCount },
+      `${name} column ${column} is not declared in the Data Dictionary`);
+  });
+
+  records.forEach((record, index) => {
+    const location = { sheet: name, row: index + 1, id: record.ID == null ? null : record.ID };
+
+    for (const [column, declaration] of Object.entries(columns)) {
+      const value = record[column];
+      if (value == null) continue;
+
+      if (declaration.type !== 'enum') {
+        if (!matchesType(value, declaration)) {
+          addIssue('error', 'invalid_type', { ...location, column, value },
+            `${column} must be ${declaration.type} (got ${JSON.stringify(value)})`);
+        }
+      } else if (column.endsWith('_Metric')) {
+        if (!knownMetrics.has(value)) {
+          addIssue('error', 'unknown_metric', { ...location, column, value }, `Unknown metric in ${column}: ${value}`);
+        }
+      } else if (!declaration.values.includes(value)) {
+        addIssue('error', 'invalid_value', { ...location, column, value },
+          `${column} must be one of: ${declaration.values.join(', ')} (got ${JSON.stringify(value)})`);
+      }
+    }
+
+    // Shelf life triples: <prefix>_Min, <prefix>_Max, <prefix>_Metric
+    Object.keys(columns).filter(column => column.endsWith('_Metric')).forEach(metricColumn => {
+      const prefix = metricColumn.slice(0, -'_Metric'.length);
+      const min = record[`${prefix}_Min`];
+      const max = record[`${prefix}_Max`];
+      const hasNumbers = typeof min === 'number' || typeof max === 'number';
+
+      if (hasNumbers && record[metricColumn] == null) {
+        addIssue('error', 'missing_metric', { ...location, column: metricColumn },
+          `${prefix} has a shelf life but no metric`);
+      }
+      if (typeof min === 'number' && typeof max === 'number' && min > max) {
+        addIssue('error', 'min_exceeds_max', { ...location, column: `${prefix}_Min`, value: [min, max] },
+          `${prefix}_Min (${min}) exceeds ${prefix}_Max (${max})`);
+      }
+    });
+
+    if (columns.ID) {
+      if (record.ID == null) {
+        addIssue('error', 'missing_id', { ...location, column: 'ID' }, `${name} row ${index + 1} has no ID`);
+      } else if (seen.has(record.ID)) {
+        addIssue('error', 'duplicate_id', { ...location, column: 'ID', value: record.ID }, `Duplicate ${name} ID: ${record.ID}`);
+      }
+      seen.add(record.ID);
+    }
+
+    if (name === 'Product' && (typeof record.Name !== 'string' || record.Name.trim() === '')) {
+      addIssue('error', 'missing_name', { ...location, column: 'Name' }, `Product ${record.ID} has no Name`);
+    }
+  });
+
+  return records.length;
+}
+
+/**
+ * Validate a FoodKeeper export against its Data Dictionary
+ *
+ * @param {Object} workbook - Parsed FoodKeeper export ({ fileName, sheets })
+ * @returns {Object} Report: { valid, file, checked_rows: { [sheet]: number }, errors, warnings,
+ *   by_code: { [code]: number }, issues: [{ severity, code, sheet, row, id, column, value, message }] }
+ * @throws {CatalogError} If the workbook has no Data Dictionary sheet
+ *
+ * @example
+ * const report = validateFoodKeeper(require('../../shelf-life-db/shelf-life-core.json'));
+ * report.by_code.unknown_metric; // 5 (Hours)
+ */
+function validateFoodKeeper(workbook) {
+  const sheets = (workbook && workbook.sheets) || [];
+  const dictionarySheet = sheets.find(sheet => sheet.name === 'Data Dictionary');
+  if (!dictionarySheet) {
+    throw new CatalogError('FoodKeeper export is missing the Data Dictionary sheet', {
+      code: 'invalid_catalog', field: 'sheets', value: 'Data Dictionary'
+    });
+  }
+
+  const declarations = parseDictionary(dictionarySheet.data.map(toRecord));
+  const knownMetrics = getKnownMetrics(declarations);
+  const issues = [];
+  const checkedRows = {};
+
+  const addIssue = (severity, code, details, message) => {
+    issues.push({ severity, code, ...details, message });
+  };
+
+  sheets.forEach(sheet => {
+    if (declarations[sheet.name]) {
+      checkedRows[sheet.name] = validateSheet(sheet.name, sheet.data, declarations[sheet.name], knownMetrics, addIssue);
+    }
+  });
+
+  const byCode = {};
+  issues.forEach(issue => {
+    byCode[issue.code] = (byCode[issue.code] || 0) + 1;
+  });
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+
+  return {
+    valid: errors === 0,
+    file: workbook.fileName || null,
+    checked_rows: checkedRows,
+    errors,
+    warnings: issues.length - errors,
+    by_code: byCode,
+    issues
+  };
+}
+
+/**
+ * Check whether a validation report should fail the import
+ *
+ * @param {Object} report - Output of validateFoodKeeper
+ * @param {string} failOn - Lowest severity that fails: 'error' (default) or 'warning'
+ * @returns {boolean} True if the report has issues at or above failOn
+ * @throws {ConfigurationError} If failOn is invalid
+ */
+function shouldFailImport(report, failOn = 'error') {
+  if (!SEVERITIES.includes(failOn)) {
+    throw new ConfigurationError(`Invalid failOn: ${failOn}. Must be one of: ${SEVERITIES.join(', ')}`, {
+      code: 'invalid_option', field: 'failOn', value: failOn
+    });
+  }
+  return failOn === 'warning' ? report.issues.length > 0 : report.errors > 0;
+}
+
+// Export functions
+module.exports = {
+  parseColumnType,
+  parseDictionary,
+  validateFoodKeeper,
+  shouldFailImport
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running FoodKeeper Validator Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const dictionaryRow = (sheet, column, description) => [{ Sheet: sheet }, { Column: column }, { Description: description }];
+  const workbook = rows => ({
+    fileName: 'FMA-Data-v128.xlsx',
+    sheets: [
+      {
+        name: 'Data Dictionary',
+        data: [
+          dictionaryRow('Product', 'ID', 'Integer'),
+          dictionaryRow('Product', 'Name', 'Text'),
+          dictionaryRow('Product', 'Pantry_Min', 'Integer'),
+          dictionaryRow('Product', 'Pantry_Max', 'Integer'),
+          dictionaryRow('Product', 'Pantry_Metric', 'Days, Weeks, Months, Not Recommended')
+        ]
+      },
+      { name: 'Product', data: rows }
+    ]
+  });
+  const codes = report => report.issues.map(issue => issue.code).join(',');
+
+  // Test 1: Dictionary descriptions
+  test('Dictionary: Type descriptions parsed', () => {
+    if (parseColumnType('Integer').type !== 'integer') throw new Error('Expected integer');
+    if (parseColumnType('Character, Y or N').values.join() !== 'Y,N') throw new Error('Expected Y/N enum');
+    const metric = parseColumnType('Days, Weeks, Package use-by date');
+    if (metric.type !== 'enum' || metric.values[2] !== 'Package use-by date') throw new Error('Expected metric enum');
+  });
+
+  // Test 2: Clean rows, ragged rows allowed
+  test('Valid: Clean and ragged rows pass', () => {
+    const report = validateFoodKeeper(workbook([
+      [{ ID: 1 }, { Name: 'Butter' }, { Pantry_Min: 1 }, { Pantry_Max: 2 }, { Pantry_Metric: 'Weeks' }],
+      [{ ID: 2 }, { Name: 'Salt' }, { Pantry_Min: 5 }, { Pantry_Max: 5 }, { Pantry_Metric: 'Years' }],
+      [{ ID: 3 }, { Name: 'Milk' }]
+    ]));
+    if (!report.valid || report.issues.length !== 0) throw new Error(`Unexpected issues: ${codes(report)}`);
+    if (report.checked_rows.Product !== 3) throw new Error('Expected 3 checked rows');
+  });
+
+  // Test 3: Row-level errors
+  test('Errors: Type, metric, min > max, missing name and IDs', () => {
+    const report = validateFoodKeeper(workbook([
+      [{ ID: 1 }, { Name: 'Formula' }, { Pantry_Min: 1 }, { Pantry_Max: 2 }, { Pantry_Metric: 'Hours' }],
+      [{ ID: 2 }, { Name: 'Fish' }, { Pantry_Min: 3 }, { Pantry_Max: 1 }, { Pantry_Metric: 'Days' }],
+      [{ ID: 3 }, { Name: 'Broth' }, { Pantry_Min: 'Depending on conditions.' }, { Pantry_Max: null }, { Pantry_Metric: 'Days' }],
+      [{ ID: 4 }, { Name: '' }, { Pantry_Min: 2 }, { Pantry_Max: 2 }, { Pantry_Metric: null }],
+      [{ ID: 4 }, { Name: 'Tea' }],
+      [{ ID: null }, { Name: 'Soda' }]
+    ]));
+    const expected = 'unknown_metric,min_exceeds_max,invalid_type,missing_metric,missing_name,duplicate_id,missing_id';
+    if (codes(report) !== expected) throw new Error(`Got ${codes(report)}`);
+    if (report.valid || report.errors !== 7) throw new Error('Expected 7 errors');
+    const metric = report.issues[0];
+    if (metric.id !== 1 || metric.row !== 1 || metric.column !== 'Pantry_Metric' || metric.value !== 'Hours') {
+      throw new Error('Issue location not reported');
+    }
+  });
+
+  // Test 4: Columns
+  test('Columns: Undeclared column warns once, missing column errors', () => {
+    const report = validateFoodKeeper(workbook([
+      [{ ID: 1 }, { Name: 'Butter' }, { Keywords: 'Butter' }, { Pantry_Min: null }, { Pantry_Max: null }],
+      [{ ID: 2 }, { Name: 'Salt' }, { Keywords: 'Salt' }]
+    ]));
+    if (codes(report) !== 'missing_column,undeclared_column') throw new Error(`Got ${codes(report)}`);
+    if (report.errors !== 1 || report.warnings !== 1) throw new Error('Expected 1 error and 1 warning');
+    if (report.issues[1].rows !== 2) throw new Error('Expected undeclared column row count');
+  });
+
+  // Test 5: Fail threshold
+  test('Fail: Warnings fail only when requested', () => {
+    const report = validateFoodKeeper(workbook([
+      [{ ID: 1 }, { Name: 'Butter' }, { Keywords: 'Butter' }, { Pantry_Min: 1 }, { Pantry_Max: 2 }, { Pantry_Metric: 'Weeks' }]
+    ]));
+    if (!report.valid || shouldFailImport(report)) throw new Error('Warnings should not fail by default');
+    if (!shouldFailImport(report, 'warning')) throw new Error('Warnings should fail with failOn warning');
+  });
+
+  // Test 6: Invalid input
+  test('Error: Missing Data Dictionary and invalid failOn', () => {
+    const cases = [
+      [() => validateFoodKeeper({ sheets: [] }), 'missing the Data Dictionary', CatalogError],
+      [() => shouldFailImport({ errors: 0, issues: [] }, 'info'), 'Invalid failOn', ConfigurationError]
+    ];
+    for (const [fn, message, ErrorClass] of cases) {
+      try {
+        fn();
+        throw new Error('Should have thrown error');
+      } catch (e) {
+        if (!e.message.includes(message) || !(e instanceof ErrorClass)) throw e;
+      }
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
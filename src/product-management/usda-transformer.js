@@ -4,9 +4,25 @@
  * 
  * Configuration:
  * - Storage condition: Smart fallback (DOP_Refrigerate → Refrigerate → DOP_Pantry → Pantry → Freeze)
- * - Shelf life value: AVERAGE(min, max)
+ * - Shelf life value: AVERAGE(min, max), with the min/max range kept as
+ *   min_shelf_life_days / max_shelf_life_days for expiration confidence intervals
+ * - Every storage condition with data is also kept in shelf_life_by_condition,
+ *   so listings stored differently from the default get the right shelf life
+ * - Transition windows (Refrigerate_After_Thawing, Pantry_After_Opening,
+ *   Refrigerate_After_Opening) are added to the same map; they never become
+ *   the default and are used for listings with a storage_history
+ * - Storage tips (Pantry_tips, DOP_Refrigerate_tips, Freeze_Tips, ...) are kept
+ *   per storage condition in storage_tips, including conditions without shelf life data
+ * - Optional climate profile: pantry shelf life is also given scaled to the
+ *   local temperature (climate_adjusted), next to the unadjusted USDA values
  */
 
+const {
+  getClimateMultiplier,
+  isClimateSensitive,
+  adjustShelfLifeForClimate
+} = require('../core-algorithm/calculations/climate');
+
 // Metric conversion to days
 const METRIC_TO_DAYS = {
   'Days': 1,
@@ -21,13 +37,13 @@ const METRIC_TO_DAYS = {
 
 /**
  * Convert shelf life value to days
+ * Unknown metrics give null; the import report lists them (unsupported_metric)
  */
 function convertToDays(value, metric) {
   if (!value || !metric) return null;
   
   const multiplier = METRIC_TO_DAYS[metric] || METRIC_TO_DAYS[metric + 's'] || null;
   if (!multiplier) {
-    console.warn(`Unknown metric: ${metric}`);
     return null;
   }
   
@@ -49,117 +65,302 @@ function calculateAverageShelfLife(min, max, metric) {
 }
 
 /**
- * Extract shelf life using fallback chain
- * Priority: DOP_Refrigerate → Refrigerate → DOP_Pantry → Pantry → DOP_Freeze → Freeze
+ * Calculate shelf life range in days from min/max values
+ * A missing bound falls back to the other one
+ * 
+ * @returns {Object|null} { min_days, max_days } or null if neither value is usable
  */
-function extractShelfLife(productData) {
-  // Convert array format to object for easier access
+function calculateShelfLifeRange(min, max, metric) {
+  const minDays = convertToDays(min, metric);
+  const maxDays = convertToDays(max, metric);
+  
+  if (minDays === null && maxDays === null) return null;
+  
+  return {
+    min_days: minDays === null ? maxDays : minDays,
+    max_days: maxDays === null ? minDays : maxDays
+  };
+}
+
+// FoodKeeper columns per storage condition, in default fallback priority
+const STORAGE_CONDITION_COLUMNS = [
+  {
+    condition: 'refrigerated_opened',
+    min: 'DOP_Refrigerate_Min',
+    max: 'DOP_Refrigerate_Max',
+    metric: 'DOP_Refrigerate_Metric',
+    tips: 'DOP_Refrigerate_tips'
+  },
+  {
+    condition: 'refrigerated',
+    min: 'Refrigerate_Min',
+    max: 'Refrigerate_Max',
+    metric: 'Refrigerate_Metric',
+    tips: 'Refrigerate_tips'
+  },
+  {
+    condition: 'pantry_opened',
+    min: 'DOP_Pantry_Min',
+    max: 'DOP_Pantry_Max',
+    metric: 'DOP_Pantry_Metric',
+    tips: 'DOP_Pantry_tips'
+  },
+  {
+    condition: 'pantry',
+    min: 'Pantry_Min',
+    max: 'Pantry_Max',
+    metric: 'Pantry_Metric',
+    tips: 'Pantry_tips'
+  },
+  {
+    condition: 'frozen_opened',
+    min: 'DOP_Freeze_Min',
+    max: 'DOP_Freeze_Max',
+    metric: 'DOP_Freeze_Metric',
+    tips: 'DOP_Freeze_Tips'
+  },
+  {
+    condition: 'frozen',
+    min: 'Freeze_Min',
+    max: 'Freeze_Max',
+    metric: 'Freeze_Metric',
+    tips: 'Freeze_Tips'
+  }
+];
+
+// FoodKeeper columns for windows that start at a storage transition (thawing, opening)
+// The after-opening windows are read as the opened conditions; they only fill in
+// for products without DOP data for that condition (see transformProductType)
+const TRANSITION_CONDITION_COLUMNS = [
+  {
+    condition: 'refrigerated_after_thawing',
+    min: 'Refrigerate_After_Thawing_Min',
+    max: 'Refrigerate_After_Thawing_Max',
+    metric: 'Refrigerate_After_Thawing_Metric'
+  },
+  {
+    condition: 'refrigerated_opened',
+    min: 'Refrigerate_After_Opening_Min',
+    max: 'Refrigerate_After_Opening_Max',
+    metric: 'Refrigerate_After_Opening_Metric'
+  },
+  {
+    condition: 'pantry_opened',
+    min: 'Pantry_After_Opening_Min',
+    max: 'Pantry_After_Opening_Max',
+    metric: 'Pantry_After_Opening_Metric'
+  }
+];
+
+/**
+ * Convert USDA array format ([{ key: value }, ...]) to an object
+ */
+function toRecord(productData) {
   const product = {};
   productData.forEach(item => {
     const key = Object.keys(item)[0];
     product[key] = item[key];
   });
+  return product;
+}
+
+/**
+ * Extract shelf life for every storage condition that has data
+ * Conditions are returned in fallback priority order
+ * 
+ * @param {Array<Object>} productData - USDA product in array format
+ * @param {Array<Object>} columnSets - Conditions to read (default: STORAGE_CONDITION_COLUMNS)
+ * @returns {Array<Object>} [{ storage_condition, shelf_life_days, shelf_life_min_days,
+ *   shelf_life_max_days, source }]
+ */
+function extractShelfLifeByCondition(productData, columnSets = STORAGE_CONDITION_COLUMNS) {
+  const product = toRecord(productData);
+  const conditions = [];
   
-  // Define fallback chain with storage condition names
-  const fallbackChain = [
-    {
-      condition: 'refrigerated_opened',
-      min: 'DOP_Refrigerate_Min',
-      max: 'DOP_Refrigerate_Max',
-      metric: 'DOP_Refrigerate_Metric'
-    },
-    {
-      condition: 'refrigerated',
-      min: 'Refrigerate_Min',
-      max: 'Refrigerate_Max',
-      metric: 'Refrigerate_Metric'
-    },
-    {
-      condition: 'pantry_opened',
-      min: 'DOP_Pantry_Min',
-      max: 'DOP_Pantry_Max',
-      metric: 'DOP_Pantry_Metric'
-    },
-    {
-      condition: 'pantry',
-      min: 'Pantry_Min',
-      max: 'Pantry_Max',
-      metric: 'Pantry_Metric'
-    },
-    {
-      condition: 'frozen_opened',
-      min: 'DOP_Freeze_Min',
-      max: 'DOP_Freeze_Max',
-      metric: 'DOP_Freeze_Metric'
-    },
-    {
-      condition: 'frozen',
-      min: 'Freeze_Min',
-      max: 'Freeze_Max',
-      metric: 'Freeze_Metric'
-    }
-  ];
-  
-  // Try each condition in priority order
-  for (const fb of fallbackChain) {
+  for (const columns of columnSets) {
     const shelfLifeDays = calculateAverageShelfLife(
-      product[fb.min],
-      product[fb.max],
-      product[fb.metric]
+      product[columns.min],
+      product[columns.max],
+      product[columns.metric]
     );
     
     if (shelfLifeDays !== null) {
-      return {
+      const range = calculateShelfLifeRange(
+        product[columns.min],
+        product[columns.max],
+        product[columns.metric]
+      );
+      
+      conditions.push({
+        storage_condition: columns.condition,
         shelf_life_days: shelfLifeDays,
-        storage_condition: fb.condition,
+        shelf_life_min_days: range.min_days,
+        shelf_life_max_days: range.max_days,
         source: {
-          min: product[fb.min],
-          max: product[fb.max],
-          metric: product[fb.metric]
+          min: product[columns.min],
+          max: product[columns.max],
+          metric: product[columns.metric]
         }
-      };
+      });
     }
   }
   
-  return null;
+  return conditions;
+}
+
+/**
+ * Extract shelf life using fallback chain
+ * Priority: DOP_Refrigerate → Refrigerate → DOP_Pantry → Pantry → DOP_Freeze → Freeze
+ */
+function extractShelfLife(productData) {
+  const conditions = extractShelfLifeByCondition(productData);
+  return conditions.length > 0 ? conditions[0] : null;
+}
+
+/**
+ * Extract the USDA storage tips of a product per storage condition
+ * Tips are kept even when the condition has no shelf life data
+ * 
+ * @param {Array<Object>} productData - USDA product in array format
+ * @returns {Object} { [storage_condition]: tip } for conditions with a tip
+ * 
+ * @example
+ * extractStorageTips(butter); // { pantry: 'May be left at room temperature for 1 - 2 days.' }
+ */
+function extractStorageTips(productData) {
+  const product = toRecord(productData);
+  const tips = {};
+  
+  for (const columns of STORAGE_CONDITION_COLUMNS) {
+    const tip = product[columns.tips];
+    if (typeof tip === 'string' && tip.trim() !== '') {
+      tips[columns.condition] = tip.trim();
+    }
+  }
+  
+  return tips;
+}
+
+/**
+ * Build the per-condition shelf life map of a product type
+ * 
+ * @param {Array<Object>} conditions - Output of extractShelfLifeByCondition
+ * @returns {Object} { [storage_condition]: { shelf_life_days, min_shelf_life_days, max_shelf_life_days } }
+ */
+function buildConditionMap(conditions) {
+  const map = {};
+  conditions.forEach(condition => {
+    map[condition.storage_condition] = {
+      shelf_life_days: condition.shelf_life_days,
+      min_shelf_life_days: condition.shelf_life_min_days,
+      max_shelf_life_days: condition.shelf_life_max_days
+    };
+  });
+  return map;
+}
+
+/**
+ * Add climate-adjusted pantry shelf life to a product type
+ * USDA values are left unchanged; adjusted ones go in climate_adjusted
+ * 
+ * @param {Object} productType - Output entry of transformProductTypes
+ * @param {string|Object} climate - Climate profile (see climate.js)
+ * @returns {Object} Product type with climate_adjusted fields
+ */
+function applyClimateAdjustment(productType, climate) {
+  const multiplier = Number(getClimateMultiplier(climate).toFixed(4));
+  const adjust = (days, condition) => (days == null ? days : adjustShelfLifeForClimate(days, condition, climate));
+  
+  const byCondition = {};
+  for (const [condition, data] of Object.entries(productType.shelf_life_by_condition)) {
+    byCondition[condition] = isClimateSensitive(condition)
+      ? {
+        ...data,
+        climate_adjusted: {
+          shelf_life_days: adjust(data.shelf_life_days, condition),
+          min_shelf_life_days: adjust(data.min_shelf_life_days, condition),
+          max_shelf_life_days: adjust(data.max_shelf_life_days, condition)
+        }
+      }
+      : data;
+  }
+  
+  const adjusted = { ...productType, shelf_life_by_condition: byCondition };
+  const condition = productType.default_storage_condition;
+  if (isClimateSensitive(condition)) {
+    adjusted.climate_adjusted = {
+      multiplier,
+      default_shelf_life_days: adjust(productType.default_shelf_life_days, condition),
+      min_shelf_life_days: adjust(productType.min_shelf_life_days, condition),
+      max_shelf_life_days: adjust(productType.max_shelf_life_days, condition)
+    };
+  }
+  
+  return adjusted;
+}
+
+/**
+ * Transform a single USDA product to a product type
+ * 
+ * @param {Array<Object>} productData - Product sheet row in array format
+ * @param {Object} options - Transform options (see transformProductTypes)
+ * @returns {Object|null} Product type, or null if the product has no shelf life data
+ */
+function transformProductType(productData, options = {}) {
+  const product = toRecord(productData);
+  
+  // Extract shelf life per storage condition; the first one is the default
+  const conditions = extractShelfLifeByCondition(productData);
+  const shelfLifeData = conditions[0];
+  const known = new Set(conditions.map(condition => condition.storage_condition));
+  const transitions = extractShelfLifeByCondition(productData, TRANSITION_CONDITION_COLUMNS)
+    .filter(condition => !known.has(condition.storage_condition));
+  
+  if (!shelfLifeData) {
+    return null;
+  }
+  
+  // Create product type object
+  const productType = {
+    id: product.ID,
+    name: product.Name,
+    name_subtitle: product.Name_subtitle,
+    category_id: product.Category_ID,
+    keywords: product.Keywords,
+    default_shelf_life_days: shelfLifeData.shelf_life_days,
+    min_shelf_life_days: shelfLifeData.shelf_life_min_days,
+    max_shelf_life_days: shelfLifeData.shelf_life_max_days,
+    default_storage_condition: shelfLifeData.storage_condition,
+    shelf_life_source: shelfLifeData.source,
+    shelf_life_by_condition: buildConditionMap([...conditions, ...transitions]),
+    storage_tips: extractStorageTips(productData)
+  };
+  
+  return options.climate ? applyClimateAdjustment(productType, options.climate) : productType;
 }
 
 /**
  * Transform USDA product data to product_types format
+ * 
+ * @param {Array<Array<Object>>} usdaProducts - Product sheet rows in array format
+ * @param {Object} options - Transform options
+ * @param {string|Object} [options.climate] - Climate profile; adds climate_adjusted pantry
+ *   shelf life (e.g. 'metro_manila' or { temperature_c: 28 })
+ * @returns {Array<Object>} Product types
  */
-function transformProductTypes(usdaProducts) {
+function transformProductTypes(usdaProducts, options = {}) {
   const productTypes = [];
   let skippedCount = 0;
   
-  usdaProducts.forEach((productData, index) => {
-    // Convert array format to object
-    const product = {};
-    productData.forEach(item => {
-      const key = Object.keys(item)[0];
-      product[key] = item[key];
-    });
+  usdaProducts.forEach(productData => {
+    const productType = transformProductType(productData, options);
     
-    // Extract shelf life with fallback
-    const shelfLifeData = extractShelfLife(productData);
-    
-    if (!shelfLifeData) {
+    if (!productType) {
       skippedCount++;
-      console.warn(`Skipped product ID ${product.ID}: No shelf life data available`);
+      console.warn(`Skipped product ID ${toRecord(productData).ID}: No shelf life data available`);
       return;
     }
     
-    // Create product type object
-    const productType = {
-      id: product.ID,
-      name: product.Name,
-      name_subtitle: product.Name_subtitle,
-      category_id: product.Category_ID,
-      keywords: product.Keywords,
-      default_shelf_life_days: shelfLifeData.shelf_life_days,
-      default_storage_condition: shelfLifeData.storage_condition,
-      shelf_life_source: shelfLifeData.source
-    };
-    
     productTypes.push(productType);
   });
   
@@ -167,6 +368,9 @@ function transformProductTypes(usdaProducts) {
   console.log(`- Total products processed: ${usdaProducts.length}`);
   console.log(`- Successfully transformed: ${productTypes.length}`);
   console.log(`- Skipped (no shelf life data): ${skippedCount}`);
+  if (options.climate) {
+    console.log(`- Pantry shelf life climate multiplier: ${getClimateMultiplier(options.climate).toFixed(4)}`);
+  }
   
   return productTypes;
 }
@@ -224,6 +428,22 @@ function exampleUsage() {
   
   console.log("\nTransformed Product Type:");
   console.log(JSON.stringify(transformed[0], null, 2));
+  
+  // Pantry item adjusted to the Metro Manila climate
+  const sampleBreadcrumbs = [
+    { "ID": 643.0 },
+    { "Category_ID": 23.0 },
+    { "Name": "Breadcrumbs" },
+    { "Name_subtitle": "commercial" },
+    { "Keywords": "breadcrumbs,breadcrumb" },
+    { "Pantry_Min": 6.0 },
+    { "Pantry_Max": 6.0 },
+    { "Pantry_Metric": "Months" }
+  ];
+  
+  const [breadcrumbs] = transformProductTypes([sampleBreadcrumbs], { climate: 'metro_manila' });
+  console.log("\nClimate-adjusted Product Type (metro_manila):");
+  console.log(JSON.stringify(breadcrumbs, null, 2));
 }
 
 // Export functions for use in main app
@@ -231,8 +451,17 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     convertToDays,
     calculateAverageShelfLife,
+    calculateShelfLifeRange,
     extractShelfLife,
-    transformProductTypes
+    extractShelfLifeByCondition,
+    extractStorageTips,
+    applyClimateAdjustment,
+    transformProductType,
+    transformProductTypes,
+    toRecord,
+    METRIC_TO_DAYS,
+    STORAGE_CONDITION_COLUMNS,
+    TRANSITION_CONDITION_COLUMNS
   };
 }
 
@@ -0,0 +1,303 @@
+/**
+ * Chenda - Dataset Referential Integrity Check
+ * Verifies the ID links between users, products and product types
+ *
+ * The fixture files reference each other by ID: products point at a seller in
+ * the users and at a product type in the catalog, and mock_data_complete.json
+ * records how many of each it holds. Issues reported:
+ * - duplicate_id: two users, products or product types share an ID
+ * - dangling_product_type: product_type_id is not in the catalog
+ * - dangling_seller: seller_id is not a user
+ * - seller_not_seller: seller_id points at a user of type 'buyer'
+ * - location_mismatch: the product is further than the tolerance from its seller
+ * - count_mismatch: meta.user_count / meta.product_count disagree with the data
+ *
+ * All of them are errors. The check runs on the standalone users and products
+ * files and on the users and products inside mock_data_complete.json, both
+ * against its meta counts.
+ *
+ * Usage:
+ *   node src/utils/data-integrity.js [--users <file>] [--products <file>]
+ *     [--complete <file>] [--product-types <file>] [--tolerance-km <km>] [--json]
+ *
+ * Exits with status 1 when any error is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateDistance } = require('../core-algorithm/calculations/haversine');
+const { ValidationError, ConfigurationError, CatalogError } = require('./errors');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const DEFAULT_FILES = {
+  users: path.join(DATA_DIR, 'mock_users.json'),
+  products: path.join(DATA_DIR, 'mock_products.json'),
+  complete: path.join(DATA_DIR, 'mock_data_complete.json'),
+  productTypes: path.join(__dirname, '../product-management/product-types.json')
+};
+
+// Products are listed at the seller's address; allow for rounding of coordinates
+const DEFAULT_LOCATION_TOLERANCE_KM = 0.05;
+
+/**
+ * Report IDs used more than once
+ * @private
+ */
+function findDuplicates(entity, list, addIssue) {
+  const seen = new Map();
+  list.forEach((item, index) => {
+    const id = item ? item.id : undefined;
+    if (seen.has(id)) {
+      addIssue('duplicate_id', entity, id, 'id', id,
+        `Duplicate ${entity} ID ${id} (records ${seen.get(id) + 1} and ${index + 1})`);
+    } else {
+      seen.set(id, index);
+    }
+  });
+}
+
+/**
+ * Check referential integrity of a dataset
+ *
+ * @param {Object} dataset - Data to check
+ * @param {Array<Object>} dataset.users - Users (userSchema)
+ * @param {Array<Object>} dataset.products - Product listings (productSchema)
+ * @param {Array<Object>|Object} [dataset.productTypes] - Catalog array or versioned catalog;
+ *   without it product_type_id is not checked
+ * @param {Object} [dataset.meta] - { user_count, product_count }; without it counts are not checked
+ * @param {Object} options - Check options
+ * @param {number} [options.locationToleranceKm] - Allowed product to seller distance (default: 0.05)
+ * @returns {Object} { valid, errors, by_code, summary: { users, products, product_types },
+ *   issues: [{ severity, code, entity, id, field, value, message }] }
+ * @throws {ValidationError} If users or products is not an array, or the tolerance is negative
+ * @throws {CatalogError} If productTypes is not a catalog
+ *
+ * @example
+ * const report = checkIntegrity({ users, products, productTypes, meta });
+ * report.issues[0];
+ * // { severity: 'error', code: 'seller_not_seller', entity: 'product', id: 4, field: 'seller_id',
+ * //   value: 2, message: 'Product 4 seller_id 2 is a buyer' }
+ */
+function checkIntegrity(dataset, options = {}) {
+  const { users, products, meta } = dataset || {};
+  if (!Array.isArray(users)) {
+    throw new ValidationError('users must be an array', {
+      code: 'invalid_type', field: 'users', value: users
+    });
+  }
+  if (!Array.isArray(products)) {
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
+  }
+
+  const productTypes = dataset.productTypes == null
+    ? null
+    : Array.isArray(dataset.productTypes) ? dataset.productTypes : dataset.productTypes.product_types;
+  if (productTypes != null && !Array.isArray(productTypes)) {
+    throw new CatalogError('productTypes must be an array or a catalog with product_types', {
+      code: 'invalid_catalog', field: 'productTypes', value: dataset.productTypes
+    });
+  }
+
+  const tolerance = options.locationToleranceKm != null
+    ? options.locationToleranceKm
+    : DEFAULT_LOCATION_TOLERANCE_KM;
+  if (typeof tolerance !== 'number' || tolerance < 0) {
+    throw new ValidationError('locationToleranceKm must be a non-negative number', {
+      code: 'out_of_range', field: 'locationToleranceKm', value: tolerance
+    });
+  }
+
+  const issues = [];
+  const addIssue = (code, entity, id, field, value, message) => {
+    issues.push({
+      severity: 'error',
+      code,
+      entity,
+      id: id === undefined ? null : id,
+      field,
+      value: value === undefined ? null : value,
+      message
+    });
+  };
+
+  findDuplicates('user', users, addIssue);
+  findDuplicates('product', products, addIssue);
+  if (productTypes) {
+    findDuplicates('product_type', productTypes, addIssue);
+  }
+
+  const userIndex = new Map(users.map(user => [user.id, user]));
+  const typeIds = productTypes ? new Set(productTypes.map(type => type.id)) : null;
+
+  products.forEach(product => {
+    const id = product.id;
+
+    if (typeIds && !typeIds.has(product.product_type_id)) {
+      addIssue('dangling_product_type', 'product', id, 'product_type_id', product.product_type_id,
+        `Product ${id} product_type_id ${product.product_type_id} is not in the catalog`);
+    }
+
+    const seller = userIndex.get(product.seller_id);
+    if (!seller) {
+      addIssue('dangling_seller', 'product', id, 'seller_id', product.seller_id,
+        `Product ${id} seller_id ${product.seller_id} is not a user`);
+      return;
+    }
+    if (seller.type !== 'seller' && seller.type !== 'both') {
+      addIssue('seller_not_seller', 'product', id, 'seller_id', product.seller_id,
+        `Product ${id} seller_id ${product.seller_id} is a ${seller.type}`);
+      return;
+    }
+
+    if (product.location && seller.location) {
+      let distance;
+      try {
+        distance = calculateDistance(product.location, seller.location);
+      } catch (e) {
+        distance = null;
+      }
+      if (distance === null || distance > tolerance) {
+        addIssue('location_mismatch', 'product', id, 'location', product.location,
+          distance === null
+            ? `Product ${id} location cannot be compared with seller ${seller.id}`
+            : `Product ${id} is ${distance.toFixed(2)} km from seller ${seller.id} location`);
+      }
+    }
+  });
+
+  if (meta) {
+    [['user_count', users], ['product_count', products]].forEach(([field, list]) => {
+      if (meta[field] != null && meta[field] !== list.length) {
+        addIssue('count_mismatch', 'meta', null, field, meta[field],
+          `meta.${field} is ${meta[field]} but the data has ${list.length}`);
+      }
+    });
+  }
+
+  const byCode = {};
+  issues.forEach(issue => {
+    byCode[issue.code] = (byCode[issue.code] || 0) + 1;
+  });
+
+  return {
+    valid: issues.length === 0,
+    errors: issues.length,
+    by_code: byCode,
+    summary: {
+      users: users.length,
+      products: products.length,
+      product_types: productTypes ? productTypes.length : null
+    },
+    issues
+  };
+}
+
+/**
+ * Parse command line arguments
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { users, products, complete, productTypes, toleranceKm, json }
+ * @throws {ConfigurationError} On unknown options, missing values or an invalid tolerance
+ */
+function parseArgs(argv) {
+  const flags = {
+    '--users': 'users',
+    '--products': 'products',
+    '--complete': 'complete',
+    '--product-types': 'productTypes',
+    '--tolerance-km': 'toleranceKm'
+  };
+  const args = { ...DEFAULT_FILES, toleranceKm: DEFAULT_LOCATION_TOLERANCE_KM, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      args.json = true;
+      continue;
+    }
+    const key = flags[argv[i]];
+    if (!key) {
+      throw new ConfigurationError(`Unknown option: ${argv[i]}`, {
+        code: 'invalid_option', field: 'argv', value: argv[i]
+      });
+    }
+    if (argv[i + 1] == null || argv[i + 1].startsWith('--')) {
+      throw new ConfigurationError(`Missing value for ${argv[i]}`, {
+        code: 'invalid_option', field: argv[i]
+      });
+    }
+    args[key] = argv[++i];
+  }
+
+  args.toleranceKm = Number(args.toleranceKm);
+  if (isNaN(args.toleranceKm) || args.toleranceKm < 0) {
+    throw new ConfigurationError('--tolerance-km must be a non-negative number', {
+      code: 'invalid_option', field: '--tolerance-km', value: args.toleranceKm
+    });
+  }
+  return args;
+}
+
+/**
+ * Run the check from the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { valid, reports: [{ source, ...checkIntegrity report }] }
+ */
+function main(argv) {
+  const args = parseArgs(argv);
+  const read = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+  const complete = read(args.complete);
+  const productTypes = read(args.productTypes);
+  const options = { locationToleranceKm: args.toleranceKm };
+
+  const reports = [
+    {
+      source: `${path.basename(args.users)} + ${path.basename(args.products)}`,
+      ...checkIntegrity({ users: read(args.users), products: read(args.products), productTypes, meta: complete.meta }, options)
+    },
+    {
+      source: path.basename(args.complete),
+      ...checkIntegrity({ users: complete.users, products: complete.products, productTypes, meta: complete.meta }, options)
+    }
+  ];
+  const valid = reports.every(report => report.valid);
+
+  if (args.json) {
+    console.log(JSON.stringify({ valid, reports }, null, 2));
+    return { valid, reports };
+  }
+
+  console.log(`Data integrity check (catalog: ${path.basename(args.productTypes)})`);
+  reports.forEach(report => {
+    console.log(`\n${report.source}: ${report.summary.users} users, ${report.summary.products} products`);
+    console.log(`- Errors: ${report.errors}`);
+    for (const [code, count] of Object.entries(report.by_code)) {
+      console.log(`  - ${code}: ${count}`);
+    }
+    report.issues.forEach(issue => console.log(`  ✗ ${issue.message}`));
+  });
+  console.log(valid ? '\n✅ All references resolve' : '\n❌ Integrity errors found');
+
+  return { valid, reports };
+}
+
+// Export functions
+module.exports = {
+  checkIntegrity,
+  parseArgs,
+  main,
+  DEFAULT_LOCATION_TOLERANCE_KM
+};
+
+// Run the check if executed directly
+if (require.main === module) {
+  try {
+    const { valid } = main(process.argv.slice(2));
+    process.exit(valid ? 0 : 1);
+  } catch (error) {
+    console.error(`Integrity check failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Chenda - Data Integrity Integration Test
+ * Checks the bundled fixtures and broken copies of them
+ *
+ * Tests:
+ * 1. Bundled fixtures: every reference resolves and counts match meta
+ * 2. Dangling product types and sellers, buyers listed as sellers
+ * 3. Product locations away from the seller, duplicate IDs, count mismatches
+ * 4. Command line: argument parsing, exit status on broken files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { checkIntegrity, parseArgs } = require('./data-integrity.js');
+const users = require('../data/mock_users.json');
+const products = require('../data/mock_products.json');
+const complete = require('../data/mock_data_complete.json');
+const productTypes = require('../product-management/product-types.json');
+const { ValidationError, ConfigurationError, CatalogError } = require('./errors.js');
+
+console.log('=== Data Integrity Integration Test ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function throwsWith(fn, message) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return e.message.includes(message);
+  }
+}
+
+function thrownError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (e) {
+    return e;
+  }
+}
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const codes = report => report.issues.map(issue => `${issue.code}:${issue.id}`).join(',');
+
+// ============================================================================
+// TEST 1: Bundled fixtures
+// ============================================================================
+
+console.log('TEST 1: Bundled fixtures\n');
+
+const standalone = checkIntegrity({ users, products, productTypes, meta: complete.meta });
+check(`mock_users.json + mock_products.json: ${standalone.errors} errors`, standalone.valid);
+
+const bundled = checkIntegrity({ users: complete.users, products: complete.products, productTypes, meta: complete.meta });
+check(`mock_data_complete.json: ${bundled.errors} errors`, bundled.valid);
+check('Summary counts', bundled.summary.users === 10 && bundled.summary.products === 30 &&
+  bundled.summary.product_types === productTypes.length);
+check('Versioned catalog accepted',
+  checkIntegrity({ users, products, productTypes: { version: 'v', product_types: productTypes } }).valid);
+
+// ============================================================================
+// TEST 2: Broken references
+// ============================================================================
+
+console.log('\nTEST 2: Broken references\n');
+
+const broken = clone(products);
+broken[0].product_type_id = 9999;
+broken[1].seller_id = 42;
+broken[2].seller_id = 1; // Maria, a buyer
+broken[3].seller_id = 10; // 'both' users may sell, but not from user 6's stall
+
+const references = checkIntegrity({ users, products: broken, productTypes });
+check(`Issues: ${codes(references)}`,
+  codes(references) === 'dangling_product_type:1,dangling_seller:2,seller_not_seller:3,location_mismatch:4');
+check('Issue carries field and value',
+  references.issues[0].field === 'product_type_id' && references.issues[0].value === 9999 &&
+  references.issues[0].severity === 'error');
+check('Buyer seller message', references.issues[2].message === 'Product 3 seller_id 1 is a buyer');
+check('Without a catalog product types are not checked',
+  !checkIntegrity({ users, products: broken }).issues.some(issue => issue.code === 'dangling_product_type'));
+
+// ============================================================================
+// TEST 3: Locations, duplicates and counts
+// ============================================================================
+
+console.log('\nTEST 3: Locations, duplicates and counts\n');
+
+const moved = clone(products);
+moved[0].location = { lat: 14.6191, lng: 121.0223 }; // ~1.1 km north of the seller
+const locations = checkIntegrity({ users, products: moved });
+check(`Moved listing: ${locations.issues[0] && locations.issues[0].message}`,
+  codes(locations) === 'location_mismatch:1' && locations.issues[0].message.includes('1.11 km'));
+check('Tolerance allows the move', checkIntegrity({ users, products: moved }, { locationToleranceKm: 2 }).valid);
+
+const duplicated = [...clone(products), { ...clone(products[5]) }];
+const usersDuplicated = [...clone(users), clone(users[0])];
+const duplicates = checkIntegrity({ users: usersDuplicated, products: duplicated, productTypes: [...productTypes, productTypes[0]] });
+check(`Duplicates: ${codes(duplicates)}`,
+  codes(duplicates) === 'duplicate_id:1,duplicate_id:6,duplicate_id:' + productTypes[0].id);
+check('Duplicate message names both records',
+  duplicates.issues[1].message === 'Duplicate product ID 6 (records 6 and 31)');
+
+const counts = checkIntegrity({ users, products: products.slice(1), meta: complete.meta });
+check(`Counts: ${counts.issues.map(issue => issue.message).join('; ')}`,
+  counts.by_code.count_mismatch === 1 && counts.issues[0].field === 'product_count' && counts.issues[0].value === 30);
+check('Invalid input throws', throwsWith(() => checkIntegrity({ users, products: {} }), 'products must be an array') &&
+  throwsWith(() => checkIntegrity({ users, products }, { locationToleranceKm: -1 }), 'locationToleranceKm'));
+const notArray = thrownError(() => checkIntegrity({ users, products: {} }));
+const badCatalog = thrownError(() => checkIntegrity({ users, products, productTypes: { product_types: {} } }));
+check('Input errors are typed', notArray instanceof ValidationError && notArray.field === 'products' &&
+  badCatalog instanceof CatalogError && badCatalog.code === 'invalid_catalog');
+
+// ============================================================================
+// TEST 4: Command line
+// ============================================================================
+
+console.log('\nTEST 4: Command line\n');
+
+const args = parseArgs(['--products', 'p.json', '--tolerance-km', '0.5', '--json']);
+check('Arguments parsed', args.products === 'p.json' && args.toleranceKm === 0.5 && args.json &&
+  args.users.endsWith('mock_users.json') && args.complete.endsWith('mock_data_complete.json'));
+check('Unknown option throws', throwsWith(() => parseArgs(['--fix']), 'Unknown option: --fix'));
+check('Invalid tolerance throws', throwsWith(() => parseArgs(['--tolerance-km', 'far']), '--tolerance-km'));
+check('Option errors are ConfigurationErrors', thrownError(() => parseArgs(['--fix'])) instanceof ConfigurationError);
+
+const script = path.join(__dirname, 'data-integrity.js');
+const clean = spawnSync(process.execPath, [script], { encoding: 'utf8' });
+check('Bundled fixtures exit 0', clean.status === 0 && clean.stdout.includes('All references resolve'));
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chenda-integrity-'));
+const brokenFile = path.join(dir, 'products.json');
+fs.writeFileSync(brokenFile, JSON.stringify(broken));
+const failing = spawnSync(process.execPath, [script, '--products', brokenFile, '--json'], { encoding: 'utf8' });
+fs.rmSync(dir, { recursive: true });
+
+const output = JSON.parse(failing.stdout);
+check(`Broken products exit ${failing.status}`, failing.status === 1 && !output.valid);
+check('Only the broken file is reported', output.reports[0].errors === 4 && output.reports[1].valid);
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('❌ Some checks failed');
+  process.exit(1);
+}
+
+console.log('✅ Fixture references are consistent');
@@ -106,7 +106,8 @@ const exampleSeller = {
  * @property {number} product_type_id - Reference to ProductType.id (from USDA data)
  * @property {number} days_already_used - Days of shelf life consumed before listing
  * @property {string} listed_date - ISO 8601 timestamp when product was listed
- * @property {number} price - Price in Philippine Pesos (PHP)
+ * @property {number} price - Price in Philippine Pesos (PHP) for the whole listing, i.e. for all
+ *   of quantity (12 eggs at 120 PHP cost 10 PHP each), not per unit
  * @property {number} quantity - Available quantity (units/kg depending on product)
  * @property {string} unit - Unit of measurement ('kg', 'pieces', 'liters', etc.)
  * @property {Object} location - Geographic coordinates (usually same as seller)
@@ -114,6 +115,12 @@ const exampleSeller = {
  * @property {number} location.lng - Longitude (-180 to 180)
  * @property {string} location.address - Human-readable address (optional)
  * @property {string} storage_condition - How product is currently stored
+ * @property {Array<Object>} [storage_history] - Storage before listing, oldest first:
+ *   [{ storage_condition, started_at }] (e.g. frozen, then refrigerated_after_thawing).
+ *   Replaces days_already_used; see calculations/storage-history.js
+ * @property {Array<Object>|string} [temperature_log] - Logger readings since storage began:
+ *   [{ timestamp, temperature_c }], a JSON string of those, or CSV text (timestamp,temperature_c).
+ *   See calculations/temperature-log.js
  * @property {string|null} description - Optional product description
  * @property {string} status - Product listing status
  */
@@ -124,7 +131,7 @@ const productSchema = {
   product_type_id: 'number (FK to ProductType.id)',
   days_already_used: 'number (0 to default_shelf_life_days)',
   listed_date: 'ISO 8601 string',
-  price: 'number (PHP)',
+  price: 'number (PHP, for the whole quantity)',
   quantity: 'number',
   unit: 'string (kg|pieces|liters|etc)',
   location: {
@@ -132,7 +139,9 @@ const productSchema = {
     lng: 'number',
     address: 'string (optional)'
   },
-  storage_condition: 'refrigerated_opened|refrigerated|pantry_opened|pantry|frozen_opened|frozen',
+  storage_condition: 'refrigerated_opened|refrigerated|pantry_opened|pantry|frozen_opened|frozen|refrigerated_after_thawing',
+  storage_history: 'Array<{ storage_condition, started_at: ISO 8601 string }> (optional)',
+  temperature_log: 'Array<{ timestamp, temperature_c }>|JSON string|CSV string (optional)',
   description: 'string|null',
   status: 'active|sold|expired|removed'
 };
@@ -171,11 +180,29 @@ const exampleProduct = {
  * These are computed at runtime, not stored in the database
  * 
  * @typedef {Object} CalculatedProductFields
- * @property {number} total_shelf_life_days - From ProductType.default_shelf_life_days
- * @property {number} remaining_shelf_life_days - total - days_already_used
+ * @property {number} total_shelf_life_days - From ProductType.shelf_life_by_condition[storage_condition],
+ *   or ProductType.default_shelf_life_days when the type has no data for the listing's condition
+ * @property {string} shelf_life_condition - Storage condition the shelf life values belong to
+ * @property {number} days_since_listed - current_date - listed_date, in days
+ * @property {number} remaining_shelf_life_days - total - days_already_used - days_since_listed (min 0)
  * @property {number} freshness_percent - (remaining / total) * 100
  * @property {string} expiration_date - ISO 8601: listed_date + remaining_shelf_life_days
  * @property {boolean} is_expired - expiration_date < current_date
+ * @property {number} min_shelf_life_days - From ProductType.min_shelf_life_days (USDA min)
+ * @property {number} max_shelf_life_days - From ProductType.max_shelf_life_days (USDA max)
+ * @property {Object} expiration_range - { conservative, expected, optimistic } expiration and
+ *   freshness computed with the min, default and max shelf life
+ * @property {Object} [climate_adjustment] - Pantry products with a climate profile only:
+ *   { storage_condition, multiplier, total_shelf_life_days, unadjusted: {...} }; the shelf life
+ *   fields above are then climate-adjusted
+ * @property {Object} [temperature_profile] - Products with a temperature_log only: kinetic excess
+ *   days and abuse periods (see analyzeTemperatureLog)
+ * @property {boolean} [temperature_abuse] - Products with a temperature_log only: logged above
+ *   the storage condition's abuse threshold
+ * @property {Array<Object>} [storage_phases] - Listings with storage_history only: days spent and
+ *   shelf life left per storage phase
+ * @property {Object|null} [storage_tip] - With config.include_storage_tips only: { storage_condition, tip }
+ *   from ProductType.storage_tips matching the buyer's storage capability
  * @property {number} distance_km - Haversine distance from buyer location (query-specific)
  * @property {number} proximity_score - Normalized 0-100 (query-specific)
  * @property {number} shelf_life_score - Normalized 0-100 (same as freshness_percent)
@@ -219,6 +246,7 @@ const validationRules = {
     price: 'Must be > 0',
     quantity: 'Must be > 0',
     storage_condition: 'Must match ProductType.default_storage_condition or be valid alternative',
+    storage_history: 'If set, chronological and ending in storage_condition',
     listed_date: 'Cannot be in the future'
   }
 };
@@ -239,8 +267,11 @@ if (typeof module !== 'undefined' && module.exports) {
   };
 }
 
-console.log("=== Chenda Data Structures Defined ===");
-console.log("\nTask 1.5 ✓ User Object Structure");
-console.log("Task 1.6 ✓ Product Object Structure");
-console.log("\nExample User:", JSON.stringify(exampleBuyer, null, 2));
-console.log("\nExample Product:", JSON.stringify(exampleProduct, null, 2));
+// Print the examples if executed directly
+if (require.main === module) {
+  console.log("=== Chenda Data Structures Defined ===");
+  console.log("\nTask 1.5 ✓ User Object Structure");
+  console.log("Task 1.6 ✓ Product Object Structure");
+  console.log("\nExample User:", JSON.stringify(exampleBuyer, null, 2));
+  console.log("\nExample Product:", JSON.stringify(exampleProduct, null, 2));
+}
@@ -0,0 +1,202 @@
+/**
+ * Chenda - Error Classes
+ * Structured errors with stable codes for callers (e.g. an API layer) to map
+ * to responses without matching on message text
+ *
+ * Hierarchy:
+ * - ChendaError: base class, never thrown directly
+ *   - ValidationError: a function argument or input object is invalid
+ *     (bad coordinates, weights that do not sum to 100, dates that do not parse)
+ *   - ConfigurationError: an option or config value is unknown or invalid
+ *     (unsupported unit, unknown sort criterion or expiry policy)
+ *   - DataError: a product record is missing data a stage needs
+ *     (no distance_km to filter on, no expiration_date, no score to sort by)
+ *   - CatalogError: the product type catalog or a FoodKeeper export is malformed
+ *
+ * Every error carries:
+ * - code: stable snake_case identifier (see ERROR_CODES)
+ * - field: the argument, option or product field involved (null if none)
+ * - value: the offending value (null if none)
+ *
+ * Messages stay human readable and may change; code and field are the contract.
+ */
+
+// Stable error codes by error class
+const ERROR_CODES = {
+  validation: ['invalid_type', 'required', 'out_of_range', 'invalid_date', 'invalid_value', 'weights_sum', 'schema_violation'],
+  configuration: ['invalid_option', 'unsupported_unit', 'invalid_expiry_policy', 'invalid_storage_capability', 'invalid_sort'],
+  data: ['missing_field', 'invalid_field'],
+  catalog: ['invalid_catalog']
+};
+
+/**
+ * Base class for Chenda errors
+ */
+class ChendaError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Structured details
+   * @param {string} details.code - Stable error code
+   * @param {string} [details.field] - Argument, option or field involved
+   * @param {*} [details.value] - Offending value
+   */
+  constructor(message, { code, field = null, value = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.field = field;
+    this.value = value === undefined ? null : value;
+  }
+
+  /**
+   * Serializable form for API responses
+   * @returns {Object} { name, code, message, field, value }
+   */
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message, field: this.field, value: this.value };
+  }
+}
+
+/** A function argument or input object is invalid */
+class ValidationError extends ChendaError {}
+
+/** An option or config value is unknown or invalid */
+class ConfigurationError extends ChendaError {}
+
+/** A product record is missing data a stage needs */
+class DataError extends ChendaError {}
+
+/** The product type catalog or a FoodKeeper export is malformed */
+class CatalogError extends ChendaError {}
+
+/**
+ * Prefix an error message, keeping the error class and details
+ * Plain errors become ValidationErrors with code 'invalid_value'
+ *
+ * @param {Error} error - Original error
+ * @param {string} prefix - Context, e.g. 'Invalid destination at index 2'
+ * @returns {ChendaError} New error with message `${prefix}: ${error.message}`
+ *
+ * @example
+ * throw withContext(error, `Invalid product at index ${index}`);
+ */
+function withContext(error, prefix) {
+  const ErrorClass = error instanceof ChendaError ? error.constructor : ValidationError;
+  return new ErrorClass(`${prefix}: ${error.message}`, {
+    code: error.code || 'invalid_value',
+    field: error.field,
+    value: error.value
+  });
+}
+
+/**
+ * Plain record of an error's details, e.g. for quarantine lists and explain output
+ * Errors without a code (plain Error) get null code, field and value
+ *
+ * @param {Error|Object} error - Error, or a record from an earlier describeError
+ * @returns {Object} { code, field, value, message }
+ *
+ * @example
+ * describeError(new DataError('Product 3 missing price', { code: 'missing_field', field: 'price' }));
+ * // { code: 'missing_field', field: 'price', value: null, message: 'Product 3 missing price' }
+ */
+function describeError(error) {
+  return {
+    code: error.code || null,
+    field: error.field != null ? error.field : null,
+    value: error.value !== undefined ? error.value : null,
+    message: error.message
+  };
+}
+
+// Export classes
+module.exports = {
+  ChendaError,
+  ValidationError,
+  ConfigurationError,
+  DataError,
+  CatalogError,
+  withContext,
+  describeError,
+  ERROR_CODES
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Error Class Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Test 1: Hierarchy
+  test('Hierarchy: Every class is a ChendaError and an Error', () => {
+    [ValidationError, ConfigurationError, DataError, CatalogError].forEach(ErrorClass => {
+      const error = new ErrorClass('message', { code: 'invalid_value' });
+      if (!(error instanceof ChendaError) || !(error instanceof Error)) throw new Error(`${ErrorClass.name} not in hierarchy`);
+      if (error.name !== ErrorClass.name) throw new Error(`Expected name ${ErrorClass.name}`);
+    });
+  });
+
+  // Test 2: Details
+  test('Details: code, field and value kept and serialized', () => {
+    const error = new ValidationError('lat must be between -90 and 90 (got 95)', {
+      code: 'out_of_range', field: 'point1.lat', value: 95
+    });
+    const json = JSON.parse(JSON.stringify(error));
+    if (json.code !== 'out_of_range' || json.field !== 'point1.lat' || json.value !== 95) {
+      throw new Error(`Unexpected JSON: ${JSON.stringify(json)}`);
+    }
+    const bare = new DataError('missing', { code: 'missing_field' });
+    if (bare.field !== null || bare.value !== null) throw new Error('Field and value should default to null');
+  });
+
+  // Test 3: Context
+  test('withContext: Prefix keeps class and details', () => {
+    const original = new ConfigurationError('Unsupported unit: yards', { code: 'unsupported_unit', field: 'unit', value: 'yards' });
+    const wrapped = withContext(original, 'Invalid destination at index 2');
+    if (!(wrapped instanceof ConfigurationError) || wrapped.code !== 'unsupported_unit' || wrapped.value !== 'yards') {
+      throw new Error('Class and details should be kept');
+    }
+    if (wrapped.message !== 'Invalid destination at index 2: Unsupported unit: yards') throw new Error('Unexpected message');
+    const plain = withContext(new Error('boom'), 'Context');
+    if (!(plain instanceof ValidationError) || plain.code !== 'invalid_value') throw new Error('Plain errors become validation errors');
+  });
+
+  // Test 4: Plain records
+  test('describeError: Details as a plain record', () => {
+    const record = describeError(new DataError('Product 3 missing price', { code: 'missing_field', field: 'price' }));
+    if (JSON.stringify(record) !== '{"code":"missing_field","field":"price","value":null,"message":"Product 3 missing price"}') {
+      throw new Error(`Unexpected record: ${JSON.stringify(record)}`);
+    }
+    const plain = describeError(new Error('boom'));
+    if (plain.code !== null || plain.field !== null || plain.message !== 'boom') throw new Error('Plain errors have no details');
+    if (JSON.stringify(describeError(record)) !== JSON.stringify(record)) throw new Error('Records should pass through');
+  });
+
+  // Test 5: Codes
+  test('Codes: Unique across classes', () => {
+    const codes = Object.values(ERROR_CODES).flat();
+    if (new Set(codes).size !== codes.length) throw new Error('Duplicate code');
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
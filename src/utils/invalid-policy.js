@@ -0,0 +1,141 @@
+/**
+ * Chenda - Invalid Product Policy
+ * Decides what a pipeline stage does with a product it cannot process
+ *
+ * Policies (onInvalid):
+ * - 'throw' (default): the first malformed product aborts the call
+ * - 'skip': malformed products are dropped silently
+ * - 'quarantine': malformed products are dropped and recorded, with the error
+ *   details, in the caller's quarantine array
+ *
+ * Quarantine entries: { product, index, stage, error: { code, field, value, message } }
+ */
+
+const { ConfigurationError, describeError } = require('./errors');
+
+const INVALID_POLICIES = ['throw', 'skip', 'quarantine'];
+
+/**
+ * Validate onInvalid / quarantine options
+ *
+ * @param {Object} options - { onInvalid, quarantine }
+ * @returns {string} The policy ('throw' when not set)
+ * @throws {ConfigurationError} If the policy is unknown, or quarantine is requested without an array
+ *
+ * @example
+ * resolveInvalidPolicy({ onInvalid: 'skip' }); // 'skip'
+ */
+function resolveInvalidPolicy(options = {}) {
+  const policy = options.onInvalid == null ? 'throw' : options.onInvalid;
+  if (!INVALID_POLICIES.includes(policy)) {
+    throw new ConfigurationError(`Invalid onInvalid: ${policy}. Must be one of: ${INVALID_POLICIES.join(', ')}`, {
+      code: 'invalid_option', field: 'onInvalid', value: policy
+    });
+  }
+  if (policy === 'quarantine' && !Array.isArray(options.quarantine)) {
+    throw new ConfigurationError("quarantine must be an array when onInvalid is 'quarantine'", {
+      code: 'invalid_option', field: 'quarantine', value: options.quarantine
+    });
+  }
+  return policy;
+}
+
+/**
+ * Apply the policy to a product that failed a stage
+ *
+ * @param {Error} error - Why the product is invalid
+ * @param {Object} product - The product
+ * @param {number} index - Position in the stage input
+ * @param {string} stage - Stage name, e.g. 'expiration'
+ * @param {Object} options - { onInvalid, quarantine }
+ * @throws {Error} The error itself under 'throw'
+ */
+function handleInvalidProduct(error, product, index, stage, options = {}) {
+  const policy = resolveInvalidPolicy(options);
+  if (policy === 'throw') {
+    throw error;
+  }
+  if (policy === 'quarantine') {
+    options.quarantine.push({ product, index, stage, error: describeError(error) });
+  }
+}
+
+// Export functions
+module.exports = {
+  resolveInvalidPolicy,
+  handleInvalidProduct,
+  INVALID_POLICIES
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  console.log('🧪 Running Invalid Policy Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const { DataError } = require('./errors');
+  const product = { id: 7 };
+  const error = new DataError('Product 7 missing distance_km property', { code: 'missing_field', field: 'distance_km' });
+
+  // Test 1: Default policy
+  test('Throw: Default policy rethrows the error', () => {
+    if (resolveInvalidPolicy() !== 'throw') throw new Error('Default should be throw');
+    try {
+      handleInvalidProduct(error, product, 0, 'proximity');
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (e !== error) throw e;
+    }
+  });
+
+  // Test 2: Skip and quarantine
+  test('Skip/Quarantine: Product dropped, quarantine records it', () => {
+    const quarantine = [];
+    handleInvalidProduct(error, product, 3, 'proximity', { onInvalid: 'skip', quarantine });
+    if (quarantine.length !== 0) throw new Error('Skip should not record');
+    handleInvalidProduct(error, product, 3, 'proximity', { onInvalid: 'quarantine', quarantine });
+    const entry = quarantine[0];
+    if (entry.product !== product || entry.index !== 3 || entry.stage !== 'proximity' || entry.error.message !== error.message) {
+      throw new Error(`Unexpected entry: ${JSON.stringify(entry)}`);
+    }
+    if (entry.error.code !== 'missing_field' || entry.error.field !== 'distance_km') throw new Error('Should keep code and field');
+  });
+
+  // Test 3: Invalid options
+  test('Validation: Unknown policy and missing quarantine array throw', () => {
+    const cases = [
+      [{ onInvalid: 'ignore' }, 'Invalid onInvalid: ignore'],
+      [{ onInvalid: 'quarantine' }, 'quarantine must be an array']
+    ];
+    cases.forEach(([options, message]) => {
+      try {
+        resolveInvalidPolicy(options);
+        throw new Error('Should have thrown error');
+      } catch (e) {
+        if (!e.message.includes(message)) throw e;
+      }
+    });
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,502 @@
+/**
+ * Chenda - Runtime Schema Validator
+ * Enforces userSchema, productSchema and validationRules from data_structures.js
+ *
+ * Schema strings are parsed into field checks:
+ * - 'number', 'string', 'ISO 8601 string', 'Array<...>', 'JSON string', 'null'
+ *   and unions of those ('number|null')
+ * - literal unions are enums ('buyer|seller|both')
+ * - '(optional' or 'default:' in the trailing parentheses marks a field optional,
+ *   and a leading 'min-max' there is a range ('number (0-100, default: 50)')
+ *
+ * Each validationRules entry has a check here, reported under the rule's name with
+ * the rule text as message. Rules that need other data only run when it is given:
+ * seller_id needs users, product_type_id / days_already_used / storage_condition
+ * need productTypes (unless the listing carries total_shelf_life_days).
+ *
+ * Errors are per field: { field, rule, message, value, severity }. Severity is
+ * 'error', or 'warning' for advisories (max_radius_km above 100, a storage
+ * condition the catalog has no shelf life for) that do not make an object invalid.
+ */
+
+const { userSchema, productSchema, validationRules } = require('./data_structures');
+const { validateStorageHistory } = require('../core-algorithm/calculations/storage-history');
+const { createProductTypeIndex } = require('../product-management/product-type-catalog');
+const { ValidationError } = require('./errors');
+
+const TYPE_KEYWORDS = ['number', 'string', 'null', 'ISO 8601 string', 'JSON string', 'CSV string'];
+
+/**
+ * Parse a schema type string
+ *
+ * @param {string} spec - e.g. 'number|null (0-100, optional)'
+ * @returns {Object} { types: Array<string>, values: Array<string>|null, optional, range: { min, max }|null }
+ *
+ * @example
+ * parseFieldSpec('buyer|seller|both');
+ * // { types: [], values: ['buyer', 'seller', 'both'], optional: false, range: null }
+ */
+function parseFieldSpec(spec) {
+  const match = /^(.*?)\s*(?:\(([^()]*)\))?\s*$/.exec(spec);
+  const base = match[1];
+  const note = match[2] || '';
+  const alternatives = base.split('|').map(part => part.trim());
+  const isType = part => TYPE_KEYWORDS.includes(part) || part.startsWith('Array<');
+  const range = /^(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\b/.exec(note);
+
+  return {
+    types: alternatives.every(part => !isType(part)) ? [] : alternatives,
+    values: alternatives.every(part => !isType(part)) ? alternatives : null,
+    optional: /\boptional\b|\bdefault:/.test(note),
+    range: range ? { min: Number(range[1]), max: Number(range[2]) } : null
+  };
+}
+
+/**
+ * Check a value against one schema type
+ * @private
+ */
+function matchesType(value, type) {
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  if (type === 'null') return value === null;
+  if (type === 'ISO 8601 string') return typeof value === 'string' && !isNaN(Date.parse(value));
+  if (type.startsWith('Array<')) return Array.isArray(value);
+  return typeof value === 'string';
+}
+
+/**
+ * Check an object against a schema, recursing into nested objects
+ * @private
+ */
+function checkSchema(object, schema, prefix, skipRanges, addError) {
+  for (const [key, spec] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const value = object ? object[key] : undefined;
+
+    if (typeof spec === 'object') {
+      if (value == null || typeof value !== 'object') {
+        addError(field, 'required', `${field} is required`, value);
+      } else {
+        checkSchema(value, spec, field, skipRanges, addError);
+      }
+      continue;
+    }
+
+    const parsed = parseFieldSpec(spec);
+    if (value === undefined) {
+      if (!parsed.optional) addError(field, 'required', `${field} is required`, value);
+      continue;
+    }
+    if (value === null && parsed.types.includes('null')) {
+      continue;
+    }
+
+    if (parsed.values) {
+      if (!parsed.values.includes(value)) {
+        addError(field, 'enum', `${field} must be one of: ${parsed.values.join(', ')}`, value);
+      }
+    } else if (!parsed.types.some(type => matchesType(value, type))) {
+      addError(field, 'type', `${field} must be ${parsed.types.join(' or ')}`, value);
+    } else if (parsed.range && !skipRanges.includes(field) &&
+        (value < parsed.range.min || value > parsed.range.max)) {
+      addError(field, 'range', `${field} must be between ${parsed.range.min} and ${parsed.range.max}`, value);
+    }
+  }
+}
+
+/**
+ * Read a nested field ('location.lat')
+ * @private
+ */
+function getField(object, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Create an error collector for one object
+ * @private
+ */
+function createCollector() {
+  const errors = [];
+  const add = severity => (field, rule, message, value) => {
+    errors.push({ field, rule, message, value: value === undefined ? null : value, severity });
+  };
+  return { errors, addError: add('error'), addWarning: add('warning') };
+}
+
+/**
+ * Build the result of a single-object validation
+ * @private
+ */
+function toResult(errors) {
+  return { valid: !errors.some(error => error.severity === 'error'), errors };
+}
+
+/**
+ * Index users and product types given as arrays
+ * @private
+ */
+function resolveContext(context = {}) {
+  const users = context.users instanceof Map
+    ? context.users
+    : context.users ? new Map(context.users.map(user => [Number(user.id), user])) : null;
+  const productTypes = context.productTypes instanceof Map
+    ? context.productTypes
+    : context.productTypes ? createProductTypeIndex(context.productTypes) : null;
+  return { users, productTypes, now: context.now != null ? new Date(context.now) : new Date() };
+}
+
+/**
+ * Validate a user object against userSchema and validationRules.user
+ *
+ * @param {Object} user - User object (see userSchema)
+ * @returns {Object} { valid, errors: [{ field, rule, message, value, severity }] }
+ *
+ * @example
+ * validateUser({ ...exampleBuyer, preferences: { ...exampleBuyer.preferences, proximity_weight: 70 } });
+ * // { valid: false, errors: [{ field: 'preferences.proximity_weight', rule: 'proximity_weight_plus_shelf_life_weight',
+ * //   message: 'preferences.proximity_weight + preferences.shelf_life_weight: Must sum to 100', ... }] }
+ */
+function validateUser(user) {
+  const { errors, addError, addWarning } = createCollector();
+  const rules = validationRules.user;
+
+  if (!user || typeof user !== 'object') {
+    addError('', 'type', 'user must be an object', user);
+    return toResult(errors);
+  }
+
+  checkSchema(user, userSchema, '', ['preferences.min_freshness_percent'], addError);
+  const failed = new Set(errors.map(error => error.field));
+  const ok = field => !failed.has(field) && typeof getField(user, field) === 'number';
+
+  if (ok('preferences.proximity_weight') && ok('preferences.shelf_life_weight') &&
+      user.preferences.proximity_weight + user.preferences.shelf_life_weight !== 100) {
+    addError('preferences.proximity_weight', 'proximity_weight_plus_shelf_life_weight',
+      `preferences.proximity_weight + preferences.shelf_life_weight: ${rules.proximity_weight_plus_shelf_life_weight}`,
+      user.preferences.proximity_weight + user.preferences.shelf_life_weight);
+  }
+  if (ok('location.lat') && Math.abs(user.location.lat) > 90) {
+    addError('location.lat', 'location_lat', `location.lat: ${rules.location_lat}`, user.location.lat);
+  }
+  if (ok('location.lng') && Math.abs(user.location.lng) > 180) {
+    addError('location.lng', 'location_lng', `location.lng: ${rules.location_lng}`, user.location.lng);
+  }
+  if (ok('preferences.max_radius_km')) {
+    const radius = user.preferences.max_radius_km;
+    if (radius <= 0) {
+      addError('preferences.max_radius_km', 'max_radius_km', `preferences.max_radius_km: ${rules.max_radius_km}`, radius);
+    } else if (radius > 100) {
+      addWarning('preferences.max_radius_km', 'max_radius_km', `preferences.max_radius_km: ${rules.max_radius_km}`, radius);
+    }
+  }
+  if (ok('preferences.min_freshness_percent') &&
+      (user.preferences.min_freshness_percent < 0 || user.preferences.min_freshness_percent > 100)) {
+    addError('preferences.min_freshness_percent', 'min_freshness_percent',
+      `preferences.min_freshness_percent: ${rules.min_freshness_percent}`, user.preferences.min_freshness_percent);
+  }
+
+  return toResult(errors);
+}
+
+/**
+ * Validate a product listing against productSchema and validationRules.product
+ *
+ * @param {Object} product - Product listing (see productSchema)
+ * @param {Object} context - Related data for cross-reference rules
+ * @param {Array<Object>|Map<number, Object>} [context.users] - Users, for seller_id
+ * @param {Array<Object>|Object|Map<number, Object>} [context.productTypes] - Catalog, for
+ *   product_type_id, days_already_used and storage_condition
+ * @param {string|Date} [context.now] - Evaluation date for listed_date (default: now)
+ * @returns {Object} { valid, errors: [{ field, rule, message, value, severity }] }
+ *
+ * @example
+ * validateProduct({ ...exampleProduct, price: 0 }).errors[0];
+ * // { field: 'price', rule: 'price', message: 'price: Must be > 0', value: 0, severity: 'error' }
+ */
+function validateProduct(product, context = {}) {
+  const { errors, addError, addWarning } = createCollector();
+  const rules = validationRules.product;
+  const { users, productTypes, now } = context.resolved || resolveContext(context);
+
+  if (!product || typeof product !== 'object') {
+    addError('', 'type', 'product must be an object', product);
+    return toResult(errors);
+  }
+
+  // Listings with a storage history do not need days_already_used
+  const schema = product.storage_history != null
+    ? { ...productSchema, days_already_used: 'number (optional)' }
+    : productSchema;
+  checkSchema(product, schema, '', [], addError);
+  const failed = new Set(errors.map(error => error.field));
+  const has = field => !failed.has(field) && product[field] != null;
+  const rule = (field, value, severity = 'error') => {
+    (severity === 'error' ? addError : addWarning)(field, field, `${field}: ${rules[field]}`, value);
+  };
+
+  ['price', 'quantity'].forEach(field => {
+    if (has(field) && product[field] <= 0) rule(field, product[field]);
+  });
+  for (const field of ['lat', 'lng']) {
+    const limit = field === 'lat' ? 90 : 180;
+    if (!failed.has(`location.${field}`) && product.location && Math.abs(product.location[field]) > limit) {
+      addError(`location.${field}`, `location_${field}`, `location.${field}: ${validationRules.user[`location_${field}`]}`,
+        product.location[field]);
+    }
+  }
+  if (has('listed_date') && new Date(product.listed_date) > now) {
+    rule('listed_date', product.listed_date);
+  }
+
+  if (users && has('seller_id')) {
+    const seller = users.get(Number(product.seller_id));
+    if (!seller || (seller.type !== 'seller' && seller.type !== 'both')) {
+      rule('seller_id', product.seller_id);
+    }
+  }
+
+  const productType = productTypes && has('product_type_id')
+    ? productTypes.get(Number(product.product_type_id))
+    : null;
+  if (productTypes && has('product_type_id') && !productType) {
+    rule('product_type_id', product.product_type_id);
+  }
+
+  if (has('days_already_used')) {
+    const condition = product.storage_condition;
+    const catalogShelfLife = productType
+      ? ((productType.shelf_life_by_condition || {})[condition] || {}).shelf_life_days || productType.default_shelf_life_days
+      : null;
+    const total = product.total_shelf_life_days != null ? product.total_shelf_life_days : catalogShelfLife;
+    if (product.days_already_used < 0 || (total != null && product.days_already_used >= total)) {
+      rule('days_already_used', product.days_already_used);
+    }
+  }
+
+  if (productType && has('storage_condition') &&
+      product.storage_condition !== productType.default_storage_condition &&
+      !(productType.shelf_life_by_condition || {})[product.storage_condition]) {
+    rule('storage_condition', product.storage_condition, 'warning');
+  }
+
+  if (has('storage_history')) {
+    try {
+      const history = validateStorageHistory(product.storage_history);
+      const last = history[history.length - 1].storage_condition;
+      if (product.storage_condition != null && last !== product.storage_condition) {
+        rule('storage_history', last);
+      }
+    } catch (e) {
+      addError('storage_history', 'storage_history', `storage_history: ${rules.storage_history} (${e.message})`,
+        product.storage_history);
+    }
+  }
+
+  return toResult(errors);
+}
+
+/**
+ * Validate whole datasets of users and products
+ * Products are checked against the users and catalog of the same dataset
+ *
+ * @param {Object} dataset - { users, products, productTypes } (each optional)
+ * @param {Object} options - Validation options
+ * @param {string|Date} [options.now] - Evaluation date for listed_date (default: now)
+ * @returns {Object} { valid, users: { checked, invalid }, products: { checked, invalid },
+ *   errors: [{ entity, index, id, field, rule, message, value, severity }] }
+ * @throws {ValidationError} If users or products is given but not an array
+ *
+ * @example
+ * const report = validateDataset({ users: mockUsers, products: mockProducts, productTypes });
+ * report.valid; // true
+ */
+function validateDataset(dataset = {}, options = {}) {
+  const { users = [], products = [], productTypes } = dataset;
+  if (!Array.isArray(users)) {
+    throw new ValidationError('users must be an array', {
+      code: 'invalid_type', field: 'users', value: users
+    });
+  }
+  if (!Array.isArray(products)) {
+    throw new ValidationError('products must be an array', {
+      code: 'invalid_type', field: 'products', value: products
+    });
+  }
+
+  const resolved = resolveContext({ users, productTypes, now: options.now });
+  const errors = [];
+  const summary = { users: { checked: users.length, invalid: 0 }, products: { checked: products.length, invalid: 0 } };
+
+  const collect = (entity, list, validate) => {
+    list.forEach((item, index) => {
+      const result = validate(item);
+      if (!result.valid) summary[`${entity}s`].invalid++;
+      result.errors.forEach(error => errors.push({
+        entity,
+        index,
+        id: item && item.id != null ? item.id : null,
+        ...error
+      }));
+    });
+  };
+
+  collect('user', users, user => validateUser(user));
+  collect('product', products, product => validateProduct(product, { resolved }));
+
+  return {
+    valid: !errors.some(error => error.severity === 'error'),
+    ...summary,
+    errors
+  };
+}
+
+// Export functions
+module.exports = {
+  parseFieldSpec,
+  validateUser,
+  validateProduct,
+  validateDataset
+};
+
+// Run unit tests if executed directly
+if (require.main === module) {
+  const { exampleBuyer, exampleSeller, exampleProduct } = require('./data_structures');
+  const { mockUsers, mockProducts } = require('../product-display/mock_data');
+  const productTypes = require('../product-management/product-types.json');
+
+  console.log('🧪 Running Schema Validator Unit Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const rules = result => result.errors.map(error => `${error.field}:${error.rule}`).join(',');
+  const now = '2025-02-01T00:00:00Z';
+
+  // Test 1: Schema strings
+  test('Spec: Schema strings parsed', () => {
+    const weight = parseFieldSpec(userSchema.preferences.proximity_weight);
+    if (!weight.optional || weight.range.min !== 0 || weight.range.max !== 100) throw new Error('Expected optional 0-100');
+    const type = parseFieldSpec(userSchema.type);
+    if (type.values.join() !== 'buyer,seller,both') throw new Error('Expected enum');
+    const log = parseFieldSpec(productSchema.temperature_log);
+    if (!log.optional || log.types.length !== 3) throw new Error('Expected optional union');
+    if (parseFieldSpec(productSchema.storage_history).types[0].indexOf('Array<') !== 0) throw new Error('Expected array');
+  });
+
+  // Test 2: Valid data
+  test('Valid: Examples and mock dataset pass', () => {
+    if (!validateUser(exampleBuyer).valid) throw new Error(rules(validateUser(exampleBuyer)));
+    const product = validateProduct(exampleProduct, { now });
+    if (!product.valid) throw new Error(rules(product));
+    const report = validateDataset({ users: mockUsers, products: mockProducts, productTypes }, { now });
+    if (!report.valid) throw new Error(JSON.stringify(report.errors.slice(0, 2)));
+    if (report.users.checked !== 10 || report.products.checked !== 30) throw new Error('Expected 10 users and 30 products');
+  });
+
+  // Test 3: User rules
+  test('User: Weight sum, coordinates, radius and freshness rules', () => {
+    const result = validateUser({
+      ...exampleBuyer,
+      location: { lat: 95, lng: -200 },
+      preferences: { ...exampleBuyer.preferences, proximity_weight: 70, max_radius_km: 0, min_freshness_percent: 120 }
+    });
+    const expected = 'preferences.proximity_weight:proximity_weight_plus_shelf_life_weight,location.lat:location_lat,' +
+      'location.lng:location_lng,preferences.max_radius_km:max_radius_km,preferences.min_freshness_percent:min_freshness_percent';
+    if (rules(result) !== expected) throw new Error(`Got ${rules(result)}`);
+    if (result.errors[0].message !== 'preferences.proximity_weight + preferences.shelf_life_weight: Must sum to 100') {
+      throw new Error(`Unexpected message: ${result.errors[0].message}`);
+    }
+    const wide = validateUser({ ...exampleBuyer, preferences: { ...exampleBuyer.preferences, max_radius_km: 150 } });
+    if (!wide.valid || wide.errors[0].severity !== 'warning') throw new Error('Radius over 100 should only warn');
+  });
+
+  // Test 4: Schema errors
+  test('User: Missing, mistyped and enum fields', () => {
+    const { email, ...noEmail } = exampleBuyer;
+    const result = validateUser({ ...noEmail, type: 'admin', location: { lat: '14.6', lng: 121 } });
+    if (rules(result) !== 'email:required,type:enum,location.lat:type') throw new Error(`Got ${rules(result)}`);
+    if (result.errors[2].value !== '14.6') throw new Error('Value should be reported');
+  });
+
+  // Test 5: Product rules
+  test('Product: Price, quantity, dates and shelf life rules', () => {
+    const result = validateProduct({
+      ...exampleProduct,
+      price: 0,
+      quantity: -1,
+      listed_date: '2025-03-01T00:00:00Z',
+      days_already_used: 30
+    }, { productTypes, now });
+    const expected = 'price:price,quantity:quantity,listed_date:listed_date,days_already_used:days_already_used';
+    if (rules(result) !== expected) throw new Error(`Got ${rules(result)}`);
+    const listed = validateProduct({ ...exampleProduct, total_shelf_life_days: 1 }, { now });
+    if (rules(listed) !== 'days_already_used:days_already_used') throw new Error('Listing shelf life should be used');
+  });
+
+  // Test 6: Cross references
+  test('Product: Seller, product type and storage references', () => {
+    const users = [{ id: 1, type: 'buyer' }, { id: 2, type: 'seller' }];
+    const result = validateProduct({ ...exampleProduct, seller_id: 1, product_type_id: 9999 }, { users, productTypes, now });
+    if (rules(result) !== 'seller_id:seller_id,product_type_id:product_type_id') throw new Error(`Got ${rules(result)}`);
+    const frozen = validateProduct({ ...exampleProduct, storage_condition: 'frozen' }, { users, productTypes, now });
+    if (!frozen.valid || rules(frozen) !== 'storage_condition:storage_condition') {
+      throw new Error('Unknown condition for the type should only warn');
+    }
+  });
+
+  // Test 7: Storage history
+  test('Product: Storage history replaces days_already_used and must end in storage_condition', () => {
+    const { days_already_used, ...noDays } = exampleProduct;
+    const history = [
+      { storage_condition: 'frozen', started_at: '2025-01-01T00:00:00Z' },
+      { storage_condition: 'refrigerated_after_thawing', started_at: '2025-01-20T00:00:00Z' }
+    ];
+    const ok = validateProduct({ ...noDays, storage_condition: 'refrigerated_after_thawing', storage_history: history }, { now });
+    if (!ok.valid) throw new Error(rules(ok));
+    const mismatch = validateProduct({ ...noDays, storage_history: history }, { now });
+    if (rules(mismatch) !== 'storage_history:storage_history') throw new Error(`Got ${rules(mismatch)}`);
+    const reversed = validateProduct({ ...noDays, storage_history: [...history].reverse() }, { now });
+    if (!reversed.errors[0].message.includes('chronological order')) throw new Error('Expected order error');
+  });
+
+  // Test 8: Dataset report
+  test('Dataset: Errors carry entity, index and id', () => {
+    const report = validateDataset({
+      users: [exampleBuyer, exampleSeller],
+      products: [{ ...exampleProduct, id: 7, seller_id: 1 }, exampleProduct]
+    }, { now });
+    if (report.valid || report.products.invalid !== 1) throw new Error('Expected one invalid product');
+    const error = report.errors[0];
+    if (error.entity !== 'product' || error.index !== 0 || error.id !== 7 || error.rule !== 'seller_id') {
+      throw new Error(`Unexpected error: ${JSON.stringify(error)}`);
+    }
+    try {
+      validateDataset({ products: {} });
+      throw new Error('Should have thrown error');
+    } catch (e) {
+      if (!(e instanceof ValidationError) || e.field !== 'products' || !e.message.includes('products must be an array')) throw e;
+    }
+  });
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('✅ All tests passed!');
+  } else {
+    console.log('❌ Some tests failed');
+    process.exit(1);
+  }
+}